@@ -8,6 +8,7 @@ import errorHandler from "./middlewares/error.middleware.js";
 import { deduplicationMiddleware } from "./middlewares/deduplication.middleware.js";
 import { heapSafetyGuard } from "./utils/heapSafetyGuard.js";
 import logger, { httpLogger } from "./utils/logger.js";
+import { LAYOUT_BODY_LIMIT } from "./utils/roomLayoutHelpers.js";
 
 const app = express();
 
@@ -85,6 +86,9 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parser middleware
+// Room layouts carry up to MAX_LAYOUT_SEATS seats; parsed here first, the
+// general parser below then skips them
+app.use("/api/v1/rooms/:roomId/layout", express.json({ limit: LAYOUT_BODY_LIMIT }));
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ limit: "16kb", extended: true }));
 
@@ -12,6 +12,7 @@ export const StudentStatus = {
   ARCHIVED: "ARCHIVED",
   BANNED: "BANNED",
   SUSPENDED: "SUSPENDED",
+  PAUSED: "PAUSED", // Membership paused with the seat released
 };
 
 export const ReportReason = {
@@ -98,3 +99,16 @@ export const NotificationPriority = {
   HIGH: "HIGH",
   URGENT: "URGENT",
 };
+
+export const KycDocumentType = {
+  ID_PROOF: "ID_PROOF",
+  PHOTO: "PHOTO",
+  ADDRESS_PROOF: "ADDRESS_PROOF",
+};
+
+export const KycStatus = {
+  NOT_SUBMITTED: "NOT_SUBMITTED",
+  PENDING: "PENDING",
+  VERIFIED: "VERIFIED",
+  REJECTED: "REJECTED",
+};
@@ -3,6 +3,11 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Attendance } from "../models/attendance.model.js";
 import { Student } from "../models/student.model.js";
+import AttendanceService from "../services/attendance.service.js";
+import AbsenceAlertService from "../services/absenceAlert.service.js";
+import AttendanceRegisterService, {
+  REGISTER_FORMATS,
+} from "../services/attendanceRegister.service.js";
 
 // Helper to normalize date to midnight
 const normalizeDate = (dateString) => {
@@ -21,7 +26,7 @@ export const markAttendance = asyncHandler(async (req, res) => {
 
   const attendanceDate = normalizeDate(date);
 
-  const attendance = await Attendance.findOneAndUpdate(
+  let attendance = await Attendance.findOneAndUpdate(
     {
       studentId,
       date: attendanceDate,
@@ -31,17 +36,32 @@ export const markAttendance = asyncHandler(async (req, res) => {
       status,
       checkInTime: checkInTime ? new Date(checkInTime) : undefined,
       checkOutTime: checkOutTime ? new Date(checkOutTime) : undefined,
+      source: "ADMIN",
       markedBy: req.admin._id,
       tenantId: req.tenantId,
     },
     { new: true, upsert: true, setDefaultsOnInsert: true }
   );
+  attendance = await AttendanceService.refreshTiming(attendance);
 
   return res
     .status(200)
     .json(new ApiResponse(200, attendance, "Attendance marked successfully"));
 });
 
+// Mark a whole slot or room for one day, with per-student exceptions
+export const bulkMarkAttendance = asyncHandler(async (req, res) => {
+  const result = await AttendanceService.markBulk(
+    req.tenantId,
+    req.admin._id,
+    req.body,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, `Attendance marked for ${result.marked} students`));
+});
+
 // Get daily attendance for all active students
 export const getDailyAttendance = asyncHandler(async (req, res) => {
   const { date } = req.query;
@@ -83,6 +103,7 @@ export const getDailyAttendance = asyncHandler(async (req, res) => {
       status: record ? record.status : "NOT_MARKED",
       checkInTime: record ? record.checkInTime : null,
       checkOutTime: record ? record.checkOutTime : null,
+      timing: record ? record.timing || null : null,
       attendanceId: record ? record._id : null,
     };
   });
@@ -142,3 +163,72 @@ export const getMonthlyAttendanceStats = asyncHandler(async (req, res) => {
     )
   );
 });
+
+// Current QR code for the library's check-in kiosk screen
+export const getKioskCode = asyncHandler(async (req, res) => {
+  const kioskCode = await AttendanceService.getKioskCode(req.tenantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, kioskCode, "Kiosk code generated"));
+});
+
+// Students flagged at risk by the absence-pattern job
+export const getAtRiskStudents = asyncHandler(async (req, res) => {
+  const days = req.query.days ? parseInt(req.query.days) : 7;
+  if (!Number.isInteger(days) || days < 1) {
+    throw new ApiError(400, "Days must be a positive number");
+  }
+
+  const alerts = await AbsenceAlertService.getAtRiskStudents(req.tenantId, {
+    days,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, alerts, "At-risk students fetched"));
+});
+
+// Monthly attendance register — JSON, or ?format=csv|xlsx|pdf for download
+export const getAttendanceRegister = asyncHandler(async (req, res) => {
+  const format = req.query.format?.toLowerCase();
+  if (format && !REGISTER_FORMATS.includes(format)) {
+    throw new ApiError(400, `Format must be one of ${REGISTER_FORMATS.join(", ")}`);
+  }
+
+  const register = await AttendanceRegisterService.getRegister(
+    req.tenantId,
+    req.query,
+  );
+
+  if (!format) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, register, "Attendance register fetched"));
+  }
+
+  const { month, year } = register.period;
+  const filename = `attendance-register-${year}-${String(month + 1).padStart(2, "0")}.${format}`;
+  const contentTypes = {
+    csv: "text/csv; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    pdf: "application/pdf",
+  };
+
+  res.setHeader("Content-Type", contentTypes[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200);
+  await AttendanceRegisterService.streamRegister(register, format, res);
+});
+
+// Students who regularly stay outside their booked slot (full-day upsell)
+export const getOverstayReport = asyncHandler(async (req, res) => {
+  const report = await AttendanceService.getOverstayReport(
+    req.tenantId,
+    req.query,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, "Overstay report fetched"));
+});
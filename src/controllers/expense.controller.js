@@ -2,6 +2,17 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Expense } from "../models/expense.model.js";
+import ExpenseService from "../services/expense.service.js";
+
+// Budget alerts must never fail the expense write itself
+const checkBudgetsForDate = async (tenantId, date) => {
+  try {
+    const d = new Date(date);
+    await ExpenseService.checkBudgetAlerts(tenantId, d.getMonth(), d.getFullYear());
+  } catch (error) {
+    console.error("Budget alert check failed:", error);
+  }
+};
 
 // Create new expense
 export const createExpense = asyncHandler(async (req, res) => {
@@ -23,6 +34,8 @@ export const createExpense = asyncHandler(async (req, res) => {
     createdBy: req.admin._id,
   });
 
+  await checkBudgetsForDate(req.tenantId, expense.date);
+
   return res
     .status(201)
     .json(new ApiResponse(201, expense, "Expense created successfully"));
@@ -93,42 +106,15 @@ export const getExpenseStats = asyncHandler(async (req, res) => {
   const targetYear = year ? parseInt(year) : currentDate.getFullYear();
   const targetMonth = month ? parseInt(month) : currentDate.getMonth();
 
-  const startOfMonth = new Date(targetYear, targetMonth, 1);
-  const endOfMonth = new Date(targetYear, targetMonth + 1, 0, 23, 59, 59, 999);
-
-  const stats = await Expense.aggregate([
-    {
-      $match: {
-        tenantId: req.tenantId, // Tenant isolation
-        date: { $gte: startOfMonth, $lte: endOfMonth },
-      },
-    },
-    {
-      $group: {
-        _id: "$category",
-        totalAmount: { $sum: "$amount" },
-        count: { $sum: 1 },
-      },
-    },
-    {
-      $sort: { totalAmount: -1 },
-    },
-  ]);
-
-  const totalExpense = stats.reduce((sum, item) => sum + item.totalAmount, 0);
-
-  return res.status(200).json(
-    new ApiResponse(
-      200,
-      {
-        month: targetMonth,
-        year: targetYear,
-        totalExpense,
-        categoryBreakdown: stats,
-      },
-      "Expense stats fetched successfully"
-    )
+  const stats = await ExpenseService.getExpenseStats(
+    req.tenantId, // Tenant isolation
+    targetMonth,
+    targetYear,
   );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Expense stats fetched successfully"));
 });
 
 // Update expense
@@ -154,6 +140,8 @@ export const updateExpense = asyncHandler(async (req, res) => {
 
   await expense.save();
 
+  await checkBudgetsForDate(req.tenantId, expense.date);
+
   return res
     .status(200)
     .json(new ApiResponse(200, expense, "Expense updated successfully"));
@@ -176,3 +164,86 @@ export const deleteExpense = asyncHandler(async (req, res) => {
     .status(200)
     .json(new ApiResponse(200, null, "Expense deleted successfully"));
 });
+
+// ─── Recurring expenses ──────────────────────────────────────────────────
+
+export const getRecurringExpenses = asyncHandler(async (req, res) => {
+  const templates = await ExpenseService.getRecurringExpenses(req.tenantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, templates, "Recurring expenses fetched successfully"));
+});
+
+export const createRecurringExpense = asyncHandler(async (req, res) => {
+  const template = await ExpenseService.createRecurringExpense(
+    req.body,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, template, "Recurring expense created successfully"));
+});
+
+export const updateRecurringExpense = asyncHandler(async (req, res) => {
+  const template = await ExpenseService.updateRecurringExpense(
+    req.params.templateId,
+    req.body,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, template, "Recurring expense updated successfully"));
+});
+
+export const deleteRecurringExpense = asyncHandler(async (req, res) => {
+  await ExpenseService.deleteRecurringExpense(req.params.templateId, req.tenantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Recurring expense deleted successfully"));
+});
+
+// ─── Budgets ─────────────────────────────────────────────────────────────
+
+export const getBudgets = asyncHandler(async (req, res) => {
+  const currentDate = new Date();
+  const month = req.query.month ? parseInt(req.query.month) : currentDate.getMonth();
+  const year = req.query.year ? parseInt(req.query.year) : currentDate.getFullYear();
+
+  const budgets = await ExpenseService.getBudgets(req.tenantId, month, year);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { month, year, budgets }, "Budgets fetched successfully"));
+});
+
+export const setBudget = asyncHandler(async (req, res) => {
+  const { monthlyLimit, alertThresholds } = req.body;
+
+  if (monthlyLimit === undefined) {
+    throw new ApiError(400, "monthlyLimit is required");
+  }
+
+  const budget = await ExpenseService.setBudget(
+    req.params.category,
+    { monthlyLimit, alertThresholds },
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, budget, "Budget saved successfully"));
+});
+
+export const deleteBudget = asyncHandler(async (req, res) => {
+  await ExpenseService.deleteBudget(req.params.category, req.tenantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Budget deleted successfully"));
+});
@@ -0,0 +1,236 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import FeeService from "../services/fee.service.js";
+import {
+  feeAdjustmentRuleSchema,
+  feeAdjustmentRuleUpdateSchema,
+} from "../utils/validators.js";
+
+// Look up a receipt by its number (admin)
+export const getReceiptByNumber = asyncHandler(async (req, res) => {
+  const { receiptNumber } = req.params;
+
+  const receipt = await FeeService.getReceiptByNumber(
+    receiptNumber,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, receipt, "Receipt fetched successfully"));
+});
+
+// Download a receipt PDF by its number (admin)
+export const downloadReceiptByNumberPDF = asyncHandler(async (req, res) => {
+  const { receiptNumber } = req.params;
+
+  const receipt = await FeeService.getReceiptByNumber(
+    receiptNumber,
+    req.tenantId,
+  );
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${receipt.receiptNumber}.pdf"`,
+  );
+  await FeeService.streamReceiptPDF(receipt, res);
+});
+
+// Void a receipt — the number is retained and marked VOID
+export const voidReceipt = asyncHandler(async (req, res) => {
+  const { receiptNumber } = req.params;
+  const { reason } = req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new ApiError(400, "Reason is required");
+  }
+
+  const receipt = await FeeService.voidReceipt(
+    receiptNumber,
+    req.tenantId,
+    reason,
+    req.admin._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, receipt, "Receipt voided successfully"));
+});
+
+// Issue a corrected receipt under a new number, voiding the original
+export const reissueReceipt = asyncHandler(async (req, res) => {
+  const { receiptNumber } = req.params;
+  const { reason, paymentMethod, transactionId, remarks, paymentDate } =
+    req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new ApiError(400, "Reason is required");
+  }
+
+  const receipt = await FeeService.reissueReceipt(
+    receiptNumber,
+    req.tenantId,
+    { paymentMethod, transactionId, remarks, paymentDate },
+    reason,
+    req.admin._id,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, receipt, "Corrected receipt issued successfully"));
+});
+
+// Issue the receipt for a month paid before receipt numbering
+export const issueMissingReceipt = asyncHandler(async (req, res) => {
+  const { studentId, month, year } = req.params;
+
+  const receipt = await FeeService.issueMissingReceipt(
+    studentId,
+    parseInt(month),
+    parseInt(year),
+    req.admin._id,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, receipt, "Receipt issued successfully"));
+});
+
+// Reverse a recorded payment (super admin only)
+export const reversePayment = asyncHandler(async (req, res) => {
+  const { studentId, month, year } = req.params;
+  const { reason } = req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new ApiError(400, "Reason is required");
+  }
+
+  const result = await FeeService.reversePayment(
+    studentId,
+    parseInt(month),
+    parseInt(year),
+    reason,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Payment reversed successfully"));
+});
+
+// Waive all or part of a month's late fee (audited)
+export const waiveLateFee = asyncHandler(async (req, res) => {
+  const { studentId, month, year } = req.params;
+  const { amount, reason } = req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new ApiError(400, "Reason is required");
+  }
+
+  const result = await FeeService.waiveLateFee(
+    studentId,
+    parseInt(month),
+    parseInt(year),
+    { amount, reason },
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Late fee waived successfully"));
+});
+
+// List discount / concession rules for the library
+export const getAdjustmentRules = asyncHandler(async (req, res) => {
+  const rules = await FeeService.getAdjustmentRules(req.tenantId, {
+    includeInactive: req.query.includeInactive === "true",
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, rules, "Adjustment rules fetched successfully"));
+});
+
+export const createAdjustmentRule = asyncHandler(async (req, res) => {
+  const validation = feeAdjustmentRuleSchema.safeParse(req.body);
+  if (!validation.success) {
+    throw new ApiError(400, "Validation Error", validation.error.issues);
+  }
+
+  const rule = await FeeService.createAdjustmentRule(
+    validation.data,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, rule, "Adjustment rule created successfully"));
+});
+
+export const updateAdjustmentRule = asyncHandler(async (req, res) => {
+  const validation = feeAdjustmentRuleUpdateSchema.safeParse(req.body);
+  if (!validation.success) {
+    throw new ApiError(400, "Validation Error", validation.error.issues);
+  }
+
+  const rule = await FeeService.updateAdjustmentRule(
+    req.params.ruleId,
+    validation.data,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, rule, "Adjustment rule updated successfully"));
+});
+
+// Rules attached to a student
+export const getStudentAdjustmentRules = asyncHandler(async (req, res) => {
+  const result = await FeeService.getStudentAdjustmentRules(
+    req.params.studentId,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Student adjustments fetched successfully"));
+});
+
+export const attachAdjustmentRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.body;
+  if (!ruleId) {
+    throw new ApiError(400, "ruleId is required");
+  }
+
+  const result = await FeeService.attachAdjustmentRule(
+    req.params.studentId,
+    ruleId,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Adjustment attached successfully"));
+});
+
+export const detachAdjustmentRule = asyncHandler(async (req, res) => {
+  const { studentId, ruleId } = req.params;
+
+  const result = await FeeService.detachAdjustmentRule(
+    studentId,
+    ruleId,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Adjustment detached successfully"));
+});
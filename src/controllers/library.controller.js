@@ -8,7 +8,6 @@ import { AdminActionLog } from "../models/adminActionLog.model.js";
 export const getLibraryProfile = asyncHandler(async (req, res) => {
   // reliable way to get tenantId is from the authenticated admin
   const tenantId = req.admin.tenantId;
-  console.log("DEBUG: getLibraryProfile tenantId:", tenantId);
 
   const library = await Library.findById(tenantId).select("-ownerAdminId");
 
@@ -40,6 +39,121 @@ export const updateLibraryProfile = asyncHandler(async (req, res) => {
     updateData["settings.lateFeePerDay"] = updateData.lateFeePerDay;
     delete updateData.lateFeePerDay;
   }
+  delete updateData.lateFeesEnabledAt;
+  if (updateData.lateFeesEnabled !== undefined) {
+    const enabled = updateData.lateFeesEnabled === true;
+    updateData["settings.lateFeesEnabled"] = enabled;
+    // Late fees start with months falling due after they are turned on
+    if (enabled) {
+      const current = await Library.findById(tenantId)
+        .select("settings.lateFeesEnabled")
+        .lean();
+      if (!current?.settings?.lateFeesEnabled) {
+        updateData["settings.lateFeesEnabledAt"] = new Date();
+      }
+    }
+    delete updateData.lateFeesEnabled;
+  }
+  if (updateData.lateFeeCapPerMonth !== undefined) {
+    updateData["settings.lateFeeCapPerMonth"] = updateData.lateFeeCapPerMonth;
+    delete updateData.lateFeeCapPerMonth;
+  }
+  if (updateData.waitlistOfferHours !== undefined) {
+    updateData["settings.waitlistOfferHours"] = updateData.waitlistOfferHours;
+    delete updateData.waitlistOfferHours;
+  }
+  if (updateData.seatHoldMinutes !== undefined) {
+    updateData["settings.seatHoldMinutes"] = updateData.seatHoldMinutes;
+    delete updateData.seatHoldMinutes;
+  }
+  if (updateData.autoApproveSlotChanges !== undefined) {
+    updateData["settings.autoApproveSlotChanges"] = updateData.autoApproveSlotChanges;
+    delete updateData.autoApproveSlotChanges;
+  }
+  if (updateData.billingDay !== undefined) {
+    updateData["settings.billingDay"] = updateData.billingDay;
+    delete updateData.billingDay;
+  }
+  if (updateData.prorateSlotChanges !== undefined) {
+    updateData["settings.prorateSlotChanges"] = updateData.prorateSlotChanges;
+    delete updateData.prorateSlotChanges;
+  }
+  if (updateData.prorateFirstMonth !== undefined) {
+    updateData["settings.prorateFirstMonth"] = updateData.prorateFirstMonth;
+    delete updateData.prorateFirstMonth;
+  }
+  if (updateData.prorateLastMonth !== undefined) {
+    updateData["settings.prorateLastMonth"] = updateData.prorateLastMonth;
+    delete updateData.prorateLastMonth;
+  }
+  if (updateData.exitNoticeDays !== undefined) {
+    updateData["settings.exitNoticeDays"] = updateData.exitNoticeDays;
+    delete updateData.exitNoticeDays;
+  }
+  if (updateData.requireKycForActivation !== undefined) {
+    updateData["settings.requireKycForActivation"] = updateData.requireKycForActivation;
+    delete updateData.requireKycForActivation;
+  }
+  if (updateData.kioskCodeSeconds !== undefined) {
+    updateData["settings.kioskCodeSeconds"] = updateData.kioskCodeSeconds;
+    delete updateData.kioskCodeSeconds;
+  }
+  if (updateData.fullDayAttendancePercent !== undefined) {
+    updateData["settings.fullDayAttendancePercent"] = updateData.fullDayAttendancePercent;
+    delete updateData.fullDayAttendancePercent;
+  }
+  if (updateData.weeklyOffDays !== undefined) {
+    updateData["settings.weeklyOffDays"] = updateData.weeklyOffDays;
+    delete updateData.weeklyOffDays;
+  }
+  if (updateData.holidays !== undefined) {
+    updateData["settings.holidays"] = updateData.holidays;
+    delete updateData.holidays;
+  }
+  if (updateData.absenceAlertsEnabled !== undefined) {
+    updateData["settings.absenceAlertsEnabled"] = updateData.absenceAlertsEnabled;
+    delete updateData.absenceAlertsEnabled;
+  }
+  if (updateData.absenceStreakDays !== undefined) {
+    updateData["settings.absenceStreakDays"] = updateData.absenceStreakDays;
+    delete updateData.absenceStreakDays;
+  }
+  if (updateData.hoursDropPercent !== undefined) {
+    updateData["settings.hoursDropPercent"] = updateData.hoursDropPercent;
+    delete updateData.hoursDropPercent;
+  }
+  if (updateData.noShowDaysAfterPayment !== undefined) {
+    updateData["settings.noShowDaysAfterPayment"] = updateData.noShowDaysAfterPayment;
+    delete updateData.noShowDaysAfterPayment;
+  }
+  if (updateData.absenceNudgesEnabled !== undefined) {
+    updateData["settings.absenceNudgesEnabled"] = updateData.absenceNudgesEnabled;
+    delete updateData.absenceNudgesEnabled;
+  }
+  if (updateData.absenceNudgeMessage !== undefined) {
+    updateData["settings.absenceNudgeMessage"] = updateData.absenceNudgeMessage;
+    delete updateData.absenceNudgeMessage;
+  }
+  if (updateData.absenceAlertCooldownDays !== undefined) {
+    updateData["settings.absenceAlertCooldownDays"] = updateData.absenceAlertCooldownDays;
+    delete updateData.absenceAlertCooldownDays;
+  }
+  if (updateData.lateToleranceMinutes !== undefined) {
+    updateData["settings.lateToleranceMinutes"] = updateData.lateToleranceMinutes;
+    delete updateData.lateToleranceMinutes;
+  }
+  if (updateData.earlyLeaveToleranceMinutes !== undefined) {
+    updateData["settings.earlyLeaveToleranceMinutes"] = updateData.earlyLeaveToleranceMinutes;
+    delete updateData.earlyLeaveToleranceMinutes;
+  }
+  if (updateData.outsideSlotToleranceMinutes !== undefined) {
+    updateData["settings.outsideSlotToleranceMinutes"] = updateData.outsideSlotToleranceMinutes;
+    delete updateData.outsideSlotToleranceMinutes;
+  }
+  if (updateData.slotTimingNoticesEnabled !== undefined) {
+    updateData["settings.slotTimingNoticesEnabled"] = updateData.slotTimingNoticesEnabled;
+    delete updateData.slotTimingNoticesEnabled;
+  }
 
   const library = await Library.findByIdAndUpdate(
     tenantId,
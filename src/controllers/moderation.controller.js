@@ -121,10 +121,15 @@ export const moderateUser = asyncHandler(async (req, res) => {
       statusUpdate = StudentStatus.SUSPENDED;
       message = "User has been suspended";
       break;
-    case "ACTIVATE":
+    case "ACTIVATE": {
+      const StudentKycService = (
+        await import("../services/studentKyc.service.js")
+      ).default;
+      await StudentKycService.assertCanActivate(student);
       statusUpdate = StudentStatus.ACTIVE;
       message = "User status restored to Active";
       break;
+    }
     default:
       throw new ApiError(400, "Invalid moderation action");
   }
@@ -41,6 +41,21 @@ export const updateRoom = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, room, "Room updated successfully"));
 });
 
+// Floor plan: { rows, columns, seats: [{ label, row, column, seatType, tags, status }] }, or null to clear
+export const setRoomLayout = asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const room = await RoomService.setRoomLayout(
+    roomId,
+    req.body?.layout ?? null,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, room, "Room layout updated successfully"));
+});
+
 export const deleteRoom = asyncHandler(async (req, res) => {
   const { roomId } = req.params;
   await RoomService.deleteRoom(roomId);
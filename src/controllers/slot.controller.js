@@ -2,11 +2,16 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import SlotService from "../services/slot.service.js";
+import WaitlistService from "../services/waitlist.service.js";
 
 export const createSlot = asyncHandler(async (req, res) => {
   const slotData = req.body;
 
-  const slot = await SlotService.createSlot(slotData, req.admin._id);
+  const slot = await SlotService.createSlot(
+    slotData,
+    req.admin._id,
+    req.tenantId,
+  );
 
   // Convert to plain object and strip MongoDB properties
   const slotObj = slot.toObject ? slot.toObject() : slot;
@@ -41,7 +46,7 @@ export const getSlotDetails = asyncHandler(async (req, res) => {
 });
 
 export const getAllSlots = asyncHandler(async (req, res) => {
-  const slots = await SlotService.getAllSlotsWithOccupancy();
+  const slots = await SlotService.getAllSlotsWithOccupancy(req.tenantId);
 
   return res.status(200).json(new ApiResponse(200, slots, "All slots fetched"));
 });
@@ -65,10 +70,69 @@ export const deleteSlot = asyncHandler(async (req, res) => {
 export const getSeatChart = asyncHandler(async (req, res) => {
   const { slotId } = req.params;
 
-  const seatChart = await SlotService.getSeatChart(slotId);
+  const [seatChart, { offered, waiting }] = await Promise.all([
+    SlotService.getSeatChart(slotId),
+    WaitlistService.getSlotWaitlist(slotId, req.tenantId),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...seatChart, waitlist: { offered, waiting } },
+        "Seat chart fetched successfully",
+      ),
+    );
+});
+
+// Seats held by more than one student at overlapping times
+export const getDoubleBookings = asyncHandler(async (req, res) => {
+  const doubleBookings = await SlotService.getDoubleBookings(req.tenantId);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { count: doubleBookings.length, doubleBookings },
+        "Double bookings fetched successfully",
+      ),
+    );
+});
+
+export const getSlotWaitlist = asyncHandler(async (req, res) => {
+  const waitlist = await WaitlistService.getSlotWaitlist(
+    req.params.slotId,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, waitlist, "Slot waitlist fetched successfully"));
+});
+
+export const removeWaitlistEntry = asyncHandler(async (req, res) => {
+  const entry = await WaitlistService.cancelEntry(
+    req.params.entryId,
+    { tenantId: req.tenantId },
+    req.body?.reason || "Removed by admin",
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entry, "Waitlist entry removed"));
+});
+
+// Accept a seat offer on the student's behalf (e.g. confirmed at the desk)
+export const acceptWaitlistOffer = asyncHandler(async (req, res) => {
+  const result = await WaitlistService.respondToOffer(req.params.entryId, true, {
+    adminId: req.admin._id,
+    tenantId: req.tenantId,
+  });
 
   return res
     .status(200)
-    .json(new ApiResponse(200, seatChart, "Seat chart fetched successfully"));
+    .json(new ApiResponse(200, result, "Seat offer accepted"));
 });
 
@@ -2,8 +2,16 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import StudentService from "../services/student.service.js";
+import SlotService from "../services/slot.service.js";
+import StudentImportService from "../services/studentImport.service.js";
 import FeeService from "../services/fee.service.js";
 import StudentNotificationService from "../services/studentNotification.service.js";
+import StudentExitService from "../services/studentExit.service.js";
+import MembershipPauseService from "../services/membershipPause.service.js";
+import StudentKycService from "../services/studentKyc.service.js";
+import StudentExportService, {
+  ROSTER_FORMATS,
+} from "../services/studentExport.service.js";
 import {
   studentRegistrationSchema,
   studentUpdateSchema,
@@ -12,6 +20,8 @@ import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
 import {
   getDaysOverdue,
   getFeeDueDate,
+  getFeeTotal,
+  getLateFeeDue,
   getMonthName,
 } from "../utils/feeHelpers.js";
 
@@ -33,9 +43,35 @@ export const registerStudent = asyncHandler(async (req, res) => {
     req.tenantId,
   );
 
+  const message = student.waitlist
+    ? `Slot is full — student added to the waitlist at position ${student.waitlist.position}`
+    : "Student registered successfully";
+
+  return res.status(201).json(new ApiResponse(201, student, message));
+});
+
+// Bulk import from CSV/XLSX — dry run by default, `mode=commit` to register valid rows
+export const importStudents = asyncHandler(async (req, res) => {
+  const mode = req.body?.mode || req.query.mode || "dry-run";
+  if (!["dry-run", "commit"].includes(mode)) {
+    throw new ApiError(400, "mode must be 'dry-run' or 'commit'");
+  }
+
+  const report = await StudentImportService.importStudents(
+    req.file,
+    { commit: mode === "commit" },
+    req.admin._id,
+    req.tenantId,
+  );
+
+  const message =
+    mode === "commit"
+      ? `Imported ${report.created} of ${report.totalRows} students`
+      : `${report.validRows} of ${report.totalRows} rows are valid`;
+
   return res
-    .status(201)
-    .json(new ApiResponse(201, student, "Student registered successfully"));
+    .status(mode === "commit" ? 201 : 200)
+    .json(new ApiResponse(mode === "commit" ? 201 : 200, report, message));
 });
 
 export const updateStudent = asyncHandler(async (req, res) => {
@@ -168,12 +204,13 @@ export const markFeeAsDue = asyncHandler(async (req, res) => {
 
 export const addAdvance = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
-  const { amount } = req.body;
+  const { amount, paymentMethod, remarks } = req.body;
 
   const advanceBalance = await FeeService.addAdvance(
     studentId,
     amount,
     req.admin._id,
+    { method: paymentMethod || "CASH", remarks },
   );
 
   return res
@@ -228,18 +265,27 @@ export const getDashboardPaymentStatus = asyncHandler(async (req, res) => {
 
 export const changeStudentSlot = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
-  const { newSlotId, reason = "" } = req.body;
+  const { newSlotId, reason = "", seatNumber, effectiveDate } = req.body;
 
   const result = await SlotService.changeStudentSlot(
     studentId,
     newSlotId,
     req.admin._id,
     reason,
+    { seatNumber, effectiveDate },
   );
 
   return res
     .status(200)
-    .json(new ApiResponse(200, result, "Student slot changed successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.scheduledChange
+          ? "Student slot change scheduled successfully"
+          : "Student slot changed successfully",
+      ),
+    );
 });
 
 export const getStudentSlotHistory = asyncHandler(async (req, res) => {
@@ -278,6 +324,7 @@ export const approveSlotChangeRequest = asyncHandler(async (req, res) => {
   const result = await SlotService.approveSlotChangeRequest(
     requestId,
     req.admin._id,
+    { effectiveDate: req.body?.effectiveDate },
   );
 
   return res
@@ -300,6 +347,238 @@ export const rejectSlotChangeRequest = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, result, "Slot change request rejected"));
 });
 
+export const getScheduledSlotChanges = asyncHandler(async (req, res) => {
+  const changes = await SlotService.getScheduledSlotChanges(req.tenantId);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, changes, "Scheduled slot changes fetched successfully"),
+    );
+});
+
+export const cancelScheduledSlotChange = asyncHandler(async (req, res) => {
+  const { changeId } = req.params;
+  const { reason = "" } = req.body || {};
+
+  const result = await SlotService.cancelScheduledSlotChange(
+    changeId,
+    req.admin._id,
+    reason,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Scheduled slot change cancelled"));
+});
+
+// File a student's leaving date (exit notice)
+export const fileStudentExit = asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const { leavingDate, reason } = req.body;
+
+  const exit = await StudentExitService.fileNotice(
+    studentId,
+    { leavingDate, reason },
+    { filedBy: "ADMIN", adminId: req.admin._id, tenantId: req.tenantId },
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, exit, "Exit notice filed successfully"));
+});
+
+export const getStudentExits = asyncHandler(async (req, res) => {
+  const exits = await StudentExitService.getExits(req.tenantId, {
+    status: req.query.status,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, exits, "Student exits fetched successfully"));
+});
+
+export const getStudentExit = asyncHandler(async (req, res) => {
+  const exit = await StudentExitService.getExit(req.params.exitId, req.tenantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, exit, "Student exit fetched successfully"));
+});
+
+export const cancelStudentExit = asyncHandler(async (req, res) => {
+  const { reason = "" } = req.body || {};
+
+  const exit = await StudentExitService.cancelNotice(
+    req.params.exitId,
+    req.admin._id,
+    reason,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, exit, "Exit notice cancelled"));
+});
+
+// Record the refund paid out / final due collected, closing the account
+export const settleStudentExit = asyncHandler(async (req, res) => {
+  const { paymentMethod, transactionId, remarks } = req.body;
+
+  const exit = await StudentExitService.settleExit(
+    req.params.exitId,
+    { method: paymentMethod, reference: transactionId, remarks },
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, exit, "Final settlement recorded"));
+});
+
+// Download the final settlement statement PDF (admin)
+export const downloadSettlementPDF = asyncHandler(async (req, res) => {
+  const exit = await StudentExitService.getExit(req.params.exitId, req.tenantId);
+  if (!exit.settlementNumber) {
+    throw new ApiError(400, "The settlement is drawn up on the leaving date");
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${exit.settlementNumber}.pdf"`,
+  );
+  await StudentExitService.streamSettlementPDF(exit, res);
+});
+
+// Signed settlement PDF link to share with a student who has left (admin)
+export const getSettlementLink = asyncHandler(async (req, res) => {
+  const exit = await StudentExitService.getExit(req.params.exitId, req.tenantId);
+  if (!exit.settlementNumber) {
+    throw new ApiError(400, "The settlement is drawn up on the leaving date");
+  }
+
+  const { path, expiresAt } = StudentExitService.getSettlementDownloadLink(exit);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { url: `${req.protocol}://${req.get("host")}${path}`, expiresAt },
+        "Settlement link created",
+      ),
+    );
+});
+
+export const pauseStudentMembership = asyncHandler(async (req, res) => {
+  const { from, to, reason, holdFee, seatPolicy } = req.body;
+
+  const pause = await MembershipPauseService.createPause(
+    req.params.studentId,
+    { from, to, reason, holdFee, seatPolicy },
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, pause, "Membership pause scheduled successfully"));
+});
+
+export const getStudentPauses = asyncHandler(async (req, res) => {
+  const pauses = await MembershipPauseService.getStudentPauses(
+    req.params.studentId,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, pauses, "Membership pauses fetched successfully"));
+});
+
+export const getMembershipPauses = asyncHandler(async (req, res) => {
+  const pauses = await MembershipPauseService.getPauses(req.tenantId, {
+    status: req.query.status,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, pauses, "Membership pauses fetched successfully"));
+});
+
+export const endMembershipPause = asyncHandler(async (req, res) => {
+  const pause = await MembershipPauseService.endPause(
+    req.params.pauseId,
+    req.admin._id,
+    req.tenantId,
+  );
+
+  const message = {
+    CANCELLED: "Membership pause cancelled",
+    AWAITING_SEAT: "Pause ended, but the slot is full; the student will resume when a seat frees up",
+  }[pause.status] || "Membership resumed";
+
+  return res.status(200).json(new ApiResponse(200, pause, message));
+});
+
+export const getStudentDocuments = asyncHandler(async (req, res) => {
+  const kyc = await StudentKycService.getStudentDocuments(
+    req.params.studentId,
+    req.tenantId,
+    { includeHistory: req.query.history === "true" },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, kyc, "KYC documents fetched successfully"));
+});
+
+export const uploadStudentDocument = asyncHandler(async (req, res) => {
+  const { type, idType, idNumber, fileUrl, publicId, verify } = req.body;
+
+  const document = await StudentKycService.submitDocument(
+    req.params.studentId,
+    { type, idType, idNumber, fileUrl, publicId, verify: verify === true },
+    { uploadedBy: "ADMIN", adminId: req.admin._id, tenantId: req.tenantId },
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, document, "KYC document uploaded successfully"));
+});
+
+export const reviewStudentDocument = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const document = await StudentKycService.reviewDocument(
+    req.params.documentId,
+    { status, reason },
+    req.admin._id,
+    req.tenantId,
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        document,
+        status === "VERIFIED" ? "Document verified" : "Document rejected",
+      ),
+    );
+});
+
+export const getPendingKycDocuments = asyncHandler(async (req, res) => {
+  const documents = await StudentKycService.getPendingDocuments(req.tenantId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, documents, "Pending KYC documents fetched successfully"));
+});
+
 export const overrideStudentFee = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
   const { newMonthlyFee, reason } = req.body;
@@ -365,19 +644,18 @@ export const getReceiptDetails = asyncHandler(async (req, res) => {
 export const downloadReceiptPDF = asyncHandler(async (req, res) => {
   const { studentId, month, year } = req.params;
 
-  const html = await FeeService.getReceiptHTML(
+  const receipt = await FeeService.generateReceipt(
     studentId,
     parseInt(month),
     parseInt(year),
   );
 
-  // Send HTML for PDF generation (can be handled by client with html2pdf)
-  res.setHeader("Content-Type", "text/html");
+  res.setHeader("Content-Type", "application/pdf");
   res.setHeader(
     "Content-Disposition",
-    `attachment; filename="receipt-${studentId}-${month}-${year}.html"`,
+    `attachment; filename="${receipt.receiptNumber}.pdf"`,
   );
-  res.send(html);
+  await FeeService.streamReceiptPDF(receipt, res);
 });
 
 // ✅ Get full year fee calendar for a student
@@ -398,11 +676,21 @@ export const getStudentFeeCalendar = asyncHandler(async (req, res) => {
   // Build a map keyed by month index (0-11)
   const feeMap = new Map(fees.map((f) => [f.month, f]));
 
+  // Paused days per fee month (membership pauses)
+  const { Student } = await import("../models/student.model.js");
+  const student = await Student.findById(studentId)
+    .select("billingDay joiningDate")
+    .lean();
+  const pauseMap = student
+    ? await MembershipPauseService.getCalendarPauses(student, targetYear)
+    : new Map();
+
   // Build 12-month calendar grid
   const calendar = Array.from({ length: 12 }, (_, monthIndex) => {
     const fee = feeMap.get(monthIndex);
+    const pause = pauseMap.get(monthIndex) || null;
     if (fee) {
-      const total = (fee.baseFee || 0) + (fee.dueCarriedForwardAmount || 0);
+      const total = getFeeTotal(fee);
       return {
         month: monthIndex,
         year: targetYear,
@@ -411,6 +699,8 @@ export const getStudentFeeCalendar = asyncHandler(async (req, res) => {
         status: fee.status,
         baseFee: fee.baseFee || 0,
         dueCarriedForward: fee.dueCarriedForwardAmount || 0,
+        lateFee: getLateFeeDue(fee),
+        lateFeeWaived: fee.lateFee?.waivedAmount || 0,
         totalAmount: total,
         paidAmount: fee.paidAmount || 0,
         remainingAmount: Math.max(0, total - (fee.paidAmount || 0)),
@@ -422,6 +712,7 @@ export const getStudentFeeCalendar = asyncHandler(async (req, res) => {
         locked: fee.locked || false,
         feeDueDate: getFeeDueDate(monthIndex, targetYear),
         daysOverdue: getDaysOverdue(monthIndex, targetYear, fee.status),
+        pause,
       };
     }
     return {
@@ -429,9 +720,12 @@ export const getStudentFeeCalendar = asyncHandler(async (req, res) => {
       year: targetYear,
       label: `${getMonthName(monthIndex)} ${targetYear}`,
       hasRecord: false,
-      status: "NO_RECORD",
+      // Months paused end to end are not billed
+      status: pause?.fullMonth ? "PAUSED" : "NO_RECORD",
       baseFee: 0,
       dueCarriedForward: 0,
+      lateFee: 0,
+      lateFeeWaived: 0,
       totalAmount: 0,
       paidAmount: 0,
       remainingAmount: 0,
@@ -443,6 +737,7 @@ export const getStudentFeeCalendar = asyncHandler(async (req, res) => {
       locked: false,
       feeDueDate: getFeeDueDate(monthIndex, targetYear),
       daysOverdue: 0,
+      pause,
     };
   });
 
@@ -457,9 +752,13 @@ export const getStudentFeeCalendar = asyncHandler(async (req, res) => {
     totalPending: recordedFees
       .filter((c) => c.status === "PENDING")
       .reduce((s, c) => s + c.totalAmount, 0),
+    totalLateFees: recordedFees
+      .filter((c) => c.status !== "PAID")
+      .reduce((s, c) => s + c.lateFee, 0),
     paidMonths: recordedFees.filter((c) => c.status === "PAID").length,
     dueMonths: recordedFees.filter((c) => c.status === "DUE").length,
     pendingMonths: recordedFees.filter((c) => c.status === "PENDING").length,
+    pausedMonths: calendar.filter((c) => c.pause).length,
   };
 
   return res
@@ -582,6 +881,27 @@ export const sendBulkOverdueReminders = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, { success, errors }, "Bulk reminders sent"));
 });
 
+// ✅ Export the student roster (?format=csv|xlsx, search filters, ?columns=a,b)
+export const exportStudentRoster = asyncHandler(async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+  if (!ROSTER_FORMATS.includes(format)) {
+    throw new ApiError(400, `Format must be one of ${ROSTER_FORMATS.join(", ")}`);
+  }
+
+  const roster = await StudentExportService.prepareRoster(req.query, req.tenantId);
+  const filename = `students-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader(
+    "Content-Type",
+    format === "xlsx"
+      ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      : "text/csv; charset=utf-8",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200);
+  await StudentExportService.streamRoster(roster, format, res);
+});
+
 export const exportOverdueSummaryCSV = asyncHandler(async (req, res) => {
   const { DueRecord } = await import("../models/dueRecord.model.js");
   const dueRecords = await DueRecord.find({ 
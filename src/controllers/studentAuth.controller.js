@@ -6,6 +6,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Student } from "../models/student.model.js";
 import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
+import { Slot } from "../models/slot.model.js";
 import FeeService from "../services/fee.service.js";
 import { sendEmail } from "../config/email.config.js";
 import admin from "firebase-admin";
@@ -19,6 +20,8 @@ import {
   checkPhoneExists,
 } from "../utils/studentHelpers.js";
 import { isTemporaryEmail } from "../utils/validators.js";
+import { getPaymentLedger } from "../utils/feeHelpers.js";
+import { getSlotTenantId } from "../utils/slotHelpers.js";
 
 
 const otpRequestSchema = z.object({
@@ -274,7 +277,14 @@ export const verifyOtpAndAuthenticate = asyncHandler(async (req, res) => {
   // ✅ Verify email and activate account (if INACTIVE)
   student.emailVerified = true;
   if (student.status === StudentStatus.INACTIVE) {
-    student.status = StudentStatus.ACTIVE;
+    // Libraries requiring KYC activate the student once it is verified
+    const StudentKycService = (await import("../services/studentKyc.service.js"))
+      .default;
+    if (await StudentKycService.isActivationBlocked(student)) {
+      student.activateOnKycVerified = true;
+    } else {
+      student.status = StudentStatus.ACTIVE;
+    }
   }
   student.otpHash = undefined;
   student.otpExpiresAt = undefined;
@@ -746,15 +756,30 @@ export const getStudentDashboard = asyncHandler(async (req, res) => {
   const { page = 1, limit = 20 } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const [payments, total] = await Promise.all([
+  const [fees, total] = await Promise.all([
     StudentMonthlyFee.find({ studentId: req.student._id })
       .sort({ year: -1, month: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .lean(),
+      .lean({ getters: true }),
     StudentMonthlyFee.countDocuments({ studentId: req.student._id }),
   ]);
 
+  // Each month carries its individual instalments from the payment ledger
+  const payments = fees.map((fee) => {
+    const { payments: _ledger, ...month } = fee;
+    return {
+      ...month,
+      transactions: getPaymentLedger(fee).map((p) => ({
+        amount: p.amount,
+        method: p.method,
+        reference: p.reference || null,
+        paidAt: p.paidAt,
+        receiptNumber: p.receiptNumber || null,
+      })),
+    };
+  });
+
   return res.status(200).json(
     new ApiResponse(
       200,
@@ -954,7 +979,12 @@ export const verifyPhoneWithFirebase = asyncHandler(async (req, res) => {
 });
 // Request slot change (student initiated)
 export const requestSlotChange = asyncHandler(async (req, res) => {
-  const { newSlotId, reason = "" } = req.body;
+  const {
+    newSlotId,
+    reason = "",
+    joinWaitlist = false,
+    seatNumber,
+  } = req.body;
   const SlotService = (await import("../services/slot.service.js")).default;
 
   if (!newSlotId) {
@@ -965,6 +995,7 @@ export const requestSlotChange = asyncHandler(async (req, res) => {
     req.student._id,
     newSlotId,
     reason,
+    { joinWaitlist: joinWaitlist === true, seatNumber },
   );
 
   return res
@@ -973,11 +1004,314 @@ export const requestSlotChange = asyncHandler(async (req, res) => {
       new ApiResponse(
         200,
         result,
-        "Slot change request submitted successfully",
+        result.waitlist
+          ? "Added to the slot waitlist"
+          : result.student
+            ? "Slot change applied"
+            : "Slot change request submitted successfully",
       ),
     );
 });
 
+// ✅ Waitlist: my queue places and open seat offers
+export const getMyWaitlist = asyncHandler(async (req, res) => {
+  const WaitlistService = (await import("../services/waitlist.service.js"))
+    .default;
+
+  const entries = await WaitlistService.getStudentWaitlist(req.student._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entries, "Waitlist fetched successfully"));
+});
+
+// Join a full slot's waitlist to move there when a seat frees up
+export const joinSlotWaitlist = asyncHandler(async (req, res) => {
+  const WaitlistService = (await import("../services/waitlist.service.js"))
+    .default;
+
+  const entry = await WaitlistService.joinWaitlist({
+    slotId: req.params.slotId,
+    studentId: req.student._id,
+    type: "SLOT_CHANGE",
+    reason: req.body?.reason || "",
+    addedBy: req.student._id,
+    addedByRole: "STUDENT",
+    tenantId: req.tenantId,
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        entry,
+        `Added to the waitlist at position ${entry.position}`,
+      ),
+    );
+});
+
+export const respondToWaitlistOffer = asyncHandler(async (req, res) => {
+  const { action } = req.params;
+  if (!["accept", "decline"].includes(action)) {
+    throw new ApiError(400, "Action must be accept or decline");
+  }
+  const WaitlistService = (await import("../services/waitlist.service.js"))
+    .default;
+
+  const result = await WaitlistService.respondToOffer(
+    req.params.entryId,
+    action === "accept",
+    { studentId: req.student._id },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        action === "accept" ? "Seat offer accepted" : "Seat offer declined",
+      ),
+    );
+});
+
+export const leaveWaitlist = asyncHandler(async (req, res) => {
+  const WaitlistService = (await import("../services/waitlist.service.js"))
+    .default;
+
+  const entry = await WaitlistService.cancelEntry(
+    req.params.entryId,
+    { studentId: req.student._id },
+    "Left by student",
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entry, "Removed from the waitlist"));
+});
+
+// ✅ Seat picking: seat chart of a slot the student may move to
+export const getSlotSeatChart = asyncHandler(async (req, res) => {
+  const SlotService = (await import("../services/slot.service.js")).default;
+
+  const slot = await Slot.findById(req.params.slotId).lean();
+  if (!slot || !slot.isActive || (await getSlotTenantId(slot)) !== req.tenantId) {
+    throw new ApiError(404, "Slot not found");
+  }
+
+  const chart = await SlotService.getSeatChart(slot._id);
+  const myId = req.student._id.toString();
+
+  // Other students' names and ids stay private
+  const seats = chart.seats.map(
+    ({ studentName, studentId, hold, ...seat }) => {
+      if (hold) {
+        return {
+          ...seat,
+          status: hold.studentId === myId ? "HELD_BY_ME" : "HELD",
+          ...(hold.studentId === myId && { holdExpiresAt: hold.expiresAt }),
+        };
+      }
+      if (studentId) {
+        return {
+          ...seat,
+          status: studentId.toString() === myId ? "MY_SEAT" : "OCCUPIED",
+        };
+      }
+      return seat;
+    },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { ...chart, seats }, "Seat chart fetched"));
+});
+
+// Hold a vacant seat while requesting a move to it
+export const holdSeat = asyncHandler(async (req, res) => {
+  const SeatHoldService = (await import("../services/seatHold.service.js"))
+    .default;
+
+  const hold = await SeatHoldService.placeHold(
+    req.student._id,
+    req.params.slotId,
+    req.params.seatNumber,
+    req.tenantId,
+  );
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        hold,
+        `Seat ${hold.seatNumber} held — request the slot change to keep it`,
+      ),
+    );
+});
+
+export const getMySeatHold = asyncHandler(async (req, res) => {
+  const SeatHoldService = (await import("../services/seatHold.service.js"))
+    .default;
+
+  const hold = await SeatHoldService.getStudentHold(req.student._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, hold, "Seat hold fetched"));
+});
+
+export const releaseSeatHold = asyncHandler(async (req, res) => {
+  const SeatHoldService = (await import("../services/seatHold.service.js"))
+    .default;
+
+  const current = await SeatHoldService.getStudentHold(req.student._id);
+  if (current?.requestId) {
+    throw new ApiError(
+      400,
+      "This seat belongs to a pending slot change request",
+    );
+  }
+  const hold = await SeatHoldService.releaseHold(req.student._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, hold, "Seat hold released"));
+});
+
+// Student's KYC documents and status
+export const getMyKycDocuments = asyncHandler(async (req, res) => {
+  const StudentKycService = (await import("../services/studentKyc.service.js"))
+    .default;
+
+  const kyc = await StudentKycService.getStudentDocuments(req.student._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, kyc, "KYC documents fetched"));
+});
+
+// Submit a KYC document (file uploaded through /upload/image first)
+export const uploadMyKycDocument = asyncHandler(async (req, res) => {
+  const StudentKycService = (await import("../services/studentKyc.service.js"))
+    .default;
+  const { type, idType, idNumber, fileUrl, publicId } = req.body;
+
+  const document = await StudentKycService.submitDocument(
+    req.student._id,
+    { type, idType, idNumber, fileUrl, publicId },
+    { uploadedBy: "STUDENT", tenantId: req.tenantId },
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, document, "Document submitted for verification"));
+});
+
+// Check in / out by scanning the library's kiosk QR code
+export const scanAttendanceKiosk = asyncHandler(async (req, res) => {
+  const AttendanceService = (await import("../services/attendance.service.js"))
+    .default;
+  const { code, action } = req.body;
+
+  const result = await AttendanceService.scanKioskCode(req.student, code, action);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.action === "CHECK_IN" ? "Checked in" : "Checked out",
+      ),
+    );
+});
+
+// Student's attendance calendar, study hours and streaks for a month
+export const getMyAttendance = asyncHandler(async (req, res) => {
+  const AttendanceService = (await import("../services/attendance.service.js"))
+    .default;
+  const now = new Date();
+  const month = req.query.month !== undefined ? parseInt(req.query.month) : now.getMonth(); // 0-indexed
+  const year = req.query.year !== undefined ? parseInt(req.query.year) : now.getFullYear();
+
+  const attendance = await AttendanceService.getStudentAttendance(
+    req.student,
+    month,
+    year,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, attendance, "Attendance fetched successfully"));
+});
+
+// Give notice to leave the library
+export const fileExitNotice = asyncHandler(async (req, res) => {
+  const StudentExitService = (await import("../services/studentExit.service.js"))
+    .default;
+  const { leavingDate, reason } = req.body;
+
+  const exit = await StudentExitService.fileNotice(
+    req.student._id,
+    { leavingDate, reason },
+    { filedBy: "STUDENT", tenantId: req.tenantId },
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, exit, "Exit notice submitted"));
+});
+
+// Student's exit notice / final settlement
+export const getMyExit = asyncHandler(async (req, res) => {
+  const StudentExitService = (await import("../services/studentExit.service.js"))
+    .default;
+
+  const exit = await StudentExitService.getStudentExit(req.student._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, exit, "Exit details fetched"));
+});
+
+// Download the student's final settlement statement PDF
+export const downloadMySettlementPDF = asyncHandler(async (req, res) => {
+  const StudentExitService = (await import("../services/studentExit.service.js"))
+    .default;
+
+  const exit = await StudentExitService.getStudentExit(req.student._id);
+  if (!exit?.settlementNumber) {
+    throw new ApiError(404, "No final settlement has been drawn up");
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${exit.settlementNumber}.pdf"`,
+  );
+  await StudentExitService.streamSettlementPDF(exit, res);
+});
+
+// Download a final settlement statement through its signed link (no login)
+export const downloadSettlementPDFByLink = asyncHandler(async (req, res) => {
+  const StudentExitService = (await import("../services/studentExit.service.js"))
+    .default;
+
+  const exit = await StudentExitService.getExitByDownloadToken(req.params.token);
+  if (!exit.settlementNumber) {
+    throw new ApiError(404, "No final settlement has been drawn up");
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${exit.settlementNumber}.pdf"`,
+  );
+  await StudentExitService.streamSettlementPDF(exit, res);
+});
+
 // Get student's slot change history
 export const getMySlotChangeHistory = asyncHandler(async (req, res) => {
   const SlotService = (await import("../services/slot.service.js")).default;
@@ -1000,9 +1334,13 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
   const { StudentMonthlyFee } = await import(
     "../models/studentMonthlyFee.model.js"
   );
-  const { getDaysOverdue, getFeeDueDate, getMonthName } = await import(
-    "../utils/feeHelpers.js"
-  );
+  const {
+    getDaysOverdue,
+    getFeeDueDate,
+    getFeeTotal,
+    getLateFeeDue,
+    getMonthName,
+  } = await import("../utils/feeHelpers.js");
 
   // Fetch all fee records for this student in the target year
   const fees = await StudentMonthlyFee.find({
@@ -1015,11 +1353,21 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
   // Build a map keyed by month index (0-11)
   const feeMap = new Map(fees.map((f) => [f.month, f]));
 
+  // Paused days per fee month (membership pauses)
+  const MembershipPauseService = (
+    await import("../services/membershipPause.service.js")
+  ).default;
+  const pauseMap = await MembershipPauseService.getCalendarPauses(
+    req.student,
+    targetYear,
+  );
+
   // Build 12-month calendar grid
   const calendar = Array.from({ length: 12 }, (_, monthIndex) => {
     const fee = feeMap.get(monthIndex);
+    const pause = pauseMap.get(monthIndex) || null;
     if (fee) {
-      const total = (fee.baseFee || 0) + (fee.dueCarriedForwardAmount || 0);
+      const total = getFeeTotal(fee);
       return {
         month: monthIndex,
         year: targetYear,
@@ -1028,6 +1376,8 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
         status: fee.status,
         baseFee: fee.baseFee || 0,
         dueCarriedForward: fee.dueCarriedForwardAmount || 0,
+        lateFee: getLateFeeDue(fee),
+        lateFeeWaived: fee.lateFee?.waivedAmount || 0,
         totalAmount: total,
         paidAmount: fee.paidAmount || 0,
         remainingAmount: Math.max(0, total - (fee.paidAmount || 0)),
@@ -1039,6 +1389,7 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
         locked: fee.locked || false,
         feeDueDate: getFeeDueDate(monthIndex, targetYear),
         daysOverdue: getDaysOverdue(monthIndex, targetYear, fee.status),
+        pause,
       };
     }
     return {
@@ -1046,9 +1397,12 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
       year: targetYear,
       label: `${getMonthName(monthIndex)} ${targetYear}`,
       hasRecord: false,
-      status: "NO_RECORD",
+      // Months paused end to end are not billed
+      status: pause?.fullMonth ? "PAUSED" : "NO_RECORD",
       baseFee: 0,
       dueCarriedForward: 0,
+      lateFee: 0,
+      lateFeeWaived: 0,
       totalAmount: 0,
       paidAmount: 0,
       remainingAmount: 0,
@@ -1060,6 +1414,7 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
       locked: false,
       feeDueDate: getFeeDueDate(monthIndex, targetYear),
       daysOverdue: 0,
+      pause,
     };
   });
 
@@ -1074,9 +1429,13 @@ export const getMyFeeCalendar = asyncHandler(async (req, res) => {
     totalPending: recordedFees
       .filter((c) => c.status === "PENDING")
       .reduce((s, c) => s + c.totalAmount, 0),
+    totalLateFees: recordedFees
+      .filter((c) => c.status !== "PAID")
+      .reduce((s, c) => s + c.lateFee, 0),
     paidMonths: recordedFees.filter((c) => c.status === "PAID").length,
     dueMonths: recordedFees.filter((c) => c.status === "DUE").length,
     pendingMonths: recordedFees.filter((c) => c.status === "PENDING").length,
+    pausedMonths: calendar.filter((c) => c.pause).length,
   };
 
   return res.status(200).json(
@@ -1168,27 +1527,51 @@ export const downloadPaymentReceiptPDF = asyncHandler(async (req, res) => {
 
   const FeeService = (await import("../services/fee.service.js")).default;
 
-  const html = await FeeService.getReceiptHTML(
+  const receipt = await FeeService.generateReceipt(
     studentId,
     parseInt(month),
     parseInt(year),
   );
 
-  res.setHeader("Content-Type", "text/html");
+  res.setHeader("Content-Type", "application/pdf");
   res.setHeader(
     "Content-Disposition",
-    `attachment; filename="receipt-${month}-${year}.html"`,
+    `attachment; filename="${receipt.receiptNumber}.pdf"`,
   );
-  res.send(html);
+  await FeeService.streamReceiptPDF(receipt, res);
 });
 
 // Get available slots for student selection
-export const getAvailableSlots = asyncHandler(async (_req, res) => {
-  const { Slot } = await import("../models/slot.model.js");
+export const getAvailableSlots = asyncHandler(async (req, res) => {
+  const SlotService = (await import("../services/slot.service.js")).default;
+  const WaitlistService = (await import("../services/waitlist.service.js"))
+    .default;
 
-  const slots = await Slot.find({ isActive: true })
-    .select("name timeRange monthlyFee totalSeats")
-    .lean();
+  const activeSlots = (
+    await SlotService.getAllSlotsWithOccupancy(req.tenantId)
+  ).filter((slot) => slot.isActive);
+  const waitlists = await WaitlistService.getWaitlistSummary(
+    activeSlots.map((slot) => slot._id),
+    req.student._id,
+  );
+
+  const slots = activeSlots.map((slot) => {
+    const { waitlistLength, heldSeats, myEntry } = waitlists.get(
+      slot._id.toString(),
+    );
+    const availableSeats = Math.max(0, slot.availableSeats - heldSeats);
+    return {
+      _id: slot._id,
+      name: slot.name,
+      timeRange: slot.timeRange,
+      monthlyFee: slot.monthlyFee,
+      totalSeats: slot.totalSeats,
+      availableSeats,
+      isFull: availableSeats === 0,
+      waitlistLength,
+      myWaitlist: myEntry,
+    };
+  });
 
   return res
     .status(200)
@@ -16,6 +16,12 @@ import { initializeEmail } from "./config/email.config.js";
     env: process.env.NODE_ENV,
   });
 
+  // Kiosk QR codes are signed with their own secret, never a login secret
+  if (!process.env.KIOSK_QR_SECRET) {
+    logger.error("❌ KIOSK_QR_SECRET is not set; attendance kiosk codes cannot be signed");
+    process.exit(1);
+  }
+
   // ✅ Initialize Redis for rate limiting FIRST (after dotenv)
   initRedisForRateLimiting();
   await initializeEmail();
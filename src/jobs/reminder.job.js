@@ -4,6 +4,11 @@ import ReminderService from "../services/reminder.service.js";
 import FeeService from "../services/fee.service.js";
 import NotificationService from "../services/notification.service.js";
 import AdminReminderService from "../services/adminReminder.service.js";
+import ExpenseService from "../services/expense.service.js";
+import WaitlistService from "../services/waitlist.service.js";
+import SlotService from "../services/slot.service.js";
+import MembershipPauseService from "../services/membershipPause.service.js";
+import AbsenceAlertService from "../services/absenceAlert.service.js";
 
 
 // 1. Daily personalized fee generation - Every day at 00:01
@@ -261,4 +266,86 @@ cron.schedule("0 * * * *", async () => {
   }
 });
 
+// 7. Late-fee accrual - Every day at 00:15 (after personalized fee generation)
+cron.schedule("15 0 * * *", async () => {
+  console.log("⏳ Late-fee accrual job started");
+  try {
+    const result = await FeeService.accrueLateFees();
+    console.log(
+      `✅ Late fees updated on ${result.updated} fees for ${result.students} students, errors: ${result.errors.length}`,
+    );
+  } catch (error) {
+    console.error("❌ Error in late-fee accrual:", error);
+  }
+});
+
+// 8. Recurring expenses - Every day at 00:20
+cron.schedule("20 0 * * *", async () => {
+  console.log("🧾 Recurring expense job started");
+  try {
+    const result = await ExpenseService.generateRecurringExpenses();
+    console.log(
+      `✅ Recurring expenses: ${result.created} created from ${result.templates} templates, ${result.alerts} budget alerts, errors: ${result.errors.length}`,
+    );
+  } catch (error) {
+    console.error("❌ Error in recurring expense job:", error);
+  }
+});
+
+// 9. Slot waitlist sweep - Every 15 minutes (lapsed offers roll to the next student)
+cron.schedule("*/15 * * * *", async () => {
+  try {
+    const result = await WaitlistService.runWaitlistSweep();
+    if (result.released || result.expired || result.offered) {
+      console.log(
+        `🪑 Waitlist: ${result.released} leavers released, ${result.expired} offers expired, ${result.offered} seats offered, errors: ${result.errors.length}`,
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error in waitlist sweep:", error);
+  }
+});
+
+// 10. Scheduled slot changes - Every day at 00:00 (before personalized fee
+//     generation, so a change on the billing day is billed at the new price)
+cron.schedule("0 0 * * *", async () => {
+  console.log("🔀 Scheduled slot change job started");
+  try {
+    const result = await SlotService.applyDueSlotChanges();
+    console.log(
+      `✅ Slot changes: ${result.applied} applied, ${result.failed} failed`,
+    );
+  } catch (error) {
+    console.error("❌ Error in scheduled slot change job:", error);
+  }
+});
+
+// 11. Membership pauses - Every day at 00:00 (start pauses beginning today,
+//     resume memberships whose pause ended yesterday)
+cron.schedule("0 0 * * *", async () => {
+  console.log("⏸️ Membership pause job started");
+  try {
+    const result = await MembershipPauseService.processPauses();
+    console.log(
+      `✅ Membership pauses: ${result.started} started, ${result.resumed} resumed, ${result.waiting} waiting for a seat`,
+    );
+  } catch (error) {
+    console.error("❌ Error in membership pause job:", error);
+  }
+});
+
+// 12. Absence patterns - Every day at 08:00 (nudge students who stopped
+//     coming, send admins a "students at risk" digest)
+cron.schedule("0 8 * * *", async () => {
+  console.log("📉 Absence pattern job started");
+  try {
+    const result = await AbsenceAlertService.processAbsencePatterns();
+    console.log(
+      `✅ Absence patterns: ${result.flagged} students at risk, ${result.nudged} nudged, errors: ${result.errors.length}`,
+    );
+  } catch (error) {
+    console.error("❌ Error in absence pattern job:", error);
+  }
+});
+
 console.log("✅ All cron jobs scheduled and active");
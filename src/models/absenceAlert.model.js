@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * AbsenceAlert — a student flagged "at risk" by the daily absence-pattern
+ * job (see AbsenceAlertService). One alert per flagging; a student isn't
+ * flagged again until the library's cooldown has passed.
+ */
+const absenceAlertSchema = new Schema(
+  {
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    patterns: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: ["CONSECUTIVE_ABSENCES", "HOURS_DROP", "NO_SHOW_AFTER_PAYMENT"],
+          required: true,
+        },
+        value: Number, // Days absent / percent drop / days since payment
+        detail: String,
+      },
+    ],
+    // Whether the student was sent a nudge
+    nudged: {
+      type: Boolean,
+      default: false,
+    },
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+absenceAlertSchema.index({ tenantId: 1, createdAt: -1 });
+absenceAlertSchema.index({ studentId: 1, createdAt: -1 });
+
+export const AbsenceAlert = mongoose.model("AbsenceAlert", absenceAlertSchema);
@@ -23,6 +23,18 @@ const adminActionLogSchema = new Schema(
         "MARK_DUE",
         "ADD_ADVANCE",
         "CHANGE_SLOT",
+        "APPROVE_SLOT_CHANGE",
+        "REJECT_SLOT_CHANGE",
+        "SCHEDULE_SLOT_CHANGE",
+        "CANCEL_SLOT_CHANGE",
+        "FILE_STUDENT_EXIT",
+        "CANCEL_STUDENT_EXIT",
+        "SETTLE_STUDENT_EXIT",
+        "PAUSE_MEMBERSHIP",
+        "END_PAUSE",
+        "UPLOAD_KYC_DOCUMENT",
+        "VERIFY_KYC_DOCUMENT",
+        "REJECT_KYC_DOCUMENT",
         "OVERRIDE_FEE",
         "CREATE_ADMIN",
         "UPDATE_ADMIN",
@@ -30,13 +42,24 @@ const adminActionLogSchema = new Schema(
         "GENERATE_MONTHLY_FEES",
         "GENERATE_PERSONALIZED_FEES",
         "APPLY_ADVANCE",
+        "REFUND_ADVANCE",
+        "VOID_RECEIPT",
+        "REISSUE_RECEIPT",
+        "REVERSE_PAYMENT",
+        "WAIVE_LATE_FEE",
+        "CREATE_ADJUSTMENT_RULE",
+        "UPDATE_ADJUSTMENT_RULE",
+        "ATTACH_ADJUSTMENT",
+        "DETACH_ADJUSTMENT",
+        "UPDATE_ROOM_LAYOUT",
+        "UPDATE_LIBRARY_SETTINGS",
       ],
       index: true,
     },
     targetEntity: {
       type: String,
       required: true,
-      enum: ["STUDENT", "SLOT", "FEE", "ADMIN", "REMINDER", "ADVANCE", "SYSTEM"],
+      enum: ["STUDENT", "SLOT", "FEE", "ADMIN", "REMINDER", "ADVANCE", "SYSTEM", "RECEIPT", "ADJUSTMENT", "ROOM", "LIBRARY"],
     },
     targetId: {
       type: Schema.Types.ObjectId,
@@ -29,6 +29,28 @@ const advanceBalanceSchema = new Schema(
       month: Number,
       year: Number,
     },
+    // Dated movements of the balance. DEPOSIT and REFUND are cash in / out;
+    // CREDIT (overpayments, fee reductions), APPLIED and REVERSAL (a credit
+    // pulled back when its payment is reversed) move no money.
+    transactions: [
+      {
+        kind: {
+          type: String,
+          enum: ["DEPOSIT", "CREDIT", "APPLIED", "REFUND", "REVERSAL"],
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0 },
+        method: {
+          type: String,
+          enum: ["CASH", "ONLINE", "CHEQUE", "OTHER", "UPI"],
+        },
+        remarks: { type: String, trim: true },
+        date: { type: Date, default: Date.now },
+        createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+        // Receipt or fee ledger entry whose reversal produced this movement
+        reversalOf: { type: Schema.Types.ObjectId },
+      },
+    ],
 
     // Audit
     createdBy: {
@@ -83,6 +105,7 @@ advanceBalanceSchema.methods.applyToMonth = function (month, year, amount) {
 
 // Compound indexes for common queries
 advanceBalanceSchema.index({ studentId: 1, remainingAmount: 1 });
+advanceBalanceSchema.index({ tenantId: 1, "transactions.date": 1 });
 
 export const AdvanceBalance = mongoose.model(
   "AdvanceBalance",
@@ -31,10 +31,34 @@ const attendanceSchema = new Schema(
       required: true,
       index: true,
     },
+    // Check-in / out compared with the booked slot (see classifyVisitTiming)
+    timing: {
+      slotId: {
+        type: Schema.Types.ObjectId,
+        ref: "Slot",
+      },
+      flags: [
+        {
+          type: String,
+          enum: ["ON_TIME", "LATE", "EARLY_LEAVE", "OUTSIDE_SLOT"],
+        },
+      ],
+      lateMinutes: Number,
+      earlyLeaveMinutes: Number,
+      outsideSlotMinutes: Number,
+    },
+    // KIOSK = self-marked by the student scanning the library's QR code
+    source: {
+      type: String,
+      enum: ["ADMIN", "KIOSK"],
+      default: "ADMIN",
+    },
     markedBy: {
       type: Schema.Types.ObjectId,
       ref: "Admin",
-      required: true,
+      required: function () {
+        return this.source !== "KIOSK";
+      },
     },
   },
   {
@@ -45,6 +69,12 @@ const attendanceSchema = new Schema(
 // Prevent duplicate attendance records for the same student on the same day
 attendanceSchema.index({ tenantId: 1, studentId: 1, date: 1 }, { unique: true });
 
+// Index for finding a student's open (not checked out) kiosk visit
+attendanceSchema.index({ tenantId: 1, studentId: 1, checkInTime: -1 });
+
+// Index for the overstay / late-arrival reports
+attendanceSchema.index({ tenantId: 1, "timing.flags": 1, date: 1 });
+
 // Index for querying daily attendance
 attendanceSchema.index({ tenantId: 1, date: 1 });
 
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Counter — atomic per-tenant sequences (receipt numbers, etc.)
+ * One document per (tenantId, key); `seq` holds the last issued value.
+ */
+const counterSchema = new Schema(
+  {
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      default: null,
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+counterSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+/**
+ * Atomically increment and return the next value of a sequence.
+ * The counter document is created on first use.
+ * @param {string|null} tenantId - Library ObjectId (null for legacy/global)
+ * @param {string} key - Sequence name
+ * @returns {Promise<number>} Next sequence value (starts at 1)
+ */
+counterSchema.statics.next = async function (tenantId, key) {
+  const counter = await this.findOneAndUpdate(
+    { tenantId: tenantId || null, key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+  return counter.seq;
+};
+
+/**
+ * Give back a value that was taken with next() but never used.
+ * Only succeeds while it is still the latest value of the sequence; once a
+ * later value has been issued the caller must record the number as unused.
+ * @param {string|null} tenantId
+ * @param {string} key
+ * @param {number} value - Value returned by next()
+ * @returns {Promise<boolean>} Whether the value was released
+ */
+counterSchema.statics.release = async function (tenantId, key, value) {
+  const counter = await this.findOneAndUpdate(
+    { tenantId: tenantId || null, key, seq: value },
+    { $inc: { seq: -1 } },
+  );
+  return Boolean(counter);
+};
+
+export const Counter = mongoose.model("Counter", counterSchema);
@@ -1,5 +1,27 @@
 import mongoose, { Schema } from "mongoose";
 
+export const EXPENSE_CATEGORIES = [
+  "RENT",
+  "ELECTRICITY",
+  "INTERNET",
+  "MAINTENANCE",
+  "SALARY",
+  "MARKETING",
+  "FURNITURE",
+  "STATIONERY",
+  "REFRESHMENTS",
+  "MISCELLANEOUS",
+];
+
+export const EXPENSE_PAYMENT_METHODS = [
+  "CASH",
+  "ONLINE",
+  "CHEQUE",
+  "UPI",
+  "CARD",
+  "NET_BANKING",
+];
+
 const expenseSchema = new Schema(
   {
     khatabookId: {
@@ -18,24 +40,13 @@ const expenseSchema = new Schema(
     },
     category: {
       type: String,
-      enum: [
-        "RENT",
-        "ELECTRICITY",
-        "INTERNET",
-        "MAINTENANCE",
-        "SALARY",
-        "MARKETING",
-        "FURNITURE",
-        "STATIONERY",
-        "REFRESHMENTS",
-        "MISCELLANEOUS",
-      ],
+      enum: EXPENSE_CATEGORIES,
       default: "MISCELLANEOUS",
       required: true,
     },
     paymentMethod: {
       type: String,
-      enum: ["CASH", "ONLINE", "CHEQUE", "UPI", "CARD", "NET_BANKING"],
+      enum: EXPENSE_PAYMENT_METHODS,
       default: "CASH",
     },
     date: {
@@ -51,6 +62,12 @@ const expenseSchema = new Schema(
       type: String, // URL to uploaded receipt image
       trim: true,
     },
+    // Set when generated from a recurring expense template
+    recurringExpenseId: {
+      type: Schema.Types.ObjectId,
+      ref: "RecurringExpense",
+      default: undefined,
+    },
     tenantId: {
       type: Schema.Types.ObjectId,
       ref: "Library",
@@ -71,5 +88,10 @@ const expenseSchema = new Schema(
 // Indexes for common queries
 expenseSchema.index({ tenantId: 1, date: -1 });
 expenseSchema.index({ tenantId: 1, category: 1 });
+// One generated expense per template occurrence
+expenseSchema.index(
+  { recurringExpenseId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringExpenseId: { $exists: true } } },
+);
 
 export const Expense = mongoose.model("Expense", expenseSchema);
@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+import { EXPENSE_CATEGORIES } from "./expense.model.js";
+
+/**
+ * ExpenseBudget — monthly spending limit for one category of a library.
+ * `alertsSent` records which thresholds were already notified per month
+ * ("YYYY-MM") so each one fires once.
+ */
+const expenseBudgetSchema = new Schema(
+  {
+    category: {
+      type: String,
+      enum: EXPENSE_CATEGORIES,
+      required: true,
+    },
+    monthlyLimit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Percentages of the limit that trigger an alert
+    alertThresholds: {
+      type: [Number],
+      default: [80, 100],
+    },
+    alertsSent: [
+      {
+        _id: false,
+        period: { type: String, required: true },
+        threshold: { type: Number, required: true },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      required: true,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+expenseBudgetSchema.index({ tenantId: 1, category: 1 }, { unique: true });
+
+export const ExpenseBudget = mongoose.model(
+  "ExpenseBudget",
+  expenseBudgetSchema,
+);
@@ -0,0 +1,73 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * FeeAdjustmentRule — a named discount / concession defined per library
+ * (e.g. "Merit 20%", "Sibling ₹200 off"). Rules are attached to students
+ * and applied as separate lines when monthly fees are generated.
+ */
+const feeAdjustmentRuleSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    type: {
+      type: String,
+      enum: ["PERCENTAGE", "FLAT"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Validity window as month keys "YYYY-MM" (month 0-11); open-ended when null
+    validFrom: {
+      type: String,
+      default: null,
+    },
+    validUntil: {
+      type: String,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+feeAdjustmentRuleSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+feeAdjustmentRuleSchema.index({ tenantId: 1, isActive: 1 });
+
+feeAdjustmentRuleSchema.pre("validate", function () {
+  if (this.type === "PERCENTAGE" && this.value > 100) {
+    this.invalidate("value", "Percentage cannot exceed 100");
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate("validUntil", "End month must not be before start month");
+  }
+});
+
+export const FeeAdjustmentRule = mongoose.model(
+  "FeeAdjustmentRule",
+  feeAdjustmentRuleSchema,
+);
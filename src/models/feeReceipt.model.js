@@ -0,0 +1,99 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * FeeReceipt — one numbered receipt per recorded payment.
+ * Numbers are gapless per library and financial year; receipts are never
+ * deleted. A voided receipt keeps its number, and a correction is issued
+ * under a new number linked back to the one it replaces.
+ */
+const feeReceiptSchema = new Schema(
+  {
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      default: null,
+    },
+    financialYear: {
+      type: String, // Format: "YYYY-YY"
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    receiptNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    feeId: {
+      type: Schema.Types.ObjectId,
+      ref: "StudentMonthlyFee",
+      required: true,
+      index: true,
+    },
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    // Payment ledger entry (StudentMonthlyFee.payments) this receipt covers
+    ledgerEntryId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    month: { type: Number, required: true, min: 0, max: 11 },
+    year: { type: Number, required: true },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Portion of `amount` that was pushed into the advance balance
+    advanceCredited: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["CASH", "ONLINE", "CHEQUE", "OTHER", "UPI", "ADVANCE"],
+    },
+    transactionId: { type: String, trim: true },
+    remarks: { type: String, trim: true },
+    paymentDate: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ["ISSUED", "VOID"],
+      default: "ISSUED",
+      index: true,
+    },
+    voidedAt: { type: Date },
+    voidedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    voidReason: { type: String, trim: true },
+    // Correction chain
+    replacesReceiptId: {
+      type: Schema.Types.ObjectId,
+      ref: "FeeReceipt",
+      default: null,
+    },
+    replacedByReceiptId: {
+      type: Schema.Types.ObjectId,
+      ref: "FeeReceipt",
+      default: null,
+    },
+    issuedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true },
+);
+
+feeReceiptSchema.index({ tenantId: 1, receiptNumber: 1 }, { unique: true });
+feeReceiptSchema.index(
+  { tenantId: 1, financialYear: 1, sequence: 1 },
+  { unique: true },
+);
+feeReceiptSchema.index({ feeId: 1, status: 1, createdAt: -1 });
+
+export const FeeReceipt = mongoose.model("FeeReceipt", feeReceiptSchema);
@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * KioskScan — the one use of a kiosk QR code.
+ * The unique nonce index lets each code check in a single student, so a
+ * screenshot forwarded to others is useless once scanned; rows expire long
+ * after every code they could block has.
+ */
+const kioskScanSchema = new Schema(
+  {
+    nonce: {
+      type: String,
+      required: true,
+    },
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["CHECK_IN", "CHECK_OUT"],
+      required: true,
+    },
+    attendanceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Attendance",
+    },
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: { expireAfterSeconds: 86400 }, // Codes live minutes; keep a day for audit
+    },
+  },
+);
+
+kioskScanSchema.index({ nonce: 1 }, { unique: true });
+
+export const KioskScan = mongoose.model("KioskScan", kioskScanSchema);
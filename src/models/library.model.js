@@ -52,10 +52,38 @@ const librarySchema = new Schema(
     settings: {
       gracePeriodDays: { type: Number, default: 5 }, // Days before late fee applies
       lateFeePerDay: { type: Number, default: 10 }, // Amount in currency
+      lateFeeCapPerMonth: { type: Number, default: 300, min: 0 }, // 0 = no cap
+      lateFeesEnabled: { type: Boolean, default: false }, // Accrue late fees daily on overdue months
+      lateFeesEnabledAt: { type: Date, default: null }, // Only months falling due from this date accrue (set when enabled)
       maxStudents: { type: Number, default: 100 },
       maxAdmins: { type: Number, default: 5 },
       timezone: { type: String, default: "Asia/Kolkata" },
       currency: { type: String, default: "INR" },
+      financialYearStartMonth: { type: Number, default: 3, min: 0, max: 11 }, // 0-11, April by default (receipt numbering)
+      waitlistOfferHours: { type: Number, default: 24, min: 1 }, // How long a freed seat is held for the next waitlisted student
+      seatHoldMinutes: { type: Number, default: 10, min: 1, max: 60 }, // How long a student's picked seat is held before requesting it
+      autoApproveSlotChanges: { type: Boolean, default: false }, // Apply student slot/seat change requests without admin review
+      billingDay: { type: Number, min: 1, max: 31, default: null }, // Fixed billing day for new students; null = their joining day
+      prorateSlotChanges: { type: Boolean, default: true }, // Charge/credit the rest of the cycle when a student changes slot
+      prorateFirstMonth: { type: Boolean, default: false }, // Charge the first fee month from the joining date
+      prorateLastMonth: { type: Boolean, default: false }, // Charge the last fee month up to the leaving date
+      exitNoticeDays: { type: Number, default: 0, min: 0, max: 90 }, // Days of notice a student must give before their leaving date
+      requireKycForActivation: { type: Boolean, default: false }, // Students stay INACTIVE until their ID proof and photo are verified
+      kioskCodeSeconds: { type: Number, default: 15, min: 10, max: 300 }, // How often the attendance kiosk QR code rotates
+      fullDayAttendancePercent: { type: Number, default: 50, min: 1, max: 100 }, // Share of the slot a kiosk visit must last to count as PRESENT (else HALF_DAY)
+      weeklyOffDays: [{ type: Number, min: 0, max: 6 }], // Days of the week the library is closed (0 = Sunday); not counted as working days
+      holidays: [{ date: { type: Date, required: true }, name: { type: String, trim: true } }], // Closed dates; not counted as working days
+      absenceAlertsEnabled: { type: Boolean, default: false }, // Scan attendance daily for students at risk of dropping out (for libraries that record attendance)
+      absenceStreakDays: { type: Number, default: 3, min: 0 }, // Working days absent in a row before a student is flagged at risk; 0 = off
+      hoursDropPercent: { type: Number, default: 50, min: 0, max: 100 }, // Drop in last week's study hours vs their usual week that flags a student; 0 = off
+      noShowDaysAfterPayment: { type: Number, default: 7, min: 0 }, // Days after paying without a single check-in that flags a student; 0 = off
+      absenceNudgesEnabled: { type: Boolean, default: false }, // Send flagged students an encouraging nudge
+      absenceNudgeMessage: { type: String, trim: true, maxlength: 500, default: null }, // Custom nudge text ("{name}" is replaced); null = built-in text per pattern
+      absenceAlertCooldownDays: { type: Number, default: 7, min: 1 }, // A flagged student is not nudged or reported again for this many days
+      lateToleranceMinutes: { type: Number, default: 10, min: 0 }, // Minutes after slot start a check-in still counts as on time
+      earlyLeaveToleranceMinutes: { type: Number, default: 15, min: 0 }, // Minutes before slot end a check-out still counts as on time
+      outsideSlotToleranceMinutes: { type: Number, default: 30, min: 0 }, // Minutes outside the booked slot before a visit is flagged OUTSIDE_SLOT
+      slotTimingNoticesEnabled: { type: Boolean, default: false }, // Tell students when a kiosk check-in is late or a visit runs outside their slot
     },
   },
   {
@@ -0,0 +1,97 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * MembershipPause — a period (both dates included) a student is away, e.g.
+ * for exams or festivals. Fee months are charged only the hold fee for the
+ * paused days; the seat is either kept for the student or released to the
+ * slot's waitlist, and the membership resumes after the end date.
+ */
+const membershipPauseSchema = new Schema(
+  {
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    from: {
+      type: Date,
+      required: true,
+    },
+    to: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Charged per month for the paused days (NONE = nothing)
+    holdFee: {
+      type: {
+        type: String,
+        enum: ["NONE", "FLAT", "PERCENTAGE"],
+        default: "NONE",
+      },
+      value: { type: Number, default: 0, min: 0 },
+    },
+    // RESERVED: the student keeps their seat; RELEASED: it goes to the waitlist
+    seatPolicy: {
+      type: String,
+      enum: ["RESERVED", "RELEASED"],
+      default: "RESERVED",
+    },
+    // AWAITING_SEAT: pause is over but the released seat's slot is full
+    status: {
+      type: String,
+      enum: ["SCHEDULED", "ACTIVE", "AWAITING_SEAT", "COMPLETED", "CANCELLED"],
+      default: "SCHEDULED",
+      index: true,
+    },
+    // Seat given up by a RELEASED pause, restored on resume when still free
+    releasedSlotId: {
+      type: Schema.Types.ObjectId,
+      ref: "Slot",
+    },
+    releasedSeatNumber: String,
+    startedAt: Date,
+    resumedAt: Date,
+    resumeNote: String,
+    // Paused days of fee months already paid in full, credited to the
+    // advance balance instead (the paid month itself is left as is)
+    advanceCredits: [
+      {
+        month: Number,
+        year: Number,
+        amount: Number,
+        creditedAt: { type: Date, default: Date.now },
+      },
+    ],
+    cancelledAt: Date,
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+membershipPauseSchema.index({ studentId: 1, status: 1, from: 1 });
+membershipPauseSchema.index({ status: 1, from: 1 });
+membershipPauseSchema.index({ status: 1, to: 1 });
+
+export const MembershipPause = mongoose.model(
+  "MembershipPause",
+  membershipPauseSchema,
+);
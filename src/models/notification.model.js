@@ -45,6 +45,13 @@ const notificationSchema = new Schema(
         "CALL",
         "SYSTEM_ALERT",
         "FEE_OVERDUE_BULK",
+        "BUDGET_ALERT",
+        "WAITLIST_OFFER",
+        "STUDENT_EXIT",
+        "MEMBERSHIP_PAUSE",
+        "KYC",
+        "ABSENCE_ALERT",
+        "ATTENDANCE_NOTICE",
         "TEST",
       ],
       index: true,
@@ -0,0 +1,96 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_PAYMENT_METHODS,
+} from "./expense.model.js";
+
+/**
+ * RecurringExpense — a template the daily job turns into Expense records.
+ * MONTHLY templates fire on `dayOfMonth` (clamped to the month's last day),
+ * WEEKLY templates on `dayOfWeek` (0 = Sunday).
+ */
+const recurringExpenseSchema = new Schema(
+  {
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    category: {
+      type: String,
+      enum: EXPENSE_CATEGORIES,
+      required: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: EXPENSE_PAYMENT_METHODS,
+      default: "CASH",
+    },
+    paidBy: {
+      type: String,
+      trim: true,
+    },
+    frequency: {
+      type: String,
+      enum: ["MONTHLY", "WEEKLY"],
+      default: "MONTHLY",
+      required: true,
+    },
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: 1,
+    },
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1,
+    },
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // Date of the last occurrence turned into an Expense
+    lastGeneratedFor: {
+      type: Date,
+      default: null,
+    },
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+recurringExpenseSchema.index({ tenantId: 1, isActive: 1 });
+
+export const RecurringExpense = mongoose.model(
+  "RecurringExpense",
+  recurringExpenseSchema,
+);
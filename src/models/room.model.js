@@ -1,5 +1,43 @@
 import mongoose, { Schema } from "mongoose";
 
+// One seat of a room floor plan; `label` is what students' seatNumber refers to
+const layoutSeatSchema = new Schema(
+  {
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    row: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    column: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    seatType: {
+      type: String,
+      default: "STANDARD", // e.g. STANDARD, CABIN — slots may price types differently
+      trim: true,
+    },
+    tags: [
+      {
+        type: String, // e.g. AC, WINDOW, CHARGING_POINT, LOCKER
+        trim: true,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["AVAILABLE", "DISABLED", "MAINTENANCE"],
+      default: "AVAILABLE",
+    },
+  },
+  { _id: false },
+);
+
 const roomSchema = new Schema(
   {
     name: {
@@ -16,6 +54,15 @@ const roomSchema = new Schema(
       type: String,
       trim: true,
     },
+    // Optional floor plan; without it seats are numbered 1..totalSeats
+    layout: {
+      rows: { type: Number, min: 1 },
+      columns: { type: Number, min: 1 },
+      seats: {
+        type: [layoutSeatSchema],
+        default: undefined,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
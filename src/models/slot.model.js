@@ -31,6 +31,14 @@ const slotSchema = new Schema(
         return Math.round(value * 100) / 100;
       },
     },
+    // Optional monthly fee per room seat type (e.g. CABIN); other seats pay monthlyFee
+    seatTypePricing: [
+      {
+        _id: false,
+        seatType: { type: String, required: true, trim: true },
+        monthlyFee: { type: Number, required: true, min: 0 },
+      },
+    ],
     totalSeats: {
       type: Number,
       required: true,
@@ -55,7 +63,12 @@ const slotSchema = new Schema(
       required: true,
       index: true,
     },
-
+    // Lease held while WaitlistService.processSlot hands out this slot's seats
+    waitlistLockedUntil: {
+      type: Date,
+      default: null,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -50,6 +50,24 @@ const slotChangeHistorySchema = new Schema(
       type: Date,
       default: Date.now,
     },
+    // Set for changes dated in the future: the student moves when a daily
+    // job applies the change on its effective date; until then the target
+    // seat is reserved
+    scheduleStatus: {
+      type: String,
+      enum: ["SCHEDULED", "APPLIED", "CANCELLED", "FAILED"],
+    },
+    appliedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    failureReason: String,
     metadata: {
       previousTimeRange: {
         start: String,
@@ -61,6 +79,9 @@ const slotChangeHistorySchema = new Schema(
       },
       previousMonthlyFee: Number,
       newMonthlyFee: Number,
+      previousSeatNumber: String,
+      requestedSeatNumber: String, // Seat the student picked (held until reviewed)
+      newSeatNumber: String, // Seat a scheduled change moves the student to
     },
     isActive: {
       type: Boolean,
@@ -82,6 +103,8 @@ const slotChangeHistorySchema = new Schema(
 slotChangeHistorySchema.index({ studentId: 1, createdAt: -1 });
 slotChangeHistorySchema.index({ changedBy: 1, createdAt: -1 });
 slotChangeHistorySchema.index({ changeType: 1 });
+slotChangeHistorySchema.index({ scheduleStatus: 1, effectiveDate: 1 });
+slotChangeHistorySchema.index({ newSlotId: 1, scheduleStatus: 1 });
 
 export const SlotChangeHistory = mongoose.model(
   "SlotChangeHistory",
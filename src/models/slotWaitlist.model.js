@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * One student's place in the queue for a full slot.
+ * Queue position is the order of WAITING entries by createdAt.
+ */
+const slotWaitlistSchema = new Schema(
+  {
+    slotId: {
+      type: Schema.Types.ObjectId,
+      ref: "Slot",
+      required: true,
+    },
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    // REGISTRATION: new student waiting for a first seat
+    // SLOT_CHANGE: existing student waiting to move from fromSlotId
+    type: {
+      type: String,
+      enum: ["REGISTRATION", "SLOT_CHANGE"],
+      required: true,
+    },
+    fromSlotId: {
+      type: Schema.Types.ObjectId,
+      ref: "Slot",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["WAITING", "OFFERED", "ACCEPTED", "DECLINED", "EXPIRED", "CANCELLED"],
+      default: "WAITING",
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    respondedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+    },
+    addedBy: {
+      // Admin ID or Student ID depending on addedByRole
+      type: Schema.Types.ObjectId,
+    },
+    addedByRole: {
+      type: String,
+      enum: ["ADMIN", "STUDENT"],
+      required: true,
+    },
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Queue order per slot
+slotWaitlistSchema.index({ slotId: 1, status: 1, createdAt: 1 });
+// Offer expiry sweep
+slotWaitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+
+export const SlotWaitlist = mongoose.model("SlotWaitlist", slotWaitlistSchema);
@@ -1,7 +1,7 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import { StudentStatus } from "../constants/constants.js";
+import { KycStatus, StudentStatus } from "../constants/constants.js";
 import { Slot } from "./slot.model.js";
 const studentSchema = new Schema(
   {
@@ -81,6 +81,13 @@ const studentSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Discount / concession rules applied on top of monthlyFee
+    feeAdjustmentRules: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "FeeAdjustmentRule",
+      },
+    ],
 
     // Status & Dates
     status: {
@@ -106,6 +113,17 @@ const studentSchema = new Schema(
     leavingDate: {
       type: Date,
     },
+    // Derived from the student's current KYC documents (see StudentKycService)
+    kycStatus: {
+      type: String,
+      enum: Object.values(KycStatus),
+      default: KycStatus.NOT_SUBMITTED,
+    },
+    // Held INACTIVE by the library's KYC requirement; activated on verification
+    activateOnKycVerified: {
+      type: Boolean,
+      default: false,
+    },
 
     // System Fields
     isDeleted: {
@@ -207,6 +225,7 @@ studentSchema.index(
 // Indexes
 studentSchema.index({ slotId: 1, status: 1 });
 studentSchema.index({ status: 1 });
+studentSchema.index({ tenantId: 1, kycStatus: 1 });
 studentSchema.index({ isDeleted: 1 });
 studentSchema.index({ joiningDate: -1 });
 
@@ -237,8 +256,11 @@ studentSchema.pre("save", async function () {
 // Set billing day and next billing date when joiningDate is set or updated
 studentSchema.pre("save", async function () {
   if (this.isModified("joiningDate") && this.joiningDate) {
-    // Set billing day to the day of joining date
-    this.billingDay = this.joiningDate.getDate();
+    // Set billing day to the day of joining date, unless it was set
+    // explicitly (library-wide billing day)
+    if (!this.isModified("billingDay") || !this.billingDay) {
+      this.billingDay = this.joiningDate.getDate();
+    }
 
     // Use the helper to calculate the correct next billing date correctly
     const { calculateNextBillingDate } = await import("../utils/feeHelpers.js");
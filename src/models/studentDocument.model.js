@@ -0,0 +1,91 @@
+import mongoose, { Schema } from "mongoose";
+import { KycDocumentType } from "../constants/constants.js";
+import { KYC_ID_TYPES } from "../utils/kycHelpers.js";
+
+/**
+ * StudentDocument — a KYC document (ID proof, photo, address proof) of a
+ * student. The file is uploaded through /upload/image first; only the
+ * latest document of each type is current, older ones are kept as history.
+ * ID numbers are stored encrypted and only ever shown masked.
+ */
+const studentDocumentSchema = new Schema(
+  {
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(KycDocumentType),
+      required: true,
+    },
+    // Kind of ID for ID / address proofs (Aadhaar, college ID, ...)
+    idType: {
+      type: String,
+      enum: KYC_ID_TYPES,
+    },
+    idNumberEncrypted: {
+      iv: String,
+      tag: String,
+      content: String,
+      alg: String,
+    },
+    idNumberMasked: String,
+    fileUrl: {
+      type: String,
+      required: true,
+    },
+    publicId: String,
+
+    uploadedBy: {
+      type: String,
+      enum: ["STUDENT", "ADMIN"],
+      required: true,
+    },
+    uploadedByAdmin: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+
+    status: {
+      type: String,
+      enum: ["PENDING", "VERIFIED", "REJECTED"],
+      default: "PENDING",
+      index: true,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    // False once a newer document of the same type is uploaded
+    isCurrent: {
+      type: Boolean,
+      default: true,
+    },
+    supersededAt: Date,
+
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+studentDocumentSchema.index({ studentId: 1, type: 1, isCurrent: 1 });
+studentDocumentSchema.index({ tenantId: 1, status: 1, isCurrent: 1, createdAt: 1 });
+
+export const StudentDocument = mongoose.model(
+  "StudentDocument",
+  studentDocumentSchema,
+);
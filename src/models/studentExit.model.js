@@ -0,0 +1,124 @@
+import mongoose, { Schema } from "mongoose";
+
+// An unpaid fee month on the statement (its own charge, without carry-forward)
+const settlementMonthSchema = new Schema(
+  {
+    month: Number,
+    year: Number,
+    amount: Number,
+    paidAmount: Number,
+    status: String,
+  },
+  { _id: false },
+);
+
+/**
+ * StudentExit — a student's notice to leave and, once the leaving date is
+ * reached, their final settlement: outstanding dues netted against the
+ * remaining advance balance, and the refund paid out (or final due
+ * collected) that closes the account.
+ */
+const studentExitSchema = new Schema(
+  {
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    leavingDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    filedBy: {
+      type: String,
+      enum: ["STUDENT", "ADMIN", "SYSTEM"],
+      required: true,
+    },
+    filedByAdmin: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    // NOTICE: waiting for the leaving date
+    // SETTLEMENT_PENDING: student archived, refund / final due not recorded yet
+    // SETTLED: account closed
+    status: {
+      type: String,
+      enum: ["NOTICE", "SETTLEMENT_PENDING", "SETTLED", "CANCELLED"],
+      default: "NOTICE",
+      index: true,
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    processedAt: Date, // Seat released and student archived
+
+    // Final settlement statement (refreshed until it is settled)
+    settlementNumber: String,
+    settlement: {
+      generatedAt: Date,
+      slotName: String,
+      seatNumber: String,
+      months: [settlementMonthSchema],
+      dueAmount: { type: Number, default: 0 }, // Unpaid months in the DueRecord
+      pendingAmount: { type: Number, default: 0 }, // Unpaid, not yet overdue
+      outstandingAmount: { type: Number, default: 0 },
+      advanceAmount: { type: Number, default: 0 }, // Remaining advance balance
+      netAmount: { type: Number, default: 0 }, // advance - outstanding
+      direction: {
+        type: String,
+        enum: ["REFUND", "DUE", "NIL"],
+        default: "NIL",
+      },
+    },
+
+    // Money that changed hands to close the account
+    transaction: {
+      type: {
+        type: String,
+        enum: ["REFUND", "COLLECTION"],
+      },
+      amount: Number,
+      method: {
+        type: String,
+        enum: ["CASH", "ONLINE", "CHEQUE", "OTHER", "UPI"],
+      },
+      reference: String,
+      remarks: String,
+      receiptNumber: String, // Receipt issued for a collected final due
+      // Dated entry the reports read: the fee ledger payment (COLLECTION)
+      // or the advance balance refund (REFUND)
+      ledgerEntryId: Schema.Types.ObjectId,
+      recordedAt: Date,
+      recordedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin",
+      },
+    },
+    settledAt: Date,
+
+    tenantId: {
+      type: Schema.Types.ObjectId,
+      ref: "Library",
+      index: true,
+    },
+  },
+  { timestamps: true },
+);
+
+studentExitSchema.index({ studentId: 1, status: 1 });
+studentExitSchema.index({ status: 1, leavingDate: 1 });
+studentExitSchema.index({ tenantId: 1, status: 1, leavingDate: 1 });
+
+export const StudentExit = mongoose.model("StudentExit", studentExitSchema);
@@ -1,5 +1,75 @@
 import mongoose, { Schema } from "mongoose";
 
+const PAYMENT_METHODS = ["CASH", "ONLINE", "CHEQUE", "OTHER", "UPI", "ADVANCE"];
+
+/**
+ * One entry in a fee month's payment ledger.
+ * PAYMENT    = money collected against this month
+ * SETTLEMENT = cleared by a later month's payment (no money collected here)
+ */
+const paymentTransactionSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["PAYMENT", "SETTLEMENT"],
+      default: "PAYMENT",
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+      set: (value) => Math.round(value * 100) / 100,
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "CASH",
+    },
+    reference: { type: String, trim: true }, // UPI ref / cheque no. / transaction id
+    remarks: { type: String, trim: true },
+    paidAt: { type: Date, default: Date.now },
+    collectedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    receiptNumber: { type: String, trim: true },
+    settledByFeeId: {
+      type: Schema.Types.ObjectId,
+      ref: "StudentMonthlyFee",
+    },
+    reversed: { type: Boolean, default: false },
+    reversedAt: { type: Date },
+    reversedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    reversalReason: { type: String, trim: true },
+  },
+  { _id: true },
+);
+
+/**
+ * One adjustment line on a fee month: a discount / concession rule applied
+ * at generation time, or a pro-rata line (PRORATION) for a partial first or
+ * last month or a mid-cycle slot change.
+ * `amount` is in currency; baseFee already has it deducted (or added, for
+ * CHARGE lines).
+ */
+const feeAdjustmentLineSchema = new Schema(
+  {
+    ruleId: { type: Schema.Types.ObjectId, ref: "FeeAdjustmentRule" },
+    name: { type: String, trim: true },
+    type: { type: String, enum: ["PERCENTAGE", "FLAT", "PRORATION"] },
+    kind: { type: String, enum: ["DISCOUNT", "CHARGE"], default: "DISCOUNT" },
+    value: { type: Number, min: 0 },
+    amount: { type: Number, min: 0 },
+    proration: {
+      reason: { type: String, enum: ["ENROLLMENT", "SLOT_CHANGE", "PAUSE"] },
+      from: Date,
+      to: Date,
+      days: Number,
+      cycleDays: Number,
+      slotChangeId: { type: Schema.Types.ObjectId, ref: "SlotChangeHistory" },
+      pauseId: { type: Schema.Types.ObjectId, ref: "MembershipPause" },
+    },
+  },
+  { _id: false },
+);
+
 const studentMonthlyFeeSchema = new Schema(
   {
     studentId: {
@@ -31,6 +101,15 @@ const studentMonthlyFeeSchema = new Schema(
         return Math.round(value * 100) / 100;
       },
     },
+    // Price before adjustments; baseFee is the net after adjustments
+    grossFee: {
+      type: Number,
+      min: 0,
+    },
+    adjustments: {
+      type: [feeAdjustmentLineSchema],
+      default: [],
+    },
     status: {
       type: String,
       enum: ["PAID", "DUE", "PENDING"],
@@ -58,12 +137,24 @@ const studentMonthlyFeeSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Late fee — separate line accrued daily once the grace period ends
+    lateFee: {
+      amount: { type: Number, default: 0, min: 0 },
+      daysLate: { type: Number, default: 0, min: 0 },
+      calculatedAt: { type: Date },
+      waivedAmount: { type: Number, default: 0, min: 0 },
+      waived: { type: Boolean, default: false }, // stops further accrual
+      waivedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+      waivedAt: { type: Date },
+      waiverReason: { type: String, trim: true },
+    },
     paymentDate: {
       type: Date,
     },
+    // Mirrors of the latest ledger entry (kept for existing readers)
     paymentMethod: {
       type: String,
-      enum: ["CASH", "ONLINE", "CHEQUE", "OTHER", "UPI", "ADVANCE"],
+      enum: PAYMENT_METHODS,
       trim: true,
     },
     transactionId: {
@@ -74,6 +165,16 @@ const studentMonthlyFeeSchema = new Schema(
       type: String,
       trim: true,
     },
+    // Sequential per-library receipt number, allocated when first issued
+    receiptNumber: {
+      type: String,
+      trim: true,
+    },
+    // Payment ledger — paidAmount and status are derived from it
+    payments: {
+      type: [paymentTransactionSchema],
+      default: [],
+    },
     paidAmount: {
       type: Number,
       default: 0,
@@ -122,6 +223,10 @@ studentMonthlyFeeSchema.index({ status: 1 });
 studentMonthlyFeeSchema.index({ month: 1, year: 1 });
 studentMonthlyFeeSchema.index({ locked: 1 });
 studentMonthlyFeeSchema.index({ coveredByAdvance: 1 });
+studentMonthlyFeeSchema.index(
+  { tenantId: 1, receiptNumber: 1 },
+  { sparse: true },
+);
 
 // Virtual for month-year string
 studentMonthlyFeeSchema.virtual("monthYear").get(function () {
@@ -142,35 +247,87 @@ studentMonthlyFeeSchema.virtual("monthYear").get(function () {
   return `${monthNames[this.month]} ${this.year}`;
 });
 
-// Virtual for total amount
+// Virtual for total amount (includes any unwaived late fee)
 studentMonthlyFeeSchema.virtual("totalAmount").get(function () {
-  const total = this.baseFee + this.dueCarriedForwardAmount;
+  const lateFeeDue = Math.max(
+    0,
+    (this.lateFee?.amount || 0) - (this.lateFee?.waivedAmount || 0),
+  );
+  const total = this.baseFee + this.dueCarriedForwardAmount + lateFeeDue;
   // Round to 2 decimal places
   return Math.round(total * 100) / 100;
 });
 
-// Method to record payment (handles partial or full)
-studentMonthlyFeeSchema.methods.recordPayment = function (paymentData) {
-  if (this.locked) {
-    throw new Error("This month is locked and cannot be modified");
+// Seed the ledger from the flat fields of records that pre-date it
+studentMonthlyFeeSchema.methods.seedLedger = function () {
+  if (this.payments.length === 0 && this.paidAmount > 0) {
+    this.payments.push({
+      amount: this.paidAmount,
+      method: this.paymentMethod || "OTHER",
+      reference: this.transactionId,
+      remarks: "Recorded before payment ledger",
+      paidAt: this.paymentDate || this.updatedAt || new Date(),
+      collectedBy: this.updatedBy || this.createdBy,
+      receiptNumber: this.receiptNumber,
+    });
   }
+};
 
-  const { paidAmount, method, transactionId, remarks } = paymentData;
-  
-  // Update paid amount
-  this.paidAmount = (this.paidAmount || 0) + paidAmount;
-  this.paymentDate = new Date();
-  this.paymentMethod = method || "CASH";
-  this.transactionId = transactionId;
-  this.remarks = remarks;
+// Append a ledger entry (status/paidAmount are derived on save)
+studentMonthlyFeeSchema.methods.addLedgerEntry = function (entry) {
+  this.seedLedger();
+  this.payments.push(entry);
+  return this.payments[this.payments.length - 1];
+};
 
-  // Check if fully paid
-  if (this.paidAmount >= this.totalAmount) {
+// Derive paidAmount, status, lock and the flat payment fields from the ledger
+studentMonthlyFeeSchema.methods.applyLedger = function () {
+  const active = this.payments.filter((p) => !p.reversed);
+  const paid = active.reduce((sum, p) => sum + p.amount, 0);
+  this.paidAmount = paid;
+
+  if (active.length > 0 && paid >= this.totalAmount) {
     this.status = "PAID";
     this.locked = true; // Lock only when fully paid
   } else {
-    this.status = "DUE";
+    this.locked = false;
+    if (paid > 0 || this.status === "PAID") this.status = "DUE";
+  }
+
+  const latest = active
+    .filter((p) => p.kind === "PAYMENT")
+    .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt))[0];
+  if (latest) {
+    this.paymentDate = latest.paidAt;
+    this.paymentMethod = latest.method;
+    this.transactionId = latest.reference;
   }
+};
+
+studentMonthlyFeeSchema.pre("validate", function () {
+  if (this.isModified("payments") && this.payments.length > 0) {
+    this.applyLedger();
+  }
+});
+
+// Method to record payment (handles partial or full)
+studentMonthlyFeeSchema.methods.recordPayment = function (paymentData) {
+  if (this.locked) {
+    throw new Error("This month is locked and cannot be modified");
+  }
+
+  const { paidAmount, method, transactionId, remarks, collectedBy } = paymentData;
+
+  this.addLedgerEntry({
+    kind: "PAYMENT",
+    amount: paidAmount,
+    method: method || "CASH",
+    reference: transactionId,
+    remarks,
+    paidAt: new Date(),
+    collectedBy,
+  });
+  this.remarks = remarks;
 
   return this.save();
 };
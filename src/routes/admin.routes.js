@@ -71,36 +71,96 @@ router
   .delete(authorizeRoles("SUPER_ADMIN"), deleteAdmin);
 
 // Analytics Routes
+// Report range from query: startMonth/startYear/endMonth/endYear, or a single month/year
+const parseReportRange = (query) => {
+  const { startMonth, startYear, endMonth, endYear, month, year } = query;
+
+  const now = new Date();
+  const parsedStartMonth = startMonth ?? month ?? now.getMonth();
+  const parsedStartYear = startYear ?? year ?? now.getFullYear();
+  const parsedEndMonth = endMonth ?? parsedStartMonth;
+  const parsedEndYear = endYear ?? parsedStartYear;
+
+  return [
+    parseInt(parsedStartMonth, 10),
+    parseInt(parsedStartYear, 10),
+    parseInt(parsedEndMonth, 10),
+    parseInt(parsedEndYear, 10),
+  ];
+};
+
 router.route("/reports").get(
   asyncHandler(async (req, res) => {
-    const { startMonth, startYear, endMonth, endYear, month, year } = req.query;
-
-    const now = new Date();
-    const parsedStartMonth = startMonth ?? month ?? now.getMonth();
-    const parsedStartYear = startYear ?? year ?? now.getFullYear();
-    const parsedEndMonth = endMonth ?? parsedStartMonth;
-    const parsedEndYear = endYear ?? parsedStartYear;
-
     const report = await AnalyticsService.getFinancialReport(
-      parseInt(parsedStartMonth, 10),
-      parseInt(parsedStartYear, 10),
-      parseInt(parsedEndMonth, 10),
-      parseInt(parsedEndYear, 10),
+      ...parseReportRange(req.query),
+      req.tenantId,
     );
 
     return res.status(200).json(new ApiResponse(200, report, "Report fetched"));
   }),
 );
 
+// All branches side by side (SUPER_ADMIN only)
+router.route("/reports/branches").get(
+  authorizeRoles("SUPER_ADMIN"),
+  asyncHandler(async (req, res) => {
+    const report = await AnalyticsService.getBranchFinancialReports(
+      ...parseReportRange(req.query),
+    );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, report, "Branch reports fetched"));
+  }),
+);
+
+// Profit & loss — JSON, or ?format=csv|pdf for download
+router.route("/reports/profit-loss").get(
+  authorizeRoles("ADMIN", "SUPER_ADMIN"),
+  asyncHandler(async (req, res) => {
+    const pl = await AnalyticsService.getProfitAndLoss(
+      ...parseReportRange(req.query),
+      req.tenantId,
+    );
+    const filename = `profit-loss-${pl.period.start.replace("/", "-")}-to-${pl.period.end.replace("/", "-")}`;
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(AnalyticsService.profitAndLossToCsv(pl));
+    }
+
+    if (req.query.format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+      return AnalyticsService.streamProfitAndLossPDF(pl, res);
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, pl, "Profit & loss report fetched"));
+  }),
+);
+
 router.route("/dashboard-stats").get(
   asyncHandler(async (req, res) => {
-    const stats = await AnalyticsService.getDashboardStats();
+    const stats = await AnalyticsService.getDashboardStats(req.tenantId);
     return res
       .status(200)
       .json(new ApiResponse(200, stats, "Dashboard stats fetched"));
   }),
 );
 
+router.route("/dashboard-stats/branches").get(
+  authorizeRoles("SUPER_ADMIN"),
+  asyncHandler(async (req, res) => {
+    const stats = await AnalyticsService.getBranchDashboardStats();
+    return res
+      .status(200)
+      .json(new ApiResponse(200, stats, "Branch dashboard stats fetched"));
+  }),
+);
+
 // Staff list (SUPER_ADMIN only)
 router.route("/staff").get(
   authorizeRoles("SUPER_ADMIN"),
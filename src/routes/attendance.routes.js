@@ -7,6 +7,11 @@ import {
   markAttendance,
   getDailyAttendance,
   getMonthlyAttendanceStats,
+  getKioskCode,
+  getAtRiskStudents,
+  bulkMarkAttendance,
+  getAttendanceRegister,
+  getOverstayReport,
 } from "../controllers/attendance.controller.js";
 
 const router = Router();
@@ -20,7 +25,12 @@ router.use(resolveTenant);
 router.use(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN));
 
 router.route("/").post(markAttendance);
+router.route("/bulk").post(bulkMarkAttendance);
 router.route("/daily").get(getDailyAttendance);
 router.route("/stats").get(getMonthlyAttendanceStats);
+router.route("/kiosk/code").get(getKioskCode);
+router.route("/at-risk").get(getAtRiskStudents);
+router.route("/register").get(getAttendanceRegister);
+router.route("/overstays").get(getOverstayReport);
 
 export default router;
@@ -9,6 +9,13 @@ import {
   getExpenseStats,
   updateExpense,
   deleteExpense,
+  getRecurringExpenses,
+  createRecurringExpense,
+  updateRecurringExpense,
+  deleteRecurringExpense,
+  getBudgets,
+  setBudget,
+  deleteBudget,
 } from "../controllers/expense.controller.js";
 
 const router = Router();
@@ -25,6 +32,20 @@ router.route("/").post(createExpense).get(getExpenses);
 
 router.route("/stats").get(getExpenseStats);
 
+// Recurring expense templates
+router.route("/recurring").get(getRecurringExpenses).post(createRecurringExpense);
+
+router.route("/recurring/:templateId")
+  .patch(updateRecurringExpense)
+  .delete(deleteRecurringExpense);
+
+// Per-category monthly budgets
+router.route("/budgets").get(getBudgets);
+
+router.route("/budgets/:category")
+  .put(setBudget)
+  .delete(deleteBudget);
+
 router.route("/:expenseId")
   .patch(updateExpense)
   .delete(deleteExpense);
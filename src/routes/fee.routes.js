@@ -17,6 +17,21 @@ import {
   sendBulkOverdueReminders,
   exportOverdueSummaryCSV,
 } from "../controllers/student.controller.js";
+import {
+  getReceiptByNumber,
+  downloadReceiptByNumberPDF,
+  voidReceipt,
+  reissueReceipt,
+  issueMissingReceipt,
+  reversePayment,
+  waiveLateFee,
+  getAdjustmentRules,
+  createAdjustmentRule,
+  updateAdjustmentRule,
+  getStudentAdjustmentRules,
+  attachAdjustmentRule,
+  detachAdjustmentRule,
+} from "../controllers/fee.controller.js";
 
 const router = Router();
 
@@ -45,6 +60,14 @@ router
     getReceiptDetails,
   );
 
+// Issue the receipt for a legacy paid month that has none (admin)
+router
+  .route("/:studentId/:month/:year/receipt")
+  .post(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    issueMissingReceipt,
+  );
+
 // Download receipt PDF (admin)
 router
   .route("/:studentId/:month/:year/receipt-pdf")
@@ -53,6 +76,60 @@ router
     downloadReceiptPDF,
   );
 
+// Discount / concession rules
+router
+  .route("/adjustment-rules")
+  .get(getAdjustmentRules)
+  .post(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    createAdjustmentRule,
+  );
+
+router
+  .route("/adjustment-rules/:ruleId")
+  .patch(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    updateAdjustmentRule,
+  );
+
+router
+  .route("/:studentId/adjustments")
+  .get(getStudentAdjustmentRules)
+  .post(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    attachAdjustmentRule,
+  );
+
+router
+  .route("/:studentId/adjustments/:ruleId")
+  .delete(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    detachAdjustmentRule,
+  );
+
+// Receipt lookup / void / reissue by receipt number
+router
+  .route("/receipts/:receiptNumber")
+  .get(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    getReceiptByNumber,
+  );
+
+router
+  .route("/receipts/:receiptNumber/pdf")
+  .get(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    downloadReceiptByNumberPDF,
+  );
+
+router
+  .route("/receipts/:receiptNumber/void")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), voidReceipt);
+
+router
+  .route("/receipts/:receiptNumber/reissue")
+  .post(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), reissueReceipt);
+
 // GET /overdue-summary/export for CSV export
 router
   .route("/overdue-summary/export")
@@ -70,6 +147,15 @@ router
   .route("/:studentId/:month/:year/due")
   .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), markFeeAsDue);
 
+router
+  .route("/:studentId/:month/:year/late-fee/waive")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), waiveLateFee);
+
+// Payment reversal — restricted to super admins
+router
+  .route("/:studentId/:month/:year/reverse")
+  .patch(authorizeRoles(UserRoles.SUPER_ADMIN), reversePayment);
+
 router
   .route("/:studentId/advance")
   .post(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), addAdvance);
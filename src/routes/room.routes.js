@@ -9,6 +9,7 @@ import {
   getRoomById,
   updateRoom,
   deleteRoom,
+  setRoomLayout,
 } from "../controllers/room.controller.js";
 
 const router = Router();
@@ -28,4 +29,8 @@ router
   .patch(authorizeRoles(UserRoles.SUPER_ADMIN), updateRoom)
   .delete(authorizeRoles(UserRoles.SUPER_ADMIN), deleteRoom);
 
+router
+  .route("/:roomId/layout")
+  .put(authorizeRoles(UserRoles.SUPER_ADMIN), setRoomLayout);
+
 export default router;
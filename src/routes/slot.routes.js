@@ -10,6 +10,10 @@ import {
   getAllSlots,
   deleteSlot,
   getSeatChart,
+  getDoubleBookings,
+  getSlotWaitlist,
+  removeWaitlistEntry,
+  acceptWaitlistOffer,
 } from "../controllers/slot.controller.js";
 
 const router = Router();
@@ -21,12 +25,32 @@ router.use(apiLimiter);
 router.use(verifyJWT);
 router.use(resolveTenant);
 
+// Seats booked twice at overlapping times (before /:slotId)
+router
+  .route("/double-bookings")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getDoubleBookings);
+
 // Get slot details
 router.route("/:slotId").get(getSlotDetails);
 
 // Get seat chart for a slot
 router.route("/:slotId/seat-chart").get(getSeatChart);
 
+// Slot waitlist
+router.route("/:slotId/waitlist").get(getSlotWaitlist);
+router
+  .route("/:slotId/waitlist/:entryId")
+  .delete(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    removeWaitlistEntry,
+  );
+router
+  .route("/:slotId/waitlist/:entryId/accept")
+  .post(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    acceptWaitlistOffer,
+  );
+
 // Get all slots (all staff can view)
 router.route("/").get(getAllSlots);
 
@@ -1,6 +1,8 @@
 import { Router } from "express";
+import multer from "multer";
 import {
   registerStudent,
+  importStudents,
   updateStudent,
   archiveStudent,
   reactivateStudent,
@@ -15,6 +17,24 @@ import {
   getPendingSlotChangeRequests,
   approveSlotChangeRequest,
   rejectSlotChangeRequest,
+  getScheduledSlotChanges,
+  cancelScheduledSlotChange,
+  fileStudentExit,
+  getStudentExits,
+  getStudentExit,
+  cancelStudentExit,
+  settleStudentExit,
+  downloadSettlementPDF,
+  getSettlementLink,
+  pauseStudentMembership,
+  getStudentPauses,
+  getMembershipPauses,
+  endMembershipPause,
+  exportStudentRoster,
+  getStudentDocuments,
+  uploadStudentDocument,
+  reviewStudentDocument,
+  getPendingKycDocuments,
 } from "../controllers/student.controller.js";
 import { verifyJWT, authorizeRoles } from "../middlewares/auth.middleware.js";
 import { resolveTenant } from "../middlewares/tenant.middleware.js";
@@ -23,6 +43,12 @@ import { UserRoles } from "../constants/constants.js";
 
 const router = Router();
 
+// Import sheets are parsed in memory and never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
 // Apply rate limiting, authentication, and tenant resolution to all routes
 router.use(apiLimiter);
 router.use(verifyJWT);
@@ -34,6 +60,61 @@ router
   .post(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), registerStudent)
   .get(searchStudents);
 
+router
+  .route("/import")
+  .post(
+    authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN),
+    importUpload.single("file"),
+    importStudents,
+  );
+
+router
+  .route("/export")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), exportStudentRoster);
+
+// Student exits (registered before "/:studentId")
+router
+  .route("/exits")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getStudentExits);
+
+router
+  .route("/exits/:exitId")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getStudentExit);
+
+router
+  .route("/exits/:exitId/cancel")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), cancelStudentExit);
+
+router
+  .route("/exits/:exitId/settle")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), settleStudentExit);
+
+router
+  .route("/exits/:exitId/settlement-pdf")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), downloadSettlementPDF);
+
+router
+  .route("/exits/:exitId/settlement-link")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getSettlementLink);
+
+// KYC documents (registered before "/:studentId")
+router
+  .route("/kyc/pending")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getPendingKycDocuments);
+
+router
+  .route("/documents/:documentId/review")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), reviewStudentDocument);
+
+// Membership pauses (registered before "/:studentId")
+router
+  .route("/pauses")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getMembershipPauses);
+
+router
+  .route("/pauses/:pauseId/end")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), endMembershipPause);
+
 router
   .route("/:studentId")
   .get(getStudentDetails)
@@ -43,6 +124,20 @@ router
   .route("/:studentId/archive")
   .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), archiveStudent);
 
+router
+  .route("/:studentId/exit")
+  .post(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), fileStudentExit);
+
+router
+  .route("/:studentId/documents")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getStudentDocuments)
+  .post(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), uploadStudentDocument);
+
+router
+  .route("/:studentId/pauses")
+  .post(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), pauseStudentMembership)
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getStudentPauses);
+
 router
   .route("/:studentId/reactivate")
   .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), reactivateStudent);
@@ -70,6 +165,14 @@ router
   .route("/slot-requests/:requestId/reject")
   .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), rejectSlotChangeRequest);
 
+router
+  .route("/slot-changes/scheduled")
+  .get(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), getScheduledSlotChanges);
+
+router
+  .route("/slot-changes/:changeId/cancel")
+  .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), cancelScheduledSlotChange);
+
 router
   .route("/:studentId/override-fee")
   .patch(authorizeRoles(UserRoles.ADMIN, UserRoles.SUPER_ADMIN), overrideStudentFee);
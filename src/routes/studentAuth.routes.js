@@ -22,11 +22,27 @@ import {
   listChatAdmins,
   getPaymentReceipt,
   downloadPaymentReceiptPDF,
+  fileExitNotice,
+  getMyExit,
+  getMyKycDocuments,
+  uploadMyKycDocument,
+  scanAttendanceKiosk,
+  getMyAttendance,
+  downloadMySettlementPDF,
+  downloadSettlementPDFByLink,
   getAvailableSlots,
   getMyFeeCalendar,
   verifyPhoneWithFirebase,
   requestSlotChange,
   getMySlotChangeHistory,
+  getMyWaitlist,
+  joinSlotWaitlist,
+  respondToWaitlistOffer,
+  leaveWaitlist,
+  getSlotSeatChart,
+  holdSeat,
+  getMySeatHold,
+  releaseSeatHold,
 } from "../controllers/studentAuth.controller.js";
 import {
   toggleMute,
@@ -66,6 +82,11 @@ router
   .route("/forgot-password/reset")
   .post(otpLimiter, resolveTenantOptional, resetPassword);
 
+// Signed settlement link, for students archived after leaving
+router
+  .route("/exit/settlement-pdf/:token")
+  .get(authLimiter, downloadSettlementPDFByLink);
+
 // Protected student routes
 router.use(verifyStudentJWT);
 router.use(resolveTenant);
@@ -93,6 +114,29 @@ router.route("/slots").get(getAvailableSlots);
 router.route("/slot/request-change").post(requestSlotChange);
 router.route("/slot/change-history").get(getMySlotChangeHistory);
 
+// Slot waitlist routes
+router.route("/waitlist").get(getMyWaitlist);
+router.route("/slots/:slotId/waitlist").post(joinSlotWaitlist);
+router.route("/waitlist/:entryId").delete(leaveWaitlist);
+router.route("/waitlist/:entryId/:action").post(respondToWaitlistOffer);
+
+// Seat picking routes
+router.route("/slots/:slotId/seat-chart").get(getSlotSeatChart);
+router.route("/slots/:slotId/seats/:seatNumber/hold").post(holdSeat);
+router.route("/seat-hold").get(getMySeatHold).delete(releaseSeatHold);
+
+// KYC documents
+router.route("/kyc").get(getMyKycDocuments);
+router.route("/kyc/documents").post(uploadMyKycDocument);
+
+// Attendance
+router.route("/attendance").get(getMyAttendance);
+router.route("/attendance/scan").post(scanAttendanceKiosk);
+
+// Exit notice and final settlement
+router.route("/exit").get(getMyExit).post(fileExitNotice);
+router.route("/exit/settlement-pdf").get(downloadMySettlementPDF);
+
 // Chat roster
 router.route("/chat/students").get(listChatStudents);
 router.route("/chat/admins").get(listChatAdmins);
@@ -0,0 +1,332 @@
+/**
+ * Absence Alert Service
+ * Daily scan of attendance for students who look like they're drifting away:
+ * several absences in a row, falling weekly study hours, or no check-in since
+ * paying. Flagged students get a nudge; admins get one "students at risk"
+ * digest per library. Both are opt-in library settings, and libraries that
+ * have recorded no attendance lately are skipped.
+ */
+
+import { AbsenceAlert } from "../models/absenceAlert.model.js";
+import { Admin } from "../models/admin.model.js";
+import { Attendance } from "../models/attendance.model.js";
+import { FeeReceipt } from "../models/feeReceipt.model.js";
+import { Library } from "../models/library.model.js";
+import { MembershipPause } from "../models/membershipPause.model.js";
+import { Student } from "../models/student.model.js";
+import { StudentStatus } from "../constants/constants.js";
+import {
+  detectAbsencePatterns,
+  getStudyMinutes,
+  toDateKey,
+} from "../utils/attendanceHelpers.js";
+import AttendanceService from "./attendance.service.js";
+import NotificationService from "./notification.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Weekly hours are compared with the average of the three weeks before
+const BASELINE_WEEKS = 3;
+const LOOKBACK_DAYS = 7 * (BASELINE_WEEKS + 1);
+const DIGEST_NAMES = 10;
+
+const DEFAULT_NUDGES = {
+  CONSECUTIVE_ABSENCES: (name, value) =>
+    `Hi ${name}, we've missed you at the library for ${value} days. Your seat is waiting — see you soon!`,
+  HOURS_DROP: (name, value) =>
+    `Hi ${name}, your study hours this week are down ${value}% from your usual. A short session today keeps you on track!`,
+  NO_SHOW_AFTER_PAYMENT: (name, value) =>
+    `Hi ${name}, you haven't checked in since your payment ${value} days ago. Your seat is ready whenever you are.`,
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+class AbsenceAlertService {
+  static _getThresholds(library) {
+    const settings = library.settings || {};
+    return {
+      absenceStreakDays: settings.absenceStreakDays ?? 3,
+      hoursDropPercent: settings.hoursDropPercent ?? 50,
+      noShowDaysAfterPayment: settings.noShowDaysAfterPayment ?? 7,
+      cooldownDays: settings.absenceAlertCooldownDays || 7,
+      nudgesEnabled: settings.absenceNudgesEnabled === true,
+      nudgeMessage: settings.absenceNudgeMessage || null,
+    };
+  }
+
+  /**
+   * Daily job: flag at-risk students in every active library that has
+   * absence alerts turned on
+   * @param {Date} [now]
+   */
+  static async processAbsencePatterns(now = new Date()) {
+    const libraries = await Library.find({
+      isActive: true,
+      "settings.absenceAlertsEnabled": true,
+    })
+      .select("name settings")
+      .lean();
+
+    const result = { flagged: 0, nudged: 0, errors: [] };
+    for (const library of libraries) {
+      try {
+        const { flagged, nudged } = await this._processLibrary(library, now);
+        result.flagged += flagged;
+        result.nudged += nudged;
+      } catch (error) {
+        console.error(`Absence patterns failed for library ${library._id}:`, error.message);
+        result.errors.push({ tenantId: library._id, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  static async _processLibrary(library, now) {
+    const thresholds = this._getThresholds(library);
+    if (
+      !thresholds.absenceStreakDays &&
+      !thresholds.hoursDropPercent &&
+      !thresholds.noShowDaysAfterPayment
+    ) {
+      return { flagged: 0, nudged: 0 };
+    }
+
+    const today = startOfDay(now);
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    const lookbackStart = new Date(
+      today.getTime() -
+        Math.max(LOOKBACK_DAYS, thresholds.noShowDaysAfterPayment + 7) * DAY_MS,
+    );
+
+    const [students, recentlyAlerted] = await Promise.all([
+      Student.find({
+        tenantId: library._id,
+        status: StudentStatus.ACTIVE,
+        isDeleted: false,
+        joiningDate: { $lte: yesterday },
+      })
+        .select("name joiningDate tenantId")
+        .lean(),
+      AbsenceAlert.distinct("studentId", {
+        tenantId: library._id,
+        createdAt: { $gte: new Date(now.getTime() - thresholds.cooldownDays * DAY_MS) },
+      }),
+    ]);
+
+    const skip = new Set(recentlyAlerted.map((id) => id.toString()));
+    const candidates = students.filter((s) => !skip.has(s._id.toString()));
+    if (candidates.length === 0) return { flagged: 0, nudged: 0 };
+
+    // Without any recent attendance every student would look absent
+    const recording = await Attendance.exists({
+      tenantId: library._id,
+      date: { $gte: lookbackStart, $lt: today },
+    });
+    if (!recording) return { flagged: 0, nudged: 0 };
+
+    const ids = candidates.map((s) => s._id);
+    const [records, payments, pauses] = await Promise.all([
+      Attendance.find({
+        tenantId: library._id,
+        studentId: { $in: ids },
+        date: { $gte: lookbackStart, $lt: today },
+      })
+        .select("studentId date status checkInTime checkOutTime")
+        .lean(),
+      FeeReceipt.aggregate([
+        {
+          $match: {
+            studentId: { $in: ids },
+            status: "ISSUED",
+            paymentMethod: { $ne: "ADVANCE" },
+            paymentDate: { $gte: lookbackStart },
+          },
+        },
+        { $group: { _id: "$studentId", lastPaymentDate: { $max: "$paymentDate" } } },
+      ]),
+      MembershipPause.find({
+        studentId: { $in: ids },
+        status: { $ne: "CANCELLED" },
+        from: { $lte: today },
+        to: { $gte: lookbackStart },
+      })
+        .select("studentId from to")
+        .lean(),
+    ]);
+
+    const recordsByStudent = new Map();
+    for (const record of records) {
+      const key = record.studentId.toString();
+      if (!recordsByStudent.has(key)) recordsByStudent.set(key, []);
+      recordsByStudent.get(key).push(record);
+    }
+    const paymentMap = new Map(
+      payments.map((p) => [p._id.toString(), p.lastPaymentDate]),
+    );
+    const pausesByStudent = new Map();
+    for (const pause of pauses) {
+      const key = pause.studentId.toString();
+      if (!pausesByStudent.has(key)) pausesByStudent.set(key, []);
+      pausesByStudent.get(key).push(pause);
+    }
+
+    const atRisk = [];
+    let nudged = 0;
+    for (const student of candidates) {
+      const patterns = await this._detect(
+        student,
+        recordsByStudent.get(student._id.toString()) || [],
+        paymentMap.get(student._id.toString()) || null,
+        {
+          library,
+          thresholds,
+          today,
+          lookbackStart,
+          pauses: pausesByStudent.get(student._id.toString()) || [],
+        },
+      );
+      if (patterns.length === 0) continue;
+
+      const sent = thresholds.nudgesEnabled
+        ? await this._nudge(student, patterns[0], thresholds.nudgeMessage)
+        : false;
+      if (sent) nudged++;
+
+      await AbsenceAlert.create({
+        studentId: student._id,
+        patterns,
+        nudged: sent,
+        tenantId: library._id,
+      });
+      atRisk.push({ student, patterns });
+    }
+
+    if (atRisk.length > 0) await this._sendDigest(library, atRisk);
+    return { flagged: atRisk.length, nudged };
+  }
+
+  static async _detect(student, records, lastPaymentDate, context) {
+    const { library, thresholds, today, lookbackStart, pauses } = context;
+    const joinDay = startOfDay(student.joiningDate);
+    const from = joinDay > lookbackStart ? joinDay : lookbackStart;
+
+    const closedReason = await AttendanceService.getClosedDays(
+      student,
+      from,
+      today,
+      library,
+      pauses,
+    );
+    const attendedDays = new Set(
+      records.filter((r) => r.status !== "ABSENT").map((r) => toDateKey(r.date)),
+    );
+    const workingDays = [];
+    for (let day = new Date(from); day < today; day.setDate(day.getDate() + 1)) {
+      if (!closedReason(day)) workingDays.push(toDateKey(day));
+    }
+
+    const weekStart = new Date(today.getTime() - 7 * DAY_MS);
+    const baselineStart = new Date(weekStart.getTime() - BASELINE_WEEKS * 7 * DAY_MS);
+    let recentMinutes = 0;
+    let baselineMinutes = 0;
+    for (const record of records) {
+      const date = new Date(record.date);
+      if (date >= weekStart) recentMinutes += getStudyMinutes(record);
+      else if (date >= baselineStart) baselineMinutes += getStudyMinutes(record);
+    }
+
+    const paymentDay = lastPaymentDate ? startOfDay(lastPaymentDate) : null;
+    return detectAbsencePatterns(
+      {
+        workingDays,
+        attendedDays,
+        recentMinutes,
+        // Only students who were members for the whole baseline have one
+        baselineWeeklyMinutes: joinDay <= baselineStart ? baselineMinutes / BASELINE_WEEKS : 0,
+        daysSincePayment: paymentDay ? Math.round((today - paymentDay) / DAY_MS) : null,
+        attendedSincePayment: paymentDay
+          ? records.some((r) => r.status !== "ABSENT" && new Date(r.date) >= paymentDay)
+          : false,
+      },
+      thresholds,
+    );
+  }
+
+  static async _nudge(student, pattern, customMessage) {
+    const firstName = student.name.split(" ")[0];
+    const message = customMessage
+      ? customMessage.replace(/\{name\}/g, firstName)
+      : DEFAULT_NUDGES[pattern.type](firstName, pattern.value);
+    try {
+      await NotificationService.sendStudentNotification({
+        studentId: student._id,
+        title: "We miss you at the library",
+        message,
+        type: "ABSENCE_ALERT",
+        data: { pattern: pattern.type },
+      });
+      return true;
+    } catch (error) {
+      console.error(`Failed to nudge student ${student._id}:`, error.message);
+      return false;
+    }
+  }
+
+  static async _sendDigest(library, atRisk) {
+    const lines = atRisk
+      .slice(0, DIGEST_NAMES)
+      .map(({ student, patterns }) => `${student.name} (${patterns.map((p) => p.detail).join(", ")})`);
+    const more = atRisk.length - lines.length;
+    const message =
+      `${atRisk.length} student${atRisk.length !== 1 ? "s" : ""} may be dropping out: ` +
+      lines.join("; ") +
+      (more > 0 ? `; and ${more} more.` : ".");
+
+    try {
+      const admins = await Admin.find({
+        tenantId: library._id,
+        isActive: true,
+        role: { $in: ["SUPER_ADMIN", "ADMIN"] },
+      }).select("_id");
+      for (const admin of admins) {
+        await NotificationService.sendAdminNotification(
+          admin._id,
+          "Students at risk",
+          message,
+          "ABSENCE_ALERT",
+        );
+      }
+    } catch (error) {
+      console.error(`Failed to send at-risk digest for library ${library._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Students flagged within the last `days` days, latest alert per student
+   * @param {string} tenantId
+   * @param {{ days?: number }} options
+   */
+  static async getAtRiskStudents(tenantId, { days = 7 } = {}) {
+    const alerts = await AbsenceAlert.find({
+      tenantId,
+      createdAt: { $gte: new Date(Date.now() - days * DAY_MS) },
+    })
+      .sort({ createdAt: -1 })
+      .populate("studentId", "name phone libraryId seatNumber status")
+      .lean();
+
+    const seen = new Set();
+    return alerts.filter((alert) => {
+      if (!alert.studentId) return false;
+      const key = alert.studentId._id.toString();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+export default AbsenceAlertService;
@@ -4,7 +4,7 @@ import { Student } from "../models/student.model.js";
 import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
 import NotificationService from "./notification.service.js";
 import { ApiError } from "../utils/ApiError.js";
-import { getFeeDueDate, getMonthName } from "../utils/feeHelpers.js";
+import { getFeeDueDate, getFeeTotal, getMonthName } from "../utils/feeHelpers.js";
 
 class AdminReminderService {
   /**
@@ -500,7 +500,7 @@ class AdminReminderService {
       .lean();
 
     const totalDueAmount = dueStudents.reduce(
-      (sum, fee) => sum + (fee.baseFee + (fee.dueCarriedForwardAmount || 0)),
+      (sum, fee) => sum + getFeeTotal(fee),
       0,
     );
 
@@ -702,6 +702,12 @@ class AdminReminderService {
       return { processed: 0, escalated: [], errors: [] };
     }
 
+    // Escalations are held while the student's membership is paused
+    const MembershipPauseService = (
+      await import("./membershipPause.service.js")
+    ).default;
+    const pausedIds = await MembershipPauseService.getPausedStudentIds(now);
+
     const escalated = [];
     const errors = [];
 
@@ -709,6 +715,7 @@ class AdminReminderService {
       try {
         const student = record.studentId;
         if (!student) continue;
+        if (pausedIds.has(student._id.toString())) continue;
 
         record.updateEscalationLevel();
         const level = record.escalationLevel;
@@ -819,6 +826,12 @@ class AdminReminderService {
       `[AutoMark] Checking PENDING fees for ${getMonthName(targetMonth)} ${targetYear}...`,
     );
 
+    // Students on a membership pause are marked once they resume
+    const MembershipPauseService = (
+      await import("./membershipPause.service.js")
+    ).default;
+    const pausedIds = await MembershipPauseService.getPausedStudentIds(today);
+
     // Find all PENDING fees for last month that haven't been locked/advance-covered
     const pendingFees = await StudentMonthlyFee.find({
       month: targetMonth,
@@ -826,6 +839,7 @@ class AdminReminderService {
       status: "PENDING",
       coveredByAdvance: false,
       locked: false,
+      studentId: { $nin: [...pausedIds] },
     }).populate(
       "studentId",
       "name email phone fcmToken webPushSubscription tenantId",
@@ -3,20 +3,104 @@
  * Handles dashboard statistics and financial reporting.
  * All slot occupancy and fee stats use single aggregation pipelines
  * to avoid N+1 query problems.
+ * Every report is scoped to one library (tenant); SUPER_ADMINs can request
+ * per-branch breakdowns across all libraries.
  */
 
+import mongoose from "mongoose";
 import { Student } from "../models/student.model.js";
 import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
 import { Slot } from "../models/slot.model.js";
 import { AdvanceBalance } from "../models/advanceBalance.model.js";
 import { DueRecord } from "../models/dueRecord.model.js";
+import { Library } from "../models/library.model.js";
+import { Expense } from "../models/expense.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getMonthName, roundFeeAmount } from "../utils/feeHelpers.js";
+import { toCsv } from "../utils/csvHelpers.js";
+import {
+  createPdfDocument,
+  drawKeyValueRows,
+  drawLibraryHeader,
+  drawTable,
+  fetchImageBuffer,
+  formatCurrency,
+  pipePdf,
+} from "../utils/pdfHelpers.js";
+import { getTenantSlotFilter } from "../utils/slotHelpers.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS, CACHE_TTL } from "../utils/cacheStrategy.js";
+
+// Unwaived late fee of a fee record
+const LATE_FEE_DUE_EXPR = {
+  $max: [
+    0,
+    {
+      $subtract: [
+        { $ifNull: ["$lateFee.amount", 0] },
+        { $ifNull: ["$lateFee.waivedAmount", 0] },
+      ],
+    },
+  ],
+};
+
+// Payable total of a fee record: base fee + carried-forward due + unwaived late fee
+const FEE_TOTAL_EXPR = {
+  $add: ["$baseFee", "$dueCarriedForwardAmount", LATE_FEE_DUE_EXPR],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PL_MONTHS = 24;
 
 class AnalyticsService {
   /**
-   * Get dashboard statistics
+   * Resolve the query scope for one library.
+   * Fee, advance and due rows are matched through the library's students so
+   * rows written before tenant tagging are still attributed correctly.
+   */
+  static async _getTenantScope(tenantId) {
+    if (!tenantId || !mongoose.Types.ObjectId.isValid(String(tenantId))) {
+      throw new ApiError(400, "Tenant context is required for analytics");
+    }
+
+    const tenantObjectId = new mongoose.Types.ObjectId(String(tenantId));
+    const [studentIds, slotFilter] = await Promise.all([
+      Student.distinct("_id", { tenantId: tenantObjectId }),
+      getTenantSlotFilter(tenantObjectId),
+    ]);
+
+    return { tenantId: tenantObjectId, studentIds, slotFilter };
+  }
+
+  /**
+   * Active libraries for the all-branches views
+   */
+  static async _getBranches() {
+    return Library.find({ isActive: true })
+      .select("name slug")
+      .sort({ name: 1 })
+      .lean();
+  }
+
+  /**
+   * Get dashboard statistics for a library (cached briefly per tenant)
+   */
+  static async getDashboardStats(tenantId) {
+    return cacheService.getOrSet(
+      CACHE_KEYS.DASHBOARD_STATS(String(tenantId)),
+      () => this._computeDashboardStats(tenantId),
+      CACHE_TTL.ANALYTICS,
+    );
+  }
+
+  /**
+   * Compute dashboard statistics
    * Uses Promise.all + single aggregations — no N+1 loops.
    */
-  static async getDashboardStats() {
+  static async _computeDashboardStats(tenantId) {
+    const { tenantId: tenant, studentIds, slotFilter } =
+      await this._getTenantScope(tenantId);
+
     const today = new Date();
     const currentMonth = today.getMonth();
     const currentYear = today.getFullYear();
@@ -34,25 +118,32 @@ class AnalyticsService {
       // Single aggregation for 6-month trend — replaces the 6-iteration loop
       monthlyTrendRaw,
     ] = await Promise.all([
-      Student.countDocuments({ isDeleted: false }),
-      Student.countDocuments({ status: "ACTIVE", isDeleted: false }),
-      Student.countDocuments({ status: "ARCHIVED", isDeleted: false }),
-      Slot.countDocuments({ isActive: true }),
+      Student.countDocuments({ tenantId: tenant, isDeleted: false }),
+      Student.countDocuments({ tenantId: tenant, status: "ACTIVE", isDeleted: false }),
+      Student.countDocuments({ tenantId: tenant, status: "ARCHIVED", isDeleted: false }),
+      Slot.countDocuments({ isActive: true, ...slotFilter }),
 
       // Current month fee stats
       StudentMonthlyFee.aggregate([
-        { $match: { month: currentMonth, year: currentYear } },
+        {
+          $match: {
+            studentId: { $in: studentIds },
+            month: currentMonth,
+            year: currentYear,
+          },
+        },
         {
           $group: {
             _id: "$status",
             count: { $sum: 1 },
-            totalAmount: { $sum: { $add: ["$baseFee", "$dueCarriedForwardAmount"] } },
+            totalAmount: { $sum: FEE_TOTAL_EXPR },
           },
         },
       ]),
 
       // Total advance balance
       AdvanceBalance.aggregate([
+        { $match: { studentId: { $in: studentIds } } },
         {
           $group: {
             _id: null,
@@ -65,7 +156,7 @@ class AnalyticsService {
 
       // Overdue stats
       DueRecord.aggregate([
-        { $match: { resolved: false } },
+        { $match: { studentId: { $in: studentIds }, resolved: false } },
         {
           $group: {
             _id: null,
@@ -77,7 +168,7 @@ class AnalyticsService {
 
       // Slot occupancy — single aggregation replaces N per-slot queries
       Student.aggregate([
-        { $match: { status: "ACTIVE", isDeleted: false } },
+        { $match: { tenantId: tenant, status: "ACTIVE", isDeleted: false } },
         { $group: { _id: "$slotId", occupiedSeats: { $sum: 1 } } },
       ]),
 
@@ -94,7 +185,10 @@ class AnalyticsService {
               d.setMonth(d.getMonth() - i);
               periods.push({ month: d.getMonth(), year: d.getFullYear() });
             }
-            return { $or: periods.map(({ month, year }) => ({ month, year })) };
+            return {
+              studentId: { $in: studentIds },
+              $or: periods.map(({ month, year }) => ({ month, year })),
+            };
           })(),
         },
         {
@@ -106,7 +200,7 @@ class AnalyticsService {
               $sum: {
                 $cond: [
                   { $eq: ["$status", "PAID"] },
-                  { $add: ["$baseFee", "$dueCarriedForwardAmount"] },
+                  FEE_TOTAL_EXPR,
                   0,
                 ],
               },
@@ -115,7 +209,7 @@ class AnalyticsService {
               $sum: {
                 $cond: [
                   { $eq: ["$status", "DUE"] },
-                  { $add: ["$baseFee", "$dueCarriedForwardAmount"] },
+                  FEE_TOTAL_EXPR,
                   0,
                 ],
               },
@@ -131,8 +225,8 @@ class AnalyticsService {
       slotOccupancy.map((s) => [s._id?.toString(), s.occupiedSeats]),
     );
 
-    // Fetch all active slots (metadata only)
-    const slots = await Slot.find({ isActive: true }).lean();
+    // Fetch the library's active slots (metadata only)
+    const slots = await Slot.find({ isActive: true, ...slotFilter }).lean();
     const slotsWithOccupancy = slots.map((slot) => {
       const occupiedSeats = occupancyMap.get(slot._id.toString()) || 0;
       return {
@@ -189,14 +283,41 @@ class AnalyticsService {
   }
 
   /**
-   * Get slot-wise analytics
+   * Get dashboard statistics for every library side by side (SUPER_ADMIN)
+   */
+  static async getBranchDashboardStats() {
+    const libraries = await this._getBranches();
+    const branches = await Promise.all(
+      libraries.map(async (library) => ({
+        library: { _id: library._id, name: library.name, slug: library.slug },
+        ...(await this.getDashboardStats(library._id.toString())),
+      })),
+    );
+
+    return { branches, generatedAt: new Date() };
+  }
+
+  /**
+   * Get slot-wise analytics for a library (cached briefly per tenant)
+   */
+  static async getSlotAnalytics(tenantId) {
+    return cacheService.getOrSet(
+      CACHE_KEYS.SLOT_ANALYTICS(String(tenantId)),
+      () => this._computeSlotAnalytics(tenantId),
+      CACHE_TTL.ANALYTICS,
+    );
+  }
+
+  /**
+   * Compute slot-wise analytics
    * Single aggregation per metric replaces triple N+1 loops.
    */
-  static async getSlotAnalytics() {
+  static async _computeSlotAnalytics(tenantId) {
+    const { studentIds, slotFilter } = await this._getTenantScope(tenantId);
     const currentMonth = new Date().getMonth();
     const currentYear = new Date().getFullYear();
 
-    const slots = await Slot.find({ isActive: true }).lean();
+    const slots = await Slot.find({ isActive: true, ...slotFilter }).lean();
     const slotIds = slots.map((s) => s._id);
 
     // Run all 3 aggregations in parallel — one pass each, not per-slot
@@ -209,7 +330,13 @@ class AnalyticsService {
 
       // Fee stats: join fees → students → group by slotId + status
       StudentMonthlyFee.aggregate([
-        { $match: { month: currentMonth, year: currentYear } },
+        {
+          $match: {
+            studentId: { $in: studentIds },
+            month: currentMonth,
+            year: currentYear,
+          },
+        },
         {
           $lookup: {
             from: "students",
@@ -229,13 +356,14 @@ class AnalyticsService {
           $group: {
             _id: { slotId: "$student.slotId", status: "$status" },
             count: { $sum: 1 },
-            totalAmount: { $sum: { $add: ["$baseFee", "$dueCarriedForwardAmount"] } },
+            totalAmount: { $sum: FEE_TOTAL_EXPR },
           },
         },
       ]),
 
       // Advance stats: join advance → students → group by slotId
       AdvanceBalance.aggregate([
+        { $match: { studentId: { $in: studentIds } } },
         {
           $lookup: {
             from: "students",
@@ -312,11 +440,28 @@ class AnalyticsService {
   }
 
   /**
-   * Get financial report for a date range
+   * Get financial report for a library and date range (cached briefly per tenant)
    */
-  static async getFinancialReport(startMonth, startYear, endMonth, endYear) {
+  static async getFinancialReport(startMonth, startYear, endMonth, endYear, tenantId) {
+    return cacheService.getOrSet(
+      CACHE_KEYS.FINANCIAL_REPORT(
+        String(tenantId),
+        `${startYear}-${startMonth}:${endYear}-${endMonth}`,
+      ),
+      () =>
+        this._computeFinancialReport(startMonth, startYear, endMonth, endYear, tenantId),
+      CACHE_TTL.ANALYTICS,
+    );
+  }
+
+  /**
+   * Compute the financial report for a date range
+   */
+  static async _computeFinancialReport(startMonth, startYear, endMonth, endYear, tenantId) {
+    const { studentIds } = await this._getTenantScope(tenantId);
     const matchStage = {
       $match: {
+        studentId: { $in: studentIds },
         $or: [
           { $and: [{ year: { $gt: startYear } }, { year: { $lt: endYear } }] },
           { $and: [{ year: startYear }, { month: { $gte: startMonth } }] },
@@ -325,39 +470,92 @@ class AnalyticsService {
       },
     };
 
-    const report = await StudentMonthlyFee.aggregate([
-      matchStage,
-      {
-        $group: {
-          _id: { year: "$year", month: "$month" },
-          totalStudents: { $sum: 1 },
-          paidCount: { $sum: { $cond: [{ $eq: ["$status", "PAID"] }, 1, 0] } },
-          dueCount: { $sum: { $cond: [{ $eq: ["$status", "DUE"] }, 1, 0] } },
-          pendingCount: { $sum: { $cond: [{ $eq: ["$status", "PENDING"] }, 1, 0] } },
-          totalAmount: { $sum: { $add: ["$baseFee", "$dueCarriedForwardAmount"] } },
-          paidAmount: {
-            $sum: {
+    // Collections are read from the payment ledger (active PAYMENT entries);
+    // records that pre-date the ledger fall back to their paidAmount.
+    const activePayments = {
+      $filter: {
+        input: { $ifNull: ["$payments", []] },
+        as: "p",
+        cond: {
+          $and: [
+            { $ne: ["$$p.reversed", true] },
+            { $ne: ["$$p.kind", "SETTLEMENT"] },
+          ],
+        },
+      },
+    };
+    const outstanding = {
+      $max: [0, { $subtract: ["$feeTotal", { $ifNull: ["$paidAmount", 0] }] }],
+    };
+
+    const [report, methodBreakdown] = await Promise.all([
+      StudentMonthlyFee.aggregate([
+        matchStage,
+        {
+          $addFields: {
+            feeTotal: FEE_TOTAL_EXPR,
+            collected: {
               $cond: [
-                { $eq: ["$status", "PAID"] },
-                { $add: ["$baseFee", "$dueCarriedForwardAmount"] },
-                0,
+                { $gt: [{ $size: { $ifNull: ["$payments", []] } }, 0] },
+                {
+                  $reduce: {
+                    input: activePayments,
+                    initialValue: 0,
+                    in: { $add: ["$$value", "$$this.amount"] },
+                  },
+                },
+                { $ifNull: ["$paidAmount", 0] },
               ],
             },
           },
-          dueAmount: {
-            $sum: {
-              $cond: [
-                { $eq: ["$status", "DUE"] },
-                { $add: ["$baseFee", "$dueCarriedForwardAmount"] },
-                0,
-              ],
+        },
+        {
+          $group: {
+            _id: { year: "$year", month: "$month" },
+            totalStudents: { $sum: 1 },
+            paidCount: { $sum: { $cond: [{ $eq: ["$status", "PAID"] }, 1, 0] } },
+            dueCount: { $sum: { $cond: [{ $eq: ["$status", "DUE"] }, 1, 0] } },
+            pendingCount: { $sum: { $cond: [{ $eq: ["$status", "PENDING"] }, 1, 0] } },
+            totalAmount: { $sum: "$feeTotal" },
+            grossFees: { $sum: { $ifNull: ["$grossFee", "$baseFee"] } },
+            netFees: { $sum: "$baseFee" },
+            paidAmount: { $sum: "$collected" },
+            dueAmount: {
+              $sum: { $cond: [{ $eq: ["$status", "DUE"] }, outstanding, 0] },
+            },
+            pendingAmount: {
+              $sum: { $cond: [{ $eq: ["$status", "PENDING"] }, outstanding, 0] },
             },
           },
         },
-      },
-      { $sort: { "_id.year": 1, "_id.month": 1 } },
+        { $sort: { "_id.year": 1, "_id.month": 1 } },
+      ]),
+      StudentMonthlyFee.aggregate([
+        matchStage,
+        { $unwind: "$payments" },
+        {
+          $match: {
+            "payments.reversed": { $ne: true },
+            "payments.kind": { $ne: "SETTLEMENT" },
+          },
+        },
+        {
+          $group: {
+            _id: { year: "$year", month: "$month", method: "$payments.method" },
+            amount: { $sum: "$payments.amount" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
     ]);
 
+    const methodMap = new Map();
+    for (const m of methodBreakdown) {
+      const key = `${m._id.year}-${m._id.month}`;
+      if (!methodMap.has(key)) methodMap.set(key, {});
+      methodMap.get(key)[m._id.method] = { amount: m.amount, count: m.count };
+    }
+
     const monthNames = [
       "January", "February", "March", "April", "May", "June",
       "July", "August", "September", "October", "November", "December",
@@ -380,13 +578,19 @@ class AnalyticsService {
       },
       pending: {
         count: item.pendingCount,
-        amount: item.totalAmount - item.paidAmount - item.dueAmount,
+        amount: item.pendingAmount,
         percentage: item.totalStudents > 0 ? Math.round((item.pendingCount / item.totalStudents) * 100) : 0,
       },
+      collectedByMethod: methodMap.get(`${item._id.year}-${item._id.month}`) || {},
+      fees: {
+        gross: item.grossFees,
+        discounts: item.grossFees - item.netFees,
+        net: item.netFees,
+      },
       totals: {
         expected: item.totalAmount,
         collected: item.paidAmount,
-        pending: item.dueAmount + (item.totalAmount - item.paidAmount - item.dueAmount),
+        pending: item.dueAmount + item.pendingAmount,
         collectionRate: item.totalAmount > 0 ? Math.round((item.paidAmount / item.totalAmount) * 100) : 0,
       },
     }));
@@ -397,8 +601,19 @@ class AnalyticsService {
         totalExpected: acc.totalExpected + item.totals.expected,
         totalCollected: acc.totalCollected + item.totals.collected,
         totalPending: acc.totalPending + item.totals.pending,
+        totalGrossFees: acc.totalGrossFees + item.fees.gross,
+        totalDiscounts: acc.totalDiscounts + item.fees.discounts,
+        totalNetFees: acc.totalNetFees + item.fees.net,
       }),
-      { totalStudents: 0, totalExpected: 0, totalCollected: 0, totalPending: 0 },
+      {
+        totalStudents: 0,
+        totalExpected: 0,
+        totalCollected: 0,
+        totalPending: 0,
+        totalGrossFees: 0,
+        totalDiscounts: 0,
+        totalNetFees: 0,
+      },
     );
 
     summary.collectionRate =
@@ -413,6 +628,550 @@ class AnalyticsService {
       generatedAt: new Date(),
     };
   }
+
+  /**
+   * Get the financial report for every library side by side (SUPER_ADMIN),
+   * with combined totals across branches
+   */
+  static async getBranchFinancialReports(startMonth, startYear, endMonth, endYear) {
+    const libraries = await this._getBranches();
+    const branches = await Promise.all(
+      libraries.map(async (library) => {
+        const { report, summary } = await this.getFinancialReport(
+          startMonth,
+          startYear,
+          endMonth,
+          endYear,
+          library._id.toString(),
+        );
+        return {
+          library: { _id: library._id, name: library.name, slug: library.slug },
+          report,
+          summary,
+        };
+      }),
+    );
+
+    const combined = branches.reduce((acc, { summary }) => {
+      for (const [key, value] of Object.entries(summary)) {
+        if (key !== "collectionRate") acc[key] = (acc[key] || 0) + value;
+      }
+      return acc;
+    }, {});
+    combined.collectionRate =
+      combined.totalExpected > 0
+        ? Math.round((combined.totalCollected / combined.totalExpected) * 100)
+        : 0;
+
+    return {
+      period: { start: `${startMonth + 1}/${startYear}`, end: `${endMonth + 1}/${endYear}` },
+      branches,
+      combined,
+      generatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Profit & loss for a library over a month range (cash basis).
+   * Income is fee payments and advance deposits received in each month, by
+   * method. Payments drawn from a student's advance are reported separately
+   * and not counted again, since that cash was received when the advance was
+   * deposited. Advance refunds paid out are an outflow next to expenses.
+   * Outstanding dues count each month's own charges only (carried-forward
+   * amounts belong to the month they were billed in).
+   */
+  static async getProfitAndLoss(startMonth, startYear, endMonth, endYear, tenantId) {
+    const rangeStart = Date.UTC(startYear, startMonth, 1);
+    const rangeEnd = Date.UTC(endYear, endMonth, 1);
+    const monthCount =
+      (endYear - startYear) * 12 + (endMonth - startMonth) + 1;
+
+    if (Number.isNaN(rangeStart) || Number.isNaN(rangeEnd) || rangeEnd < rangeStart) {
+      throw new ApiError(400, "Invalid month range");
+    }
+    if (monthCount > MAX_PL_MONTHS) {
+      throw new ApiError(400, `Range cannot exceed ${MAX_PL_MONTHS} months`);
+    }
+
+    const { tenantId: tenant, studentIds } = await this._getTenantScope(tenantId);
+    const library = await Library.findById(tenant)
+      .select("name address phone email website logoUrl settings")
+      .lean();
+    const timezone = library?.settings?.timezone || "Asia/Kolkata";
+
+    // Include the month before the range so the first month has a comparison
+    const months = [];
+    for (let i = -1; i < monthCount; i++) {
+      const d = new Date(Date.UTC(startYear, startMonth + i, 1));
+      const month = d.getUTCMonth();
+      const year = d.getUTCFullYear();
+      months.push({ month, year, key: `${year}-${String(month + 1).padStart(2, "0")}` });
+    }
+
+    // Pad the date window by a day; rows are bucketed in the library timezone
+    const dateWindow = {
+      $gte: new Date(Date.UTC(months[0].year, months[0].month, 1) - DAY_MS),
+      $lt: new Date(Date.UTC(endYear, endMonth + 1, 1) + DAY_MS),
+    };
+    const periodOf = (field) => ({
+      $dateToString: { format: "%Y-%m", date: field, timezone },
+    });
+
+    const [
+      ledgerCollections,
+      legacyCollections,
+      expenses,
+      billing,
+      advance,
+      advanceCash,
+    ] = await Promise.all([
+        StudentMonthlyFee.aggregate([
+          { $match: { studentId: { $in: studentIds }, "payments.paidAt": dateWindow } },
+          { $unwind: "$payments" },
+          {
+            $match: {
+              "payments.paidAt": dateWindow,
+              "payments.reversed": { $ne: true },
+              "payments.kind": { $ne: "SETTLEMENT" },
+            },
+          },
+          {
+            $group: {
+              _id: { period: periodOf("$payments.paidAt"), method: "$payments.method" },
+              amount: { $sum: "$payments.amount" },
+            },
+          },
+        ]),
+
+        // Records paid before the payment ledger existed
+        StudentMonthlyFee.aggregate([
+          {
+            $match: {
+              studentId: { $in: studentIds },
+              paymentDate: dateWindow,
+              paidAmount: { $gt: 0 },
+              "payments.0": { $exists: false },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                period: periodOf("$paymentDate"),
+                method: { $ifNull: ["$paymentMethod", "OTHER"] },
+              },
+              amount: { $sum: "$paidAmount" },
+            },
+          },
+        ]),
+
+        Expense.aggregate([
+          { $match: { tenantId: tenant, date: dateWindow } },
+          {
+            $group: {
+              _id: { period: periodOf("$date"), category: "$category" },
+              amount: { $sum: "$amount" },
+            },
+          },
+        ]),
+
+        StudentMonthlyFee.aggregate([
+          {
+            $match: {
+              studentId: { $in: studentIds },
+              $or: months.map(({ month, year }) => ({ month, year })),
+            },
+          },
+          { $addFields: { ownCharges: { $add: ["$baseFee", LATE_FEE_DUE_EXPR] } } },
+          {
+            $addFields: {
+              // Payments settle carried-forward dues first
+              ownOutstanding: {
+                $cond: [
+                  { $eq: ["$status", "PAID"] },
+                  0,
+                  {
+                    $max: [
+                      0,
+                      {
+                        $subtract: [
+                          "$ownCharges",
+                          {
+                            $max: [
+                              0,
+                              {
+                                $subtract: [
+                                  { $ifNull: ["$paidAmount", 0] },
+                                  { $ifNull: ["$dueCarriedForwardAmount", 0] },
+                                ],
+                              },
+                            ],
+                          },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          {
+            $group: {
+              _id: { year: "$year", month: "$month" },
+              billed: { $sum: "$ownCharges" },
+              outstanding: { $sum: "$ownOutstanding" },
+            },
+          },
+        ]),
+
+        AdvanceBalance.aggregate([
+          { $match: { studentId: { $in: studentIds } } },
+          { $group: { _id: null, remaining: { $sum: "$remainingAmount" } } },
+        ]),
+
+        // Cash into and out of advance balances
+        AdvanceBalance.aggregate([
+          { $match: { studentId: { $in: studentIds }, "transactions.date": dateWindow } },
+          { $unwind: "$transactions" },
+          {
+            $match: {
+              "transactions.date": dateWindow,
+              "transactions.kind": { $in: ["DEPOSIT", "REFUND"] },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                period: periodOf("$transactions.date"),
+                kind: "$transactions.kind",
+                method: { $ifNull: ["$transactions.method", "OTHER"] },
+              },
+              amount: { $sum: "$transactions.amount" },
+            },
+          },
+        ]),
+      ]);
+
+    const bucket = (rows, field) => {
+      const map = new Map();
+      for (const row of rows) {
+        const { period } = row._id;
+        const name = row._id[field];
+        if (!map.has(period)) map.set(period, {});
+        const entry = map.get(period);
+        entry[name] = roundFeeAmount((entry[name] || 0) + row.amount);
+      }
+      return map;
+    };
+    const sumValues = (obj) =>
+      roundFeeAmount(Object.values(obj).reduce((sum, v) => sum + v, 0));
+    const change = (current, previous) => ({
+      amount: roundFeeAmount(current - previous),
+      percentage:
+        previous !== 0
+          ? Math.round(((current - previous) / Math.abs(previous)) * 100)
+          : null,
+    });
+
+    const deposits = advanceCash.filter((row) => row._id.kind === "DEPOSIT");
+    const collectionMap = bucket(
+      [...ledgerCollections, ...legacyCollections, ...deposits],
+      "method",
+    );
+    const depositMap = bucket(deposits, "kind");
+    const refundMap = bucket(
+      advanceCash.filter((row) => row._id.kind === "REFUND"),
+      "kind",
+    );
+    const expenseMap = bucket(expenses, "category");
+    const billingMap = new Map(
+      billing.map((b) => [`${b._id.year}-${b._id.month}`, b]),
+    );
+
+    const rows = months.map(({ month, year, key }) => {
+      const { ADVANCE: advanceApplied = 0, ...byMethod } =
+        collectionMap.get(key) || {};
+      const byCategory = expenseMap.get(key) || {};
+      const billed = billingMap.get(`${year}-${month}`) || { billed: 0, outstanding: 0 };
+      const collected = sumValues(byMethod);
+      const totalExpenses = sumValues(byCategory);
+      const advanceDeposited = depositMap.get(key)?.DEPOSIT || 0;
+      const refunds = refundMap.get(key)?.REFUND || 0;
+
+      return {
+        period: `${getMonthName(month)} ${year}`,
+        month,
+        year,
+        income: {
+          collected,
+          byMethod,
+          advanceApplied,
+          advanceDeposited,
+          billed: roundFeeAmount(billed.billed),
+          outstanding: roundFeeAmount(billed.outstanding),
+        },
+        expenses: { total: totalExpenses, byCategory },
+        refunds,
+        netProfit: roundFeeAmount(collected - totalExpenses - refunds),
+      };
+    });
+
+    for (let i = 1; i < rows.length; i++) {
+      const prev = rows[i - 1];
+      rows[i].change = {
+        collected: change(rows[i].income.collected, prev.income.collected),
+        expenses: change(rows[i].expenses.total, prev.expenses.total),
+        netProfit: change(rows[i].netProfit, prev.netProfit),
+      };
+    }
+    const report = rows.slice(1);
+
+    const mergeInto = (target, source) => {
+      for (const [name, amount] of Object.entries(source)) {
+        target[name] = roundFeeAmount((target[name] || 0) + amount);
+      }
+      return target;
+    };
+    const totals = report.reduce(
+      (acc, row) => {
+        acc.collected = roundFeeAmount(acc.collected + row.income.collected);
+        acc.advanceApplied = roundFeeAmount(acc.advanceApplied + row.income.advanceApplied);
+        acc.advanceDeposited = roundFeeAmount(
+          acc.advanceDeposited + row.income.advanceDeposited,
+        );
+        acc.billed = roundFeeAmount(acc.billed + row.income.billed);
+        acc.outstanding = roundFeeAmount(acc.outstanding + row.income.outstanding);
+        acc.expenses = roundFeeAmount(acc.expenses + row.expenses.total);
+        acc.refunds = roundFeeAmount(acc.refunds + row.refunds);
+        mergeInto(acc.byMethod, row.income.byMethod);
+        mergeInto(acc.byCategory, row.expenses.byCategory);
+        return acc;
+      },
+      {
+        collected: 0,
+        byMethod: {},
+        advanceApplied: 0,
+        advanceDeposited: 0,
+        billed: 0,
+        outstanding: 0,
+        expenses: 0,
+        byCategory: {},
+        refunds: 0,
+      },
+    );
+    totals.netProfit = roundFeeAmount(
+      totals.collected - totals.expenses - totals.refunds,
+    );
+    totals.profitMargin =
+      totals.collected > 0
+        ? Math.round((totals.netProfit / totals.collected) * 100)
+        : 0;
+
+    return {
+      library: {
+        name: library?.name || "Library",
+        address: library?.address || null,
+        phone: library?.phone || null,
+        email: library?.email || null,
+        website: library?.website || null,
+        logoUrl: library?.logoUrl || null,
+        currency: library?.settings?.currency || "INR",
+      },
+      period: {
+        start: `${startMonth + 1}/${startYear}`,
+        end: `${endMonth + 1}/${endYear}`,
+        label: `${report[0].period} – ${report[report.length - 1].period}`,
+      },
+      months: report,
+      totals,
+      // Advance balances are owed back as future fees — a snapshot, not period-bound
+      advanceLiability: {
+        remaining: roundFeeAmount(advance[0]?.remaining || 0),
+        asOf: new Date(),
+      },
+      generatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Render a profit & loss report (as returned by getProfitAndLoss) as CSV
+   * @param {Object} pl
+   * @returns {string}
+   */
+  static profitAndLossToCsv(pl) {
+    const methods = Object.keys(pl.totals.byMethod).sort();
+    const categories = Object.keys(pl.totals.byCategory).sort();
+
+    const headers = [
+      "Period",
+      ...methods.map((m) => `Collected (${m})`),
+      "Total Collected",
+      "Advance Deposited",
+      "Paid from Advance",
+      "Billed",
+      "Outstanding",
+      ...categories.map((c) => `Expense (${c})`),
+      "Total Expenses",
+      "Advance Refunds",
+      "Net Profit",
+      "Net Profit Change",
+      "Net Profit Change %",
+    ];
+
+    const rows = pl.months.map((row) => [
+      row.period,
+      ...methods.map((m) => row.income.byMethod[m] || 0),
+      row.income.collected,
+      row.income.advanceDeposited,
+      row.income.advanceApplied,
+      row.income.billed,
+      row.income.outstanding,
+      ...categories.map((c) => row.expenses.byCategory[c] || 0),
+      row.expenses.total,
+      row.refunds,
+      row.netProfit,
+      row.change.netProfit.amount,
+      row.change.netProfit.percentage ?? "",
+    ]);
+
+    rows.push([
+      "Total",
+      ...methods.map((m) => pl.totals.byMethod[m]),
+      pl.totals.collected,
+      pl.totals.advanceDeposited,
+      pl.totals.advanceApplied,
+      pl.totals.billed,
+      pl.totals.outstanding,
+      ...categories.map((c) => pl.totals.byCategory[c]),
+      pl.totals.expenses,
+      pl.totals.refunds,
+      pl.totals.netProfit,
+      "",
+      "",
+    ]);
+    rows.push([]);
+    rows.push([
+      `Advance liability as of ${pl.advanceLiability.asOf.toISOString().slice(0, 10)}`,
+      pl.advanceLiability.remaining,
+    ]);
+
+    return toCsv(headers, rows);
+  }
+
+  /**
+   * Render a profit & loss report (as returned by getProfitAndLoss) into a PDF and stream it
+   * @param {Object} pl
+   * @param {import("stream").Writable} stream - e.g. Express `res`
+   * @returns {Promise<void>}
+   */
+  static async streamProfitAndLossPDF(pl, stream) {
+    const { library } = pl;
+    const currency = library.currency;
+    const money = (amount) => formatCurrency(amount, currency);
+    const logo = await fetchImageBuffer(library.logoUrl);
+
+    const doc = createPdfDocument({
+      Title: `Profit & Loss ${pl.period.label}`,
+      Author: library.name,
+    });
+
+    drawLibraryHeader(doc, library, logo);
+
+    doc.font("Helvetica-Bold").fontSize(14).text("PROFIT & LOSS STATEMENT", {
+      align: "center",
+    });
+    doc.font("Helvetica").fontSize(10).text(pl.period.label, { align: "center" });
+    doc.moveDown();
+
+    drawKeyValueRows(doc, [
+      ["Fees Collected", money(pl.totals.collected)],
+      ["Total Expenses", money(pl.totals.expenses)],
+      ["Advance Refunds", money(pl.totals.refunds)],
+      ["Net Profit", money(pl.totals.netProfit), { bold: true }],
+      ["Profit Margin", `${pl.totals.profitMargin}%`],
+      ["Outstanding Dues", money(pl.totals.outstanding)],
+      ["Advance Deposited", money(pl.totals.advanceDeposited)],
+      ["Paid from Advance", money(pl.totals.advanceApplied)],
+      [
+        `Advance Liability (as of ${pl.advanceLiability.asOf.toISOString().slice(0, 10)})`,
+        money(pl.advanceLiability.remaining),
+      ],
+    ]);
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text("Month by Month");
+    doc.moveDown(0.5);
+    drawTable(
+      doc,
+      [
+        { header: "Month", width: 75 },
+        { header: "Collected", width: 80, align: "right" },
+        { header: "Outstanding", width: 75, align: "right" },
+        { header: "Expenses", width: 75, align: "right" },
+        { header: "Refunds", width: 70, align: "right" },
+        { header: "Net Profit", width: 80, align: "right" },
+        { header: "Change", width: 40, align: "right" },
+      ],
+      [
+        ...pl.months.map((row) => [
+          row.period,
+          money(row.income.collected),
+          money(row.income.outstanding),
+          money(row.expenses.total),
+          money(row.refunds),
+          money(row.netProfit),
+          row.change.netProfit.percentage === null
+            ? "-"
+            : `${row.change.netProfit.percentage}%`,
+        ]),
+        [
+          "Total",
+          money(pl.totals.collected),
+          money(pl.totals.outstanding),
+          money(pl.totals.expenses),
+          money(pl.totals.refunds),
+          money(pl.totals.netProfit),
+          "",
+        ],
+      ],
+      { boldLastRow: true },
+    );
+
+    const methodRows = Object.entries(pl.totals.byMethod);
+    if (methodRows.length > 0) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(11).text("Collections by Payment Method");
+      doc.moveDown(0.5);
+      drawKeyValueRows(
+        doc,
+        methodRows.map(([method, amount]) => [method, money(amount)]),
+      );
+    }
+
+    const categoryRows = Object.entries(pl.totals.byCategory).sort(
+      (a, b) => b[1] - a[1],
+    );
+    if (categoryRows.length > 0) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(11).text("Expenses by Category");
+      doc.moveDown(0.5);
+      drawKeyValueRows(
+        doc,
+        categoryRows.map(([category, amount]) => [category, money(amount)]),
+      );
+    }
+
+    doc.moveDown(2);
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(8)
+      .fillColor("#777777")
+      .text(
+        `Cash basis. Generated on ${pl.generatedAt.toISOString().slice(0, 10)}.`,
+        { align: "center" },
+      );
+
+    await pipePdf(doc, stream);
+  }
 }
 
 export default AnalyticsService;
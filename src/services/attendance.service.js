@@ -0,0 +1,738 @@
+/**
+ * Attendance Service
+ * Self check-in / check-out through the library's kiosk QR code.
+ * The kiosk screen polls for a fresh signed code every few seconds; a
+ * student scans it from the app, which toggles their visit for the day.
+ * Also builds a student's attendance calendar, study hours and streaks,
+ * marks a whole slot or room at once, and compares visits with the booked
+ * slot (late arrivals, early leaves, out-of-slot use).
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Attendance } from "../models/attendance.model.js";
+import { KioskScan } from "../models/kioskScan.model.js";
+import { Library } from "../models/library.model.js";
+import { MembershipPause } from "../models/membershipPause.model.js";
+import { Slot } from "../models/slot.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { StudentStatus } from "../constants/constants.js";
+import {
+  classifyAttendance,
+  classifyVisitTiming,
+  getAttendancePercent,
+  getAttendanceStreaks,
+  getSlotMinutes,
+  getStudyMinutes,
+  signKioskCode,
+  toDateKey,
+  verifyKioskCode,
+} from "../utils/attendanceHelpers.js";
+import { getMonthName } from "../utils/feeHelpers.js";
+import { getTenantSlotFilter } from "../utils/slotHelpers.js";
+
+const ATTENDANCE_STATUSES = ["PRESENT", "ABSENT", "HALF_DAY"];
+const DEFAULT_CODE_SECONDS = 15;
+// Extra time a code is accepted after the screen has rotated past it
+const CODE_GRACE_SECONDS = 10;
+const DEFAULT_FULL_DAY_PERCENT = 50;
+const DEFAULT_TOLERANCE = { lateMinutes: 10, earlyLeaveMinutes: 15, outsideSlotMinutes: 30 };
+// A visit still open after this long is treated as forgotten, not ongoing
+const MAX_VISIT_HOURS = 16;
+// Streaks are counted over this many days back from today
+const STREAK_LOOKBACK_DAYS = 365;
+
+// Checked at startup (src/index.js); never falls back to a login secret
+const getKioskSecret = () => {
+  if (!process.env.KIOSK_QR_SECRET) {
+    throw new ApiError(500, "Kiosk check-in is not configured");
+  }
+  return process.env.KIOSK_QR_SECRET;
+};
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+class AttendanceService {
+  static async _getSettings(tenantId) {
+    const library = await Library.findById(tenantId)
+      .select(
+        "settings.kioskCodeSeconds settings.fullDayAttendancePercent " +
+          "settings.lateToleranceMinutes settings.earlyLeaveToleranceMinutes " +
+          "settings.outsideSlotToleranceMinutes settings.slotTimingNoticesEnabled",
+      )
+      .lean();
+    const settings = library?.settings || {};
+    return {
+      codeSeconds: settings.kioskCodeSeconds || DEFAULT_CODE_SECONDS,
+      fullDayPercent: settings.fullDayAttendancePercent || DEFAULT_FULL_DAY_PERCENT,
+      tolerance: {
+        lateMinutes: settings.lateToleranceMinutes ?? DEFAULT_TOLERANCE.lateMinutes,
+        earlyLeaveMinutes:
+          settings.earlyLeaveToleranceMinutes ?? DEFAULT_TOLERANCE.earlyLeaveMinutes,
+        outsideSlotMinutes:
+          settings.outsideSlotToleranceMinutes ?? DEFAULT_TOLERANCE.outsideSlotMinutes,
+      },
+      timingNotices: settings.slotTimingNoticesEnabled ?? false,
+    };
+  }
+
+  static async _getStudentSlot(student) {
+    if (!student?.slotId) return null;
+    return Slot.findById(student.slotId).select("timeRange slotType").lean();
+  }
+
+  /**
+   * A record's check-in / out compared with a slot; undefined when either
+   * is missing
+   */
+  static getVisitTiming(record, slot, tolerance) {
+    if (!slot?.timeRange || !record.checkInTime) return undefined;
+    const timing = classifyVisitTiming(
+      record.checkInTime,
+      record.checkOutTime,
+      slot.timeRange,
+      tolerance,
+      slot.slotType === "FULL_DAY",
+    );
+    return timing ? { slotId: slot._id, ...timing } : undefined;
+  }
+
+  /**
+   * Re-classify an admin-marked record against the student's slot
+   * @param {Object} attendance - Attendance document
+   */
+  static async refreshTiming(attendance) {
+    const student = await Student.findById(attendance.studentId)
+      .select("slotId")
+      .lean();
+    const [{ tolerance }, slot] = await Promise.all([
+      this._getSettings(attendance.tenantId),
+      this._getStudentSlot(student),
+    ]);
+    attendance.timing = this.getVisitTiming(attendance, slot, tolerance);
+    return attendance.save();
+  }
+
+  /**
+   * Current QR code for the library's kiosk screen.
+   * A code checks in one student and stays valid for a short grace period
+   * after the screen rotates, so a scan started just before still goes through.
+   */
+  static async getKioskCode(tenantId) {
+    const { codeSeconds } = await this._getSettings(tenantId);
+    const validSeconds = codeSeconds + CODE_GRACE_SECONDS;
+    const issuedAt = Date.now();
+    const code = signKioskCode(
+      {
+        tenantId,
+        issuedAt,
+        validSeconds,
+        nonce: crypto.randomBytes(12).toString("base64url"),
+      },
+      getKioskSecret(),
+    );
+
+    return {
+      code,
+      issuedAt: new Date(issuedAt),
+      expiresAt: new Date(issuedAt + validSeconds * 1000),
+      refreshInSeconds: codeSeconds,
+    };
+  }
+
+  /**
+   * Student scanned the kiosk code: check in, or check out of the open visit.
+   * @param {Object} student - Authenticated student
+   * @param {string} code - Scanned QR payload
+   * @param {"CHECK_IN"|"CHECK_OUT"} [requestedAction] - Defaults to a toggle
+   */
+  static async scanKioskCode(student, code, requestedAction) {
+    if (!code) throw new ApiError(400, "Scanned code is required");
+    if (requestedAction && !["CHECK_IN", "CHECK_OUT"].includes(requestedAction)) {
+      throw new ApiError(400, "Action must be CHECK_IN or CHECK_OUT");
+    }
+
+    const now = new Date();
+    const verified = verifyKioskCode(code, getKioskSecret(), now.getTime());
+    if (verified.error) throw new ApiError(400, verified.error);
+    if (verified.tenantId !== student.tenantId?.toString()) {
+      throw new ApiError(400, "This code belongs to a different library");
+    }
+    if (student.status !== StudentStatus.ACTIVE) {
+      throw new ApiError(403, "Only active members can check in");
+    }
+
+    const tenantId = student.tenantId;
+    const openVisit = await Attendance.findOne({
+      tenantId,
+      studentId: student._id,
+      checkInTime: { $gte: new Date(now.getTime() - MAX_VISIT_HOURS * 60 * 60 * 1000) },
+      checkOutTime: null,
+    }).sort({ checkInTime: -1 });
+
+    const action = requestedAction || (openVisit ? "CHECK_OUT" : "CHECK_IN");
+    if (action === "CHECK_IN" && openVisit) {
+      throw new ApiError(409, "You are already checked in");
+    }
+    if (action === "CHECK_OUT" && !openVisit) {
+      throw new ApiError(400, "You have not checked in");
+    }
+
+    // Claim the code before touching attendance: one code, one student
+    let scan;
+    try {
+      scan = await KioskScan.create({
+        nonce: verified.nonce,
+        studentId: student._id,
+        action,
+        tenantId,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(
+          409,
+          "This code has already been used. Wait for the next code on the screen and scan again.",
+        );
+      }
+      throw error;
+    }
+
+    const attendance =
+      action === "CHECK_IN"
+        ? await this._checkIn(student, now)
+        : await this._checkOut(student, openVisit, now);
+
+    await KioskScan.updateOne({ _id: scan._id }, { attendanceId: attendance._id });
+
+    return { action, attendance };
+  }
+
+  static async _checkIn(student, now) {
+    const [{ tolerance, timingNotices }, slot] = await Promise.all([
+      this._getSettings(student.tenantId),
+      this._getStudentSlot(student),
+    ]);
+    const query = {
+      tenantId: student.tenantId,
+      studentId: student._id,
+      date: startOfDay(now),
+    };
+    const existing = await Attendance.findOne(query);
+
+    // Back after stepping out: reopen today's visit from its first check-in
+    if (existing?.checkInTime && existing.checkOutTime) {
+      existing.checkOutTime = undefined;
+      existing.status = "PRESENT";
+      existing.source = "KIOSK";
+      return existing.save();
+    }
+
+    const timing = this.getVisitTiming({ checkInTime: now }, slot, tolerance);
+    const attendance = await Attendance.findOneAndUpdate(
+      query,
+      {
+        status: "PRESENT",
+        checkInTime: now,
+        source: "KIOSK",
+        ...(timing ? { timing } : {}),
+        $unset: { checkOutTime: 1, ...(timing ? {} : { timing: 1 }) },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true },
+    );
+
+    if (timingNotices && timing?.flags.includes("LATE")) {
+      await this._sendTimingNotice(
+        student,
+        `You checked in ${timing.lateMinutes} minutes after your slot started.`,
+      );
+    }
+    return attendance;
+  }
+
+  static async _checkOut(student, visit, now) {
+    const [{ fullDayPercent, tolerance, timingNotices }, slot] = await Promise.all([
+      this._getSettings(student.tenantId),
+      this._getStudentSlot(student),
+    ]);
+
+    const durationMinutes = Math.round((now - visit.checkInTime) / 60000);
+    const slotMinutes = slot?.timeRange ? getSlotMinutes(slot.timeRange) : 0;
+
+    visit.checkOutTime = now;
+    visit.status = classifyAttendance(durationMinutes, slotMinutes, fullDayPercent);
+    visit.source = "KIOSK";
+    visit.timing = this.getVisitTiming(visit, slot, tolerance);
+    await visit.save();
+
+    if (timingNotices && visit.timing?.flags.includes("OUTSIDE_SLOT")) {
+      await this._sendTimingNotice(
+        student,
+        `You studied ${formatMinutes(visit.timing.outsideSlotMinutes)} outside your booked slot today. ` +
+          "Ask at the desk about a full-day slot if you need longer hours.",
+      );
+    }
+    return visit;
+  }
+
+  static async _sendTimingNotice(student, message) {
+    try {
+      const NotificationService = (await import("./notification.service.js"))
+        .default;
+      await NotificationService.sendStudentNotification({
+        studentId: student._id,
+        title: "Attendance notice",
+        message,
+        type: "ATTENDANCE_NOTICE",
+      });
+    } catch (error) {
+      console.error(`Failed to send attendance notice to ${student._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Slots of a slot / room filter, checked against the library.
+   * Returns null when neither is given (whole library).
+   * @returns {Promise<{ slots: Object[], slotIds: ObjectId[], label: string } | null>}
+   */
+  static async resolveSlotGroup(tenantId, { slotId, roomId }) {
+    if (!slotId && !roomId) return null;
+
+    const slots = await Slot.find({
+      $and: [await getTenantSlotFilter(tenantId), slotId ? { _id: slotId } : { roomId }],
+    })
+      .select("name roomId timeRange slotType")
+      .populate("roomId", "name")
+      .lean();
+    if (slots.length === 0) {
+      throw new ApiError(404, slotId ? "Slot not found" : "Room not found or has no slots");
+    }
+
+    return {
+      slots,
+      slotIds: slots.map((slot) => slot._id),
+      label: slotId
+        ? `Slot ${slots[0].name}`
+        : `Room ${slots[0].roomId?.name || ""}`.trim(),
+    };
+  }
+
+  /**
+   * Mark one day's attendance for every active student of a slot or room
+   * (e.g. when the kiosk was down). Students already marked that day are
+   * left alone unless `overwrite` is set.
+   * @param {string} tenantId
+   * @param {string} adminId
+   * @param {Object} data - { date, slotId | roomId, status, exceptions: [{ studentId, status }], checkInTime, checkOutTime, overwrite }
+   */
+  static async markBulk(tenantId, adminId, data) {
+    const {
+      date,
+      slotId,
+      roomId,
+      status = "PRESENT",
+      exceptions = [],
+      checkInTime,
+      checkOutTime,
+      overwrite = false,
+    } = data;
+
+    if (!date) throw new ApiError(400, "Date is required");
+    if (!slotId === !roomId) {
+      throw new ApiError(400, "Provide either a slotId or a roomId");
+    }
+    const day = startOfDay(date);
+    if (Number.isNaN(day.getTime())) throw new ApiError(400, "Invalid date");
+    if (day > startOfDay(new Date())) {
+      throw new ApiError(400, "Attendance can't be marked for a future date");
+    }
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      throw new ApiError(400, `Status must be one of ${ATTENDANCE_STATUSES.join(", ")}`);
+    }
+    if (!Array.isArray(exceptions)) {
+      throw new ApiError(400, "Exceptions must be a list of { studentId, status }");
+    }
+
+    const exceptionMap = new Map();
+    for (const exception of exceptions) {
+      if (!exception?.studentId || !ATTENDANCE_STATUSES.includes(exception.status)) {
+        throw new ApiError(400, "Each exception needs a studentId and a valid status");
+      }
+      exceptionMap.set(String(exception.studentId), exception.status);
+    }
+
+    const group = await this.resolveSlotGroup(tenantId, { slotId, roomId });
+    const dayEnd = new Date(day);
+    dayEnd.setHours(23, 59, 59, 999);
+    const students = await Student.find({
+      tenantId,
+      isDeleted: false,
+      status: StudentStatus.ACTIVE,
+      slotId: { $in: group.slotIds },
+      joiningDate: { $lte: dayEnd },
+    })
+      .select("_id slotId")
+      .lean();
+
+    const studentIds = new Set(students.map((s) => s._id.toString()));
+    const outsiders = [...exceptionMap.keys()].filter((id) => !studentIds.has(id));
+    if (outsiders.length > 0) {
+      throw new ApiError(
+        400,
+        `${outsiders.length} exception(s) are not active students of this ${slotId ? "slot" : "room"}`,
+        outsiders,
+      );
+    }
+
+    const alreadyMarked = overwrite
+      ? new Set()
+      : new Set(
+          (
+            await Attendance.find({
+              tenantId,
+              date: day,
+              studentId: { $in: students.map((s) => s._id) },
+            }).distinct("studentId")
+          ).map((id) => id.toString()),
+        );
+
+    const { tolerance } = await this._getSettings(tenantId);
+    const slotMap = new Map(group.slots.map((slot) => [slot._id.toString(), slot]));
+
+    const counts = { PRESENT: 0, ABSENT: 0, HALF_DAY: 0 };
+    const operations = [];
+    for (const student of students) {
+      const id = student._id.toString();
+      if (alreadyMarked.has(id)) continue;
+
+      const studentStatus = exceptionMap.get(id) || status;
+      const attended = studentStatus !== "ABSENT";
+      const times = {
+        checkInTime: attended && checkInTime ? new Date(checkInTime) : null,
+        checkOutTime: attended && checkOutTime ? new Date(checkOutTime) : null,
+      };
+      const timing = this.getVisitTiming(
+        times,
+        slotMap.get(student.slotId?.toString()),
+        tolerance,
+      );
+      counts[studentStatus]++;
+      operations.push({
+        updateOne: {
+          filter: { tenantId, studentId: student._id, date: day },
+          update: {
+            $set: {
+              status: studentStatus,
+              source: "ADMIN",
+              markedBy: adminId,
+              ...times,
+              ...(timing ? { timing } : {}),
+            },
+            ...(timing ? {} : { $unset: { timing: 1 } }),
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (operations.length > 0) await Attendance.bulkWrite(operations);
+
+    return {
+      date: day,
+      group: group.label,
+      students: students.length,
+      marked: operations.length,
+      skipped: alreadyMarked.size,
+      ...counts,
+    };
+  }
+
+  /**
+   * Why a day doesn't count as a working day, if it doesn't
+   * (library holiday, weekly off, membership pause)
+   * @param {Object} [library] - Already loaded library (with settings)
+   * @param {Array<Object>} [pauses] - The student's pauses, when already loaded
+   */
+  static async getClosedDays(student, from, to, library, pauses = null) {
+    const [libraryDoc, studentPauses] = await Promise.all([
+      library ||
+        Library.findById(student.tenantId)
+          .select("settings.holidays settings.weeklyOffDays")
+          .lean(),
+      pauses ||
+        MembershipPause.find({
+          studentId: student._id,
+          status: { $ne: "CANCELLED" },
+          from: { $lte: to },
+          to: { $gte: from },
+        })
+          .select("from to")
+          .lean(),
+    ]);
+
+    const holidays = new Map(
+      (libraryDoc?.settings?.holidays || []).map((holiday) => [
+        toDateKey(holiday.date),
+        holiday.name || "Holiday",
+      ]),
+    );
+    const weeklyOffDays = new Set(libraryDoc?.settings?.weeklyOffDays || []);
+
+    return (day) => {
+      const key = toDateKey(day);
+      if (holidays.has(key)) return { status: "HOLIDAY", name: holidays.get(key) };
+      if (weeklyOffDays.has(day.getDay())) return { status: "WEEKLY_OFF" };
+      const paused = studentPauses.some(
+        (pause) => startOfDay(pause.from) <= day && day <= startOfDay(pause.to),
+      );
+      return paused ? { status: "PAUSED" } : null;
+    };
+  }
+
+  /**
+   * A student's attendance calendar for one month, with study hours,
+   * streaks and the share of working days attended.
+   * Unmarked past working days count as absent; half days count half.
+   * Only the month and the streak window (the last year) are loaded.
+   * @param {Object} student
+   * @param {number} month - 0-11
+   * @param {number} year
+   */
+  static async getStudentAttendance(student, month, year) {
+    if (!Number.isInteger(month) || month < 0 || month > 11 || !Number.isInteger(year)) {
+      throw new ApiError(400, "Invalid month or year");
+    }
+
+    const today = startOfDay(new Date());
+    const todayKey = toDateKey(today);
+    const joinDay = startOfDay(student.joiningDate || student.createdAt);
+    const monthStart = new Date(year, month, 1);
+    const monthEnd = new Date(year, month + 1, 0);
+    const lookbackStart = new Date(today);
+    lookbackStart.setDate(lookbackStart.getDate() - STREAK_LOOKBACK_DAYS);
+    const streakStart = joinDay > lookbackStart ? joinDay : lookbackStart;
+
+    const [records, closedReason] = await Promise.all([
+      Attendance.find({
+        tenantId: student.tenantId,
+        studentId: student._id,
+        $or: [
+          { date: { $gte: monthStart, $lte: monthEnd } },
+          { date: { $gte: streakStart, $lte: today } },
+        ],
+      })
+        .select("date status checkInTime checkOutTime source timing")
+        .lean(),
+      this.getClosedDays(
+        student,
+        streakStart < monthStart ? streakStart : monthStart,
+        today > monthEnd ? today : monthEnd,
+      ),
+    ]);
+    const recordMap = new Map(records.map((record) => [toDateKey(record.date), record]));
+    const isAttended = (record) => record && record.status !== "ABSENT";
+
+    // Streaks run over every working day in the lookback window
+    const workingDays = [];
+    const attendedDays = new Set();
+    for (let day = new Date(streakStart); day <= today; day.setDate(day.getDate() + 1)) {
+      if (closedReason(day)) continue;
+      const key = toDateKey(day);
+      workingDays.push(key);
+      if (isAttended(recordMap.get(key))) attendedDays.add(key);
+    }
+
+    const summary = {
+      workingDays: 0,
+      presentDays: 0,
+      halfDays: 0,
+      absentDays: 0,
+      closedDays: 0,
+      totalMinutes: 0,
+    };
+    const days = [];
+    for (let day = new Date(monthStart); day <= monthEnd; day.setDate(day.getDate() + 1)) {
+      const key = toDateKey(day);
+      const record = recordMap.get(key);
+      const closed = closedReason(day);
+      const minutes = getStudyMinutes(record);
+      summary.totalMinutes += minutes;
+
+      let status;
+      if (day < joinDay) status = "NOT_JOINED";
+      else if (closed) {
+        status = closed.status;
+        summary.closedDays++;
+      } else if (day > today) status = "UPCOMING";
+      else {
+        status = record?.status || (key === todayKey ? "NOT_MARKED" : "ABSENT");
+        if (status !== "NOT_MARKED") summary.workingDays++;
+        if (status === "PRESENT") summary.presentDays++;
+        else if (status === "HALF_DAY") summary.halfDays++;
+        else if (status === "ABSENT") summary.absentDays++;
+      }
+
+      days.push({
+        date: key,
+        weekday: day.getDay(),
+        status,
+        holidayName: closed?.name || null,
+        checkInTime: record?.checkInTime || null,
+        checkOutTime: record?.checkOutTime || null,
+        minutes,
+        source: record?.source || null,
+        timing: record?.timing || null,
+      });
+    }
+
+    return {
+      month,
+      year,
+      label: `${getMonthName(month)} ${year}`,
+      days,
+      summary: {
+        ...summary,
+        totalHours: Math.round((summary.totalMinutes / 60) * 10) / 10,
+        attendancePercent: getAttendancePercent(
+          summary.presentDays,
+          summary.halfDays,
+          summary.workingDays,
+        ),
+      },
+      streaks: getAttendanceStreaks(workingDays, attendedDays, todayKey),
+    };
+  }
+
+  /**
+   * Students who regularly stay outside their booked slot — candidates for
+   * a full-day slot. Students already on a full-day slot are left out.
+   * @param {string} tenantId
+   * @param {Object} query - { from, to (default: last 30 days), minOverstays (default 3) }
+   */
+  static async getOverstayReport(tenantId, query = {}) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+      ? new Date(query.from)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const minOverstays = query.minOverstays ? parseInt(query.minOverstays) : 3;
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      throw new ApiError(400, "Invalid date range");
+    }
+    if (!Number.isInteger(minOverstays) || minOverstays < 1) {
+      throw new ApiError(400, "minOverstays must be a positive number");
+    }
+
+    const tenantObjectId = new mongoose.Types.ObjectId(String(tenantId));
+    const groups = await Attendance.aggregate([
+      {
+        $match: {
+          tenantId: tenantObjectId,
+          date: { $gte: startOfDay(from), $lte: to },
+          checkInTime: { $ne: null },
+        },
+      },
+      {
+        $group: {
+          _id: "$studentId",
+          visits: { $sum: 1 },
+          overstays: {
+            $sum: {
+              $cond: [
+                { $in: ["OUTSIDE_SLOT", { $ifNull: ["$timing.flags", []] }] },
+                1,
+                0,
+              ],
+            },
+          },
+          outsideMinutes: { $sum: { $ifNull: ["$timing.outsideSlotMinutes", 0] } },
+          lastOverstay: {
+            $max: {
+              $cond: [
+                { $in: ["OUTSIDE_SLOT", { $ifNull: ["$timing.flags", []] }] },
+                "$date",
+                null,
+              ],
+            },
+          },
+        },
+      },
+      { $match: { overstays: { $gte: minOverstays } } },
+      { $sort: { overstays: -1, outsideMinutes: -1 } },
+    ]);
+
+    const [students, fullDaySlots] = await Promise.all([
+      Student.find({
+        _id: { $in: groups.map((g) => g._id) },
+        isDeleted: false,
+      })
+        .select("name phone libraryId seatNumber slotId status")
+        .populate("slotId", "name monthlyFee slotType timeRange")
+        .lean({ getters: true }),
+      Slot.find({
+        $and: [await getTenantSlotFilter(tenantObjectId), { slotType: "FULL_DAY", isActive: true }],
+      })
+        .select("name monthlyFee timeRange")
+        .sort({ monthlyFee: 1 })
+        .lean({ getters: true }),
+    ]);
+
+    const studentMap = new Map(students.map((s) => [s._id.toString(), s]));
+    const cheapestFullDay = fullDaySlots[0] || null;
+
+    const rows = groups
+      .map((group) => {
+        const student = studentMap.get(group._id.toString());
+        if (!student || student.slotId?.slotType === "FULL_DAY") return null;
+        return {
+          student: {
+            _id: student._id,
+            name: student.name,
+            phone: student.phone,
+            libraryId: student.libraryId,
+            seatNumber: student.seatNumber,
+            status: student.status,
+          },
+          currentSlot: student.slotId
+            ? {
+                _id: student.slotId._id,
+                name: student.slotId.name,
+                timeRange: student.slotId.timeRange,
+                monthlyFee: student.slotId.monthlyFee,
+              }
+            : null,
+          visits: group.visits,
+          overstays: group.overstays,
+          overstayPercent: Math.round((group.overstays / group.visits) * 100),
+          outsideHours: Math.round((group.outsideMinutes / 60) * 10) / 10,
+          averageOutsideMinutes: Math.round(group.outsideMinutes / group.overstays),
+          lastOverstay: group.lastOverstay,
+          // Extra monthly revenue if moved to the cheapest full-day slot
+          upgradeFeeDifference:
+            cheapestFullDay && student.slotId
+              ? Math.max(0, cheapestFullDay.monthlyFee - student.slotId.monthlyFee)
+              : null,
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      period: { from: startOfDay(from), to },
+      minOverstays,
+      fullDaySlots,
+      students: rows,
+    };
+  }
+}
+
+export default AttendanceService;
@@ -0,0 +1,322 @@
+/**
+ * Attendance Register Service
+ * Monthly students × days register (P / A / H) with totals, for a slot, a
+ * room or the whole library, as JSON or a CSV / XLSX / PDF download.
+ */
+
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { Attendance } from "../models/attendance.model.js";
+import { Library } from "../models/library.model.js";
+import { MembershipPause } from "../models/membershipPause.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { StudentStatus } from "../constants/constants.js";
+import {
+  REGISTER_MARKS,
+  getRegisterTotals,
+  toDateKey,
+} from "../utils/attendanceHelpers.js";
+import { toCsvLine } from "../utils/csvHelpers.js";
+import { getMonthName } from "../utils/feeHelpers.js";
+import {
+  createPdfDocument,
+  drawLibraryHeader,
+  drawTable,
+  fetchImageBuffer,
+  pipePdf,
+} from "../utils/pdfHelpers.js";
+import AttendanceService from "./attendance.service.js";
+
+export const REGISTER_FORMATS = ["csv", "xlsx", "pdf"];
+
+const WEEKDAYS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+const LEGEND = "P = Present, H = Half day, A = Absent, C = Library closed / membership paused";
+const TOTAL_HEADERS = ["Present", "Half days", "Absent", "Working days", "Attendance %"];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+class AttendanceRegisterService {
+  /**
+   * Build the register for a month
+   * @param {string} tenantId
+   * @param {Object} query - { month (0-11), year, slotId, roomId }
+   */
+  static async getRegister(tenantId, query) {
+    const now = new Date();
+    const month = query.month !== undefined ? parseInt(query.month) : now.getMonth();
+    const year = query.year !== undefined ? parseInt(query.year) : now.getFullYear();
+    if (!Number.isInteger(month) || month < 0 || month > 11 || !Number.isInteger(year)) {
+      throw new ApiError(400, "Invalid month or year");
+    }
+    if (query.slotId && query.roomId) {
+      throw new ApiError(400, "Filter by a slot or a room, not both");
+    }
+
+    const monthStart = new Date(year, month, 1);
+    const monthEnd = new Date(year, month + 1, 0, 23, 59, 59, 999);
+    const today = startOfDay(now);
+
+    const [library, group] = await Promise.all([
+      Library.findById(tenantId)
+        .select("name address phone email website logoUrl settings.holidays settings.weeklyOffDays")
+        .lean(),
+      AttendanceService.resolveSlotGroup(tenantId, query),
+    ]);
+    if (!library) throw new ApiError(404, "Library not found");
+
+    const records = await Attendance.find({
+      tenantId,
+      date: { $gte: monthStart, $lte: monthEnd },
+    })
+      .select("studentId date status")
+      .lean();
+
+    // Current members, plus anyone who attended that month and has since left
+    const students = await Student.find({
+      tenantId,
+      joiningDate: { $lte: monthEnd },
+      ...(group ? { slotId: { $in: group.slotIds } } : {}),
+      $or: [
+        {
+          isDeleted: false,
+          status: { $in: [StudentStatus.ACTIVE, StudentStatus.PAUSED] },
+        },
+        { _id: { $in: [...new Set(records.map((r) => r.studentId.toString()))] } },
+      ],
+    })
+      .select("name libraryId seatNumber slotId joiningDate leavingDate tenantId")
+      .populate("slotId", "name")
+      .sort({ name: 1 })
+      .lean();
+
+    const recordMap = new Map(
+      records.map((r) => [`${r.studentId}:${toDateKey(r.date)}`, r.status]),
+    );
+
+    const days = [];
+    for (let day = new Date(monthStart); day <= monthEnd; day.setDate(day.getDate() + 1)) {
+      days.push(new Date(day));
+    }
+
+    // One pause lookup for the whole register
+    const pauses = await MembershipPause.find({
+      studentId: { $in: students.map((s) => s._id) },
+      status: { $ne: "CANCELLED" },
+      from: { $lte: monthEnd },
+      to: { $gte: monthStart },
+    })
+      .select("studentId from to")
+      .lean();
+    const pausesByStudent = new Map();
+    for (const pause of pauses) {
+      const key = pause.studentId.toString();
+      if (!pausesByStudent.has(key)) pausesByStudent.set(key, []);
+      pausesByStudent.get(key).push(pause);
+    }
+
+    const rows = [];
+    for (const student of students) {
+      const closedReason = await AttendanceService.getClosedDays(
+        student,
+        monthStart,
+        monthEnd,
+        library,
+        pausesByStudent.get(student._id.toString()) || [],
+      );
+      const joinDay = startOfDay(student.joiningDate);
+      const leaveDay = student.leavingDate ? startOfDay(student.leavingDate) : null;
+
+      const marks = days.map((day) => {
+        const status = recordMap.get(`${student._id}:${toDateKey(day)}`);
+        if (status) return REGISTER_MARKS[status];
+        if (day < joinDay || day >= today || (leaveDay && day > leaveDay)) return "";
+        return closedReason(day) ? REGISTER_MARKS.CLOSED : REGISTER_MARKS.ABSENT;
+      });
+
+      rows.push({
+        studentId: student._id,
+        name: student.name,
+        libraryId: student.libraryId,
+        seatNumber: student.seatNumber || "",
+        slot: student.slotId?.name || "",
+        marks,
+        totals: getRegisterTotals(marks),
+      });
+    }
+
+    const { settings, ...letterhead } = library;
+    return {
+      library: letterhead,
+      period: { month, year, label: `${getMonthName(month)} ${year}` },
+      group: group?.label || "All students",
+      days: days.map((day) => ({
+        day: day.getDate(),
+        weekday: WEEKDAYS[day.getDay()],
+      })),
+      rows,
+    };
+  }
+
+  /**
+   * Write a register (as returned by getRegister) to a stream
+   * @param {Object} register
+   * @param {"csv"|"xlsx"|"pdf"} format
+   * @param {import("stream").Writable} stream - e.g. Express `res`
+   */
+  static async streamRegister(register, format, stream) {
+    if (format === "xlsx") return this._streamXlsx(register, stream);
+    if (format === "pdf") return this._streamPdf(register, stream);
+    return this._streamCsv(register, stream);
+  }
+
+  static _headers(register) {
+    return [
+      "Name",
+      "Library ID",
+      "Seat",
+      "Slot",
+      ...register.days.map((d) => `${d.day} ${d.weekday}`),
+      ...TOTAL_HEADERS,
+    ];
+  }
+
+  static _cells(row) {
+    const { present, halfDays, absent, workingDays, percent } = row.totals;
+    return [
+      row.name,
+      row.libraryId,
+      row.seatNumber,
+      row.slot,
+      ...row.marks,
+      present,
+      halfDays,
+      absent,
+      workingDays,
+      percent,
+    ];
+  }
+
+  static async _streamCsv(register, stream) {
+    const write = async (line) => {
+      if (!stream.write(`${line}\r\n`)) await once(stream, "drain");
+    };
+
+    // BOM so spreadsheet apps read names in UTF-8
+    await write(`\uFEFF${toCsvLine([`Attendance register — ${register.period.label} — ${register.group}`])}`);
+    await write(toCsvLine(this._headers(register)));
+    for (const row of register.rows) {
+      await write(toCsvLine(this._cells(row)));
+    }
+    await write("");
+    await write(toCsvLine([LEGEND]));
+
+    stream.end();
+  }
+
+  static async _streamXlsx(register, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet("Register", {
+      views: [{ state: "frozen", xSplit: 1, ySplit: 2 }],
+    });
+    sheet.columns = this._headers(register).map((header, index) => ({
+      width: index === 0 ? 28 : index < 4 ? 12 : index < 4 + register.days.length ? 6 : 13,
+    }));
+
+    const title = sheet.addRow([
+      `${register.library.name} — Attendance register — ${register.period.label} — ${register.group}`,
+    ]);
+    title.font = { bold: true, size: 13 };
+    title.commit();
+
+    const header = sheet.addRow(this._headers(register));
+    header.font = { bold: true };
+    header.alignment = { horizontal: "center", wrapText: true };
+    header.commit();
+
+    for (const row of register.rows) {
+      sheet.addRow(this._cells(row)).commit();
+    }
+
+    sheet.addRow([]).commit();
+    sheet.addRow([LEGEND]).commit();
+
+    sheet.commit();
+    await workbook.commit();
+  }
+
+  static async _streamPdf(register, stream) {
+    const { library } = register;
+    const logo = await fetchImageBuffer(library.logoUrl);
+
+    const doc = createPdfDocument(
+      {
+        Title: `Attendance register ${register.period.label}`,
+        Author: library.name,
+      },
+      { layout: "landscape", margin: 30 },
+    );
+
+    drawLibraryHeader(doc, library, logo);
+
+    doc.font("Helvetica-Bold").fontSize(14).text("ATTENDANCE REGISTER", {
+      align: "center",
+    });
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(`${register.period.label} — ${register.group}`, { align: "center" });
+    doc.moveDown();
+
+    // Fit every day of the month across one landscape page
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const fixed = [
+      { header: "Name", width: 120 },
+      { header: "Seat", width: 32 },
+    ];
+    const totals = [
+      { header: "P", width: 22, align: "right" },
+      { header: "H", width: 22, align: "right" },
+      { header: "A", width: 22, align: "right" },
+      { header: "%", width: 30, align: "right" },
+    ];
+    const used = [...fixed, ...totals].reduce((sum, c) => sum + c.width, 0);
+    const dayWidth = Math.floor((pageWidth - used) / register.days.length);
+    const columns = [
+      ...fixed,
+      ...register.days.map((d) => ({ header: String(d.day), width: dayWidth, align: "center" })),
+      ...totals,
+    ];
+
+    const rows = register.rows.map((row) => [
+      row.name.length > 24 ? `${row.name.slice(0, 22)}...` : row.name,
+      row.seatNumber || "-",
+      ...row.marks,
+      row.totals.present,
+      row.totals.halfDays,
+      row.totals.absent,
+      row.totals.percent,
+    ]);
+
+    if (rows.length === 0) {
+      doc.font("Helvetica").fontSize(10).text("No students in this register.");
+    } else {
+      drawTable(doc, columns, rows, { fontSize: 7 });
+    }
+
+    doc.moveDown();
+    doc.font("Helvetica").fontSize(8).fillColor("#555555").text(LEGEND);
+    doc.fillColor("#000000");
+
+    await pipePdf(doc, stream);
+  }
+}
+
+export default AttendanceRegisterService;
@@ -0,0 +1,406 @@
+/**
+ * Expense Service
+ * Handles expense statistics, recurring expense templates and
+ * per-category monthly budgets with admin alerts
+ */
+
+import mongoose from "mongoose";
+import {
+  Expense,
+  EXPENSE_CATEGORIES,
+  EXPENSE_PAYMENT_METHODS,
+} from "../models/expense.model.js";
+import { RecurringExpense } from "../models/recurringExpense.model.js";
+import { ExpenseBudget } from "../models/expenseBudget.model.js";
+import { Admin } from "../models/admin.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  getCrossedThresholds,
+  getRecurringOccurrences,
+  startOfDay,
+} from "../utils/expenseHelpers.js";
+import { getMonthName } from "../utils/feeHelpers.js";
+
+// Missed occurrences older than this are not back-filled
+const MAX_CATCH_UP_DAYS = 31;
+
+const TEMPLATE_FIELDS = [
+  "description",
+  "amount",
+  "category",
+  "paymentMethod",
+  "paidBy",
+  "frequency",
+  "dayOfMonth",
+  "dayOfWeek",
+  "startDate",
+  "endDate",
+  "isActive",
+];
+
+class ExpenseService {
+  /**
+   * Expense totals per category for one month of a library
+   */
+  static async getCategoryTotals(tenantId, month, year) {
+    const startOfMonth = new Date(year, month, 1);
+    const endOfMonth = new Date(year, month + 1, 0, 23, 59, 59, 999);
+
+    return Expense.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(tenantId)),
+          date: { $gte: startOfMonth, $lte: endOfMonth },
+        },
+      },
+      {
+        $group: {
+          _id: "$category",
+          totalAmount: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $sort: { totalAmount: -1 },
+      },
+    ]);
+  }
+
+  /**
+   * Monthly expense statistics with budget usage per category
+   */
+  static async getExpenseStats(tenantId, month, year) {
+    const [stats, budgets] = await Promise.all([
+      this.getCategoryTotals(tenantId, month, year),
+      ExpenseBudget.find({ tenantId }).lean(),
+    ]);
+    const budgetMap = new Map(budgets.map((b) => [b.category, b]));
+
+    const categoryBreakdown = stats.map((item) => {
+      const budget = budgetMap.get(item._id);
+      return {
+        ...item,
+        budget: budget ? budget.monthlyLimit : null,
+        percentUsed:
+          budget && budget.monthlyLimit > 0
+            ? Math.round((item.totalAmount / budget.monthlyLimit) * 100)
+            : null,
+      };
+    });
+
+    const totalExpense = stats.reduce((sum, item) => sum + item.totalAmount, 0);
+    const totalBudget = budgets.reduce((sum, b) => sum + b.monthlyLimit, 0);
+
+    return {
+      month,
+      year,
+      totalExpense,
+      totalBudget,
+      categoryBreakdown,
+    };
+  }
+
+  // ─── Recurring Expenses ─────────────────────────────────────────────────
+
+  static _validateTemplate(data, partial = false) {
+    const required = ["description", "amount", "category"];
+    if (!partial) {
+      for (const field of required) {
+        if (data[field] === undefined || data[field] === "") {
+          throw new ApiError(400, `${field} is required`);
+        }
+      }
+    }
+
+    if (data.amount !== undefined && !(Number(data.amount) >= 0)) {
+      throw new ApiError(400, "Amount must be a positive number");
+    }
+    if (data.category !== undefined && !EXPENSE_CATEGORIES.includes(data.category)) {
+      throw new ApiError(400, "Invalid expense category");
+    }
+    if (
+      data.paymentMethod !== undefined &&
+      !EXPENSE_PAYMENT_METHODS.includes(data.paymentMethod)
+    ) {
+      throw new ApiError(400, "Invalid payment method");
+    }
+    if (data.frequency !== undefined && !["MONTHLY", "WEEKLY"].includes(data.frequency)) {
+      throw new ApiError(400, "Frequency must be MONTHLY or WEEKLY");
+    }
+    if (
+      data.dayOfMonth !== undefined &&
+      !(Number.isInteger(data.dayOfMonth) && data.dayOfMonth >= 1 && data.dayOfMonth <= 31)
+    ) {
+      throw new ApiError(400, "dayOfMonth must be between 1 and 31");
+    }
+    if (
+      data.dayOfWeek !== undefined &&
+      !(Number.isInteger(data.dayOfWeek) && data.dayOfWeek >= 0 && data.dayOfWeek <= 6)
+    ) {
+      throw new ApiError(400, "dayOfWeek must be between 0 (Sunday) and 6");
+    }
+  }
+
+  static async createRecurringExpense(data, adminId, tenantId) {
+    this._validateTemplate(data);
+
+    const template = {};
+    for (const field of TEMPLATE_FIELDS) {
+      if (data[field] !== undefined) template[field] = data[field];
+    }
+
+    return RecurringExpense.create({
+      ...template,
+      tenantId,
+      createdBy: adminId,
+    });
+  }
+
+  static async getRecurringExpenses(tenantId) {
+    return RecurringExpense.find({ tenantId })
+      .sort({ isActive: -1, category: 1 })
+      .lean();
+  }
+
+  /**
+   * Update a template. Expenses already generated are left unchanged.
+   */
+  static async updateRecurringExpense(templateId, data, tenantId) {
+    this._validateTemplate(data, true);
+
+    const template = await RecurringExpense.findOne({ _id: templateId, tenantId });
+    if (!template) {
+      throw new ApiError(404, "Recurring expense not found");
+    }
+
+    for (const field of TEMPLATE_FIELDS) {
+      if (data[field] !== undefined) template[field] = data[field];
+    }
+    await template.save();
+
+    return template;
+  }
+
+  static async deleteRecurringExpense(templateId, tenantId) {
+    const template = await RecurringExpense.findOneAndDelete({
+      _id: templateId,
+      tenantId,
+    });
+    if (!template) {
+      throw new ApiError(404, "Recurring expense not found");
+    }
+    return template;
+  }
+
+  /**
+   * Turn due template occurrences into Expense records (run daily).
+   * Missed days within MAX_CATCH_UP_DAYS are back-filled; an occurrence is
+   * never recorded twice thanks to the (recurringExpenseId, date) index.
+   */
+  static async generateRecurringExpenses(asOf = new Date()) {
+    const today = startOfDay(asOf);
+    const earliest = new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate() - MAX_CATCH_UP_DAYS,
+    );
+
+    const templates = await RecurringExpense.find({ isActive: true });
+    const touched = new Map(); // "tenantId:year:month" → { tenantId, month, year }
+    let created = 0;
+    const errors = [];
+
+    for (const template of templates) {
+      try {
+        let from = earliest;
+        if (template.lastGeneratedFor) {
+          const last = startOfDay(template.lastGeneratedFor);
+          const next = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+          if (next > from) from = next;
+        }
+
+        const occurrences = getRecurringOccurrences(template, from, today);
+        for (const date of occurrences) {
+          try {
+            await Expense.create({
+              amount: template.amount,
+              description: template.description,
+              category: template.category,
+              paymentMethod: template.paymentMethod,
+              paidBy: template.paidBy,
+              date,
+              recurringExpenseId: template._id,
+              tenantId: template.tenantId,
+              createdBy: template.createdBy,
+            });
+            created++;
+
+            const key = `${template.tenantId}:${date.getFullYear()}:${date.getMonth()}`;
+            touched.set(key, {
+              tenantId: template.tenantId,
+              month: date.getMonth(),
+              year: date.getFullYear(),
+            });
+          } catch (error) {
+            if (error.code !== 11000) throw error; // already generated
+          }
+        }
+
+        if (occurrences.length > 0) {
+          template.lastGeneratedFor = occurrences[occurrences.length - 1];
+          await template.save();
+        }
+      } catch (error) {
+        errors.push({ templateId: template._id, error: error.message });
+      }
+    }
+
+    let alerts = 0;
+    for (const { tenantId, month, year } of touched.values()) {
+      const result = await this.checkBudgetAlerts(tenantId, month, year);
+      alerts += result.alerts;
+    }
+
+    return { templates: templates.length, created, alerts, errors };
+  }
+
+  // ─── Budgets ────────────────────────────────────────────────────────────
+
+  /**
+   * Create or update the monthly budget of a category
+   */
+  static async setBudget(category, { monthlyLimit, alertThresholds }, adminId, tenantId) {
+    if (!EXPENSE_CATEGORIES.includes(category)) {
+      throw new ApiError(400, "Invalid expense category");
+    }
+    if (!(Number(monthlyLimit) >= 0)) {
+      throw new ApiError(400, "monthlyLimit must be a positive number");
+    }
+    if (
+      alertThresholds !== undefined &&
+      (!Array.isArray(alertThresholds) ||
+        alertThresholds.some((t) => !(Number(t) > 0 && Number(t) <= 200)))
+    ) {
+      throw new ApiError(400, "alertThresholds must be percentages between 1 and 200");
+    }
+
+    const update = { monthlyLimit: Number(monthlyLimit), updatedBy: adminId };
+    if (alertThresholds !== undefined) {
+      update.alertThresholds = alertThresholds.map(Number);
+    }
+
+    const budget = await ExpenseBudget.findOneAndUpdate(
+      { tenantId, category },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+
+    // A lowered limit may already be exceeded this month
+    const now = new Date();
+    await this.checkBudgetAlerts(tenantId, now.getMonth(), now.getFullYear());
+
+    return budget;
+  }
+
+  /**
+   * Budgets of a library with this month's spend against each
+   */
+  static async getBudgets(tenantId, month, year) {
+    const [budgets, totals] = await Promise.all([
+      ExpenseBudget.find({ tenantId }).sort({ category: 1 }).lean(),
+      this.getCategoryTotals(tenantId, month, year),
+    ]);
+    const spentMap = new Map(totals.map((t) => [t._id, t.totalAmount]));
+
+    return budgets.map((budget) => {
+      const spent = spentMap.get(budget.category) || 0;
+      return {
+        _id: budget._id,
+        category: budget.category,
+        monthlyLimit: budget.monthlyLimit,
+        alertThresholds: budget.alertThresholds,
+        spent,
+        remaining: Math.max(0, budget.monthlyLimit - spent),
+        percentUsed:
+          budget.monthlyLimit > 0
+            ? Math.round((spent / budget.monthlyLimit) * 100)
+            : null,
+      };
+    });
+  }
+
+  static async deleteBudget(category, tenantId) {
+    const budget = await ExpenseBudget.findOneAndDelete({ tenantId, category });
+    if (!budget) {
+      throw new ApiError(404, "Budget not found");
+    }
+    return budget;
+  }
+
+  /**
+   * Notify the library's admins about budgets whose thresholds were crossed
+   * in a month. Each threshold is alerted once per month.
+   */
+  static async checkBudgetAlerts(tenantId, month, year) {
+    const budgets = await ExpenseBudget.find({ tenantId });
+    if (budgets.length === 0) return { alerts: 0 };
+
+    const totals = await this.getCategoryTotals(tenantId, month, year);
+    const spentMap = new Map(totals.map((t) => [t._id, t.totalAmount]));
+    const period = `${year}-${String(month + 1).padStart(2, "0")}`;
+
+    const messages = [];
+    for (const budget of budgets) {
+      const spent = spentMap.get(budget.category) || 0;
+      const alreadySent = budget.alertsSent
+        .filter((a) => a.period === period)
+        .map((a) => a.threshold);
+      const crossed = getCrossedThresholds(
+        spent,
+        budget.monthlyLimit,
+        budget.alertThresholds,
+        alreadySent,
+      );
+      if (crossed.length === 0) continue;
+
+      for (const threshold of crossed) {
+        budget.alertsSent.push({ period, threshold });
+      }
+      await budget.save();
+
+      const highest = crossed[crossed.length - 1];
+      messages.push(
+        `${budget.category}: ₹${spent} spent of ₹${budget.monthlyLimit} budget (${highest >= 100 ? "exceeded" : `${highest}% reached`})`,
+      );
+    }
+
+    if (messages.length === 0) return { alerts: 0 };
+
+    const NotificationService = (await import("./notification.service.js"))
+      .default;
+    const admins = await Admin.find({
+      tenantId,
+      isActive: true,
+      role: { $in: ["SUPER_ADMIN", "ADMIN"] },
+    }).select("_id");
+
+    const title = `Expense budget alert — ${getMonthName(month)} ${year}`;
+    const message = messages.join("\n");
+    for (const admin of admins) {
+      try {
+        await NotificationService.sendAdminNotification(
+          admin._id,
+          title,
+          message,
+          "BUDGET_ALERT",
+        );
+      } catch (error) {
+        console.error(`Failed to send budget alert to admin ${admin._id}:`, error);
+      }
+    }
+
+    return { alerts: messages.length };
+  }
+}
+
+export default ExpenseService;
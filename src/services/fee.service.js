@@ -10,12 +10,18 @@
  *   - FeePaymentService     → payment recording and receipts
  *   - FeeAdvanceService     → advance payments management
  *   - FeeDueService         → due tracking and reminders
+ *   - FeeReceiptService     → receipt numbering and PDF rendering
+ *   - FeeLateFeeService     → late-fee accrual and waivers
+ *   - FeeAdjustmentService  → discount / concession rules
  */
 
 import FeeGenerationService from "./feeGeneration.service.js";
 import FeePaymentService from "./feePayment.service.js";
 import FeeAdvanceService from "./feeAdvance.service.js";
 import FeeDueService from "./feeDue.service.js";
+import FeeReceiptService from "./feeReceipt.service.js";
+import FeeLateFeeService from "./feeLateFee.service.js";
+import FeeAdjustmentService from "./feeAdjustment.service.js";
 
 class FeeService {
   // ─── Fee Generation ───────────────────────────────────────────────────────
@@ -46,6 +52,17 @@ class FeeService {
     return FeePaymentService.markAsPaid(studentId, month, year, paymentData, adminId);
   }
 
+  static async reversePayment(studentId, month, year, reason, adminId, tenantId = null) {
+    return FeePaymentService.reversePayment(
+      studentId,
+      month,
+      year,
+      reason,
+      adminId,
+      tenantId,
+    );
+  }
+
   static async getStudentFeeSummary(studentId) {
     return FeePaymentService.getStudentFeeSummary(studentId);
   }
@@ -58,10 +75,36 @@ class FeeService {
     return FeePaymentService.generateReceipt(studentId, month, year);
   }
 
+  static async issueMissingReceipt(studentId, month, year, adminId) {
+    return FeePaymentService.issueMissingReceipt(studentId, month, year, adminId);
+  }
+
+  static async getReceiptByNumber(receiptNumber, tenantId) {
+    return FeePaymentService.getReceiptByNumber(receiptNumber, tenantId);
+  }
+
+  static async streamReceiptPDF(receipt, stream) {
+    return FeeReceiptService.streamReceiptPDF(receipt, stream);
+  }
+
+  static async voidReceipt(receiptNumber, tenantId, reason, adminId) {
+    return FeeReceiptService.voidReceipt(receiptNumber, tenantId, reason, adminId);
+  }
+
+  static async reissueReceipt(receiptNumber, tenantId, corrections, reason, adminId) {
+    return FeeReceiptService.reissueReceipt(
+      receiptNumber,
+      tenantId,
+      corrections,
+      reason,
+      adminId,
+    );
+  }
+
   // ─── Fee Advance ──────────────────────────────────────────────────────────
 
-  static async addAdvance(studentId, amount, adminId) {
-    return FeeAdvanceService.addAdvance(studentId, amount, adminId);
+  static async addAdvance(studentId, amount, adminId, entry) {
+    return FeeAdvanceService.addAdvance(studentId, amount, adminId, entry);
   }
 
   static async applyAdvanceToMonth(studentId, month, year, adminId) {
@@ -89,6 +132,49 @@ class FeeService {
   static async getCurrentDueRecord(studentId) {
     return FeeDueService.getCurrentDueRecord(studentId);
   }
+
+  // ─── Late Fees ────────────────────────────────────────────────────────────
+
+  static async accrueLateFees(tenantId = null) {
+    return FeeLateFeeService.accrueLateFees(tenantId);
+  }
+
+  static async waiveLateFee(studentId, month, year, waiver, adminId, tenantId = null) {
+    return FeeLateFeeService.waiveLateFee(
+      studentId,
+      month,
+      year,
+      waiver,
+      adminId,
+      tenantId,
+    );
+  }
+
+  // ─── Fee Adjustments ──────────────────────────────────────────────────────
+
+  static async createAdjustmentRule(data, adminId, tenantId) {
+    return FeeAdjustmentService.createRule(data, adminId, tenantId);
+  }
+
+  static async updateAdjustmentRule(ruleId, data, adminId, tenantId) {
+    return FeeAdjustmentService.updateRule(ruleId, data, adminId, tenantId);
+  }
+
+  static async getAdjustmentRules(tenantId, options = {}) {
+    return FeeAdjustmentService.getRules(tenantId, options);
+  }
+
+  static async attachAdjustmentRule(studentId, ruleId, adminId, tenantId) {
+    return FeeAdjustmentService.attachRule(studentId, ruleId, adminId, tenantId);
+  }
+
+  static async detachAdjustmentRule(studentId, ruleId, adminId, tenantId) {
+    return FeeAdjustmentService.detachRule(studentId, ruleId, adminId, tenantId);
+  }
+
+  static async getStudentAdjustmentRules(studentId, tenantId) {
+    return FeeAdjustmentService.getStudentRules(studentId, tenantId);
+  }
 }
 
 export default FeeService;
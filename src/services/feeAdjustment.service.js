@@ -0,0 +1,263 @@
+/**
+ * Fee Adjustment Service
+ * Handles named discount / concession rules and their application to fees
+ */
+
+import { FeeAdjustmentRule } from "../models/feeAdjustmentRule.model.js";
+import { Student } from "../models/student.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  applyFeeAdjustments,
+  createMonthYearKey,
+  getNetFee,
+  isRuleActiveForMonth,
+} from "../utils/feeHelpers.js";
+import FeeProrationService from "./feeProration.service.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+
+class FeeAdjustmentService {
+  /**
+   * Convert API month/year pairs into the rule's month-key window
+   */
+  static _toWindow({ startMonth, startYear, endMonth, endYear }) {
+    const window = {};
+    if (startMonth !== undefined && startYear !== undefined) {
+      window.validFrom =
+        startMonth === null ? null : createMonthYearKey(startMonth, startYear);
+    }
+    if (endMonth !== undefined && endYear !== undefined) {
+      window.validUntil =
+        endMonth === null ? null : createMonthYearKey(endMonth, endYear);
+    }
+    return window;
+  }
+
+  /**
+   * Create a rule for a library
+   */
+  static async createRule(data, adminId, tenantId) {
+    const existing = await FeeAdjustmentRule.findOne({
+      tenantId,
+      name: data.name,
+    });
+    if (existing) {
+      throw new ApiError(409, "An adjustment rule with this name already exists");
+    }
+
+    const rule = await FeeAdjustmentRule.create({
+      name: data.name,
+      description: data.description,
+      type: data.type,
+      value: data.value,
+      ...this._toWindow(data),
+      createdBy: adminId,
+      tenantId,
+    });
+
+    await AdminActionLog.create({
+      adminId,
+      action: "CREATE_ADJUSTMENT_RULE",
+      targetEntity: "ADJUSTMENT",
+      targetId: rule._id,
+      newValue: rule.toObject(),
+      tenantId,
+    });
+
+    return rule;
+  }
+
+  /**
+   * Update a rule. Already generated fee records keep their recorded lines.
+   */
+  static async updateRule(ruleId, data, adminId, tenantId) {
+    const rule = await FeeAdjustmentRule.findOne({ _id: ruleId, tenantId });
+    if (!rule) {
+      throw new ApiError(404, "Adjustment rule not found");
+    }
+
+    const oldValue = rule.toObject();
+    for (const field of ["name", "description", "type", "value", "isActive"]) {
+      if (data[field] !== undefined) rule[field] = data[field];
+    }
+    if (rule.type === "PERCENTAGE" && rule.value > 100) {
+      throw new ApiError(400, "Percentage cannot exceed 100");
+    }
+    Object.assign(rule, this._toWindow(data));
+    await rule.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: "UPDATE_ADJUSTMENT_RULE",
+      targetEntity: "ADJUSTMENT",
+      targetId: rule._id,
+      oldValue,
+      newValue: rule.toObject(),
+      tenantId,
+    });
+
+    return rule;
+  }
+
+  /**
+   * List rules for a library with how many students each is attached to
+   */
+  static async getRules(tenantId, { includeInactive = false } = {}) {
+    const filter = { tenantId };
+    if (!includeInactive) filter.isActive = true;
+
+    const rules = await FeeAdjustmentRule.find(filter).sort({ name: 1 }).lean();
+    const counts = await Student.aggregate([
+      {
+        $match: {
+          feeAdjustmentRules: { $in: rules.map((r) => r._id) },
+          isDeleted: false,
+        },
+      },
+      { $unwind: "$feeAdjustmentRules" },
+      { $group: { _id: "$feeAdjustmentRules", count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    return rules.map((rule) => ({
+      ...rule,
+      studentCount: countMap.get(rule._id.toString()) || 0,
+    }));
+  }
+
+  /**
+   * Attach a rule to a student
+   */
+  static async attachRule(studentId, ruleId, adminId, tenantId) {
+    const [student, rule] = await Promise.all([
+      Student.findOne({ _id: studentId, tenantId }),
+      FeeAdjustmentRule.findOne({ _id: ruleId, tenantId, isActive: true }),
+    ]);
+    if (!student) throw new ApiError(404, "Student not found");
+    if (!rule) throw new ApiError(404, "Adjustment rule not found");
+
+    if (student.feeAdjustmentRules.some((id) => id.toString() === ruleId.toString())) {
+      throw new ApiError(400, "Rule is already attached to this student");
+    }
+
+    student.feeAdjustmentRules.push(rule._id);
+    await student.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: "ATTACH_ADJUSTMENT",
+      targetEntity: "STUDENT",
+      targetId: student._id,
+      newValue: { ruleId: rule._id, name: rule.name },
+      metadata: { studentId: student._id },
+      tenantId,
+    });
+
+    await cacheService.del(CACHE_KEYS.STUDENT(studentId.toString()));
+
+    return this.getStudentRules(studentId, tenantId);
+  }
+
+  /**
+   * Detach a rule from a student (future fees only)
+   */
+  static async detachRule(studentId, ruleId, adminId, tenantId) {
+    const student = await Student.findOne({ _id: studentId, tenantId });
+    if (!student) throw new ApiError(404, "Student not found");
+
+    const before = student.feeAdjustmentRules.length;
+    student.feeAdjustmentRules = student.feeAdjustmentRules.filter(
+      (id) => id.toString() !== ruleId.toString(),
+    );
+    if (student.feeAdjustmentRules.length === before) {
+      throw new ApiError(404, "Rule is not attached to this student");
+    }
+    await student.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: "DETACH_ADJUSTMENT",
+      targetEntity: "STUDENT",
+      targetId: student._id,
+      oldValue: { ruleId },
+      metadata: { studentId: student._id },
+      tenantId,
+    });
+
+    await cacheService.del(CACHE_KEYS.STUDENT(studentId.toString()));
+
+    return this.getStudentRules(studentId, tenantId);
+  }
+
+  /**
+   * Rules attached to a student
+   */
+  static async getStudentRules(studentId, tenantId) {
+    const student = await Student.findOne({ _id: studentId, tenantId })
+      .select("name monthlyFee feeAdjustmentRules")
+      .populate("feeAdjustmentRules")
+      .lean();
+    if (!student) throw new ApiError(404, "Student not found");
+
+    return {
+      studentId: student._id,
+      name: student.name,
+      monthlyFee: student.monthlyFee,
+      rules: student.feeAdjustmentRules || [],
+    };
+  }
+
+  /**
+   * Compute the fee lines for a student's month: gross price, adjustment
+   * lines from the student's active rules, a pro-rata line for a partial
+   * first / last month (when the library enables it), and the net base fee.
+   * @param {Object} student - Needs monthlyFee and feeAdjustmentRules
+   * @returns {Promise<{ baseFee: number, grossFee: number, adjustments: Array }>}
+   */
+  static async buildFeeLines(student, month, year) {
+    const grossFee = student.monthlyFee || 0;
+    const ruleIds = student.feeAdjustmentRules || [];
+
+    let netFee = grossFee;
+    let adjustments = [];
+
+    if (ruleIds.length > 0) {
+      const rules = await FeeAdjustmentRule.find({
+        _id: { $in: ruleIds },
+        isActive: true,
+      })
+        .sort({ createdAt: 1 })
+        .lean();
+
+      const applicable = rules.filter((rule) =>
+        isRuleActiveForMonth(rule, month, year),
+      );
+      ({ netFee, adjustments } = applyFeeAdjustments(grossFee, applicable));
+    }
+
+    // Pro-rata lines are all taken on the fee after discount rules
+    const ruleNet = netFee;
+    const proration = await FeeProrationService.buildEnrollmentLine(
+      student,
+      month,
+      year,
+      ruleNet,
+    );
+    const pauseLines = await FeeProrationService.buildPauseLines(
+      student,
+      month,
+      year,
+      ruleNet,
+    );
+    const prorationLines = [...(proration ? [proration] : []), ...pauseLines];
+    if (prorationLines.length > 0) {
+      adjustments.push(...prorationLines);
+      netFee = getNetFee(netFee, prorationLines);
+    }
+
+    return { baseFee: netFee, grossFee, adjustments };
+  }
+}
+
+export default FeeAdjustmentService;
@@ -15,8 +15,18 @@ import { CACHE_KEYS } from "../utils/cacheStrategy.js";
 class FeeAdvanceService {
   /**
    * Add advance payment
+   * @param {Object} [entry]
+   * @param {string} [entry.kind] - DEPOSIT for cash received, CREDIT for money
+   *   already counted elsewhere (overpayments, fee reductions)
+   * @param {string} [entry.method] - Payment method of a deposit
+   * @param {string} [entry.remarks]
    */
-  static async addAdvance(studentId, amount, adminId) {
+  static async addAdvance(
+    studentId,
+    amount,
+    adminId,
+    { kind = "DEPOSIT", method = "CASH", remarks } = {},
+  ) {
     const student = await Student.findById(studentId);
 
     if (!student) {
@@ -24,6 +34,14 @@ class FeeAdvanceService {
     }
 
     const roundedAmount = roundFeeAmount(amount);
+    const transaction = {
+      kind,
+      amount: roundedAmount,
+      method: kind === "DEPOSIT" ? method : undefined,
+      remarks,
+      date: new Date(),
+      createdBy: adminId,
+    };
 
     // Check if advance balance exists
     let advanceBalance = await AdvanceBalance.findOne({ studentId });
@@ -36,6 +54,7 @@ class FeeAdvanceService {
       advanceBalance.remainingAmount = roundFeeAmount(
         advanceBalance.remainingAmount + roundedAmount,
       );
+      advanceBalance.transactions.push(transaction);
       await advanceBalance.save();
     } else {
       // Create new advance balance
@@ -44,21 +63,71 @@ class FeeAdvanceService {
         totalAmount: roundedAmount,
         remainingAmount: roundedAmount,
         usedAmount: 0,
+        transactions: [transaction],
         createdBy: adminId,
+        tenantId: student.tenantId,
       });
     }
 
-    // Log the action
+    // Log the action (system credits, e.g. pro-rata refunds, have no admin)
+    if (adminId) {
+      await AdminActionLog.create({
+        adminId,
+        action: "ADD_ADVANCE",
+        targetEntity: "ADVANCE",
+        targetId: advanceBalance._id,
+        newValue: { amount: roundedAmount, kind },
+        metadata: { studentId },
+      });
+    }
+
+    // Invalidate advance and fee summary caches
+    await Promise.all([
+      cacheService.del(CACHE_KEYS.STUDENT_ADVANCE(studentId.toString())),
+      cacheService.del(CACHE_KEYS.STUDENT_FEES(studentId.toString())),
+    ]);
+
+    return advanceBalance;
+  }
+
+  /**
+   * Pay out (part of) the remaining advance balance, e.g. on a final settlement
+   */
+  static async refundAdvance(studentId, amount, adminId, remarks = "", method = "CASH") {
+    const roundedAmount = roundFeeAmount(amount);
+    const advanceBalance = await AdvanceBalance.findOne({ studentId });
+
+    if (!advanceBalance || advanceBalance.remainingAmount < roundedAmount) {
+      throw new ApiError(
+        400,
+        `Insufficient advance balance. Available: ₹${advanceBalance?.remainingAmount || 0}`,
+      );
+    }
+
+    advanceBalance.remainingAmount = roundFeeAmount(
+      advanceBalance.remainingAmount - roundedAmount,
+    );
+    advanceBalance.transactions.push({
+      kind: "REFUND",
+      amount: roundedAmount,
+      method,
+      remarks,
+      date: new Date(),
+      createdBy: adminId,
+    });
+    advanceBalance.updatedBy = adminId;
+    await advanceBalance.save();
+
     await AdminActionLog.create({
       adminId,
-      action: "ADD_ADVANCE",
+      action: "REFUND_ADVANCE",
       targetEntity: "ADVANCE",
       targetId: advanceBalance._id,
-      newValue: { amount: roundedAmount },
-      metadata: { studentId },
+      oldValue: { remainingAmount: roundFeeAmount(advanceBalance.remainingAmount + roundedAmount) },
+      newValue: { amount: roundedAmount, remainingAmount: advanceBalance.remainingAmount },
+      metadata: { studentId, remarks },
     });
 
-    // Invalidate advance and fee summary caches
     await Promise.all([
       cacheService.del(CACHE_KEYS.STUDENT_ADVANCE(studentId.toString())),
       cacheService.del(CACHE_KEYS.STUDENT_FEES(studentId.toString())),
@@ -102,6 +171,13 @@ class FeeAdvanceService {
     }
 
     // Apply advance to balance
+    advanceBalance.transactions.push({
+      kind: "APPLIED",
+      amount: amountToApply,
+      remarks: `${month + 1}/${year}`,
+      date: new Date(),
+      createdBy: adminId,
+    });
     await advanceBalance.applyToMonth(month, year, amountToApply);
 
     // Update fee record using recordPayment for consistency
@@ -109,6 +185,7 @@ class FeeAdvanceService {
       paidAmount: amountToApply,
       method: "ADVANCE",
       remarks: "Applied from advance balance",
+      collectedBy: adminId,
     });
 
     if (amountToApply >= monthlyFee.totalAmount) {
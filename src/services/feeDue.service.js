@@ -191,6 +191,53 @@ class FeeDueService {
     }
   }
 
+  /**
+   * Put months back into the student's open due record (e.g. after a payment
+   * reversal). Revives the most recently resolved record when none is open,
+   * so its escalation history is kept.
+   */
+  static async reopenDueMonths(studentId, monthKeys, adminId) {
+    if (!monthKeys || monthKeys.length === 0) return null;
+
+    let dueRecord = await DueRecord.findOne({ studentId, resolved: false });
+
+    if (!dueRecord) {
+      dueRecord = await DueRecord.findOne({ studentId, resolved: true }).sort({
+        resolutionDate: -1,
+      });
+      if (dueRecord) {
+        dueRecord.resolved = false;
+        dueRecord.resolutionDate = undefined;
+        dueRecord.resolvedBy = undefined;
+        dueRecord.monthsDue = [];
+      }
+    }
+
+    if (!dueRecord) {
+      const { month, year } = parseMonthYearKey(monthKeys[0]);
+      const fee = await StudentMonthlyFee.findOne({ studentId, month, year });
+      dueRecord = new DueRecord({
+        studentId,
+        monthsDue: [],
+        totalDueAmount: 0,
+        reminderDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        createdBy: adminId,
+        tenantId: fee?.tenantId,
+      });
+    }
+
+    for (const monthKey of monthKeys) {
+      if (!dueRecord.monthsDue.includes(monthKey)) {
+        dueRecord.monthsDue.push(monthKey);
+      }
+    }
+    dueRecord.monthsDue.sort();
+    await dueRecord.save();
+    await this._syncTotalDue(dueRecord);
+
+    return dueRecord;
+  }
+
   /**
    * Get all due records for a student
    */
@@ -266,8 +313,8 @@ class FeeDueService {
         await fee.save();
       }
       
-      // Calculate what carries forward to the NEXT month
-      const total = fee.baseFee + fee.dueCarriedForwardAmount;
+      // Calculate what carries forward to the NEXT month (late fee included)
+      const total = fee.totalAmount;
       currentDueBalance = Math.max(0, roundFeeAmount(total - (fee.paidAmount || 0)));
     }
     
@@ -282,7 +329,7 @@ class FeeDueService {
     const FeeAdvanceService = (await import("./feeAdvance.service.js")).default;
     for (const fee of fees) {
       if (fee.status !== "PAID") {
-         const currentTotal = fee.baseFee + fee.dueCarriedForwardAmount;
+         const currentTotal = fee.totalAmount;
          if (currentTotal > 0) {
             await FeeAdvanceService.applyAdvanceIfAvailable(
               studentId, 
@@ -3,6 +3,7 @@
  * Handles monthly fee creation and personalized billing cycles
  */
 
+import mongoose from "mongoose";
 import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
 import { Student } from "../models/student.model.js";
 import { AdminActionLog } from "../models/adminActionLog.model.js";
@@ -14,6 +15,7 @@ import {
   isOverdue,
 } from "../utils/feeHelpers.js";
 import FeeAdvanceService from "./feeAdvance.service.js";
+import FeeAdjustmentService from "./feeAdjustment.service.js";
 
 class FeeGenerationService {
   /**
@@ -32,7 +34,7 @@ class FeeGenerationService {
     }
 
     const activeStudents = await Student.find(studentFilter)
-      .select("_id monthlyFee joiningDate tenantId")
+      .select("_id name monthlyFee feeAdjustmentRules joiningDate tenantId")
       .lean();
 
     // Batch fetch all existing fee records for this month/year to avoid repeated queries
@@ -69,15 +71,23 @@ class FeeGenerationService {
           year,
         );
 
+        // Apply the student's discount / concession rules as fee lines
+        const feeLines = await FeeAdjustmentService.buildFeeLines(
+          student,
+          month,
+          year,
+        );
+
         // Create monthly fee record
         const monthlyFee = await StudentMonthlyFee.create({
           studentId: student._id,
           month,
           year,
-          baseFee: student.monthlyFee,
+          ...feeLines,
           dueCarriedForwardAmount: dueCarriedForward,
           status: "PENDING",
           createdBy: adminId,
+          tenantId: student.tenantId,
         });
 
         // Check if advance covers this month
@@ -133,15 +143,22 @@ class FeeGenerationService {
         year,
       );
 
+      const feeLines = await FeeAdjustmentService.buildFeeLines(
+        student,
+        month,
+        year,
+      );
+
       // Create monthly fee record
       monthlyFee = await StudentMonthlyFee.create({
         studentId,
         month,
         year,
-        baseFee: student.monthlyFee,
+        ...feeLines,
         dueCarriedForwardAmount: dueCarriedForward,
         status: "PENDING",
         createdBy: adminId,
+        tenantId: student.tenantId,
       });
 
       // Check if advance covers this month
@@ -171,8 +188,9 @@ class FeeGenerationService {
     const graceDays = parseInt(process.env.PAYMENT_GRACE_PERIOD) || 1;
 
     // Build filter
+    // Paused students keep their billing cycle; pause lines credit the days
     const filter = {
-      status: "ACTIVE",
+      status: { $in: ["ACTIVE", "PAUSED"] },
       isDeleted: false,
       nextBillingDate: { $lte: today },
     };
@@ -188,6 +206,15 @@ class FeeGenerationService {
     // Find active students whose nextBillingDate is today or earlier
     const studentsDue = await Student.find(filter);
 
+    // Fees of students on a pause are not escalated until they resume
+    const MembershipPauseService = (
+      await import("./membershipPause.service.js")
+    ).default;
+    const pausedIds = await MembershipPauseService.getPausedStudentIds(
+      today,
+      tenantId,
+    );
+
     const results = {
       generated: 0,
       skipped: 0,
@@ -204,6 +231,12 @@ class FeeGenerationService {
           const month = billingDate.getMonth();
           const year = billingDate.getFullYear();
 
+          // No new cycles start after the student's leaving date
+          if (student.leavingDate && billingDate > student.leavingDate) {
+            results.skipped++;
+            break;
+          }
+
           // Check if fee already exists for this billing cycle
           const existingFee = await getFeeRecordForMonth(
             student._id,
@@ -211,9 +244,23 @@ class FeeGenerationService {
             year,
           );
 
-          if (!existingFee) {
+          // Apply the student's discount / concession rules as fee lines
+          const feeLines = existingFee
+            ? null
+            : await FeeAdjustmentService.buildFeeLines(student, month, year);
+
+          // A cycle paused end to end without a hold fee is not billed
+          const fullyPaused =
+            feeLines?.baseFee === 0 &&
+            feeLines.adjustments.some(
+              (line) => line.proration?.reason === "PAUSE",
+            );
+
+          if (!existingFee && !fullyPaused) {
             // Check if this new fee is already overdue
-            const overdue = isOverdue(billingDate, graceDays);
+            const overdue =
+              !pausedIds.has(student._id.toString()) &&
+              isOverdue(billingDate, graceDays);
             const status = overdue ? "DUE" : "PENDING";
 
             // Calculate due carry forward using helper
@@ -228,7 +275,7 @@ class FeeGenerationService {
               studentId: student._id,
               month,
               year,
-              baseFee: student.monthlyFee,
+              ...feeLines,
               dueCarriedForwardAmount: dueCarriedForward,
               status,
               createdBy: adminId,
@@ -323,6 +370,15 @@ class FeeGenerationService {
     const graceDate = new Date(today);
     graceDate.setDate(graceDate.getDate() - graceDays);
 
+    // Students on a membership pause are not chased until they resume
+    const MembershipPauseService = (
+      await import("./membershipPause.service.js")
+    ).default;
+    const pausedIds = await MembershipPauseService.getPausedStudentIds(
+      today,
+      tenantId,
+    );
+
     const studentMatch = {
       status: "ACTIVE",
       isDeleted: false,
@@ -331,6 +387,11 @@ class FeeGenerationService {
     if (tenantId) {
       studentMatch.tenantId = tenantId;
     }
+    if (pausedIds.size > 0) {
+      studentMatch._id = {
+        $nin: [...pausedIds].map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
 
     // Find students with PENDING fees past grace period
     const overdueStudents = await Student.aggregate([
@@ -0,0 +1,181 @@
+/**
+ * Fee Late Fee Service
+ * Handles late-fee accrual from library settings and audited waivers
+ */
+
+import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
+import { Library } from "../models/library.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  calculateLateFee,
+  createMonthYearKey,
+  getDaysOverdue,
+  getFeeDueDate,
+  getLateFeeDue,
+  roundFeeAmount,
+} from "../utils/feeHelpers.js";
+import FeeDueService from "./feeDue.service.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+
+class FeeLateFeeService {
+  /**
+   * Recalculate late fees for every unpaid month of one or all libraries
+   * that turned late fees on. Only months falling due after late fees were
+   * enabled accrue; paid and waived months are frozen. Students whose late
+   * fee changed get their carry-forward chain rebuilt.
+   */
+  static async accrueLateFees(tenantId = null) {
+    const libraries = await Library.find({
+      isActive: true,
+      "settings.lateFeesEnabled": true,
+      ...(tenantId ? { _id: tenantId } : {}),
+    })
+      .select("settings")
+      .lean();
+
+    const touchedStudents = new Set();
+    let updated = 0;
+    const errors = [];
+
+    for (const library of libraries) {
+      const settings = library.settings || {};
+      if (!(settings.lateFeePerDay > 0) || !settings.lateFeesEnabledAt) continue;
+
+      const enabledAt = new Date(settings.lateFeesEnabledAt);
+      enabledAt.setHours(0, 0, 0, 0);
+      const fees = await StudentMonthlyFee.find({
+        tenantId: library._id,
+        status: { $in: ["DUE", "PENDING"] },
+        "lateFee.waived": { $ne: true },
+        // A month falls due in the following month
+        year: { $gte: enabledAt.getFullYear() - 1 },
+      });
+
+      for (const fee of fees) {
+        if (getFeeDueDate(fee.month, fee.year) < enabledAt) continue;
+        try {
+          const { daysLate, amount } = calculateLateFee({
+            daysOverdue: getDaysOverdue(fee.month, fee.year, fee.status),
+            gracePeriodDays: settings.gracePeriodDays || 0,
+            lateFeePerDay: settings.lateFeePerDay,
+            capPerMonth: settings.lateFeeCapPerMonth || 0,
+          });
+
+          if (amount === (fee.lateFee?.amount || 0)) continue;
+
+          fee.lateFee.amount = amount;
+          fee.lateFee.daysLate = daysLate;
+          fee.lateFee.calculatedAt = new Date();
+          await fee.save();
+
+          updated++;
+          touchedStudents.add(fee.studentId.toString());
+        } catch (error) {
+          errors.push({ feeId: fee._id, error: error.message });
+        }
+      }
+    }
+
+    for (const studentId of touchedStudents) {
+      try {
+        await FeeDueService.recalculateAllCF(studentId);
+        await this._invalidateCaches(studentId);
+      } catch (error) {
+        errors.push({ studentId, error: error.message });
+      }
+    }
+
+    return { updated, students: touchedStudents.size, errors };
+  }
+
+  /**
+   * Waive all or part of a month's late fee.
+   * A waived month stops accruing further late fees.
+   */
+  static async waiveLateFee(studentId, month, year, { amount, reason }, adminId, tenantId = null) {
+    if (!reason || !reason.trim()) {
+      throw new ApiError(400, "A reason is required to waive a late fee");
+    }
+
+    const monthlyFee = await StudentMonthlyFee.findOne({ studentId, month, year });
+    if (
+      !monthlyFee ||
+      (tenantId && monthlyFee.tenantId && monthlyFee.tenantId.toString() !== tenantId.toString())
+    ) {
+      throw new ApiError(404, "Fee record not found");
+    }
+
+    if (monthlyFee.status === "PAID") {
+      throw new ApiError(400, "Late fee on a paid month cannot be waived");
+    }
+
+    const outstanding = getLateFeeDue(monthlyFee);
+    if (outstanding <= 0) {
+      throw new ApiError(400, "No late fee to waive for this month");
+    }
+
+    const waiveAmount =
+      amount !== undefined && amount !== null
+        ? roundFeeAmount(Number(amount))
+        : outstanding;
+    if (!(waiveAmount > 0) || waiveAmount > outstanding) {
+      throw new ApiError(400, `Waiver amount must be between 0 and ₹${outstanding}`);
+    }
+
+    const oldValue = {
+      lateFee: monthlyFee.lateFee.amount,
+      waivedAmount: monthlyFee.lateFee.waivedAmount || 0,
+    };
+
+    monthlyFee.lateFee.waivedAmount = roundFeeAmount(
+      (monthlyFee.lateFee.waivedAmount || 0) + waiveAmount,
+    );
+    monthlyFee.lateFee.waived = true;
+    monthlyFee.lateFee.waivedBy = adminId;
+    monthlyFee.lateFee.waivedAt = new Date();
+    monthlyFee.lateFee.waiverReason = reason.trim();
+    monthlyFee.updatedBy = adminId;
+    if (monthlyFee.payments.length > 0) {
+      // The lower total may now be covered by what was already paid
+      monthlyFee.applyLedger();
+    }
+    await monthlyFee.save();
+
+    if (monthlyFee.status === "PAID") {
+      await FeeDueService.resolveDueRecordForMonth(
+        studentId,
+        createMonthYearKey(month, year),
+      );
+    }
+
+    await AdminActionLog.create({
+      adminId,
+      action: "WAIVE_LATE_FEE",
+      targetEntity: "FEE",
+      targetId: monthlyFee._id,
+      oldValue,
+      newValue: {
+        lateFee: monthlyFee.lateFee.amount,
+        waivedAmount: monthlyFee.lateFee.waivedAmount,
+      },
+      metadata: { studentId, month, year, reason: reason.trim(), waiveAmount },
+      tenantId: monthlyFee.tenantId,
+    });
+
+    await FeeDueService.recalculateAllCF(studentId, adminId);
+    await this._invalidateCaches(studentId);
+
+    return StudentMonthlyFee.findById(monthlyFee._id);
+  }
+
+  static async _invalidateCaches(studentId) {
+    await Promise.all([
+      cacheService.del(CACHE_KEYS.STUDENT_FEES(studentId.toString())),
+      cacheService.del(CACHE_KEYS.STUDENT_DUE(studentId.toString())),
+    ]);
+  }
+}
+
+export default FeeLateFeeService;
@@ -8,11 +8,13 @@ import { AdminActionLog } from "../models/adminActionLog.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import {
   createMonthYearKey,
-  getMonthName,
+  getFeeTotal,
+  getLateFeeDue,
   roundFeeAmount,
 } from "../utils/feeHelpers.js";
 import FeeDueService from "./feeDue.service.js";
 import FeeAdvanceService from "./feeAdvance.service.js";
+import FeeReceiptService from "./feeReceipt.service.js";
 import cacheService from "../utils/cache.js";
 import { CACHE_KEYS, CACHE_TTL } from "../utils/cacheStrategy.js";
 
@@ -63,16 +65,20 @@ class FeePaymentService {
       method: paymentData.paymentMethod, // Map frontend key to model key
       transactionId: paymentData.transactionId,
       remarks: paymentData.remarks,
+      collectedBy: adminId,
     });
+    const ledgerEntry = monthlyFee.payments[monthlyFee.payments.length - 1];
 
     monthlyFee.updatedBy = adminId;
     // monthlyFee.save() is already called inside recordPayment
 
-    const dueAmount = roundFeeAmount(monthlyFee.totalAmount - paidAmount);
+    // paidAmount on the record is the ledger total across all instalments
+    const dueAmount = roundFeeAmount(monthlyFee.totalAmount - monthlyFee.paidAmount);
     const monthKey = createMonthYearKey(month, year);
 
     // CASCADE RESOLUTION: If this payment covers previous dues, we must resolve them too
-    if (paidAmount >= monthlyFee.totalAmount) {
+    const settledFeeIds = [];
+    if (monthlyFee.status === "PAID") {
       // Resolve any previous DUE months listed in the carry-forward
       const DueRecord = (await import("../models/dueRecord.model.js")).DueRecord;
       const dueRecord = await DueRecord.findOne({ studentId, resolved: false });
@@ -85,12 +91,18 @@ class FeePaymentService {
              const { month: m, year: y } = (await import("../utils/feeHelpers.js")).parseMonthYearKey(mk);
              const pastFee = await StudentMonthlyFee.findOne({ studentId, month: m, year: y });
              if (pastFee && pastFee.status !== "PAID") {
-               pastFee.status = "PAID";
-               pastFee.paidAmount = pastFee.totalAmount;
-               pastFee.paymentDate = new Date();
-               pastFee.paymentMethod = paymentData.paymentMethod;
-               pastFee.locked = true;
+               // Ledger SETTLEMENT entry: cleared by this payment, no money collected here
+               pastFee.addLedgerEntry({
+                 kind: "SETTLEMENT",
+                 amount: Math.max(0, roundFeeAmount(pastFee.totalAmount - (pastFee.paidAmount || 0))),
+                 method: paymentData.paymentMethod,
+                 reference: paymentData.transactionId,
+                 paidAt: new Date(),
+                 collectedBy: adminId,
+                 settledByFeeId: monthlyFee._id,
+               });
                await pastFee.save();
+               settledFeeIds.push(pastFee._id);
              }
           }
         }
@@ -112,9 +124,38 @@ class FeePaymentService {
     }
 
     // ADVANCE HANDLING: If student overpaid, add excess to Advance Balance
-    const surplus = paidAmount - monthlyFee.totalAmount;
+    const surplus = Math.min(
+      paidAmount,
+      roundFeeAmount(monthlyFee.paidAmount - monthlyFee.totalAmount),
+    );
     if (surplus > 0) {
-      await FeeAdvanceService.addAdvance(studentId, surplus, adminId);
+      // The surplus is already in this payment's ledger entry
+      await FeeAdvanceService.addAdvance(studentId, surplus, adminId, {
+        kind: "CREDIT",
+        remarks: `Overpayment for ${monthKey}`,
+      });
+    }
+
+    // RECEIPT: Allocate the next receipt number for this payment
+    const receipt = await FeeReceiptService.issueReceipt(
+      monthlyFee,
+      {
+        amount: paidAmount,
+        advanceCredited: Math.max(0, surplus),
+        paymentMethod: monthlyFee.paymentMethod,
+        transactionId: paymentData.transactionId,
+        remarks: paymentData.remarks,
+        paymentDate: monthlyFee.paymentDate,
+        ledgerEntryId: ledgerEntry._id,
+      },
+      adminId,
+    );
+    if (settledFeeIds.length > 0) {
+      // Months settled by the cascade are covered by this same receipt
+      await StudentMonthlyFee.updateMany(
+        { _id: { $in: settledFeeIds } },
+        { $set: { receiptNumber: receipt.receiptNumber } },
+      );
     }
 
     // Log the action
@@ -127,6 +168,7 @@ class FeePaymentService {
         status: monthlyFee.status,
         paidAmount: paidAmount,
         paymentMethod: paymentData.paymentMethod,
+        receiptNumber: receipt.receiptNumber,
       },
       metadata: { studentId, month, year },
     });
@@ -144,6 +186,255 @@ class FeePaymentService {
     return monthlyFee;
   }
 
+  /**
+   * Reverse all payments recorded against a fee month.
+   * Ledger entries are kept and flagged as reversed. Restores the month to DUE/PENDING, pulls back any surplus credited to
+   * advance, returns advance that was spent on it, reopens months that the
+   * cascade resolution closed, voids the receipts and rebuilds carry-forwards.
+   *
+   * The writes span several documents, so each step can be re-run: settled
+   * months and advance movements are skipped once done, and a month whose
+   * entries are reversed but whose receipts are still issued can be
+   * reversed again to finish voiding them.
+   */
+  static async reversePayment(studentId, month, year, reason, adminId, tenantId = null) {
+    const { AdvanceBalance } = await import("../models/advanceBalance.model.js");
+    const { FeeReceipt } = await import("../models/feeReceipt.model.js");
+    const { getFeeDueDate } = await import("../utils/feeHelpers.js");
+
+    if (!reason || !reason.trim()) {
+      throw new ApiError(400, "A reason is required to reverse a payment");
+    }
+
+    const monthlyFee = await StudentMonthlyFee.findOne({ studentId, month, year });
+    if (
+      !monthlyFee ||
+      (tenantId && monthlyFee.tenantId && monthlyFee.tenantId.toString() !== tenantId.toString())
+    ) {
+      throw new ApiError(404, "Fee record not found");
+    }
+
+    const receipts = await FeeReceipt.find({
+      feeId: monthlyFee._id,
+      status: "ISSUED",
+    });
+    if (!monthlyFee.paidAmount && receipts.length === 0) {
+      throw new ApiError(400, "No payment has been recorded for this month");
+    }
+
+    const receiptNumbers = receipts.map((r) => r.receiptNumber);
+    if (monthlyFee.receiptNumber && !receiptNumbers.includes(monthlyFee.receiptNumber)) {
+      receiptNumbers.push(monthlyFee.receiptNumber);
+    }
+
+    const oldValue = {
+      status: monthlyFee.status,
+      paidAmount: monthlyFee.paidAmount,
+      paymentMethod: monthlyFee.paymentMethod,
+      paymentDate: monthlyFee.paymentDate,
+      receiptNumbers,
+    };
+
+    monthlyFee.seedLedger();
+    const activeEntries = monthlyFee.payments.filter((p) => !p.reversed);
+    const monthKey = createMonthYearKey(month, year);
+
+    // Advance movements to undo: surplus this payment credited is pulled
+    // back, advance it spent is returned. Each is keyed by its receipt or
+    // ledger entry so a re-run never applies it twice.
+    const legacySurplus = Math.max(0, monthlyFee.paidAmount - monthlyFee.totalAmount);
+    const advanceMovements = [
+      ...(receipts.length
+        ? receipts
+            .filter((r) => r.advanceCredited > 0)
+            .map((r) => ({ kind: "REVERSAL", amount: r.advanceCredited, reversalOf: r._id }))
+        : legacySurplus > 0
+          ? [{ kind: "REVERSAL", amount: legacySurplus, reversalOf: monthlyFee._id }]
+          : []),
+      ...activeEntries
+        .filter((p) => p.kind === "PAYMENT" && p.method === "ADVANCE")
+        .map((p) => ({ kind: "CREDIT", amount: p.amount, reversalOf: p._id })),
+    ];
+
+    const advanceBalance = advanceMovements.length
+      ? await AdvanceBalance.findOne({ studentId })
+      : null;
+    const pendingMovements = advanceMovements.filter(
+      (m) =>
+        !(advanceBalance?.transactions || []).some((t) =>
+          t.reversalOf?.equals(m.reversalOf),
+        ),
+    );
+    const sumOf = (kind) =>
+      roundFeeAmount(
+        pendingMovements
+          .filter((m) => m.kind === kind)
+          .reduce((sum, m) => sum + m.amount, 0),
+      );
+    const advanceCredited = sumOf("REVERSAL");
+    const advanceSpent = sumOf("CREDIT");
+
+    // Checked before anything is written
+    const available = (advanceBalance?.remainingAmount || 0) + advanceSpent;
+    if (advanceCredited > 0 && available < advanceCredited) {
+      throw new ApiError(
+        400,
+        `The ₹${advanceCredited} credited to advance by this payment has already been used. Reverse the months it covered first.`,
+      );
+    }
+
+    const reopenedMonthKeys = [];
+    const today = new Date();
+    const reversalReason = `Payment reversed: ${reason.trim()}`;
+
+    // 1. Reopen months that were settled by the cascade of this payment
+    const settledFees = await StudentMonthlyFee.find({
+      studentId,
+      _id: { $ne: monthlyFee._id },
+      $or: [
+        {
+          payments: {
+            $elemMatch: { settledByFeeId: monthlyFee._id, reversed: false },
+          },
+        },
+        ...(receiptNumbers.length
+          ? [{ receiptNumber: { $in: receiptNumbers } }]
+          : []),
+      ],
+    });
+
+    for (const pastFee of settledFees) {
+      const settlements = pastFee.payments.filter(
+        (p) =>
+          !p.reversed &&
+          p.settledByFeeId?.toString() === monthlyFee._id.toString(),
+      );
+
+      if (settlements.length > 0) {
+        for (const entry of settlements) {
+          entry.reversed = true;
+          entry.reversedAt = today;
+          entry.reversedBy = adminId;
+          entry.reversalReason = reversalReason;
+        }
+        const remaining = pastFee.payments.find((p) => !p.reversed && p.receiptNumber);
+        pastFee.receiptNumber = remaining?.receiptNumber;
+      } else {
+        // Settled before the payment ledger existed — rebuild from its own receipts
+        const ownReceipts = await FeeReceipt.find({
+          feeId: pastFee._id,
+          status: "ISSUED",
+        })
+          .sort({ createdAt: -1 })
+          .lean();
+        pastFee.paidAmount = roundFeeAmount(
+          ownReceipts.reduce((sum, r) => sum + r.amount, 0),
+        );
+        pastFee.locked = false;
+        pastFee.receiptNumber = ownReceipts[0]?.receiptNumber;
+      }
+
+      pastFee.status = "DUE";
+      pastFee.updatedBy = adminId;
+      await pastFee.save();
+      reopenedMonthKeys.push(createMonthYearKey(pastFee.month, pastFee.year));
+    }
+
+    // 2. Advance: dated movements, so the balance still adds up from its ledger
+    if (advanceBalance && pendingMovements.length > 0) {
+      advanceBalance.totalAmount = roundFeeAmount(
+        Math.max(0, advanceBalance.totalAmount - advanceCredited),
+      );
+      advanceBalance.remainingAmount = roundFeeAmount(available - advanceCredited);
+      for (const movement of pendingMovements) {
+        advanceBalance.transactions.push({
+          kind: movement.kind,
+          amount: roundFeeAmount(movement.amount),
+          remarks:
+            movement.kind === "REVERSAL"
+              ? `Overpayment for ${monthKey} reversed`
+              : `Advance returned: payment for ${monthKey} reversed`,
+          date: today,
+          createdBy: adminId,
+          reversalOf: movement.reversalOf,
+        });
+      }
+      if (advanceSpent > 0) {
+        // Same key format as AdvanceBalance.applyToMonth
+        const coveredKey = `${year}-${String(month + 1).padStart(2, "0")}`;
+        advanceBalance.monthsCovered = advanceBalance.monthsCovered.filter(
+          (k) => k !== coveredKey,
+        );
+      }
+      advanceBalance.updatedBy = adminId;
+      await advanceBalance.save();
+    }
+
+    // 3. Restore the month itself — entries stay in the ledger, marked reversed
+    for (const entry of activeEntries) {
+      entry.reversed = true;
+      entry.reversedAt = today;
+      entry.reversedBy = adminId;
+      entry.reversalReason = reversalReason;
+    }
+    const isOverdue = getFeeDueDate(month, year) < today;
+    monthlyFee.status = isOverdue ? "DUE" : "PENDING";
+    monthlyFee.coveredByAdvance = false;
+    monthlyFee.paymentDate = undefined;
+    monthlyFee.paymentMethod = undefined;
+    monthlyFee.transactionId = undefined;
+    monthlyFee.receiptNumber = undefined;
+    monthlyFee.remarks = reversalReason;
+    monthlyFee.updatedBy = adminId;
+    await monthlyFee.save();
+    if (isOverdue) {
+      reopenedMonthKeys.push(monthKey);
+    }
+
+    // 4. Void the receipts (numbers are kept)
+    for (const receipt of receipts) {
+      await FeeReceiptService.voidReceipt(
+        receipt.receiptNumber,
+        receipt.tenantId,
+        reversalReason,
+        adminId,
+      );
+    }
+
+    // 5. Reopen due tracking and rebuild the carry-forward chain
+    await FeeDueService.reopenDueMonths(studentId, reopenedMonthKeys, adminId);
+
+    await AdminActionLog.create({
+      adminId,
+      action: "REVERSE_PAYMENT",
+      targetEntity: "FEE",
+      targetId: monthlyFee._id,
+      oldValue,
+      newValue: { status: monthlyFee.status, paidAmount: 0 },
+      metadata: {
+        studentId,
+        month,
+        year,
+        reason: reason.trim(),
+        advancePulledBack: roundFeeAmount(advanceCredited),
+        advanceRestored: roundFeeAmount(advanceSpent),
+        reopenedMonths: reopenedMonthKeys,
+      },
+      tenantId: monthlyFee.tenantId,
+    });
+
+    await Promise.all([
+      cacheService.del(CACHE_KEYS.STUDENT_FEES(studentId.toString())),
+      cacheService.del(CACHE_KEYS.STUDENT_DUE(studentId.toString())),
+      cacheService.del(CACHE_KEYS.STUDENT_ADVANCE(studentId.toString())),
+      cacheService.del(CACHE_KEYS.STUDENT(studentId.toString())),
+    ]);
+
+    await FeeDueService.recalculateAllCF(studentId, adminId);
+
+    return StudentMonthlyFee.findById(monthlyFee._id);
+  }
+
   /**
    * Get student fee summary
    */
@@ -182,7 +473,7 @@ class FeePaymentService {
         
         // Find the absolute latest fee record to get the true total outstanding
         const latestFee = monthlyFees[monthlyFees.length - 1];
-        const totalOutstanding = latestFee ? (latestFee.totalAmount - (latestFee.paidAmount || 0)) : 0;
+        const totalOutstanding = latestFee ? (getFeeTotal(latestFee) - (latestFee.paidAmount || 0)) : 0;
         
         const totalDue = dueRecord ? dueRecord.totalDueAmount : 0;
         const totalPending = Math.max(0, Math.round((totalOutstanding - totalDue) * 100) / 100);
@@ -202,16 +493,33 @@ class FeePaymentService {
             totalDue,
             totalPending,
             overallTotal: totalPaid + totalDue + totalPending,
+            // Unwaived late fees on months that are still unpaid
+            totalLateFees: monthlyFees
+              .filter((fee) => fee.status !== "PAID")
+              .reduce((sum, fee) => sum + getLateFeeDue(fee), 0),
+            // Discounts / concessions granted across all months
+            totalAdjustments: monthlyFees.reduce(
+              (sum, fee) => sum + ((fee.grossFee ?? fee.baseFee) - fee.baseFee),
+              0,
+            ),
           },
           // ✅ Full history with all fields for calendar + ledger + audit
           feeHistory: monthlyFees.map((fee) => {
-            const total = (fee.baseFee || 0) + (fee.dueCarriedForwardAmount || 0);
+            const total = getFeeTotal(fee);
             const remaining = total - (fee.paidAmount || 0);
             return {
               month: fee.month,
               year: fee.year,
+              grossFee: fee.grossFee ?? fee.baseFee,
+              adjustments: fee.adjustments || [],
               baseFee: fee.baseFee,
               dueCarriedForward: fee.dueCarriedForwardAmount || 0,
+              lateFee: {
+                amount: fee.lateFee?.amount || 0,
+                waivedAmount: fee.lateFee?.waivedAmount || 0,
+                due: getLateFeeDue(fee),
+                daysLate: fee.lateFee?.daysLate || 0,
+              },
               totalAmount: total,
               paidAmount: fee.paidAmount || 0,
               remainingAmount: Math.max(0, remaining),
@@ -292,7 +600,8 @@ class FeePaymentService {
           year: fee.year,
           baseFee: fee.baseFee,
           dueCarriedForward: fee.dueCarriedForwardAmount || 0,
-          totalAmount: fee.baseFee + (fee.dueCarriedForwardAmount || 0),
+          lateFee: getLateFeeDue(fee),
+          totalAmount: getFeeTotal(fee),
           status: fee.status, // PAID, DUE, PENDING
           coveredByAdvance: fee.coveredByAdvance,
           locked: fee.locked,
@@ -347,33 +656,50 @@ class FeePaymentService {
       studentId,
       month,
       year,
-    }).populate("studentId", "name phone email");
+    });
 
     if (!monthlyFee) {
       throw new ApiError(404, "Fee record not found");
     }
 
-    if (monthlyFee.status !== "PAID") {
+    if (monthlyFee.status !== "PAID" && !monthlyFee.paidAmount) {
       throw new ApiError(400, "Receipt can only be generated for paid fees");
     }
 
-    const receiptNumber = `RCP-${monthlyFee._id
-      .toString()
-      .slice(-8)
-      .toUpperCase()}`;
-    const monthYear = `${getMonthName(month)} ${year}`;
+    const receipt = await FeeReceiptService.getCurrentReceiptForFee(monthlyFee);
+    return FeeReceiptService.buildReceiptData(receipt);
+  }
+
+  /**
+   * Issue the missing receipt for a month paid before receipt numbering
+   */
+  static async issueMissingReceipt(studentId, month, year, adminId) {
+    const monthlyFee = await StudentMonthlyFee.findOne({
+      studentId,
+      month,
+      year,
+    });
+
+    if (!monthlyFee) {
+      throw new ApiError(404, "Fee record not found");
+    }
+
+    const receipt = await FeeReceiptService.issueMissingReceipt(
+      monthlyFee,
+      adminId,
+    );
+    return FeeReceiptService.buildReceiptData(receipt);
+  }
 
-    return {
+  /**
+   * Generate receipt data by receipt number (tenant-scoped)
+   */
+  static async getReceiptByNumber(receiptNumber, tenantId) {
+    const receipt = await FeeReceiptService.getReceiptByNumber(
       receiptNumber,
-      studentName: monthlyFee.studentId.name,
-      studentPhone: monthlyFee.studentId.phone,
-      monthYear,
-      amount: monthlyFee.paidAmount || monthlyFee.totalAmount,
-      paymentDate: monthlyFee.paymentDate,
-      paymentMethod: monthlyFee.paymentMethod || "Not specified",
-      transactionId: monthlyFee.transactionId || null,
-      remarks: monthlyFee.remarks || null,
-    };
+      tenantId,
+    );
+    return FeeReceiptService.buildReceiptData(receipt);
   }
 }
 
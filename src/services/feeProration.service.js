@@ -0,0 +1,451 @@
+/**
+ * Fee Proration Service
+ * Day-based pro-rata lines on monthly fees, driven by the student's
+ * billingDay: mid-cycle slot changes, partial first / last months and
+ * membership pauses
+ */
+
+import { Library } from "../models/library.model.js";
+import { MembershipPause } from "../models/membershipPause.model.js";
+import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
+import {
+  countDaysBetween,
+  getBillingCycle,
+  getBillingCycleForDate,
+  getEnrolledDaysInCycle,
+  getNetFee,
+  getPauseHoldFee,
+  getPausedDaysInCycle,
+  prorateAmount,
+  roundFeeAmount,
+} from "../utils/feeHelpers.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+
+class FeeProrationService {
+  /**
+   * Library proration settings
+   * @returns {Promise<{ slotChanges: boolean, firstMonth: boolean, lastMonth: boolean }>}
+   */
+  static async getSettings(tenantId) {
+    const library = tenantId
+      ? await Library.findById(tenantId)
+          .select(
+            "settings.prorateSlotChanges settings.prorateFirstMonth settings.prorateLastMonth",
+          )
+          .lean()
+      : null;
+    const settings = library?.settings || {};
+
+    return {
+      slotChanges: settings.prorateSlotChanges ?? true,
+      firstMonth: settings.prorateFirstMonth === true,
+      lastMonth: settings.prorateLastMonth === true,
+    };
+  }
+
+  static _billingDay(student) {
+    return (
+      student.billingDay || new Date(student.joiningDate || Date.now()).getDate()
+    );
+  }
+
+  /**
+   * Pro-rata line for a partial first / last fee month
+   * @param {Object} student - Needs billingDay, joiningDate, leavingDate, tenantId
+   * @param {number} netFee - Fee after discount / concession rules
+   * @returns {Promise<Object|null>} Adjustment line, or null for a full month
+   */
+  static async buildEnrollmentLine(student, month, year, netFee) {
+    const settings = await this.getSettings(student.tenantId);
+    if (!settings.firstMonth && !settings.lastMonth) return null;
+
+    const cycle = getBillingCycle(this._billingDay(student), month, year);
+    const enrolled = getEnrolledDaysInCycle(cycle, {
+      joiningDate: settings.firstMonth ? student.joiningDate : null,
+      leavingDate: settings.lastMonth ? student.leavingDate : null,
+    });
+    if (!enrolled.firstMonth && !enrolled.lastMonth) return null;
+
+    const difference = roundFeeAmount(
+      prorateAmount(netFee, enrolled.days, enrolled.cycleDays) - netFee,
+    );
+    if (difference === 0) return null;
+
+    let label = "Pro-rated last month";
+    if (enrolled.firstMonth) {
+      label = enrolled.lastMonth ? "Pro-rated stay" : "Pro-rated first month";
+    }
+
+    return {
+      name: `${label} (${enrolled.days} of ${enrolled.cycleDays} days)`,
+      type: "PRORATION",
+      kind: difference > 0 ? "CHARGE" : "DISCOUNT",
+      value: enrolled.days,
+      amount: Math.abs(difference),
+      proration: {
+        reason: "ENROLLMENT",
+        from: enrolled.from,
+        to: enrolled.to,
+        days: enrolled.days,
+        cycleDays: enrolled.cycleDays,
+      },
+    };
+  }
+
+  /**
+   * Recompute a fee month after its lines changed: net fee, payment status
+   * and the carried-forward chain. A credit that leaves the month overpaid
+   * moves the surplus to the student's advance balance.
+   */
+  static async _recalculate(fee, adminId, previousSurplus) {
+    fee.baseFee = getNetFee(fee.grossFee, fee.adjustments);
+    fee.markModified("adjustments");
+    if (adminId) fee.updatedBy = adminId;
+
+    if (fee.payments.length > 0 || fee.paidAmount > 0) {
+      fee.seedLedger();
+      fee.applyLedger();
+    }
+    await fee.save();
+
+    const surplus = Math.max(0, roundFeeAmount(fee.paidAmount - fee.totalAmount));
+    const credit = roundFeeAmount(surplus - previousSurplus);
+    if (credit > 0) {
+      await this._creditAdvance(
+        fee,
+        credit,
+        `Fee reduced for ${fee.month + 1}/${fee.year}`,
+        adminId,
+      );
+    }
+
+    const FeeDueService = (await import("./feeDue.service.js")).default;
+    await FeeDueService.recalculateAllCF(fee.studentId, adminId);
+    await cacheService.del(CACHE_KEYS.STUDENT_FEES(fee.studentId.toString()));
+  }
+
+  static async _creditAdvance(fee, amount, remarks, adminId) {
+    const FeeAdvanceService = (await import("./feeAdvance.service.js")).default;
+    await FeeAdvanceService.addAdvance(fee.studentId, amount, adminId, {
+      kind: "CREDIT",
+      remarks,
+    });
+  }
+
+  /**
+   * Start editing the lines of a fee month
+   * @returns {number} Amount the month is currently overpaid by
+   */
+  static _beginEdit(fee) {
+    // Records from before fee lines have no gross price
+    if (fee.grossFee === undefined || fee.grossFee === null) {
+      fee.grossFee = fee.baseFee;
+    }
+    return Math.max(0, roundFeeAmount((fee.paidAmount || 0) - fee.totalAmount));
+  }
+
+  /**
+   * Charge (upgrade) or credit (downgrade) the rest of the current billing
+   * cycle at the new slot's price. Call before the student's monthlyFee is
+   * switched to the new price, so a missing fee month is created at the old one.
+   * A fully paid (locked) month is not reopened: a downgrade is credited to
+   * the advance balance and an upgrade is charged from the next month on.
+   * @param {Object} params
+   * @param {Object} params.student - Student document
+   * @param {number} params.previousFee - Monthly fee before the change
+   * @param {number} params.newFee - Monthly fee after the change
+   * @param {Date} [params.changeDate] - First day in the new slot
+   * @param {string} [params.slotChangeId] - SlotChangeHistory record
+   * @returns {Promise<Object|null>} { month, year, line } ({ month, year,
+   *   advanceCredit } for a locked month) or null when nothing is due
+   */
+  static async applySlotChange({
+    student,
+    previousFee,
+    newFee,
+    changeDate = new Date(),
+    slotChangeId,
+    fromSlotName,
+    toSlotName,
+    adminId,
+  }) {
+    const difference = roundFeeAmount((newFee || 0) - (previousFee || 0));
+    if (difference === 0 || student.status !== "ACTIVE") return null;
+
+    const settings = await this.getSettings(student.tenantId);
+    if (!settings.slotChanges) return null;
+
+    const cycle = getBillingCycleForDate(this._billingDay(student), changeDate);
+
+    // A change on the first day of a cycle not billed yet needs no line:
+    // the month is generated at the new price
+    if (countDaysBetween(cycle.start, changeDate) === 0) {
+      const billed = await StudentMonthlyFee.exists({
+        studentId: student._id,
+        month: cycle.month,
+        year: cycle.year,
+      });
+      if (!billed) return null;
+    }
+
+    const FeeGenerationService = (await import("./feeGeneration.service.js"))
+      .default;
+    const fee = await FeeGenerationService.ensureMonthlyFeeExists(
+      student._id,
+      cycle.month,
+      cycle.year,
+      adminId,
+    );
+
+    // Days left in the cycle, counting the change day (and stopping at the leaving date)
+    const { to } = getEnrolledDaysInCycle(cycle, {
+      leavingDate: student.leavingDate,
+    });
+    const days = Math.max(0, countDaysBetween(changeDate, to));
+    const amount = prorateAmount(Math.abs(difference), days, cycle.days);
+    if (amount === 0) return null;
+
+    if (fee.locked) {
+      if (difference > 0) return null;
+      await this._creditAdvance(
+        fee,
+        amount,
+        `Slot downgrade: ${fromSlotName} → ${toSlotName} (${days} of ${cycle.days} days of ${fee.month + 1}/${fee.year})`,
+        adminId,
+      );
+      return { month: cycle.month, year: cycle.year, advanceCredit: amount };
+    }
+
+    const previousSurplus = this._beginEdit(fee);
+    const line = {
+      name: `Slot ${difference > 0 ? "upgrade" : "downgrade"}: ${fromSlotName} → ${toSlotName} (${days} of ${cycle.days} days)`,
+      type: "PRORATION",
+      kind: difference > 0 ? "CHARGE" : "DISCOUNT",
+      value: days,
+      amount,
+      proration: {
+        reason: "SLOT_CHANGE",
+        from: changeDate,
+        to,
+        days,
+        cycleDays: cycle.days,
+        slotChangeId,
+      },
+    };
+    fee.adjustments.push(line);
+    await this._recalculate(fee, adminId, previousSurplus);
+
+    return { month: cycle.month, year: cycle.year, line };
+  }
+
+  /**
+   * Re-apply the first / last month line on a fee month that already
+   * exists (e.g. after the leaving date is set or moved)
+   * @returns {Promise<Object|null>} Updated fee record
+   */
+  static async refreshEnrollmentLine(student, month, year, adminId) {
+    const fee = await StudentMonthlyFee.findOne({
+      studentId: student._id,
+      month,
+      year,
+    });
+    if (!fee) return null;
+
+    const previousSurplus = this._beginEdit(fee);
+    const existing = fee.adjustments.find(
+      (line) => line.proration?.reason === "ENROLLMENT",
+    );
+    const others = fee.adjustments.filter((line) => line !== existing);
+
+    // Pro-rate the fee after discount rules, as buildFeeLines does
+    const ruleNet = getNetFee(
+      fee.grossFee,
+      others.filter((line) => line.type !== "PRORATION"),
+    );
+    const line = await this.buildEnrollmentLine(student, month, year, ruleNet);
+
+    if (!existing && !line) return fee;
+    if (
+      existing &&
+      line &&
+      existing.kind === line.kind &&
+      existing.amount === line.amount
+    ) {
+      return fee;
+    }
+
+    fee.adjustments = line ? [...others, line] : others;
+    await this._recalculate(fee, adminId, previousSurplus);
+    return fee;
+  }
+
+  /**
+   * Pro-rata credit lines for the days of a fee month the membership is
+   * paused; only the pause's hold fee is charged for those days
+   * @param {number} netFee - Fee after discount / concession rules
+   * @returns {Promise<Array<Object>>} One line per pause touching the month
+   */
+  static async buildPauseLines(student, month, year, netFee) {
+    if (!student._id) return [];
+
+    const cycle = getBillingCycle(this._billingDay(student), month, year);
+    const pauses = await MembershipPause.find({
+      studentId: student._id,
+      status: { $ne: "CANCELLED" },
+      from: { $lt: cycle.end },
+      to: { $gte: cycle.start },
+    })
+      .sort({ from: 1 })
+      .lean();
+
+    const lines = [];
+    for (const pause of pauses) {
+      const paused = getPausedDaysInCycle(cycle, pause);
+      if (!paused) continue;
+
+      const hold = getPauseHoldFee(netFee, pause.holdFee);
+      const amount = prorateAmount(netFee - hold, paused.days, paused.cycleDays);
+      if (amount === 0) continue;
+
+      lines.push({
+        name: `Membership paused (${paused.days} of ${paused.cycleDays} days)`,
+        type: "PRORATION",
+        kind: "DISCOUNT",
+        value: paused.days,
+        amount,
+        proration: {
+          reason: "PAUSE",
+          from: paused.from,
+          to: paused.to,
+          days: paused.days,
+          cycleDays: paused.cycleDays,
+          pauseId: pause._id,
+        },
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Re-apply pause lines on a fee month that already exists (after a pause
+   * was added, shortened or cancelled). A fully paid (locked) month keeps
+   * its lines; newly paused days are credited to the advance balance.
+   * @returns {Promise<Object|null>} Updated fee record
+   */
+  static async refreshPauseLines(student, month, year, adminId) {
+    const fee = await StudentMonthlyFee.findOne({
+      studentId: student._id,
+      month,
+      year,
+    });
+    if (!fee) return null;
+    if (fee.locked) {
+      await this._creditPausedDays(student, fee, adminId);
+      return fee;
+    }
+
+    const previousSurplus = this._beginEdit(fee);
+    const existing = fee.adjustments.filter(
+      (line) => line.proration?.reason === "PAUSE",
+    );
+    const others = fee.adjustments.filter(
+      (line) => line.proration?.reason !== "PAUSE",
+    );
+
+    const ruleNet = getNetFee(
+      fee.grossFee,
+      others.filter((line) => line.type !== "PRORATION"),
+    );
+    const lines = await this.buildPauseLines(student, month, year, ruleNet);
+
+    const unchanged =
+      existing.length === lines.length &&
+      existing.every((line, i) => line.amount === lines[i].amount);
+    if (unchanged) return fee;
+
+    fee.adjustments = [...others, ...lines];
+    await this._recalculate(fee, adminId, previousSurplus);
+    return fee;
+  }
+
+  /**
+   * Credit the paused days of a locked month not yet billed or credited,
+   * once per pause (recorded on the pause). Shortening or cancelling the
+   * pause later does not take the credit back.
+   */
+  static async _creditPausedDays(student, fee, adminId) {
+    const billedLines = fee.adjustments.filter(
+      (line) => line.proration?.reason === "PAUSE",
+    );
+    const ruleNet = getNetFee(
+      fee.grossFee ?? fee.baseFee,
+      fee.adjustments.filter((line) => line.type !== "PRORATION"),
+    );
+    const lines = await this.buildPauseLines(student, fee.month, fee.year, ruleNet);
+
+    for (const line of lines) {
+      const { pauseId } = line.proration;
+      const pause = await MembershipPause.findById(pauseId)
+        .select("advanceCredits")
+        .lean();
+      const billed = billedLines
+        .filter((billedLine) => String(billedLine.proration.pauseId) === String(pauseId))
+        .reduce((sum, billedLine) => sum + billedLine.amount, 0);
+      const credited = (pause?.advanceCredits || [])
+        .filter((entry) => entry.month === fee.month && entry.year === fee.year)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+
+      const credit = roundFeeAmount(line.amount - billed - credited);
+      if (credit <= 0) continue;
+
+      await this._creditAdvance(
+        fee,
+        credit,
+        `Membership paused (${line.proration.days} of ${line.proration.cycleDays} days of ${fee.month + 1}/${fee.year})`,
+        adminId,
+      );
+      await MembershipPause.updateOne(
+        { _id: pauseId },
+        {
+          $push: {
+            advanceCredits: { month: fee.month, year: fee.year, amount: credit },
+          },
+        },
+      );
+    }
+  }
+
+  /**
+   * Refresh the pause lines of every existing fee month between two dates
+   */
+  static async refreshPauseLinesBetween(student, from, to, adminId) {
+    const billingDay = this._billingDay(student);
+    let cycle = getBillingCycleForDate(billingDay, from);
+    while (cycle.start <= to) {
+      await this.refreshPauseLines(student, cycle.month, cycle.year, adminId);
+      cycle = getBillingCycleForDate(billingDay, cycle.end);
+    }
+  }
+
+  /**
+   * Pro-rate the last fee month after the leaving date changed
+   * (and undo it on the month of a previous leaving date)
+   */
+  static async applyLeavingDate(student, previousLeavingDate, adminId) {
+    const billingDay = this._billingDay(student);
+    const months = new Map();
+    for (const date of [previousLeavingDate, student.leavingDate]) {
+      if (!date) continue;
+      const { month, year } = getBillingCycleForDate(billingDay, date);
+      months.set(`${year}-${month}`, { month, year });
+    }
+
+    for (const { month, year } of months.values()) {
+      await this.refreshEnrollmentLine(student, month, year, adminId);
+    }
+  }
+}
+
+export default FeeProrationService;
@@ -0,0 +1,677 @@
+/**
+ * Fee Receipt Service
+ * Handles receipt numbering, void/reissue and server-side PDF rendering
+ */
+
+import { Counter } from "../models/counter.model.js";
+import { FeeReceipt } from "../models/feeReceipt.model.js";
+import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  getFinancialYear,
+  getMonthName,
+  getPaymentLedger,
+  roundFeeAmount,
+} from "../utils/feeHelpers.js";
+import {
+  createPdfDocument,
+  drawKeyValueRows,
+  drawLibraryHeader,
+  fetchImageBuffer,
+  formatCurrency,
+  formatDate,
+  pipePdf,
+} from "../utils/pdfHelpers.js";
+
+const RECEIPT_SEQUENCE_PREFIX = "RECEIPT";
+
+class FeeReceiptService {
+  /**
+   * Resolve the tenant of a fee record (legacy records may lack tenantId)
+   */
+  static async _resolveTenantId(monthlyFee) {
+    if (monthlyFee.tenantId) return monthlyFee.tenantId;
+    const { Student } = await import("../models/student.model.js");
+    const student = await Student.findById(
+      monthlyFee.studentId?._id || monthlyFee.studentId,
+    )
+      .select("tenantId")
+      .lean();
+    return student?.tenantId || null;
+  }
+
+  /**
+   * Issue the next receipt number for a payment.
+   * The sequence is per library and per financial year and is incremented
+   * atomically, so concurrent payments never share or skip a number.
+   * @param {Document} monthlyFee - StudentMonthlyFee the payment belongs to
+   * @param {Object} payment - { amount, paymentMethod, transactionId, remarks, paymentDate, advanceCredited, ledgerEntryId }
+   * @param {string} adminId
+   * @param {string|null} replacesReceiptId - Receipt being corrected, if any
+   * @returns {Promise<Document>} FeeReceipt
+   */
+  static async issueReceipt(monthlyFee, payment, adminId, replacesReceiptId = null) {
+    const { Library } = await import("../models/library.model.js");
+
+    const tenantId = await this._resolveTenantId(monthlyFee);
+    const library = tenantId
+      ? await Library.findById(tenantId)
+          .select("settings.financialYearStartMonth")
+          .lean()
+      : null;
+
+    const paymentDate = payment.paymentDate || new Date();
+    const financialYear = getFinancialYear(
+      paymentDate,
+      library?.settings?.financialYearStartMonth ?? 3,
+    );
+    const receipt = new FeeReceipt({
+      tenantId,
+      financialYear,
+      feeId: monthlyFee._id,
+      ledgerEntryId: payment.ledgerEntryId || null,
+      studentId: monthlyFee.studentId?._id || monthlyFee.studentId,
+      month: monthlyFee.month,
+      year: monthlyFee.year,
+      amount: roundFeeAmount(payment.amount),
+      advanceCredited: roundFeeAmount(payment.advanceCredited || 0),
+      paymentMethod: payment.paymentMethod,
+      transactionId: payment.transactionId,
+      remarks: payment.remarks,
+      paymentDate,
+      replacesReceiptId,
+      issuedBy: adminId,
+    });
+    // Catch bad input before a number is taken
+    await receipt.validate({ pathsToSkip: ["sequence", "receiptNumber"] });
+
+    const counterKey = `${RECEIPT_SEQUENCE_PREFIX}:${financialYear}`;
+    const sequence = await Counter.next(tenantId, counterKey);
+    receipt.sequence = sequence;
+    receipt.receiptNumber = `RCP-${financialYear}-${String(sequence).padStart(6, "0")}`;
+
+    try {
+      await receipt.save();
+    } catch (error) {
+      await this._releaseNumber(receipt, counterKey);
+      throw error;
+    }
+
+    if (receipt.ledgerEntryId) {
+      await StudentMonthlyFee.updateOne(
+        { _id: monthlyFee._id, "payments._id": receipt.ledgerEntryId },
+        {
+          $set: {
+            receiptNumber: receipt.receiptNumber,
+            "payments.$.receiptNumber": receipt.receiptNumber,
+          },
+        },
+      );
+    } else {
+      await StudentMonthlyFee.updateOne(
+        { _id: monthlyFee._id },
+        { $set: { receiptNumber: receipt.receiptNumber } },
+      );
+    }
+    monthlyFee.receiptNumber = receipt.receiptNumber;
+
+    return receipt;
+  }
+
+  /**
+   * Keep the sequence gapless when a receipt could not be saved: hand the
+   * number back if nothing was issued after it, otherwise record it as a
+   * VOID receipt so the gap is explained.
+   * @param {Document} receipt - The unsaved receipt holding the number
+   * @param {string} counterKey
+   */
+  static async _releaseNumber(receipt, counterKey) {
+    try {
+      const released = await Counter.release(
+        receipt.tenantId,
+        counterKey,
+        receipt.sequence,
+      );
+      if (released) return;
+
+      await FeeReceipt.create({
+        ...receipt.toObject(),
+        _id: undefined,
+        ledgerEntryId: null,
+        replacesReceiptId: null,
+        status: "VOID",
+        voidedAt: new Date(),
+        voidReason: "Number not used: the receipt could not be saved",
+      });
+    } catch (error) {
+      console.error(
+        `Receipt number ${receipt.receiptNumber} could not be released:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Find the receipt currently representing a fee month, following
+   * correction links. Read-only: never issues a receipt.
+   * @param {Document} monthlyFee
+   * @returns {Promise<Document>} FeeReceipt
+   */
+  static async getCurrentReceiptForFee(monthlyFee) {
+    const tenantId = await this._resolveTenantId(monthlyFee);
+
+    let receipt = monthlyFee.receiptNumber
+      ? await FeeReceipt.findOne({
+          tenantId,
+          receiptNumber: monthlyFee.receiptNumber,
+        })
+      : null;
+
+    while (receipt && receipt.status === "VOID" && receipt.replacedByReceiptId) {
+      receipt = await FeeReceipt.findById(receipt.replacedByReceiptId);
+    }
+
+    if (!receipt || receipt.status === "VOID") {
+      receipt = await FeeReceipt.findOne({
+        feeId: monthlyFee._id,
+        status: "ISSUED",
+      }).sort({ createdAt: -1 });
+    }
+
+    if (!receipt) {
+      throw new ApiError(404, "No receipt has been issued for this month");
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Issue the receipt for a paid month that has none — legacy records
+   * paid before receipt numbering. Returns the existing receipt if there
+   * already is one.
+   * @param {Document} monthlyFee
+   * @param {string} adminId
+   * @returns {Promise<Document>} FeeReceipt
+   */
+  static async issueMissingReceipt(monthlyFee, adminId) {
+    try {
+      return await this.getCurrentReceiptForFee(monthlyFee);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    if (monthlyFee.status !== "PAID") {
+      throw new ApiError(400, "Receipts can only be issued for paid months");
+    }
+
+    const paidAmount = monthlyFee.paidAmount || monthlyFee.totalAmount;
+    return this.issueReceipt(
+      monthlyFee,
+      {
+        amount: paidAmount,
+        advanceCredited: Math.max(0, paidAmount - monthlyFee.totalAmount),
+        paymentMethod: monthlyFee.paymentMethod,
+        transactionId: monthlyFee.transactionId,
+        remarks: monthlyFee.remarks,
+        paymentDate: monthlyFee.paymentDate,
+      },
+      adminId,
+    );
+  }
+
+  /**
+   * Look up a receipt by its number within a library
+   * @param {string} receiptNumber
+   * @param {string|null} tenantId
+   * @returns {Promise<Document>} FeeReceipt
+   */
+  static async getReceiptByNumber(receiptNumber, tenantId) {
+    const receipt = await FeeReceipt.findOne({
+      tenantId: tenantId || null,
+      receiptNumber: receiptNumber.trim().toUpperCase(),
+    });
+
+    if (!receipt) {
+      throw new ApiError(404, "Receipt not found");
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Build the printable receipt payload (used by JSON and PDF endpoints)
+   * @param {Document} receipt - FeeReceipt
+   * @returns {Promise<Object>}
+   */
+  static async buildReceiptData(receipt) {
+    const { Library } = await import("../models/library.model.js");
+
+    const [monthlyFee, library, replaces, replacedBy] = await Promise.all([
+      StudentMonthlyFee.findById(receipt.feeId)
+        .populate("studentId", "name phone email libraryId")
+        .populate("payments.collectedBy", "name"),
+      receipt.tenantId
+        ? Library.findById(receipt.tenantId)
+            .select("name address phone email website logoUrl settings.currency")
+            .lean()
+        : null,
+      receipt.replacesReceiptId
+        ? FeeReceipt.findById(receipt.replacesReceiptId).select("receiptNumber").lean()
+        : null,
+      receipt.replacedByReceiptId
+        ? FeeReceipt.findById(receipt.replacedByReceiptId).select("receiptNumber").lean()
+        : null,
+    ]);
+
+    if (!monthlyFee) {
+      throw new ApiError(404, "Fee record not found");
+    }
+
+    const student = monthlyFee.studentId || {};
+    const ledger = getPaymentLedger(monthlyFee);
+    const entry = receipt.ledgerEntryId
+      ? monthlyFee.payments.id(receipt.ledgerEntryId)
+      : null;
+
+    return {
+      receiptNumber: receipt.receiptNumber,
+      financialYear: receipt.financialYear,
+      status: receipt.status,
+      voidReason: receipt.voidReason || null,
+      voidedAt: receipt.voidedAt || null,
+      replacesReceiptNumber: replaces?.receiptNumber || null,
+      replacedByReceiptNumber: replacedBy?.receiptNumber || null,
+      feeId: monthlyFee._id,
+      studentId: student._id,
+      studentName: student.name,
+      studentPhone: student.phone,
+      studentLibraryId: student.libraryId || null,
+      month: receipt.month,
+      year: receipt.year,
+      monthYear: `${getMonthName(receipt.month)} ${receipt.year}`,
+      library: {
+        name: library?.name || "Library",
+        address: library?.address || null,
+        phone: library?.phone || null,
+        email: library?.email || null,
+        website: library?.website || null,
+        logoUrl: library?.logoUrl || null,
+        currency: library?.settings?.currency || "INR",
+      },
+      breakdown: {
+        grossFee: monthlyFee.grossFee ?? monthlyFee.baseFee,
+        adjustments: (monthlyFee.adjustments || []).map((a) => ({
+          name: a.name,
+          type: a.type,
+          kind: a.kind || "DISCOUNT",
+          value: a.value,
+          amount: a.amount,
+        })),
+        baseFee: monthlyFee.baseFee,
+        dueCarriedForward: monthlyFee.dueCarriedForwardAmount || 0,
+        lateFee: monthlyFee.lateFee?.amount || 0,
+        lateFeeDaysLate: monthlyFee.lateFee?.daysLate || 0,
+        lateFeeWaived: monthlyFee.lateFee?.waivedAmount || 0,
+        totalAmount: monthlyFee.totalAmount,
+        advanceApplied:
+          receipt.paymentMethod === "ADVANCE" ? receipt.amount : 0,
+        advanceCredited: receipt.advanceCredited || 0,
+        paidAmount: entry?.amount ?? receipt.amount,
+        totalPaidToDate: monthlyFee.paidAmount || 0,
+        balance: Math.max(
+          0,
+          roundFeeAmount(monthlyFee.totalAmount - (monthlyFee.paidAmount || 0)),
+        ),
+      },
+      instalments: ledger.map((p) => ({
+        amount: p.amount,
+        method: p.method,
+        reference: p.reference || null,
+        paidAt: p.paidAt,
+        receiptNumber: p.receiptNumber || null,
+        collectedBy: p.collectedBy?.name || null,
+      })),
+      amount: entry?.amount ?? receipt.amount,
+      paymentDate: entry?.paidAt || receipt.paymentDate,
+      paymentMethod: entry?.method || receipt.paymentMethod || "Not specified",
+      transactionId: entry?.reference || receipt.transactionId || null,
+      collectedBy: entry?.collectedBy?.name || null,
+      remarks: receipt.remarks || null,
+    };
+  }
+
+  /**
+   * Void a receipt. The number is kept and the record is marked VOID.
+   * A standalone void is refused while the receipt's ledger entry is still
+   * active; reversePayment voids receipts after reversing their entries.
+   * @param {string} receiptNumber
+   * @param {string|null} tenantId
+   * @param {string} reason
+   * @param {string} adminId
+   * @param {string|null} replacedByReceiptId - Set when voided by a correction
+   */
+  static async voidReceipt(
+    receiptNumber,
+    tenantId,
+    reason,
+    adminId,
+    replacedByReceiptId = null,
+  ) {
+    if (!reason || !reason.trim()) {
+      throw new ApiError(400, "A reason is required to void a receipt");
+    }
+
+    const receipt = await this.getReceiptByNumber(receiptNumber, tenantId);
+    if (receipt.status === "VOID") {
+      throw new ApiError(400, "Receipt is already void");
+    }
+
+    // A receipt on its own must not disappear while the money it covers
+    // is still on the ledger — that goes through a payment reversal
+    if (!replacedByReceiptId) {
+      const monthlyFee = await StudentMonthlyFee.findById(receipt.feeId)
+        .select("payments paidAmount")
+        .lean();
+      const payments = monthlyFee?.payments || [];
+      // Legacy months paid before the ledger have no entries to match
+      const entryActive = payments.length
+        ? payments.some(
+            (p) =>
+              !p.reversed &&
+              (receipt.ledgerEntryId
+                ? p._id.equals(receipt.ledgerEntryId)
+                : p.receiptNumber === receipt.receiptNumber),
+          )
+        : (monthlyFee?.paidAmount || 0) > 0;
+      if (entryActive) {
+        throw new ApiError(
+          400,
+          "The payment on this receipt is still recorded. Reverse the payment to void its receipt, or reissue the receipt to correct it",
+        );
+      }
+    }
+
+    receipt.status = "VOID";
+    receipt.voidedAt = new Date();
+    receipt.voidedBy = adminId;
+    receipt.voidReason = reason.trim();
+    receipt.replacedByReceiptId = replacedByReceiptId;
+    await receipt.save();
+
+    // Point the fee month at its latest remaining receipt (if any)
+    const latest = await FeeReceipt.findOne({
+      feeId: receipt.feeId,
+      status: "ISSUED",
+    })
+      .sort({ createdAt: -1 })
+      .select("receiptNumber")
+      .lean();
+    await StudentMonthlyFee.updateOne(
+      { _id: receipt.feeId, receiptNumber: receipt.receiptNumber },
+      latest
+        ? { $set: { receiptNumber: latest.receiptNumber } }
+        : { $unset: { receiptNumber: 1 } },
+    );
+
+    await AdminActionLog.create({
+      adminId,
+      action: "VOID_RECEIPT",
+      targetEntity: "RECEIPT",
+      targetId: receipt._id,
+      oldValue: { status: "ISSUED" },
+      newValue: { status: "VOID", reason: receipt.voidReason },
+      metadata: {
+        receiptNumber: receipt.receiptNumber,
+        studentId: receipt.studentId,
+        month: receipt.month,
+        year: receipt.year,
+      },
+      tenantId: receipt.tenantId,
+    });
+
+    return receipt;
+  }
+
+  /**
+   * Issue a corrected receipt under a new number and void the original.
+   * The amount is unchanged; use a payment reversal to change amounts.
+   * @param {string} receiptNumber - Receipt to correct
+   * @param {string|null} tenantId
+   * @param {Object} corrections - { paymentMethod, transactionId, remarks, paymentDate }
+   * @param {string} reason
+   * @param {string} adminId
+   * @returns {Promise<Document>} New FeeReceipt
+   */
+  static async reissueReceipt(receiptNumber, tenantId, corrections, reason, adminId) {
+    if (!reason || !reason.trim()) {
+      throw new ApiError(400, "A reason is required to reissue a receipt");
+    }
+
+    const original = await this.getReceiptByNumber(receiptNumber, tenantId);
+    if (original.status === "VOID") {
+      throw new ApiError(400, "A void receipt cannot be reissued");
+    }
+
+    const monthlyFee = await StudentMonthlyFee.findById(original.feeId);
+    if (!monthlyFee) {
+      throw new ApiError(404, "Fee record not found");
+    }
+
+    const payment = {
+      amount: original.amount,
+      advanceCredited: original.advanceCredited,
+      ledgerEntryId: original.ledgerEntryId,
+      paymentMethod: corrections.paymentMethod ?? original.paymentMethod,
+      transactionId: corrections.transactionId ?? original.transactionId,
+      remarks: corrections.remarks ?? original.remarks,
+      paymentDate: corrections.paymentDate
+        ? new Date(corrections.paymentDate)
+        : original.paymentDate,
+    };
+
+    const corrected = await this.issueReceipt(
+      monthlyFee,
+      payment,
+      adminId,
+      original._id,
+    );
+    await this.voidReceipt(
+      original.receiptNumber,
+      tenantId,
+      reason,
+      adminId,
+      corrected._id,
+    );
+
+    // Keep the fee record's payment details in line with the correction
+    await StudentMonthlyFee.updateOne(
+      { _id: monthlyFee._id },
+      {
+        $set: {
+          receiptNumber: corrected.receiptNumber,
+          paymentMethod: payment.paymentMethod,
+          transactionId: payment.transactionId,
+          remarks: payment.remarks,
+          updatedBy: adminId,
+        },
+      },
+    );
+    if (original.ledgerEntryId) {
+      await StudentMonthlyFee.updateOne(
+        { _id: monthlyFee._id, "payments._id": original.ledgerEntryId },
+        {
+          $set: {
+            "payments.$.method": payment.paymentMethod,
+            "payments.$.reference": payment.transactionId,
+            "payments.$.paidAt": payment.paymentDate,
+          },
+        },
+      );
+    }
+
+    await AdminActionLog.create({
+      adminId,
+      action: "REISSUE_RECEIPT",
+      targetEntity: "RECEIPT",
+      targetId: corrected._id,
+      oldValue: {
+        receiptNumber: original.receiptNumber,
+        paymentMethod: original.paymentMethod,
+        transactionId: original.transactionId,
+      },
+      newValue: {
+        receiptNumber: corrected.receiptNumber,
+        paymentMethod: corrected.paymentMethod,
+        transactionId: corrected.transactionId,
+      },
+      metadata: { reason: reason.trim(), studentId: original.studentId },
+      tenantId: original.tenantId,
+    });
+
+    return corrected;
+  }
+
+  /**
+   * Render a receipt (as returned by buildReceiptData) into a PDF and stream it.
+   * @param {Object} receipt
+   * @param {import("stream").Writable} stream - e.g. Express `res`
+   * @returns {Promise<void>}
+   */
+  static async streamReceiptPDF(receipt, stream) {
+    const { library, breakdown } = receipt;
+    const currency = library.currency;
+    const logo = await fetchImageBuffer(library.logoUrl);
+
+    const doc = createPdfDocument({
+      Title: `Receipt ${receipt.receiptNumber}`,
+      Author: library.name,
+    });
+
+    drawLibraryHeader(doc, library, logo);
+
+    doc.font("Helvetica-Bold").fontSize(14).text("FEE RECEIPT", {
+      align: "center",
+    });
+    if (receipt.status === "VOID") {
+      doc
+        .fillColor("#cc0000")
+        .fontSize(12)
+        .text(`VOID — ${receipt.voidReason || ""}`, { align: "center" })
+        .fillColor("#000000");
+    }
+    doc.moveDown();
+
+    const details = [
+      ["Receipt No.", receipt.receiptNumber, { bold: true }],
+      ["Payment Date", formatDate(receipt.paymentDate)],
+      ["Student", receipt.studentName],
+      ["Library ID", receipt.studentLibraryId || "-"],
+      ["Phone", receipt.studentPhone || "-"],
+      ["Fee Period", receipt.monthYear],
+    ];
+    if (receipt.replacesReceiptNumber) {
+      details.push(["Replaces Receipt", receipt.replacesReceiptNumber]);
+    }
+    if (receipt.replacedByReceiptNumber) {
+      details.push(["Replaced By", receipt.replacedByReceiptNumber]);
+    }
+    drawKeyValueRows(doc, details);
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text("Breakdown");
+    doc.moveDown(0.5);
+
+    const rows = [
+      ...(breakdown.adjustments.length > 0
+        ? [
+            ["Monthly Fee", formatCurrency(breakdown.grossFee, currency)],
+            ...breakdown.adjustments.map((a) => [
+              a.type === "PERCENTAGE" ? `${a.name} (${a.value}%)` : a.name,
+              `${a.kind === "CHARGE" ? "+" : "-"} ${formatCurrency(a.amount, currency)}`,
+            ]),
+            ["Net Monthly Fee", formatCurrency(breakdown.baseFee, currency)],
+          ]
+        : [["Monthly Fee", formatCurrency(breakdown.baseFee, currency)]]),
+      [
+        "Carried Forward Due",
+        formatCurrency(breakdown.dueCarriedForward, currency),
+      ],
+      ...(breakdown.lateFee > 0
+        ? [
+            [
+              `Late Fee (${breakdown.lateFeeDaysLate} days)`,
+              formatCurrency(breakdown.lateFee, currency),
+            ],
+          ]
+        : []),
+      ...(breakdown.lateFeeWaived > 0
+        ? [
+            [
+              "Late Fee Waived",
+              `- ${formatCurrency(breakdown.lateFeeWaived, currency)}`,
+            ],
+          ]
+        : []),
+      ["Total Payable", formatCurrency(breakdown.totalAmount, currency), { bold: true }],
+    ];
+    if (breakdown.advanceApplied > 0) {
+      rows.push([
+        "Paid from Advance",
+        formatCurrency(breakdown.advanceApplied, currency),
+      ]);
+    }
+    rows.push([
+      "Amount Paid",
+      formatCurrency(breakdown.paidAmount, currency),
+      { bold: true },
+    ]);
+    if (breakdown.advanceCredited > 0) {
+      rows.push([
+        "Credited to Advance",
+        formatCurrency(breakdown.advanceCredited, currency),
+      ]);
+    }
+    if (breakdown.balance > 0) {
+      rows.push(["Balance Due", formatCurrency(breakdown.balance, currency)]);
+    }
+    drawKeyValueRows(doc, rows);
+
+    doc.moveDown();
+    drawKeyValueRows(doc, [
+      ["Payment Method", receipt.paymentMethod],
+      ["Transaction ID", receipt.transactionId || "-"],
+      ...(receipt.collectedBy ? [["Collected By", receipt.collectedBy]] : []),
+    ]);
+
+    if (receipt.instalments?.length > 1) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(11).text("Payments for this month");
+      doc.moveDown(0.5);
+      drawKeyValueRows(
+        doc,
+        receipt.instalments.map((p) => [
+          `${formatDate(p.paidAt)}  ${p.method}${p.reference ? ` (${p.reference})` : ""}  ${p.receiptNumber || ""}`,
+          formatCurrency(p.amount, currency),
+        ]),
+      );
+    }
+    if (receipt.remarks) {
+      doc.moveDown(0.5);
+      doc.font("Helvetica").fontSize(9).text(`Remarks: ${receipt.remarks}`);
+    }
+
+    doc.moveDown(2);
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(8)
+      .fillColor("#777777")
+      .text("This is a computer-generated receipt and does not require a signature.", {
+        align: "center",
+      });
+
+    await pipePdf(doc, stream);
+  }
+}
+
+export default FeeReceiptService;
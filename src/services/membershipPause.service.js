@@ -0,0 +1,577 @@
+/**
+ * Membership Pause Service
+ * Freezes a student's membership for a period (exams, travel, festivals).
+ * Fee months only charge the pause's hold fee for the paused days, overdue
+ * reminders are held, and the seat is either kept for the student or
+ * released to the slot's waitlist. Membership resumes after the end date.
+ */
+
+import { MembershipPause } from "../models/membershipPause.model.js";
+import { Student } from "../models/student.model.js";
+import { Slot } from "../models/slot.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { StudentStatus } from "../constants/constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+import {
+  getBillingCycle,
+  getPausedDaysInCycle,
+} from "../utils/feeHelpers.js";
+import {
+  getSlotTenantId,
+  validateSeatAvailable,
+  validateSlotHasCapacity,
+} from "../utils/slotHelpers.js";
+import FeeProrationService from "./feeProration.service.js";
+
+const OPEN_STATUSES = ["SCHEDULED", "ACTIVE", "AWAITING_SEAT"];
+const HOLD_FEE_TYPES = ["NONE", "FLAT", "PERCENTAGE"];
+const SEAT_POLICIES = ["RESERVED", "RELEASED"];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const parseDay = (value, label) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `A valid ${label} date is required`);
+  }
+  return startOfDay(date);
+};
+
+class MembershipPauseService {
+  /**
+   * Pause an active student's membership from one date to another (both
+   * included). Pauses starting today take effect straight away.
+   * @param {Object} data - { from, to, reason, holdFee: { type, value }, seatPolicy }
+   * @returns {Promise<Document>} MembershipPause
+   */
+  static async createPause(
+    studentId,
+    { from, to, reason = "", holdFee, seatPolicy = "RESERVED" },
+    adminId,
+    tenantId = null,
+  ) {
+    const student = await Student.findOne({
+      _id: studentId,
+      isDeleted: false,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+    if (student.status !== StudentStatus.ACTIVE) {
+      throw new ApiError(400, "Only active students can pause their membership");
+    }
+
+    const fromDay = parseDay(from, "start");
+    const toDay = parseDay(to, "end");
+    const today = startOfDay(new Date());
+    if (fromDay < today) {
+      throw new ApiError(400, "A pause cannot start in the past");
+    }
+    if (toDay < fromDay) {
+      throw new ApiError(400, "A pause cannot end before it starts");
+    }
+    if (student.leavingDate && toDay >= startOfDay(student.leavingDate)) {
+      throw new ApiError(
+        400,
+        `The pause must end before the student's leaving date (${student.leavingDate.toDateString()})`,
+      );
+    }
+
+    if (!SEAT_POLICIES.includes(seatPolicy)) {
+      throw new ApiError(400, `Seat policy must be one of ${SEAT_POLICIES.join(", ")}`);
+    }
+    const hold = {
+      type: holdFee?.type || "NONE",
+      value: Number(holdFee?.value) || 0,
+    };
+    if (!HOLD_FEE_TYPES.includes(hold.type)) {
+      throw new ApiError(400, `Hold fee type must be one of ${HOLD_FEE_TYPES.join(", ")}`);
+    }
+    if (hold.value < 0 || (hold.type === "PERCENTAGE" && hold.value > 100)) {
+      throw new ApiError(400, "Hold fee must be a positive amount (at most 100%)");
+    }
+    if (hold.type === "NONE") hold.value = 0;
+
+    const overlapping = await MembershipPause.findOne({
+      studentId: student._id,
+      status: { $in: OPEN_STATUSES },
+      from: { $lte: toDay },
+      to: { $gte: fromDay },
+    }).lean();
+    if (overlapping) {
+      throw new ApiError(
+        409,
+        `The membership is already paused from ${overlapping.from.toDateString()} to ${overlapping.to.toDateString()}`,
+      );
+    }
+
+    const pause = await MembershipPause.create({
+      studentId: student._id,
+      from: fromDay,
+      to: toDay,
+      reason,
+      holdFee: hold,
+      seatPolicy,
+      createdBy: adminId,
+      tenantId: student.tenantId,
+    });
+
+    await AdminActionLog.create({
+      adminId,
+      action: "PAUSE_MEMBERSHIP",
+      targetEntity: "STUDENT",
+      targetId: student._id,
+      newValue: { from: fromDay, to: toDay, holdFee: hold, seatPolicy, reason },
+      metadata: { studentId: student._id, pauseId: pause._id },
+      tenantId: student.tenantId,
+    });
+
+    // Fee months already generated for the paused days are credited now
+    await this._refreshFees(student, fromDay, toDay, adminId);
+
+    if (fromDay <= today) {
+      await this._startPause(pause, student, adminId);
+    } else {
+      await this._notify(pause, student, {
+        studentMessage: `Your membership will be paused from ${fromDay.toDateString()} to ${toDay.toDateString()}.`,
+      });
+    }
+
+    return pause;
+  }
+
+  /**
+   * End a pause early: scheduled pauses are cancelled, running ones end
+   * yesterday and the membership resumes today
+   */
+  static async endPause(pauseId, adminId, tenantId = null) {
+    const pause = await this._findPause(pauseId, tenantId);
+    if (!OPEN_STATUSES.includes(pause.status)) {
+      throw new ApiError(400, "This pause has already ended");
+    }
+
+    const student = await Student.findById(pause.studentId);
+    const oldValue = { status: pause.status, from: pause.from, to: pause.to };
+    const today = startOfDay(new Date());
+
+    if (pause.status === "SCHEDULED" || pause.from >= today) {
+      pause.status = "CANCELLED";
+      pause.cancelledAt = new Date();
+      pause.cancelledBy = adminId;
+      await pause.save();
+    } else if (pause.status === "ACTIVE") {
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+      if (pause.to > yesterday) pause.to = yesterday;
+    }
+
+    if (student && pause.status !== "CANCELLED") {
+      await this._resumePause(pause, student);
+    } else if (student && oldValue.status === "ACTIVE") {
+      // Cancelled on its first day: undo the start
+      await this._restoreStudent(pause, student);
+      pause.resumedAt = new Date();
+      await pause.save();
+    }
+
+    if (student) {
+      await this._refreshFees(student, oldValue.from, oldValue.to, adminId);
+    }
+
+    await AdminActionLog.create({
+      adminId,
+      action: "END_PAUSE",
+      targetEntity: "STUDENT",
+      targetId: pause.studentId,
+      oldValue,
+      newValue: { status: pause.status, to: pause.to },
+      metadata: { studentId: pause.studentId, pauseId: pause._id },
+      tenantId: pause.tenantId,
+    });
+
+    if (student && pause.status === "CANCELLED") {
+      await this._notify(pause, student, {
+        studentMessage: "Your membership pause has been cancelled.",
+      });
+    }
+
+    return pause;
+  }
+
+  /**
+   * Start a pause: RELEASED pauses give the seat up to the slot's waitlist
+   */
+  static async _startPause(pause, student, adminId = null) {
+    pause.status = "ACTIVE";
+    pause.startedAt = new Date();
+
+    if (pause.seatPolicy === "RELEASED" && student.slotId) {
+      pause.releasedSlotId = student.slotId;
+      pause.releasedSeatNumber = student.seatNumber || undefined;
+
+      student.status = StudentStatus.PAUSED;
+      student.seatNumber = undefined;
+      await student.save();
+
+      const StudentService = (await import("./student.service.js")).default;
+      await StudentService.releaseStudentSeat(student, {
+        wasActive: true,
+        reason: "Membership paused",
+        adminId,
+      });
+      try {
+        const SeatHoldService = (await import("./seatHold.service.js")).default;
+        await SeatHoldService.releaseHold(student._id);
+      } catch (error) {
+        console.error(`Failed to release seat hold of ${student._id}:`, error.message);
+      }
+      await this._clearSlotCaches(student.slotId, student);
+    }
+    await pause.save();
+
+    await this._notify(pause, student, {
+      studentMessage: `Your membership is paused until ${pause.to.toDateString()}.${
+        pause.seatPolicy === "RELEASED"
+          ? " Your seat has been released; a seat in your slot will be given back when you return, if one is free."
+          : " Your seat is kept for you."
+      }`,
+      adminMessage: `${student.name}'s membership is paused until ${pause.to.toDateString()}${
+        pause.seatPolicy === "RELEASED" && pause.releasedSeatNumber
+          ? ` (seat ${pause.releasedSeatNumber} released)`
+          : ""
+      }.`,
+    });
+
+    return pause;
+  }
+
+  /**
+   * Resume the membership. A released seat is given back when it is still
+   * free; if the slot has filled up the pause waits (and keeps crediting the
+   * days) until a seat frees up or an admin steps in.
+   */
+  static async _resumePause(pause, student) {
+    if (student.isDeleted || student.status !== StudentStatus.PAUSED) {
+      // RESERVED pause, or the student left / was edited during the pause
+      pause.status = "COMPLETED";
+      pause.resumedAt = new Date();
+      await pause.save();
+
+      if (!student.isDeleted) {
+        await this._notify(pause, student, {
+          studentMessage: "Welcome back! Your membership has resumed.",
+        });
+      }
+      return pause;
+    }
+
+    try {
+      await validateSlotHasCapacity(pause.releasedSlotId);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+
+      const today = startOfDay(new Date());
+      const firstWait = pause.status !== "AWAITING_SEAT";
+      if (pause.to < today) {
+        const previousTo = pause.to;
+        pause.to = today;
+        await this._refreshFees(student, previousTo, today, null);
+      }
+      pause.status = "AWAITING_SEAT";
+      pause.resumeNote = error.message;
+      await pause.save();
+
+      if (firstWait) {
+        await this._notify(pause, student, {
+          studentMessage:
+            "Your pause is over, but your slot is full right now. Your membership stays paused (and unbilled) until a seat frees up.",
+          adminMessage: `${student.name}'s pause is over but their slot is full: ${error.message}`,
+        });
+      }
+      return pause;
+    }
+
+    const note = await this._restoreStudent(pause, student);
+    pause.status = "COMPLETED";
+    pause.resumedAt = new Date();
+    pause.resumeNote = note || undefined;
+    await pause.save();
+
+    await this._notify(pause, student, {
+      studentMessage: `Welcome back! Your membership has resumed${
+        student.seatNumber ? ` (seat ${student.seatNumber})` : ""
+      }.`,
+      adminMessage: note ? `${student.name} is back from their pause. ${note}` : null,
+    });
+
+    return pause;
+  }
+
+  /**
+   * Put a released student back in their slot and, if still free, their seat
+   * @returns {Promise<string|null>} Note for admins when the seat was lost
+   */
+  static async _restoreStudent(pause, student) {
+    if (student.status !== StudentStatus.PAUSED) return null;
+
+    let note = null;
+    if (pause.releasedSeatNumber) {
+      try {
+        const layoutSeat = await validateSeatAvailable(
+          pause.releasedSlotId,
+          pause.releasedSeatNumber,
+          student._id,
+        );
+        student.seatNumber = layoutSeat?.label ?? pause.releasedSeatNumber;
+      } catch (error) {
+        if (![400, 409].includes(error.statusCode)) throw error;
+        note = `Seat ${pause.releasedSeatNumber} was taken during the pause; please assign a new seat.`;
+      }
+    }
+
+    student.slotId = pause.releasedSlotId;
+    student.status = StudentStatus.ACTIVE;
+    await student.save();
+    await this._clearSlotCaches(pause.releasedSlotId, student);
+
+    return note;
+  }
+
+  static async _clearSlotCaches(slotId, student) {
+    const slot = await Slot.findById(slotId).lean();
+    await Promise.all([
+      cacheService.del(CACHE_KEYS.STUDENT(student._id.toString())),
+      cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(slotId.toString())),
+      slot
+        ? cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(slot)))
+        : null,
+    ]);
+  }
+
+  /**
+   * Refresh pause lines on fee months already generated for a date range
+   * (never fails the caller)
+   */
+  static async _refreshFees(student, from, to, adminId) {
+    try {
+      await FeeProrationService.refreshPauseLinesBetween(student, from, to, adminId);
+    } catch (error) {
+      console.error(
+        `Failed to update pause fee lines for student ${student._id}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Start pauses that begin today and resume those that ended yesterday
+   * (also retries pauses waiting for a seat)
+   * @returns {Promise<{ started: number, resumed: number, waiting: number, errors: Array }>}
+   */
+  static async processPauses(now = new Date()) {
+    const today = startOfDay(now);
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const results = { started: 0, resumed: 0, waiting: 0, errors: [] };
+
+    const starting = await MembershipPause.find({
+      status: "SCHEDULED",
+      from: { $lt: tomorrow },
+    });
+    for (const pause of starting) {
+      try {
+        const student = await Student.findOne({ _id: pause.studentId, isDeleted: false });
+        if (!student || student.status !== StudentStatus.ACTIVE) {
+          pause.status = "CANCELLED";
+          pause.cancelledAt = new Date();
+          pause.resumeNote = "Student was no longer active when the pause was due to start";
+          await pause.save();
+          continue;
+        }
+        await this._startPause(pause, student);
+        results.started++;
+      } catch (error) {
+        console.error(`Failed to start membership pause ${pause._id}:`, error);
+        results.errors.push({ pauseId: pause._id, error: error.message });
+      }
+    }
+
+    const ending = await MembershipPause.find({
+      $or: [
+        { status: "ACTIVE", to: { $lt: today } },
+        { status: "AWAITING_SEAT" },
+      ],
+    });
+    for (const pause of ending) {
+      try {
+        const student = await Student.findById(pause.studentId);
+        if (!student) {
+          pause.status = "COMPLETED";
+          pause.resumedAt = new Date();
+          await pause.save();
+          continue;
+        }
+        await this._resumePause(pause, student);
+        if (pause.status === "AWAITING_SEAT") results.waiting++;
+        else results.resumed++;
+      } catch (error) {
+        console.error(`Failed to resume membership pause ${pause._id}:`, error);
+        results.errors.push({ pauseId: pause._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Ids of students whose membership is paused on a date (used by the
+   * overdue jobs to hold reminders)
+   * @returns {Promise<Set<string>>}
+   */
+  static async getPausedStudentIds(on = new Date(), tenantId = null) {
+    const pauses = await MembershipPause.find({
+      status: { $in: ["ACTIVE", "AWAITING_SEAT"] },
+      from: { $lte: on },
+      ...(tenantId ? { tenantId } : {}),
+    })
+      .select("studentId")
+      .lean();
+
+    return new Set(pauses.map((pause) => pause.studentId.toString()));
+  }
+
+  /**
+   * Pauses of a library (for admin)
+   * @param {Object} filters - { status }
+   */
+  static async getPauses(tenantId, { status } = {}) {
+    return MembershipPause.find({
+      ...(tenantId ? { tenantId } : {}),
+      ...(status ? { status } : { status: { $in: OPEN_STATUSES } }),
+    })
+      .populate("studentId", "name libraryId phone email seatNumber")
+      .sort({ from: 1 })
+      .lean();
+  }
+
+  static async getStudentPauses(studentId, tenantId = null) {
+    return MembershipPause.find({
+      studentId,
+      ...(tenantId ? { tenantId } : {}),
+    })
+      .sort({ from: -1 })
+      .lean();
+  }
+
+  /**
+   * Paused days of each fee month of a year, for the fee calendar
+   * @param {Object} student - Needs billingDay / joiningDate
+   * @returns {Promise<Map<number, Object>>} month → { days, cycleDays, fullMonth, pauses }
+   */
+  static async getCalendarPauses(student, year) {
+    const pauses = await MembershipPause.find({
+      studentId: student._id,
+      status: { $ne: "CANCELLED" },
+      from: { $lt: new Date(year + 1, 1, 1) },
+      to: { $gte: new Date(year, 0, 1) },
+    })
+      .sort({ from: 1 })
+      .lean();
+
+    const months = new Map();
+    if (pauses.length === 0) return months;
+
+    const billingDay = FeeProrationService._billingDay(student);
+    for (let month = 0; month < 12; month++) {
+      const cycle = getBillingCycle(billingDay, month, year);
+      let days = 0;
+      const touching = [];
+      for (const pause of pauses) {
+        const paused = getPausedDaysInCycle(cycle, pause);
+        if (!paused) continue;
+        days += paused.days;
+        touching.push({
+          pauseId: pause._id,
+          from: pause.from,
+          to: pause.to,
+          status: pause.status,
+          seatPolicy: pause.seatPolicy,
+          days: paused.days,
+        });
+      }
+      if (touching.length > 0) {
+        months.set(month, {
+          days,
+          cycleDays: cycle.days,
+          fullMonth: days >= cycle.days,
+          pauses: touching,
+        });
+      }
+    }
+
+    return months;
+  }
+
+  static async _findPause(pauseId, tenantId = null) {
+    const pause = await MembershipPause.findOne({
+      _id: pauseId,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!pause) {
+      throw new ApiError(404, "Membership pause not found");
+    }
+    return pause;
+  }
+
+  /**
+   * Tell the student and / or their library's admins about the pause
+   * (never fails the caller)
+   */
+  static async _notify(pause, student, { studentMessage, adminMessage }) {
+    const title = "Membership pause";
+    try {
+      const NotificationService = (await import("./notification.service.js"))
+        .default;
+
+      if (studentMessage) {
+        await NotificationService.sendStudentNotification({
+          studentId: student._id,
+          title,
+          message: studentMessage,
+          type: "MEMBERSHIP_PAUSE",
+          data: { pauseId: pause._id.toString() },
+        });
+      }
+
+      const tenantId = pause.tenantId || student.tenantId;
+      if (adminMessage && tenantId) {
+        const { Admin } = await import("../models/admin.model.js");
+        const admins = await Admin.find({
+          tenantId,
+          isActive: true,
+          role: { $in: ["SUPER_ADMIN", "ADMIN"] },
+        }).select("_id");
+        for (const admin of admins) {
+          await NotificationService.sendAdminNotification(
+            admin._id,
+            title,
+            adminMessage,
+            "MEMBERSHIP_PAUSE",
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to send pause notifications for ${pause._id}:`, error.message);
+    }
+  }
+}
+
+export default MembershipPauseService;
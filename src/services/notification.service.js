@@ -256,6 +256,60 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a notification to a student on every channel they have
+   * (in-app, web push, FCM)
+   */
+  static async sendStudentNotification({
+    studentId,
+    title,
+    message,
+    type,
+    data = {},
+  }) {
+    const results = { inApp: null, webPush: null, push: null };
+    const payload = { type, studentId: studentId.toString(), ...data };
+
+    try {
+      const Student = (await import("../models/student.model.js")).Student;
+      const student = await Student.findById(studentId);
+
+      results.inApp = await this.sendInAppNotification({
+        userId: studentId,
+        userType: "Student",
+        title,
+        message,
+        type,
+        data: payload,
+      });
+
+      if (student?.webPushSubscription) {
+        results.webPush = await this.sendWebPush(student.webPushSubscription, {
+          title,
+          body: message,
+          data: payload,
+        });
+      }
+
+      if (student?.fcmToken) {
+        results.push = await this.sendFCMPush(
+          student.fcmToken,
+          { title, body: message },
+          payload,
+        );
+
+        if (results.push?.code === "TOKEN_INVALID") {
+          await this.pruneInvalidToken(studentId, "Student");
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error("sendStudentNotification error:", error);
+      return results;
+    }
+  }
+
   /**
    * Send notification to admin
    */
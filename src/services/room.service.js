@@ -1,5 +1,13 @@
 import { Room } from "../models/room.model.js";
+import { Slot } from "../models/slot.model.js";
+import { Student } from "../models/student.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
 import { ApiError } from "../utils/ApiError.js";
+import {
+  findLayoutSeat,
+  hasRoomLayout,
+  validateRoomLayout,
+} from "../utils/roomLayoutHelpers.js";
 
 class RoomService {
   /**
@@ -60,6 +68,16 @@ class RoomService {
       throw new ApiError(400, "Total seats must be at least 1");
     }
 
+    // The floor plan has its own endpoint and fixes the seat count
+    delete updateData.layout;
+    if (
+      hasRoomLayout(room) &&
+      updateData.totalSeats !== undefined &&
+      updateData.totalSeats !== room.totalSeats
+    ) {
+      throw new ApiError(400, "Total seats follow the room layout; edit the layout instead");
+    }
+
     // Note: In the future, we will add validation to prevent reducing seats 
     // if active students are assigned to the seats that are being removed.
 
@@ -69,6 +87,73 @@ class RoomService {
     return room;
   }
 
+  /**
+   * Set (or clear, with null) a room's floor plan.
+   * Seats held by active students cannot be removed or disabled;
+   * marking an occupied seat for maintenance is allowed.
+   */
+  async setRoomLayout(roomId, layout, adminId, tenantId) {
+    const room = await Room.findOne({ _id: roomId, tenantId });
+    if (!room) {
+      throw new ApiError(404, "Room not found");
+    }
+
+    const newLayout = layout ? validateRoomLayout(layout) : null;
+
+    const slotIds = await Slot.distinct("_id", { roomId: room._id });
+    const seated = await Student.find({
+      slotId: { $in: slotIds },
+      status: "ACTIVE",
+      isDeleted: false,
+      seatNumber: { $exists: true, $ne: "" },
+    })
+      .select("name seatNumber")
+      .lean();
+
+    if (newLayout) {
+      const draft = { name: room.name, layout: newLayout };
+      const blocked = seated.filter((student) => {
+        const seat = findLayoutSeat(draft, student.seatNumber);
+        return !seat || seat.status === "DISABLED";
+      });
+      if (blocked.length > 0) {
+        const list = blocked
+          .slice(0, 10)
+          .map((s) => `${s.seatNumber} (${s.name})`)
+          .join(", ");
+        throw new ApiError(
+          400,
+          `These occupied seats are missing or disabled in the new layout: ${list}${blocked.length > 10 ? ", …" : ""}`,
+        );
+      }
+    }
+
+    const oldValue = {
+      layout: hasRoomLayout(room) ? room.toObject().layout : null,
+      totalSeats: room.totalSeats,
+    };
+
+    if (newLayout) {
+      room.layout = newLayout;
+      room.totalSeats = newLayout.seats.length;
+    } else {
+      room.layout = undefined;
+    }
+    await room.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: "UPDATE_ROOM_LAYOUT",
+      targetEntity: "ROOM",
+      targetId: room._id,
+      oldValue,
+      newValue: { layout: newLayout, totalSeats: room.totalSeats },
+      tenantId,
+    });
+
+    return room;
+  }
+
   /**
    * Soft delete room
    */
@@ -0,0 +1,284 @@
+/**
+ * Seat Hold Service
+ * Short-lived seat reservations made by students while picking a seat.
+ * Holds live in Redis with a TTL so they disappear on their own; a student
+ * has at most one hold. Without REDIS_URL they are kept in process memory,
+ * which only works for a single server. Seat-chart viewers are told about
+ * changes over Socket.IO (room `seat_chart_<slotId>`).
+ */
+
+import { Slot } from "../models/slot.model.js";
+import { Library } from "../models/library.model.js";
+import { Student } from "../models/student.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import cacheService from "../utils/cache.js";
+import { MemoryStore } from "../utils/memoryStore.js";
+import {
+  buildHold,
+  buildPendingHold,
+  holdKey,
+  seatKey,
+  studentHoldKey,
+} from "../utils/seatHoldHelpers.js";
+import {
+  getFreeSeats,
+  getOverlappingSlots,
+  getSlotTenantId,
+  validateSeatAvailable,
+} from "../utils/slotHelpers.js";
+
+const DEFAULT_HOLD_MINUTES = 10;
+// A hold attached to a pending change request waits for admin review
+const PENDING_REQUEST_HOLD_SECONDS = 48 * 60 * 60;
+
+const memoryHolds = new MemoryStore();
+
+export const seatChartRoom = (slotId) => `seat_chart_${slotId}`;
+
+class SeatHoldService {
+  static get client() {
+    return process.env.REDIS_URL ? cacheService.client : memoryHolds;
+  }
+
+  static async _read(key) {
+    const value = await this.client.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  static async _getHoldMinutes(tenantId) {
+    if (!tenantId) return DEFAULT_HOLD_MINUTES;
+    const library = await Library.findById(tenantId)
+      .select("settings.seatHoldMinutes")
+      .lean();
+    return library?.settings?.seatHoldMinutes || DEFAULT_HOLD_MINUTES;
+  }
+
+  /**
+   * Tell everyone watching an affected seat chart about a hold change.
+   * A hold blocks the seat in every time-overlapping slot of the room.
+   */
+  static async _broadcast(slotIds, payload) {
+    try {
+      const { getIO } = await import("../sockets/index.js");
+      const io = getIO();
+      for (const slotId of slotIds) {
+        io.to(seatChartRoom(slotId)).emit("seat:hold", {
+          ...payload,
+          slotId: payload.slotId.toString(),
+          ts: new Date(),
+        });
+      }
+    } catch {
+      // Socket.io not initialized (jobs, scripts)
+    }
+  }
+
+  /**
+   * Place (or refresh) a student's hold on a vacant seat.
+   * Any previous hold of the student is released.
+   */
+  static async placeHold(studentId, slotId, seatNumber, tenantId) {
+    const [slot, student] = await Promise.all([
+      Slot.findById(slotId).lean(),
+      Student.findById(studentId).select("slotId status").lean(),
+    ]);
+    const slotTenantId = slot ? await getSlotTenantId(slot) : null;
+    if (
+      !slot ||
+      !slot.isActive ||
+      (tenantId && slotTenantId && slotTenantId !== tenantId.toString())
+    ) {
+      throw new ApiError(404, "Slot not found");
+    }
+    if (!student || student.status !== "ACTIVE") {
+      throw new ApiError(403, "Only active students can pick a seat");
+    }
+    if (student.slotId?.toString() === slot._id.toString()) {
+      throw new ApiError(400, "You are already in this slot");
+    }
+    const { freeSeats } = await getFreeSeats(slot._id);
+    if (freeSeats <= 0) {
+      throw new ApiError(400, "This slot is full");
+    }
+
+    // Validates the seat exists, is in service and not assigned at an overlapping time
+    const layoutSeat = await validateSeatAvailable(slotId, seatNumber, studentId);
+    const label = layoutSeat?.label ?? String(seatNumber).trim();
+
+    const overlapping = await getOverlappingSlots(slot);
+    const otherSlotIds = overlapping
+      .map((s) => s._id.toString())
+      .filter((id) => id !== slot._id.toString());
+
+    const heldByOther = async () => {
+      for (const otherId of otherSlotIds) {
+        const hold = await this._read(holdKey(otherId, label));
+        if (hold && hold.studentId !== studentId.toString()) return hold;
+      }
+      return null;
+    };
+
+    if (await heldByOther()) {
+      throw new ApiError(409, `Seat ${label} is being held by another student`);
+    }
+
+    const minutes = await this._getHoldMinutes(tenantId || slotTenantId);
+    const ttl = minutes * 60;
+    const hold = buildHold({ studentId, slot, seatNumber: label, ttlSeconds: ttl });
+
+    const key = holdKey(slot._id, label);
+    const acquired = await this.client.set(key, JSON.stringify(hold), "EX", ttl, "NX");
+    if (acquired !== "OK") {
+      const existing = await this._read(key);
+      if (!existing) {
+        throw new ApiError(503, "Seat holds are unavailable right now");
+      }
+      if (existing.studentId !== hold.studentId) {
+        throw new ApiError(409, `Seat ${label} is being held by another student`);
+      }
+      if (existing.requestId) {
+        throw new ApiError(400, "This seat is already part of your pending change request");
+      }
+      await this.client.set(key, JSON.stringify(hold), "EX", ttl); // refresh own hold
+    }
+
+    // Lost a race with a hold in an overlapping slot
+    if (await heldByOther()) {
+      await this.client.del(key);
+      throw new ApiError(409, `Seat ${label} is being held by another student`);
+    }
+
+    const previous = await this.getStudentHold(studentId);
+    if (
+      previous &&
+      (previous.slotId !== hold.slotId || seatKey(previous.seatNumber) !== seatKey(label))
+    ) {
+      if (previous.requestId) {
+        await this.client.del(key);
+        throw new ApiError(400, "You already have a pending slot change request");
+      }
+      await this._removeHold(previous, "RELEASED");
+    }
+    await this.client.set(studentHoldKey(studentId), JSON.stringify(hold), "EX", ttl);
+
+    await this._broadcast([slot._id, ...otherSlotIds], {
+      slotId: slot._id,
+      seatNumber: label,
+      status: "HELD",
+      expiresAt: hold.expiresAt,
+    });
+
+    return hold;
+  }
+
+  /**
+   * The student's current hold, if it has not expired
+   */
+  static async getStudentHold(studentId) {
+    const hold = await this._read(studentHoldKey(studentId));
+    if (!hold) return null;
+
+    // The seat key is the source of truth; the student pointer may outlive it
+    const seatHold = await this._read(holdKey(hold.slotId, hold.seatNumber));
+    return seatHold?.studentId === studentId.toString() ? seatHold : null;
+  }
+
+  static async _removeHold(hold, status) {
+    const key = holdKey(hold.slotId, hold.seatNumber);
+    const current = await this._read(key);
+    if (current?.studentId === hold.studentId) {
+      await this.client.del(key);
+    }
+    await this.client.del(studentHoldKey(hold.studentId));
+
+    const slot = await Slot.findById(hold.slotId).lean();
+    const slotIds = slot
+      ? (await getOverlappingSlots(slot)).map((s) => s._id)
+      : [hold.slotId];
+    await this._broadcast(slotIds, {
+      slotId: hold.slotId,
+      seatNumber: hold.seatNumber,
+      status,
+    });
+  }
+
+  /**
+   * Release a student's hold
+   * @param {string} [status] - RELEASED, or ASSIGNED once the seat is given to them
+   */
+  static async releaseHold(studentId, status = "RELEASED") {
+    const hold = await this.getStudentHold(studentId);
+    if (!hold) {
+      await this.client.del(studentHoldKey(studentId));
+      return null;
+    }
+
+    await this._removeHold(hold, status);
+    return hold;
+  }
+
+  /**
+   * Keep a hold while the change request it belongs to is reviewed
+   * @throws {ApiError} If the student has no hold on this seat
+   */
+  static async attachHoldToRequest(studentId, slotId, seatNumber, requestId) {
+    const hold = await this.getStudentHold(studentId);
+    if (
+      !hold ||
+      hold.slotId !== slotId.toString() ||
+      seatKey(hold.seatNumber) !== seatKey(seatNumber)
+    ) {
+      throw new ApiError(400, "Your hold on this seat has expired; pick the seat again");
+    }
+
+    const pending = buildPendingHold(hold, requestId, PENDING_REQUEST_HOLD_SECONDS);
+    await Promise.all([
+      this.client.set(
+        holdKey(hold.slotId, hold.seatNumber),
+        JSON.stringify(pending),
+        "EX",
+        PENDING_REQUEST_HOLD_SECONDS,
+      ),
+      this.client.set(
+        studentHoldKey(studentId),
+        JSON.stringify(pending),
+        "EX",
+        PENDING_REQUEST_HOLD_SECONDS,
+      ),
+    ]);
+
+    return pending;
+  }
+
+  /**
+   * Active holds on the seats of the given slots
+   * @returns {Promise<Map<string, Object>>} Upper-cased seat label → hold
+   */
+  static async getHoldsForSlots(slotIds) {
+    const holds = new Map();
+    const client = this.client;
+    if (typeof client.scanStream !== "function") return holds; // Client without SCAN
+
+    for (const slotId of slotIds) {
+      const keys = [];
+      await new Promise((resolve, reject) => {
+        const stream = client.scanStream({ match: `seat_hold:${slotId}:*`, count: 100 });
+        stream.on("data", (batch) => keys.push(...batch));
+        stream.on("end", resolve);
+        stream.on("error", reject);
+      });
+      if (keys.length === 0) continue;
+
+      const values = await client.mget(...keys);
+      for (const value of values) {
+        if (!value) continue;
+        const hold = JSON.parse(value);
+        holds.set(seatKey(hold.seatNumber), hold);
+      }
+    }
+
+    return holds;
+  }
+}
+
+export default SeatHoldService;
@@ -3,23 +3,38 @@ import { Room } from "../models/room.model.js";
 import { Student } from "../models/student.model.js";
 
 import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { Library } from "../models/library.model.js";
 import { SlotChangeHistory } from "../models/slotChangeHistory.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import cacheService from "../utils/cache.js";
 import { CACHE_KEYS, CACHE_TTL } from "../utils/cacheStrategy.js";
 import {
   getAllSlotsWithOccupancy,
+  findDoubleBookings,
+  getFreeSeats,
+  getOverlappingSlots,
+  getSlotTenantId,
+  getTenantSlotFilter,
+  validateSeatAvailable,
   validateSlotHasCapacity,
   validateSlotChange,
   validateSlotSeatReduction,
 } from "../utils/slotHelpers.js";
+import {
+  getRoomSeats,
+  getSlotFeeForSeatType,
+  hasRoomLayout,
+  validateSeatTypePricing,
+} from "../utils/roomLayoutHelpers.js";
+import SeatHoldService from "./seatHold.service.js";
+import FeeProrationService from "./feeProration.service.js";
 import mongoose from "mongoose";
 
 class SlotService {
   /**
    * Create new slot
    */
-  static async createSlot(slotData, adminId) {
+  static async createSlot(slotData, adminId, tenantId = null) {
     const { roomId } = slotData;
     if (!roomId) {
       throw new ApiError(400, "Room ID is required to create a slot");
@@ -35,8 +50,13 @@ class SlotService {
       throw new ApiError(400, "Invalid time format. Use HH:MM format.");
     }
 
+    if (slotData.seatTypePricing !== undefined) {
+      slotData.seatTypePricing = validateSeatTypePricing(slotData.seatTypePricing);
+    }
+
     const slot = await Slot.create({
       ...slotData,
+      tenantId,
       createdBy: adminId,
     });
 
@@ -54,7 +74,7 @@ class SlotService {
     const slotObj = slot.toObject();
 
     // Invalidate the all-slots list cache since a new slot was added
-    await cacheService.del(CACHE_KEYS.ALL_SLOTS);
+    await cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(slot)));
 
     // Return a clean object without circular references
     return {
@@ -62,6 +82,7 @@ class SlotService {
       name: slotObj.name,
       timeRange: slotObj.timeRange,
       monthlyFee: slotObj.monthlyFee,
+      seatTypePricing: slotObj.seatTypePricing,
       totalSeats: slotObj.totalSeats,
       isActive: slotObj.isActive,
       createdBy: slotObj.createdBy,
@@ -95,6 +116,12 @@ class SlotService {
       await validateSlotSeatReduction(slotId, updateData.totalSeats);
     }
 
+    if (updateData.seatTypePricing !== undefined) {
+      updateData.seatTypePricing = validateSeatTypePricing(
+        updateData.seatTypePricing || [],
+      );
+    }
+
     // Update slot
     Object.assign(slot, updateData);
     await slot.save();
@@ -103,7 +130,7 @@ class SlotService {
     await Promise.all([
       cacheService.del(CACHE_KEYS.SLOT(slotId)),
       cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(slotId)),
-      cacheService.del(CACHE_KEYS.ALL_SLOTS),
+      cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(slot))),
     ]);
 
     // Log the action
@@ -117,12 +144,71 @@ class SlotService {
       metadata: { slotId: slot._id },
     });
 
+    // Added seats (or a reactivated slot) go to the waitlist first
+    if (
+      slot.isActive &&
+      (slot.totalSeats > oldValues.totalSeats || !oldValues.isActive)
+    ) {
+      await this._processWaitlist(slot._id);
+    }
+
     return slot;
   }
 
+  /**
+   * Offer a freed seat to the slot's waitlist (never fails the caller)
+   */
+  static async _processWaitlist(slotId) {
+    try {
+      const WaitlistService = (await import("./waitlist.service.js")).default;
+      await WaitlistService.processSlot(slotId);
+    } catch (error) {
+      console.error(`Failed to process waitlist for slot ${slotId}:`, error.message);
+    }
+  }
+
+  /**
+   * Move a student onto the new slot's price for their seat type and
+   * pro-rate the rest of the current billing cycle (never fails the caller)
+   * @returns {Promise<Object|null>} Pro-rata line applied, if any
+   */
+  static async _applySlotFeeChange(
+    student,
+    newSlot,
+    seatType,
+    { previousSlotName, slotChangeId, adminId },
+  ) {
+    const previousFee = student.monthlyFee;
+    const newFee = getSlotFeeForSeatType(newSlot, seatType);
+    if (newFee === previousFee) return null;
+
+    let proration = null;
+    try {
+      proration = await FeeProrationService.applySlotChange({
+        student,
+        previousFee,
+        newFee,
+        slotChangeId,
+        fromSlotName: previousSlotName,
+        toSlotName: newSlot.name,
+        adminId,
+      });
+    } catch (error) {
+      console.error(
+        `Failed to pro-rate slot change for student ${student._id}:`,
+        error.message,
+      );
+    }
+
+    student.monthlyFee = newFee;
+    await student.save();
+    return proration;
+  }
+
   /**
    * Get seat chart for a specific slot
-   * Handles cross-shift blocking for Full Day assignments
+   * Seats taken in any time-overlapping slot of the room (FULL_DAY or
+   * PARTIAL) are shown as blocked
    */
   static async getSeatChart(slotId) {
     const slot = await Slot.findById(slotId).populate("roomId");
@@ -142,61 +228,124 @@ class SlotService {
       isDeleted: false,
     }).select("name seatNumber");
 
-    // 2. If this is a PARTIAL slot, also get students in the FULL_DAY slot for the same room
-    let blockedByFullDay = [];
-    if (slot.slotType === "PARTIAL") {
-      const fullDaySlots = await Slot.find({
-        roomId: room._id,
-        slotType: "FULL_DAY",
-        isActive: true,
-      });
-
-      if (fullDaySlots.length > 0) {
-        blockedByFullDay = await Student.find({
-          slotId: { $in: fullDaySlots.map((s) => s._id) },
-          status: "ACTIVE",
-          isDeleted: false,
-        }).select("name seatNumber");
-      }
+    // 2. Students in other slots of the room that share any time with this one
+    //    (FULL_DAY slots overlap every slot)
+    const overlappingSlots = (await getOverlappingSlots(slot)).filter(
+      (other) => other._id.toString() !== slot._id.toString(),
+    );
+    const overlappingMap = new Map(
+      overlappingSlots.map((other) => [other._id.toString(), other]),
+    );
+    let blockedByOverlap = [];
+    if (overlappingSlots.length > 0) {
+      blockedByOverlap = await Student.find({
+        slotId: { $in: overlappingSlots.map((s) => s._id) },
+        status: "ACTIVE",
+        isDeleted: false,
+      }).select("name seatNumber slotId");
     }
 
-    // Construct the matrix
-    const totalSeats = room.totalSeats;
+    // Construct the matrix from the room layout (or seats 1..totalSeats)
+    const roomSeats = getRoomSeats(room);
+    const seatKey = (seatNumber) => String(seatNumber ?? "").trim().toUpperCase();
     const seatMap = {};
 
     // Fill map with slot-specific students
     slotStudents.forEach((s) => {
-      seatMap[s.seatNumber] = {
+      seatMap[seatKey(s.seatNumber)] = {
         status: "OCCUPIED",
         studentName: s.name,
         studentId: s._id,
       };
     });
 
-    // Mark seats blocked by Full Day bookings (if not already occupied in this slot)
-    blockedByFullDay.forEach((s) => {
-      if (!seatMap[s.seatNumber]) {
-        seatMap[s.seatNumber] = {
-          status: "BLOCKED_BY_FULL_DAY",
+    // Mark seats blocked by overlapping bookings (if not already occupied in this slot)
+    blockedByOverlap.forEach((s) => {
+      if (!seatMap[seatKey(s.seatNumber)]) {
+        const blockingSlot = overlappingMap.get(s.slotId.toString());
+        seatMap[seatKey(s.seatNumber)] = {
+          status:
+            blockingSlot.slotType === "FULL_DAY"
+              ? "BLOCKED_BY_FULL_DAY"
+              : "BLOCKED_BY_OVERLAP",
           studentName: s.name,
           studentId: s._id,
+          blockingSlot: {
+            id: blockingSlot._id,
+            name: blockingSlot.name,
+            timeRange: blockingSlot.timeRange,
+          },
         };
       }
     });
 
-    const seats = [];
-    for (let i = 1; i <= totalSeats; i++) {
-      const seatNo = i.toString();
-      seats.push({
-        seatNumber: seatNo,
-        ...(seatMap[seatNo] || { status: "VACANT" }),
-      });
-    }
+    // Seats reserved for scheduled slot changes (here or in an overlapping slot)
+    const reservations = await SlotChangeHistory.find({
+      newSlotId: { $in: [slot._id, ...overlappingSlots.map((s) => s._id)] },
+      scheduleStatus: "SCHEDULED",
+      "metadata.newSeatNumber": { $ne: null },
+    })
+      .populate("studentId", "name")
+      .select("studentId newSlotId effectiveDate metadata.newSeatNumber")
+      .lean();
+    reservations.forEach((reservation) => {
+      const key = seatKey(reservation.metadata.newSeatNumber);
+      if (!seatMap[key]) {
+        seatMap[key] = {
+          status: "RESERVED",
+          studentName: reservation.studentId?.name,
+          studentId: reservation.studentId?._id,
+          reservation: {
+            changeId: reservation._id,
+            slotId: reservation.newSlotId,
+            effectiveDate: reservation.effectiveDate,
+          },
+        };
+      }
+    });
+
+    // Seats a student is holding while picking (here or in an overlapping slot)
+    const holds = await SeatHoldService.getHoldsForSlots([
+      slot._id,
+      ...overlappingSlots.map((s) => s._id),
+    ]);
+    holds.forEach((hold, key) => {
+      if (!seatMap[key]) {
+        seatMap[key] = {
+          status: "HELD",
+          hold: {
+            studentId: hold.studentId,
+            slotId: hold.slotId,
+            expiresAt: hold.expiresAt,
+            pendingRequestId: hold.requestId,
+          },
+        };
+      }
+    });
+
+    // Out-of-service seats show as DISABLED / MAINTENANCE unless someone
+    // still sits there; `condition` always carries the layout status
+    const seats = roomSeats.map((seat) => ({
+      seatNumber: seat.label,
+      row: seat.row,
+      column: seat.column,
+      seatType: seat.seatType,
+      tags: seat.tags,
+      condition: seat.status,
+      monthlyFee: getSlotFeeForSeatType(slot, seat.seatType),
+      ...(seatMap[seatKey(seat.label)] || {
+        status: seat.status === "AVAILABLE" ? "VACANT" : seat.status,
+      }),
+    }));
 
     return {
       roomName: room.name,
       slotName: slot.name,
-      totalSeats,
+      totalSeats: roomSeats.length,
+      layout: hasRoomLayout(room)
+        ? { rows: room.layout.rows, columns: room.layout.columns }
+        : null,
+      seatTypePricing: slot.seatTypePricing || [],
       seats,
     };
   }
@@ -277,20 +426,79 @@ class SlotService {
   }
 
   /**
-   * Get all slots with occupancy
+   * Get all slots of a library with occupancy
    */
-  static async getAllSlotsWithOccupancy() {
+  static async getAllSlotsWithOccupancy(tenantId) {
     return cacheService.getOrSet(
-      CACHE_KEYS.ALL_SLOTS,
-      () => getAllSlotsWithOccupancy(),
+      CACHE_KEYS.ALL_SLOTS(tenantId),
+      () => getAllSlotsWithOccupancy(tenantId),
       CACHE_TTL.ALL_ACTIVE_SLOTS,
     );
   }
 
+  /**
+   * Resolve the date a slot change should take effect
+   * @param {string|Date} [effectiveDate] - A date, or "NEXT_BILLING_DAY"
+   * @returns {Date|null} Start of a future day, or null to apply now
+   */
+  static _resolveEffectiveDate(effectiveDate, student) {
+    if (!effectiveDate) return null;
+
+    const date =
+      effectiveDate === "NEXT_BILLING_DAY"
+        ? student.nextBillingDate
+        : new Date(effectiveDate);
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      throw new ApiError(
+        400,
+        effectiveDate === "NEXT_BILLING_DAY"
+          ? "Student has no upcoming billing date"
+          : "Invalid effective date",
+      );
+    }
+
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (day < today) {
+      throw new ApiError(400, "Effective date cannot be in the past");
+    }
+
+    return day > today ? day : null;
+  }
+
+  /**
+   * A student can have one scheduled slot change at a time
+   */
+  static async _assertNoScheduledChange(studentId) {
+    const scheduled = await SlotChangeHistory.findOne({
+      studentId,
+      scheduleStatus: "SCHEDULED",
+    }).lean();
+    if (scheduled) {
+      throw new ApiError(
+        409,
+        `A move to "${scheduled.newSlotName}" is already scheduled for ${scheduled.effectiveDate.toDateString()}. Cancel it first.`,
+      );
+    }
+  }
+
   /**
    * Change student's slot (Admin initiated)
+   * The student keeps their seat unless `seatNumber` gives a new one; either
+   * way the seat must be free across overlapping slots of the new room.
+   * With a future `effectiveDate` (or "NEXT_BILLING_DAY") the change is
+   * scheduled instead: the seat is reserved and the daily job moves the
+   * student on that date.
    */
-  static async changeStudentSlot(studentId, newSlotId, adminId, reason = "") {
+  static async changeStudentSlot(
+    studentId,
+    newSlotId,
+    adminId,
+    reason = "",
+    { seatNumber, effectiveDate } = {},
+  ) {
     const student = await Student.findById(studentId).populate("slotId");
     if (!student) {
       throw new ApiError(404, "Student not found");
@@ -300,23 +508,85 @@ class SlotService {
 
     // Validate slot change and capacity
     validateSlotChange(oldSlot._id, newSlotId);
+    await this._assertNoScheduledChange(student._id);
+    const scheduledFor = this._resolveEffectiveDate(effectiveDate, student);
     const { slot: newSlot } = await validateSlotHasCapacity(newSlotId);
 
+    const newSeatNumber =
+      seatNumber !== undefined ? seatNumber : student.seatNumber;
+    const layoutSeat = await validateSeatAvailable(
+      newSlotId,
+      newSeatNumber,
+      student._id,
+    );
+
+    if (scheduledFor) {
+      const scheduledChange = await SlotChangeHistory.create({
+        studentId: student._id,
+        previousSlotId: oldSlot._id,
+        previousSlotName: oldSlot.name,
+        newSlotId: newSlot._id,
+        newSlotName: newSlot.name,
+        changeType: "ADMIN_INITIATED",
+        changedBy: adminId,
+        changedByRole: "ADMIN",
+        reason,
+        effectiveDate: scheduledFor,
+        isActive: false,
+        scheduleStatus: "SCHEDULED",
+        metadata: {
+          previousTimeRange: oldSlot.timeRange,
+          newTimeRange: newSlot.timeRange,
+          previousMonthlyFee: student.monthlyFee,
+          newMonthlyFee: getSlotFeeForSeatType(newSlot, layoutSeat?.seatType),
+          previousSeatNumber: student.seatNumber,
+          newSeatNumber: layoutSeat?.label ?? newSeatNumber,
+        },
+        tenantId: student.tenantId,
+      });
+
+      await AdminActionLog.create({
+        adminId,
+        action: "SCHEDULE_SLOT_CHANGE",
+        targetEntity: "STUDENT",
+        targetId: student._id,
+        newValue: {
+          slotId: newSlot._id,
+          slotName: newSlot.name,
+          seatNumber: scheduledChange.metadata.newSeatNumber,
+          effectiveDate: scheduledFor,
+        },
+        metadata: { studentId: student._id, changeId: scheduledChange._id },
+        tenantId: student.tenantId,
+      });
+      await cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(newSlot)));
+
+      return {
+        message: `Slot change scheduled for ${scheduledFor.toDateString()}`,
+        student,
+        scheduledChange,
+      };
+    }
+
     // Store old values
     const oldValues = {
       slotId: oldSlot._id,
       slotName: oldSlot.name,
+      seatNumber: student.seatNumber,
     };
 
     // Update student
     student.slotId = newSlotId;
+    if (seatNumber !== undefined) {
+      student.seatNumber = layoutSeat?.label ?? seatNumber;
+    }
     await student.save();
 
     // Invalidate slot occupancy and student caches
     await Promise.all([
       cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(oldSlot._id.toString())),
       cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(newSlotId.toString())),
-      cacheService.del(CACHE_KEYS.ALL_SLOTS),
+      cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(newSlot))),
       cacheService.del(CACHE_KEYS.STUDENT(studentId.toString())),
     ]);
 
@@ -330,12 +600,13 @@ class SlotService {
       newValue: {
         slotId: newSlotId,
         slotName: newSlot.name,
+        seatNumber: student.seatNumber,
       },
       metadata: { studentId: student._id },
     });
 
     // Create slot change history record
-    await SlotChangeHistory.create({
+    const changeRecord = await SlotChangeHistory.create({
       studentId: student._id,
       previousSlotId: oldSlot._id,
       previousSlotName: oldSlot.name,
@@ -349,10 +620,26 @@ class SlotService {
         previousTimeRange: oldSlot.timeRange,
         newTimeRange: newSlot.timeRange,
         previousMonthlyFee: student.monthlyFee,
-        newMonthlyFee: newSlot.monthlyFee,
+        newMonthlyFee: getSlotFeeForSeatType(newSlot, layoutSeat?.seatType),
+        previousSeatNumber: oldValues.seatNumber,
       },
     });
 
+    const proration = await this._applySlotFeeChange(
+      student,
+      newSlot,
+      layoutSeat?.seatType,
+      {
+        previousSlotName: oldSlot.name,
+        slotChangeId: changeRecord._id,
+        adminId,
+      },
+    );
+
+    if (student.status === "ACTIVE") {
+      await this._processWaitlist(oldSlot._id);
+    }
+
     return {
       student,
       oldSlot: oldValues,
@@ -360,13 +647,24 @@ class SlotService {
         id: newSlot._id,
         name: newSlot.name,
       },
+      proration,
     };
   }
 
   /**
    * Request slot change by student
+   * With `joinWaitlist`, a full slot queues the student instead of failing;
+   * the move happens when they accept a seat offer.
+   * With `seatNumber`, the student must hold that seat (SeatHoldService);
+   * the hold is kept until the request is reviewed. Libraries with
+   * `autoApproveSlotChanges` apply the request straight away.
    */
-  static async requestSlotChange(studentId, newSlotId, reason = "") {
+  static async requestSlotChange(
+    studentId,
+    newSlotId,
+    reason = "",
+    { joinWaitlist = false, seatNumber } = {},
+  ) {
     const student = await Student.findById(studentId).populate("slotId");
     if (!student) {
       throw new ApiError(404, "Student not found");
@@ -376,8 +674,54 @@ class SlotService {
 
     // Validate slot change and capacity
     validateSlotChange(oldSlot._id, newSlotId);
+
+    if (joinWaitlist) {
+      const { slot, freeSeats } = await getFreeSeats(newSlotId);
+      if (freeSeats <= 0) {
+        const WaitlistService = (await import("./waitlist.service.js")).default;
+        const waitlist = await WaitlistService.joinWaitlist({
+          slotId: newSlotId,
+          studentId,
+          type: "SLOT_CHANGE",
+          reason,
+          addedBy: studentId,
+          addedByRole: "STUDENT",
+          tenantId: student.tenantId,
+        });
+
+        return {
+          message: `Slot is full — you are number ${waitlist.position} on the waitlist`,
+          waitlist,
+          currentSlot: {
+            id: oldSlot._id,
+            name: oldSlot.name,
+          },
+          requestedSlot: {
+            id: slot._id,
+            name: slot.name,
+          },
+        };
+      }
+    }
+
     const { slot: newSlot } = await validateSlotHasCapacity(newSlotId);
 
+    let requestedSeatNumber;
+    let requestedSeatType;
+    if (seatNumber !== undefined && seatNumber !== null && seatNumber !== "") {
+      const hold = await SeatHoldService.getStudentHold(studentId);
+      if (
+        !hold ||
+        hold.slotId !== newSlotId.toString() ||
+        hold.seatNumber.toUpperCase() !== String(seatNumber).trim().toUpperCase()
+      ) {
+        throw new ApiError(400, `Hold seat ${seatNumber} before requesting it`);
+      }
+      const layoutSeat = await validateSeatAvailable(newSlotId, seatNumber, student._id);
+      requestedSeatNumber = layoutSeat?.label ?? hold.seatNumber;
+      requestedSeatType = layoutSeat?.seatType;
+    }
+
     // Create slot change history record (stored as pending request)
     const changeRequest = await SlotChangeHistory.create({
       studentId: student._id,
@@ -394,10 +738,38 @@ class SlotService {
         previousTimeRange: oldSlot.timeRange,
         newTimeRange: newSlot.timeRange,
         previousMonthlyFee: student.monthlyFee,
-        newMonthlyFee: newSlot.monthlyFee,
+        newMonthlyFee: getSlotFeeForSeatType(newSlot, requestedSeatType),
+        previousSeatNumber: student.seatNumber,
+        requestedSeatNumber,
       },
     });
 
+    if (requestedSeatNumber) {
+      await SeatHoldService.attachHoldToRequest(
+        studentId,
+        newSlotId,
+        requestedSeatNumber,
+        changeRequest._id,
+      );
+    }
+
+    const tenantId = student.tenantId || (await getSlotTenantId(newSlot));
+    const library = tenantId
+      ? await Library.findById(tenantId).select("settings.autoApproveSlotChanges").lean()
+      : null;
+    if (library?.settings?.autoApproveSlotChanges) {
+      try {
+        const approved = await this.approveSlotChangeRequest(changeRequest._id, null);
+        return { ...approved, message: "Slot change applied", request: changeRequest };
+      } catch (error) {
+        // Leave the request for an admin to review
+        console.error(
+          `Auto-approval failed for slot change request ${changeRequest._id}:`,
+          error.message,
+        );
+      }
+    }
+
     return {
       message: "Slot change request submitted",
       request: changeRequest,
@@ -450,8 +822,10 @@ class SlotService {
 
   /**
    * Approve slot change request (admin action)
+   * Moves the student to the seat they picked, if any. `adminId` is null
+   * when the library auto-approves requests.
    */
-  static async approveSlotChangeRequest(historyId, adminId) {
+  static async approveSlotChangeRequest(historyId, adminId, { effectiveDate } = {}) {
     const changeRecord = await SlotChangeHistory.findById(historyId);
 
     if (!changeRecord) {
@@ -476,36 +850,115 @@ class SlotService {
     const { slot: newSlot } = await validateSlotHasCapacity(
       changeRecord.newSlotId,
     );
+    const requestedSeatNumber = changeRecord.metadata?.requestedSeatNumber;
+    const layoutSeat = await validateSeatAvailable(
+      changeRecord.newSlotId,
+      requestedSeatNumber || student.seatNumber,
+      student._id,
+    );
 
-    // Update student's slot
+    await this._assertNoScheduledChange(student._id);
+
+    // Approved for a later date: reserve the seat until the job applies it
+    const scheduledFor = this._resolveEffectiveDate(effectiveDate, student);
+    if (scheduledFor) {
+      changeRecord.changeType = "STUDENT_APPROVED";
+      changeRecord.scheduleStatus = "SCHEDULED";
+      changeRecord.effectiveDate = scheduledFor;
+      changeRecord.tenantId = changeRecord.tenantId || student.tenantId;
+      changeRecord.metadata.newSeatNumber =
+        layoutSeat?.label ?? (requestedSeatNumber || student.seatNumber);
+      changeRecord.metadata.newMonthlyFee = getSlotFeeForSeatType(
+        newSlot,
+        layoutSeat?.seatType,
+      );
+      await changeRecord.save();
+
+      if (requestedSeatNumber) {
+        await SeatHoldService.releaseHold(student._id, "ASSIGNED");
+      }
+      if (adminId) {
+        await AdminActionLog.create({
+          adminId,
+          action: "APPROVE_SLOT_CHANGE",
+          targetEntity: "STUDENT",
+          targetId: student._id,
+          newValue: {
+            slotId: changeRecord.newSlotId,
+            slotName: changeRecord.newSlotName,
+            seatNumber: changeRecord.metadata.newSeatNumber,
+            effectiveDate: scheduledFor,
+          },
+          metadata: { studentId: student._id, changeRequestId: historyId },
+        });
+      }
+      await cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(newSlot)));
+
+      return {
+        message: `Slot change approved from ${scheduledFor.toDateString()}`,
+        student,
+        scheduledChange: changeRecord,
+      };
+    }
+
+    // Update student's slot (and seat, when they picked one)
     student.slotId = changeRecord.newSlotId;
+    if (requestedSeatNumber) {
+      student.seatNumber = layoutSeat?.label ?? requestedSeatNumber;
+    }
     await student.save();
 
     // Update change record to active and mark as approved
     changeRecord.isActive = true;
     changeRecord.changeType = "STUDENT_APPROVED";
+    changeRecord.metadata.newMonthlyFee = getSlotFeeForSeatType(
+      newSlot,
+      layoutSeat?.seatType,
+    );
     await changeRecord.save();
 
+    const proration = await this._applySlotFeeChange(
+      student,
+      newSlot,
+      layoutSeat?.seatType,
+      {
+        previousSlotName: changeRecord.previousSlotName,
+        slotChangeId: changeRecord._id,
+        adminId,
+      },
+    );
+
     // Invalidate slot occupancy and student caches
     await Promise.all([
       cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(changeRecord.previousSlotId.toString())),
       cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(changeRecord.newSlotId.toString())),
-      cacheService.del(CACHE_KEYS.ALL_SLOTS),
+      cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(newSlot))),
       cacheService.del(CACHE_KEYS.STUDENT(changeRecord.studentId.toString())),
     ]);
 
     // Log the admin action
-    await AdminActionLog.create({
-      adminId,
-      action: "APPROVE_SLOT_CHANGE",
-      targetEntity: "STUDENT",
-      targetId: student._id,
-      newValue: {
-        slotId: changeRecord.newSlotId,
-        slotName: changeRecord.newSlotName,
-      },
-      metadata: { studentId: student._id, changeRequestId: historyId },
-    });
+    if (adminId) {
+      await AdminActionLog.create({
+        adminId,
+        action: "APPROVE_SLOT_CHANGE",
+        targetEntity: "STUDENT",
+        targetId: student._id,
+        newValue: {
+          slotId: changeRecord.newSlotId,
+          slotName: changeRecord.newSlotName,
+          seatNumber: student.seatNumber,
+        },
+        metadata: { studentId: student._id, changeRequestId: historyId },
+      });
+    }
+
+    if (requestedSeatNumber) {
+      await SeatHoldService.releaseHold(student._id, "ASSIGNED");
+    }
+
+    if (student.status === "ACTIVE") {
+      await this._processWaitlist(changeRecord.previousSlotId);
+    }
 
     return {
       message: "Slot change request approved",
@@ -518,9 +971,278 @@ class SlotService {
         id: changeRecord.newSlotId,
         name: changeRecord.newSlotName,
       },
+      proration,
     };
   }
 
+  /**
+   * Move a student as a scheduled change says (its effective date has come)
+   */
+  static async _applyScheduledChange(changeRecord) {
+    const student = await Student.findOne({
+      _id: changeRecord.studentId,
+      isDeleted: false,
+    });
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+    if (student.slotId?.toString() !== changeRecord.previousSlotId.toString()) {
+      throw new ApiError(
+        409,
+        `${student.name} is no longer in slot "${changeRecord.previousSlotName}"`,
+      );
+    }
+
+    const { slot: newSlot } = await validateSlotHasCapacity(
+      changeRecord.newSlotId,
+      { excludeChangeId: changeRecord._id },
+    );
+    const seatNumber = changeRecord.metadata?.newSeatNumber ?? student.seatNumber;
+    const layoutSeat = await validateSeatAvailable(
+      changeRecord.newSlotId,
+      seatNumber,
+      student._id,
+    );
+
+    student.slotId = changeRecord.newSlotId;
+    if (seatNumber) {
+      student.seatNumber = layoutSeat?.label ?? seatNumber;
+    }
+    await student.save();
+
+    changeRecord.isActive = true;
+    changeRecord.scheduleStatus = "APPLIED";
+    changeRecord.appliedAt = new Date();
+    changeRecord.metadata.newMonthlyFee = getSlotFeeForSeatType(
+      newSlot,
+      layoutSeat?.seatType,
+    );
+    await changeRecord.save();
+
+    await Promise.all([
+      cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(changeRecord.previousSlotId.toString())),
+      cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(changeRecord.newSlotId.toString())),
+      cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(newSlot))),
+      cacheService.del(CACHE_KEYS.STUDENT(student._id.toString())),
+    ]);
+
+    await this._applySlotFeeChange(student, newSlot, layoutSeat?.seatType, {
+      previousSlotName: changeRecord.previousSlotName,
+      slotChangeId: changeRecord._id,
+      adminId: null,
+    });
+
+    if (student.status === "ACTIVE") {
+      await this._processWaitlist(changeRecord.previousSlotId);
+    }
+
+    await this._notifySlotChange(changeRecord, student, {
+      title: "Slot change is now in effect",
+      studentMessage: `You have moved to ${changeRecord.newSlotName}${student.seatNumber ? `, seat ${student.seatNumber}` : ""}.`,
+      adminMessage: `${student.name} moved from ${changeRecord.previousSlotName} to ${changeRecord.newSlotName}${student.seatNumber ? ` (seat ${student.seatNumber})` : ""} as scheduled.`,
+    });
+
+    return student;
+  }
+
+  /**
+   * Tell the student and their library's admins about a scheduled change
+   * (never fails the caller)
+   */
+  static async _notifySlotChange(
+    changeRecord,
+    student,
+    { title, studentMessage, adminMessage },
+  ) {
+    try {
+      const NotificationService = (await import("./notification.service.js"))
+        .default;
+      const data = {
+        changeId: changeRecord._id.toString(),
+        slotId: changeRecord.newSlotId.toString(),
+      };
+
+      if (studentMessage) {
+        await NotificationService.sendStudentNotification({
+          studentId: student._id,
+          title,
+          message: studentMessage,
+          type: "SLOT_CHANGE",
+          data,
+        });
+      }
+
+      const tenantId = changeRecord.tenantId || student.tenantId;
+      if (adminMessage && tenantId) {
+        const { Admin } = await import("../models/admin.model.js");
+        const admins = await Admin.find({
+          tenantId,
+          isActive: true,
+          role: { $in: ["SUPER_ADMIN", "ADMIN"] },
+        }).select("_id");
+        for (const admin of admins) {
+          await NotificationService.sendAdminNotification(
+            admin._id,
+            title,
+            adminMessage,
+            "SLOT_CHANGE",
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        `Failed to send slot change notifications for ${changeRecord._id}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Apply scheduled slot changes whose effective date has come (daily job).
+   * A change that can no longer be applied is marked FAILED, its seat is
+   * released and the admins are told why.
+   * @returns {Promise<{ applied: number, failed: number, errors: Array }>}
+   */
+  static async applyDueSlotChanges(now = new Date()) {
+    const due = await SlotChangeHistory.find({
+      scheduleStatus: "SCHEDULED",
+      effectiveDate: { $lte: now },
+    }).sort({ effectiveDate: 1, createdAt: 1 });
+
+    const results = { applied: 0, failed: 0, errors: [] };
+
+    for (const changeRecord of due) {
+      try {
+        await this._applyScheduledChange(changeRecord);
+        results.applied++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ changeId: changeRecord._id, error: error.message });
+
+        changeRecord.scheduleStatus = "FAILED";
+        changeRecord.failureReason = error.message;
+        await changeRecord.save();
+        await this._processWaitlist(changeRecord.newSlotId);
+
+        const student = await Student.findById(changeRecord.studentId)
+          .select("name tenantId")
+          .lean();
+        if (student) {
+          await this._notifySlotChange(changeRecord, student, {
+            title: "Scheduled slot change failed",
+            adminMessage: `${student.name}'s move to ${changeRecord.newSlotName} on ${changeRecord.effectiveDate.toDateString()} could not be applied: ${error.message}`,
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Slot changes waiting for their effective date (for admin)
+   */
+  static async getScheduledSlotChanges(tenantId) {
+    return SlotChangeHistory.find({
+      scheduleStatus: "SCHEDULED",
+      ...(tenantId ? { tenantId } : {}),
+    })
+      .populate("studentId", "name libraryId phone seatNumber")
+      .populate("previousSlotId", "name timeRange monthlyFee")
+      .populate("newSlotId", "name timeRange monthlyFee")
+      .sort({ effectiveDate: 1 })
+      .lean();
+  }
+
+  /**
+   * Cancel a scheduled slot change; its reserved seat is released
+   */
+  static async cancelScheduledSlotChange(changeId, adminId, reason = "", tenantId = null) {
+    const changeRecord = await SlotChangeHistory.findOne({
+      _id: changeId,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!changeRecord) {
+      throw new ApiError(404, "Scheduled slot change not found");
+    }
+    if (changeRecord.scheduleStatus !== "SCHEDULED") {
+      throw new ApiError(400, "Only scheduled slot changes can be cancelled");
+    }
+
+    changeRecord.scheduleStatus = "CANCELLED";
+    changeRecord.cancelledAt = new Date();
+    changeRecord.cancelledBy = adminId;
+    changeRecord.cancellationReason = reason;
+    await changeRecord.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: "CANCEL_SLOT_CHANGE",
+      targetEntity: "STUDENT",
+      targetId: changeRecord.studentId,
+      newValue: { reason },
+      metadata: {
+        studentId: changeRecord.studentId,
+        changeId: changeRecord._id,
+      },
+      tenantId: changeRecord.tenantId,
+    });
+
+    const student = await Student.findById(changeRecord.studentId)
+      .select("name tenantId")
+      .lean();
+    if (student) {
+      await this._notifySlotChange(changeRecord, student, {
+        title: "Scheduled slot change cancelled",
+        studentMessage: `Your move to ${changeRecord.newSlotName} on ${changeRecord.effectiveDate.toDateString()} has been cancelled.${reason ? ` Reason: ${reason}` : ""}`,
+      });
+    }
+
+    await this._processWaitlist(changeRecord.newSlotId);
+
+    return changeRecord;
+  }
+
+  /**
+   * Seats of a library booked by more than one active student at
+   * overlapping times (left over from before overlap checks existed)
+   */
+  static async getDoubleBookings(tenantId) {
+    const slots = await Slot.find(await getTenantSlotFilter(tenantId))
+      .populate("roomId", "name")
+      .lean();
+    const students = await Student.find({
+      slotId: { $in: slots.map((s) => s._id) },
+      status: "ACTIVE",
+      isDeleted: false,
+      seatNumber: { $exists: true, $ne: "" },
+    })
+      .select("name libraryId phone slotId seatNumber")
+      .lean();
+
+    return findDoubleBookings(slots, students).map(
+      ({ seatNumber, bookings }) => ({
+        room: {
+          id: bookings[0].slot.roomId?._id || bookings[0].slot.roomId,
+          name: bookings[0].slot.roomId?.name,
+        },
+        seatNumber,
+        bookings: bookings.map(({ student, slot }) => ({
+          studentId: student._id,
+          name: student.name,
+          libraryId: student.libraryId,
+          phone: student.phone,
+          slot: {
+            id: slot._id,
+            name: slot.name,
+            slotType: slot.slotType,
+            timeRange: slot.timeRange,
+          },
+        })),
+      }),
+    );
+  }
+
   /**
    * Reject slot change request (admin action)
    */
@@ -542,6 +1264,11 @@ class SlotService {
     // Delete the change record (mark as rejected)
     await SlotChangeHistory.findByIdAndDelete(historyId);
 
+    // Free the seat the student picked
+    if (changeRecord.metadata?.requestedSeatNumber) {
+      await SeatHoldService.releaseHold(changeRecord.studentId);
+    }
+
     // Log the admin action
     await AdminActionLog.create({
       adminId,
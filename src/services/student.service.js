@@ -2,16 +2,24 @@ import { Student } from "../models/student.model.js";
 import { Friendship } from "../models/friendship.model.js";
 import { Library } from "../models/library.model.js";
 import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { SlotChangeHistory } from "../models/slotChangeHistory.model.js";
+import { Slot } from "../models/slot.model.js";
+import { DueRecord } from "../models/dueRecord.model.js";
+import { StudentStatus } from "../constants/constants.js";
 import { ApiError } from "../utils/ApiError.js";
 import cacheService from "../utils/cache.js";
 import { CACHE_KEYS, CACHE_TTL } from "../utils/cacheStrategy.js";
 import FeeService from "./fee.service.js";
+import StudentKycService from "./studentKyc.service.js";
+import { getSlotFeeForSeatType } from "../utils/roomLayoutHelpers.js";
 import {
   generateLibraryId,
   checkEmailExists,
   checkPhoneExists,
 } from "../utils/studentHelpers.js";
 import {
+  getFreeSeats,
+  validateSeatAvailable,
   validateSlotChange,
   validateSlotHasCapacity,
 } from "../utils/slotHelpers.js";
@@ -22,9 +30,13 @@ class StudentService {
    * - Requires slot assignment
    * - Creates billing immediately
    * - Status can be ACTIVE
+   * - With `joinWaitlist` on a full slot, the student is created INACTIVE
+   *   and queued for the slot instead (billing starts when a seat is accepted)
    */
   static async registerStudent(studentData, adminId, tenantId) {
     try {
+      const { joinWaitlist, ...studentFields } = studentData;
+
       // ✅ Check email uniqueness (if provided)
       if (studentData.email) {
         const existingEmail = await checkEmailExists(studentData.email);
@@ -39,8 +51,40 @@ class StudentService {
         throw new ApiError(409, "Phone number already registered");
       }
 
-      // ✅ Verify slot exists, is active, and has capacity
-      await validateSlotHasCapacity(studentData.slotId);
+      // ✅ Verify slot exists, is active, and has capacity (or queue for it)
+      const { slot, freeSeats } = await getFreeSeats(studentData.slotId);
+      const waitlisted = freeSeats <= 0 && joinWaitlist === true;
+      if (!waitlisted) {
+        await validateSlotHasCapacity(studentData.slotId);
+      }
+
+      // ✅ Seat must exist in the room layout and be free in every slot
+      //    sharing this slot's room and time
+      const layoutSeat = await validateSeatAvailable(
+        studentData.slotId,
+        studentData.seatNumber,
+      );
+      if (layoutSeat) studentFields.seatNumber = layoutSeat.label;
+
+      // ✅ Fee defaults to the slot's price for the seat type
+      if (studentFields.monthlyFee === undefined) {
+        studentFields.monthlyFee = getSlotFeeForSeatType(slot, layoutSeat?.seatType);
+      }
+
+      // ✅ Libraries with a fixed billing day bill every new student on it
+      const library = tenantId
+        ? await Library.findById(tenantId).select("settings.billingDay").lean()
+        : null;
+      if (library?.settings?.billingDay) {
+        studentFields.billingDay = library.settings.billingDay;
+      }
+
+      // ✅ Libraries requiring KYC keep the student INACTIVE until their
+      //    ID proof and photo are verified (activated automatically then)
+      const heldForKyc =
+        !waitlisted &&
+        (studentFields.status ?? StudentStatus.ACTIVE) === StudentStatus.ACTIVE &&
+        (await StudentKycService.isKycRequired(tenantId));
 
       // ✅ Generate library ID
       const libraryId = await generateLibraryId();
@@ -57,27 +101,43 @@ class StudentService {
 
       // ✅ Create student
       const student = await Student.create({
-        ...studentData,
+        ...studentFields,
+        ...(waitlisted ? { status: "INACTIVE" } : {}),
+        ...(heldForKyc
+          ? { status: StudentStatus.INACTIVE, activateOnKycVerified: true }
+          : {}),
         libraryId,
         createdBy: adminId,
         tenantId,
         emailVerified,
       });
 
-      // ✅ Monthly fee record generation moved to ensureMonthlyFeeExists loop
-      // ✅ Generate initial fee record for current month
-      try {
-        const currentDate = new Date();
-        await FeeService.ensureMonthlyFeeExists(
-          student._id,
-          currentDate.getMonth(),
-          currentDate.getFullYear(),
-          adminId,
-        );
-        console.log(`✅ Monthly fee record created for ${student.libraryId}`);
-      } catch (feeError) {
-        console.error("❌ Failed to create fee record:", feeError.message);
-        // Don't throw - student is already created
+      // ✅ Queue for a seat, or generate the initial fee record for current month
+      let waitlist = null;
+      if (waitlisted) {
+        const WaitlistService = (await import("./waitlist.service.js")).default;
+        waitlist = await WaitlistService.joinWaitlist({
+          slotId: studentData.slotId,
+          studentId: student._id,
+          type: "REGISTRATION",
+          addedBy: adminId,
+          addedByRole: "ADMIN",
+          tenantId,
+        });
+      } else if (!heldForKyc) {
+        try {
+          const currentDate = new Date();
+          await FeeService.ensureMonthlyFeeExists(
+            student._id,
+            currentDate.getMonth(),
+            currentDate.getFullYear(),
+            adminId,
+          );
+          console.log(`✅ Monthly fee record created for ${student.libraryId}`);
+        } catch (feeError) {
+          console.error("❌ Failed to create fee record:", feeError.message);
+          // Don't throw - student is already created
+        }
       }
 
       // ✅ Log the admin action
@@ -87,14 +147,22 @@ class StudentService {
           action: "CREATE_STUDENT",
           targetEntity: "STUDENT",
           targetId: student._id,
-          newValue: { ...studentData, libraryId },
-          metadata: { studentId: student._id, libraryId },
+          newValue: { ...studentFields, libraryId, status: student.status },
+          metadata: {
+            studentId: student._id,
+            libraryId,
+            ...(waitlist ? { waitlistEntryId: waitlist._id } : {}),
+          },
         });
       } catch (logError) {
         console.error("❌ Failed to log admin action:", logError.message);
         // Don't throw - student is already created
       }
 
+      if (waitlist) {
+        return { ...student.toObject(), waitlist };
+      }
+
       return student;
     } catch (error) {
       console.error("❌ Error in registerStudent:", error.message);
@@ -143,6 +211,15 @@ class StudentService {
       }
     }
 
+    const previousSlotId = student.slotId;
+    const previousSeat = student.seatNumber;
+    const previousLeavingDate = student.leavingDate;
+    const wasActive = student.status === "ACTIVE";
+
+    if (updateData.status === StudentStatus.ACTIVE && !wasActive) {
+      await StudentKycService.assertCanActivate(student);
+    }
+
     // Validate slot change if slotId is being updated
     if (
       updateData.slotId &&
@@ -154,6 +231,27 @@ class StudentService {
       await validateSlotHasCapacity(updateData.slotId);
     }
 
+    // Validate the resulting seat is free across overlapping slots
+    const targetSlotId = updateData.slotId || student.slotId;
+    const targetSeat =
+      updateData.seatNumber !== undefined ? updateData.seatNumber : student.seatNumber;
+    const seatMoved =
+      (updateData.slotId &&
+        updateData.slotId.toString() !== student.slotId?.toString()) ||
+      (updateData.seatNumber !== undefined &&
+        updateData.seatNumber !== student.seatNumber);
+    let layoutSeat = null;
+    if (targetSlotId && seatMoved) {
+      layoutSeat = await validateSeatAvailable(
+        targetSlotId,
+        targetSeat,
+        student._id,
+      );
+      if (layoutSeat && updateData.seatNumber !== undefined) {
+        updateData.seatNumber = layoutSeat.label;
+      }
+    }
+
     // Update student fields
     // Explicitly handle fields often sent from admin dashboard
     const updatableFields = [
@@ -169,6 +267,7 @@ class StudentService {
       "phoneVerified",
       "seatNumber",
       "joiningDate",
+      "leavingDate",
       "notes",
       "tags",
     ];
@@ -181,6 +280,32 @@ class StudentService {
 
     await student.save();
 
+    // A move onto a seat of another type (e.g. a CABIN) changes the price,
+    // unless the admin set the fee explicitly
+    if (layoutSeat && updateData.monthlyFee === undefined) {
+      try {
+        const [slot, previousSlot] = await Promise.all([
+          Slot.findById(targetSlotId).lean(),
+          previousSlotId ? Slot.findById(previousSlotId).select("name").lean() : null,
+        ]);
+        const SlotService = (await import("./slot.service.js")).default;
+        await SlotService._applySlotFeeChange(
+          student,
+          { ...slot, name: `${slot.name} seat ${layoutSeat.label}` },
+          layoutSeat.seatType,
+          {
+            previousSlotName: previousSeat
+              ? `${previousSlot?.name || "Unknown"} seat ${previousSeat}`
+              : previousSlot?.name || "Unknown",
+            slotChangeId: null,
+            adminId,
+          },
+        );
+      } catch (feeError) {
+        console.error("❌ Failed to re-price seat change:", feeError.message);
+      }
+    }
+
     // If joiningDate was changed, trigger a catch-up for fees immediately
     if (updateData.joiningDate !== undefined) {
       try {
@@ -194,9 +319,43 @@ class StudentService {
       }
     }
 
+    // Pro-rate the last fee month up to the new leaving date (library setting)
+    if (
+      updateData.leavingDate !== undefined &&
+      String(previousLeavingDate ?? "") !== String(student.leavingDate ?? "")
+    ) {
+      try {
+        const FeeProrationService = (await import("./feeProration.service.js"))
+          .default;
+        await FeeProrationService.applyLeavingDate(
+          student,
+          previousLeavingDate,
+          adminId,
+        );
+      } catch (feeError) {
+        console.error("❌ Failed to pro-rate last month:", feeError.message);
+      }
+    }
+
     // Invalidate student cache
     await cacheService.del(CACHE_KEYS.STUDENT(studentId));
 
+    // A seat freed by a slot move or deactivation goes to the slot's waitlist
+    if (
+      wasActive &&
+      previousSlotId &&
+      (student.status !== "ACTIVE" ||
+        student.slotId?.toString() !== previousSlotId.toString())
+    ) {
+      try {
+        const WaitlistService = (await import("./waitlist.service.js")).default;
+        await cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(previousSlotId.toString()));
+        await WaitlistService.processSlot(previousSlotId);
+      } catch (waitlistError) {
+        console.error("❌ Failed to process waitlist:", waitlistError.message);
+      }
+    }
+
     // Reload the student from DB to return the final state after all hooks and services
     const updatedStudent = await Student.findById(studentId);
 
@@ -237,6 +396,12 @@ class StudentService {
     // Invalidate student cache
     await cacheService.del(CACHE_KEYS.STUDENT(studentId));
 
+    await this.releaseStudentSeat(student, {
+      wasActive: oldStatus === "ACTIVE",
+      reason: "Student archived",
+      adminId,
+    });
+
     // Log the action
     await AdminActionLog.create({
       adminId,
@@ -258,6 +423,40 @@ class StudentService {
   /**
    * Reactivate student
    */
+  /**
+   * Free everything an archived student still holds: waitlist places, seats
+   * reserved by scheduled slot changes and their own seat, which is offered
+   * to the slot's waitlist (never fails the caller)
+   * @param {Document} student - Archived student
+   * @param {Object} options - { wasActive, reason, adminId }
+   */
+  static async releaseStudentSeat(student, { wasActive, reason, adminId = null }) {
+    try {
+      const WaitlistService = (await import("./waitlist.service.js")).default;
+      await WaitlistService.cancelStudentEntries(student._id, reason);
+      if (wasActive && student.slotId) {
+        await cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(student.slotId.toString()));
+        await WaitlistService.processSlot(student.slotId);
+      }
+
+      // Seats reserved by their scheduled slot changes are freed too
+      const scheduled = await SlotChangeHistory.find({
+        studentId: student._id,
+        scheduleStatus: "SCHEDULED",
+      });
+      for (const change of scheduled) {
+        change.scheduleStatus = "CANCELLED";
+        change.cancelledAt = new Date();
+        change.cancelledBy = adminId;
+        change.cancellationReason = reason;
+        await change.save();
+        await WaitlistService.processSlot(change.newSlotId);
+      }
+    } catch (waitlistError) {
+      console.error("❌ Failed to process waitlist:", waitlistError.message);
+    }
+  }
+
   static async reactivateStudent(studentId, adminId) {
     const student = await Student.findById(studentId);
 
@@ -269,9 +468,16 @@ class StudentService {
       throw new ApiError(400, "Student is not archived");
     }
 
+    await StudentKycService.assertCanActivate(student);
+
     // Check if slot still has capacity
     await validateSlotHasCapacity(student.slotId);
 
+    // A leaving date that has passed would archive them again on the next sweep
+    if (student.leavingDate && student.leavingDate < new Date()) {
+      student.leavingDate = undefined;
+    }
+
     // Reactivate
     await student.reactivate();
 
@@ -329,12 +535,15 @@ class StudentService {
   }
 
   /**
-   * Search students
+   * Build the student filter shared by search and roster export.
+   * Filters: search, status, slotId, roomId, tags (comma-separated, any
+   * match), joinedFrom / joinedTo (inclusive dates), dueStatus (DUE: has
+   * unpaid overdue months, CLEAR: none), includeArchived.
+   * @param {Object} query
+   * @param {Object} [options] - { strictTenant: exclude legacy records without tenantId }
+   * @returns {Promise<Object>} Mongo filter
    */
-  static async searchStudents(query, page = 1, limit = 20) {
-    const skip = (page - 1) * limit;
-
-    // Build search filter
+  static async buildSearchFilter(query, { strictTenant = false } = {}) {
     // 1. Soft-delete logic: Include isDeleted if specifically ARCHIVED or if includeArchived flag is set
     const filter = { 
       isDeleted: query.status === "ARCHIVED" || query.includeArchived === "true" || query.includeArchived === true 
@@ -343,7 +552,9 @@ class StudentService {
     const criteria = [];
 
     // 2. Multi-tenancy logic: Lenient filter to support legacy records missing tenantId
-    if (query.tenantId) {
+    if (query.tenantId && strictTenant) {
+      criteria.push({ tenantId: query.tenantId });
+    } else if (query.tenantId) {
       criteria.push({
         $or: [
           { tenantId: query.tenantId },
@@ -365,10 +576,6 @@ class StudentService {
       });
     }
 
-    if (criteria.length > 0) {
-      filter.$and = criteria;
-    }
-
     // 4. Status and Slot Filters
     if (query.status && query.status !== "ALL") {
       filter.status = query.status;
@@ -378,6 +585,68 @@ class StudentService {
       filter.slotId = query.slotId;
     }
 
+    if (query.roomId) {
+      const slotIds = await Slot.find({ roomId: query.roomId }).distinct("_id");
+      criteria.push({ slotId: { $in: slotIds } });
+    }
+
+    // 5. Tags, joining date range and due status
+    const tags = (Array.isArray(query.tags) ? query.tags : String(query.tags || "").split(","))
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    if (tags.length > 0) {
+      filter.tags = { $in: tags };
+    }
+
+    if (query.joinedFrom || query.joinedTo) {
+      const range = {};
+      if (query.joinedFrom) {
+        const from = new Date(query.joinedFrom);
+        if (Number.isNaN(from.getTime())) {
+          throw new ApiError(400, "joinedFrom must be a valid date");
+        }
+        from.setHours(0, 0, 0, 0);
+        range.$gte = from;
+      }
+      if (query.joinedTo) {
+        const to = new Date(query.joinedTo);
+        if (Number.isNaN(to.getTime())) {
+          throw new ApiError(400, "joinedTo must be a valid date");
+        }
+        to.setHours(23, 59, 59, 999);
+        range.$lte = to;
+      }
+      filter.joiningDate = range;
+    }
+
+    if (query.dueStatus) {
+      if (!["DUE", "CLEAR"].includes(query.dueStatus)) {
+        throw new ApiError(400, "dueStatus must be DUE or CLEAR");
+      }
+      const dueStudentIds = await DueRecord.find({
+        resolved: false,
+        ...(query.tenantId ? { tenantId: query.tenantId } : {}),
+      }).distinct("studentId");
+      criteria.push({
+        _id: query.dueStatus === "DUE" ? { $in: dueStudentIds } : { $nin: dueStudentIds },
+      });
+    }
+
+    if (criteria.length > 0) {
+      filter.$and = criteria;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Search students
+   */
+  static async searchStudents(query, page = 1, limit = 20) {
+    const skip = (page - 1) * limit;
+
+    const filter = await this.buildSearchFilter(query);
+
     // Execute query
     const [studentsRaw, total] = await Promise.all([
       Student.find(filter)
@@ -0,0 +1,732 @@
+/**
+ * Student Exit Service
+ * Notice-and-exit workflow: a leaving date is filed (by the student or an
+ * admin); on that date the seat is released, the student is archived and a
+ * final settlement nets their outstanding dues against the remaining advance
+ * balance. An admin then records the refund (or collects the final due),
+ * which closes the account.
+ */
+
+import jwt from "jsonwebtoken";
+import { StudentExit } from "../models/studentExit.model.js";
+import { Student } from "../models/student.model.js";
+import { Slot } from "../models/slot.model.js";
+import { Library } from "../models/library.model.js";
+import { Counter } from "../models/counter.model.js";
+import { DueRecord } from "../models/dueRecord.model.js";
+import { AdvanceBalance } from "../models/advanceBalance.model.js";
+import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
+import { StudentStatus } from "../constants/constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+import { getFeeTotal, getMonthName, roundFeeAmount } from "../utils/feeHelpers.js";
+import {
+  createPdfDocument,
+  drawKeyValueRows,
+  drawLibraryHeader,
+  drawTable,
+  fetchImageBuffer,
+  formatCurrency,
+  formatDate,
+  pipePdf,
+} from "../utils/pdfHelpers.js";
+
+const SETTLEMENT_SEQUENCE_KEY = "SETTLEMENT";
+const SETTLEMENT_METHODS = ["CASH", "ONLINE", "CHEQUE", "OTHER", "UPI"];
+const SETTLEMENT_LINK_PURPOSE = "SETTLEMENT_PDF";
+const SETTLEMENT_LINK_DAYS = 30;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+class StudentExitService {
+  /**
+   * File a leaving date for an active student.
+   * Students must give the library's notice period (settings.exitNoticeDays);
+   * admins may file any date from today.
+   * @param {Object} data - { leavingDate, reason }
+   * @param {Object} filer - { filedBy: "STUDENT"|"ADMIN", adminId, tenantId }
+   * @returns {Promise<Document>} StudentExit
+   */
+  static async fileNotice(
+    studentId,
+    { leavingDate, reason = "" },
+    { filedBy, adminId = null, tenantId = null },
+  ) {
+    const student = await Student.findOne({
+      _id: studentId,
+      isDeleted: false,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+    if (student.status !== StudentStatus.ACTIVE) {
+      throw new ApiError(400, "Only active students can file an exit notice");
+    }
+
+    const existing = await StudentExit.findOne({
+      studentId: student._id,
+      status: "NOTICE",
+    }).lean();
+    if (existing) {
+      throw new ApiError(
+        409,
+        `An exit notice is already filed for ${existing.leavingDate.toDateString()}`,
+      );
+    }
+
+    const date = leavingDate ? new Date(leavingDate) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new ApiError(400, "A valid leaving date is required");
+    }
+    const day = startOfDay(date);
+    const today = startOfDay(new Date());
+    if (day < today) {
+      throw new ApiError(400, "Leaving date cannot be in the past");
+    }
+
+    if (filedBy === "STUDENT") {
+      const library = await Library.findById(student.tenantId)
+        .select("settings.exitNoticeDays")
+        .lean();
+      const noticeDays = library?.settings?.exitNoticeDays || 0;
+      const earliest = new Date(today);
+      earliest.setDate(earliest.getDate() + noticeDays);
+      if (day < earliest) {
+        throw new ApiError(
+          400,
+          `Please give at least ${noticeDays} days of notice (earliest leaving date: ${earliest.toDateString()})`,
+        );
+      }
+    }
+
+    const exit = await StudentExit.create({
+      studentId: student._id,
+      leavingDate: day,
+      reason,
+      filedBy,
+      filedByAdmin: adminId,
+      tenantId: student.tenantId,
+    });
+
+    const previousLeavingDate = student.leavingDate;
+    student.leavingDate = day;
+    await student.save();
+    await cacheService.del(CACHE_KEYS.STUDENT(student._id.toString()));
+
+    // Pro-rate the last fee month up to the leaving date (when enabled)
+    try {
+      const FeeProrationService = (await import("./feeProration.service.js"))
+        .default;
+      await FeeProrationService.applyLeavingDate(student, previousLeavingDate, adminId);
+    } catch (error) {
+      console.error(
+        `Failed to pro-rate last month for student ${student._id}:`,
+        error.message,
+      );
+    }
+
+    if (adminId) {
+      await AdminActionLog.create({
+        adminId,
+        action: "FILE_STUDENT_EXIT",
+        targetEntity: "STUDENT",
+        targetId: student._id,
+        oldValue: { leavingDate: previousLeavingDate || null },
+        newValue: { leavingDate: day, reason },
+        metadata: { studentId: student._id, exitId: exit._id },
+        tenantId: student.tenantId,
+      });
+    }
+
+    await this._notify(exit, student, {
+      title: "Exit notice filed",
+      studentMessage:
+        filedBy === "ADMIN"
+          ? `Your leaving date has been set to ${day.toDateString()}. Your seat will be released on that date.`
+          : null,
+      adminMessage:
+        filedBy === "STUDENT"
+          ? `${student.name} has given notice to leave on ${day.toDateString()}.${reason ? ` Reason: ${reason}` : ""}`
+          : null,
+    });
+
+    return exit;
+  }
+
+  /**
+   * Withdraw an exit notice before the leaving date
+   */
+  static async cancelNotice(exitId, adminId, reason = "", tenantId = null) {
+    const exit = await this._findExit(exitId, tenantId);
+    if (exit.status !== "NOTICE") {
+      throw new ApiError(400, "Only pending exit notices can be cancelled");
+    }
+
+    exit.status = "CANCELLED";
+    exit.cancelledAt = new Date();
+    exit.cancelledBy = adminId;
+    exit.cancellationReason = reason;
+    await exit.save();
+
+    const student = await Student.findById(exit.studentId);
+    if (student && student.leavingDate) {
+      const previousLeavingDate = student.leavingDate;
+      student.leavingDate = undefined;
+      await student.save();
+      await cacheService.del(CACHE_KEYS.STUDENT(student._id.toString()));
+
+      try {
+        const FeeProrationService = (await import("./feeProration.service.js"))
+          .default;
+        await FeeProrationService.applyLeavingDate(student, previousLeavingDate, adminId);
+      } catch (error) {
+        console.error(
+          `Failed to undo last-month proration for student ${student._id}:`,
+          error.message,
+        );
+      }
+    }
+
+    await AdminActionLog.create({
+      adminId,
+      action: "CANCEL_STUDENT_EXIT",
+      targetEntity: "STUDENT",
+      targetId: exit.studentId,
+      oldValue: { leavingDate: exit.leavingDate },
+      newValue: { reason },
+      metadata: { studentId: exit.studentId, exitId: exit._id },
+      tenantId: exit.tenantId,
+    });
+
+    if (student) {
+      await this._notify(exit, student, {
+        title: "Exit notice withdrawn",
+        studentMessage: `Your exit on ${exit.leavingDate.toDateString()} has been cancelled. Your seat stays yours.`,
+      });
+    }
+
+    return exit;
+  }
+
+  /**
+   * Statement of what the student owes and what the library holds for them.
+   * The latest fee month's balance carries every earlier unpaid month, so it
+   * is the total outstanding (as in the fee summary).
+   * @returns {Promise<Object>} Settlement snapshot
+   */
+  static async buildSettlement(studentId) {
+    const [fees, dueRecord, advance] = await Promise.all([
+      StudentMonthlyFee.find({ studentId }).sort({ year: 1, month: 1 }),
+      DueRecord.findOne({ studentId, resolved: false }).select("totalDueAmount").lean(),
+      AdvanceBalance.findOne({ studentId }).select("remainingAmount").lean(),
+    ]);
+
+    const latest = fees[fees.length - 1];
+    const outstandingAmount = latest
+      ? Math.max(0, roundFeeAmount(getFeeTotal(latest) - (latest.paidAmount || 0)))
+      : 0;
+    const dueAmount = Math.min(outstandingAmount, dueRecord?.totalDueAmount || 0);
+    const advanceAmount = roundFeeAmount(advance?.remainingAmount || 0);
+    const netAmount = roundFeeAmount(advanceAmount - outstandingAmount);
+
+    let direction = "NIL";
+    if (netAmount > 0) direction = "REFUND";
+    if (netAmount < 0) direction = "DUE";
+
+    return {
+      generatedAt: new Date(),
+      months: fees
+        .filter((fee) => fee.status !== "PAID")
+        .map((fee) => ({
+          month: fee.month,
+          year: fee.year,
+          amount: roundFeeAmount(getFeeTotal(fee) - (fee.dueCarriedForwardAmount || 0)),
+          paidAmount: fee.paidAmount || 0,
+          status: fee.status,
+        })),
+      dueAmount,
+      pendingAmount: roundFeeAmount(outstandingAmount - dueAmount),
+      outstandingAmount,
+      advanceAmount,
+      netAmount,
+      direction,
+      latestFee: latest ? { month: latest.month, year: latest.year } : null,
+    };
+  }
+
+  /**
+   * Release the seat, archive the student and draw up the settlement
+   */
+  static async _processExit(exit, student) {
+    const slot = student.slotId
+      ? await Slot.findById(student.slotId).select("name").lean()
+      : null;
+    const wasActive = student.status === StudentStatus.ACTIVE;
+
+    await student.archive(
+      `Left the library${exit.reason ? `: ${exit.reason}` : ""}`,
+    );
+    await cacheService.del(CACHE_KEYS.STUDENT(student._id.toString()));
+
+    const StudentService = (await import("./student.service.js")).default;
+    await StudentService.releaseStudentSeat(student, {
+      wasActive,
+      reason: "Student left the library",
+    });
+    try {
+      const SeatHoldService = (await import("./seatHold.service.js")).default;
+      await SeatHoldService.releaseHold(student._id);
+    } catch (error) {
+      console.error(`Failed to release seat hold of ${student._id}:`, error.message);
+    }
+
+    const { latestFee, ...settlement } = await this.buildSettlement(student._id);
+    const sequence = await Counter.next(student.tenantId, SETTLEMENT_SEQUENCE_KEY);
+
+    exit.processedAt = new Date();
+    exit.settlementNumber = `STL-${String(sequence).padStart(6, "0")}`;
+    exit.settlement = {
+      ...settlement,
+      slotName: slot?.name || null,
+      seatNumber: student.seatNumber || null,
+    };
+    if (settlement.direction === "NIL") {
+      exit.status = "SETTLED";
+      exit.settledAt = new Date();
+    } else {
+      exit.status = "SETTLEMENT_PENDING";
+    }
+    await exit.save();
+
+    const amount = formatCurrency(Math.abs(settlement.netAmount));
+    const outcome = {
+      REFUND: `A refund of ${amount} is due to you.`,
+      DUE: `A final amount of ${amount} is due.`,
+      NIL: "Your account is fully settled.",
+    }[settlement.direction];
+    await this._notify(exit, student, {
+      title: "Final settlement ready",
+      data: { settlementUrl: this.getSettlementDownloadLink(exit).path },
+      studentMessage: `Your seat has been released. ${outcome} Settlement ${exit.settlementNumber} is available to download.`,
+      adminMessage: `${student.name} has left${slot ? ` ${slot.name}` : ""}. Settlement ${exit.settlementNumber}: ${
+        {
+          REFUND: `refund ${amount} to the student`,
+          DUE: `collect ${amount} from the student`,
+          NIL: "nothing to pay",
+        }[settlement.direction]
+      }.`,
+    });
+
+    return exit;
+  }
+
+  /**
+   * Process every active student whose leaving date is today or earlier
+   * (run by the waitlist sweep, so freed seats are offered straight away).
+   * Leaving dates set without a notice (e.g. edited on the student) get one.
+   * @returns {Promise<{ processed: number, errors: Array }>}
+   */
+  static async processDueExits(now = new Date()) {
+    const tomorrow = startOfDay(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const leaving = await Student.find({
+      status: StudentStatus.ACTIVE,
+      isDeleted: false,
+      leavingDate: { $lt: tomorrow },
+    });
+
+    const results = { processed: 0, errors: [] };
+    for (const student of leaving) {
+      try {
+        const exit =
+          (await StudentExit.findOne({ studentId: student._id, status: "NOTICE" })) ||
+          new StudentExit({
+            studentId: student._id,
+            filedBy: "SYSTEM",
+            tenantId: student.tenantId,
+          });
+        exit.leavingDate = student.leavingDate;
+
+        await this._processExit(exit, student);
+        results.processed++;
+      } catch (error) {
+        console.error(`Failed to process exit of student ${student._id}:`, error);
+        results.errors.push({ studentId: student._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Close a pending settlement: the advance is applied to the outstanding
+   * dues, then the remaining refund is paid out or the final due collected
+   * (with a receipt). Figures are refreshed first, as payments may have
+   * been recorded since the exit.
+   * @param {Object} transaction - { method, reference, remarks }
+   */
+  static async settleExit(
+    exitId,
+    { method, reference, remarks = "" } = {},
+    adminId,
+    tenantId = null,
+  ) {
+    const exit = await this._findExit(exitId, tenantId);
+    if (exit.status !== "SETTLEMENT_PENDING") {
+      throw new ApiError(400, "This exit has no pending settlement");
+    }
+
+    const { latestFee, ...settlement } = await this.buildSettlement(exit.studentId);
+    const applied = Math.min(settlement.outstandingAmount, settlement.advanceAmount);
+    const finalDue = roundFeeAmount(settlement.outstandingAmount - applied);
+    const refund = roundFeeAmount(settlement.advanceAmount - applied);
+
+    if ((finalDue > 0 || refund > 0) && !SETTLEMENT_METHODS.includes(method)) {
+      throw new ApiError(
+        400,
+        `Payment method must be one of: ${SETTLEMENT_METHODS.join(", ")}`,
+      );
+    }
+
+    const FeePaymentService = (await import("./feePayment.service.js")).default;
+    const note = `Final settlement ${exit.settlementNumber}`;
+
+    if (applied > 0) {
+      await FeePaymentService.markAsPaid(
+        exit.studentId,
+        latestFee.month,
+        latestFee.year,
+        { paidAmount: applied, paymentMethod: "ADVANCE", remarks: note },
+        adminId,
+      );
+    }
+
+    // Both land in dated ledgers: the fee month's payments for a collection,
+    // the advance balance's transactions for a refund
+    let transaction = null;
+    if (finalDue > 0) {
+      const fee = await FeePaymentService.markAsPaid(
+        exit.studentId,
+        latestFee.month,
+        latestFee.year,
+        {
+          paidAmount: finalDue,
+          paymentMethod: method,
+          transactionId: reference,
+          remarks: remarks || note,
+        },
+        adminId,
+      );
+      transaction = {
+        type: "COLLECTION",
+        amount: finalDue,
+        receiptNumber: fee.receiptNumber,
+        ledgerEntryId: fee.payments[fee.payments.length - 1]._id,
+      };
+    } else if (refund > 0) {
+      const FeeAdvanceService = (await import("./feeAdvance.service.js")).default;
+      const advance = await FeeAdvanceService.refundAdvance(
+        exit.studentId,
+        refund,
+        adminId,
+        reference ? `${remarks || note} (ref. ${reference})` : remarks || note,
+        method,
+      );
+      transaction = {
+        type: "REFUND",
+        amount: refund,
+        ledgerEntryId: advance.transactions[advance.transactions.length - 1]._id,
+      };
+    }
+
+    exit.settlement = {
+      ...settlement,
+      slotName: exit.settlement?.slotName,
+      seatNumber: exit.settlement?.seatNumber,
+    };
+    if (transaction) {
+      exit.transaction = {
+        ...transaction,
+        method,
+        reference,
+        remarks,
+        recordedAt: new Date(),
+        recordedBy: adminId,
+      };
+    }
+    exit.status = "SETTLED";
+    exit.settledAt = new Date();
+    await exit.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: "SETTLE_STUDENT_EXIT",
+      targetEntity: "STUDENT",
+      targetId: exit.studentId,
+      newValue: {
+        advanceApplied: applied,
+        transaction: exit.transaction?.type ? exit.transaction : null,
+      },
+      metadata: {
+        studentId: exit.studentId,
+        exitId: exit._id,
+        settlementNumber: exit.settlementNumber,
+      },
+      tenantId: exit.tenantId,
+    });
+
+    const student = await Student.findById(exit.studentId).select("name tenantId").lean();
+    if (student && transaction) {
+      await this._notify(exit, student, {
+        title: "Account settled",
+        studentMessage:
+          transaction.type === "REFUND"
+            ? `Your refund of ${formatCurrency(refund)} has been paid. Thank you for being with us!`
+            : `We have received your final payment of ${formatCurrency(finalDue)}. Your account is closed.`,
+      });
+    }
+
+    return exit;
+  }
+
+  /**
+   * Exits of a library (for admin)
+   * @param {Object} filters - { status }
+   */
+  static async getExits(tenantId, { status } = {}) {
+    return StudentExit.find({
+      ...(tenantId ? { tenantId } : {}),
+      ...(status ? { status } : {}),
+    })
+      .populate("studentId", "name libraryId phone email seatNumber")
+      .sort({ leavingDate: -1 })
+      .lean();
+  }
+
+  static async _findExit(exitId, tenantId = null) {
+    const exit = await StudentExit.findOne({
+      _id: exitId,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!exit) {
+      throw new ApiError(404, "Exit record not found");
+    }
+    return exit;
+  }
+
+  static async getExit(exitId, tenantId = null) {
+    const exit = await this._findExit(exitId, tenantId);
+    return exit.populate("studentId", "name libraryId phone email seatNumber");
+  }
+
+  /**
+   * A student's latest exit notice or settlement, if any
+   */
+  static async getStudentExit(studentId) {
+    return StudentExit.findOne({
+      studentId,
+      status: { $ne: "CANCELLED" },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Tell the student and / or their library's admins about the exit
+   * (never fails the caller)
+   */
+  static async _notify(exit, student, { title, studentMessage, adminMessage, data: extra = {} }) {
+    try {
+      const NotificationService = (await import("./notification.service.js"))
+        .default;
+      const data = { exitId: exit._id.toString(), ...extra };
+
+      if (studentMessage) {
+        await NotificationService.sendStudentNotification({
+          studentId: student._id,
+          title,
+          message: studentMessage,
+          type: "STUDENT_EXIT",
+          data,
+        });
+      }
+
+      const tenantId = exit.tenantId || student.tenantId;
+      if (adminMessage && tenantId) {
+        const { Admin } = await import("../models/admin.model.js");
+        const admins = await Admin.find({
+          tenantId,
+          isActive: true,
+          role: { $in: ["SUPER_ADMIN", "ADMIN"] },
+        }).select("_id");
+        for (const admin of admins) {
+          await NotificationService.sendAdminNotification(
+            admin._id,
+            title,
+            adminMessage,
+            "STUDENT_EXIT",
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to send exit notifications for ${exit._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Signed link to the settlement PDF that works without signing in, as an
+   * archived student can no longer log in or refresh their session
+   * @returns {{ path: string, expiresAt: Date }} Path under the API root
+   */
+  static getSettlementDownloadLink(exit) {
+    const token = jwt.sign(
+      { exitId: exit._id.toString(), purpose: SETTLEMENT_LINK_PURPOSE },
+      process.env.ACCESS_TOKEN_SECRET,
+      { expiresIn: `${SETTLEMENT_LINK_DAYS}d` },
+    );
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + SETTLEMENT_LINK_DAYS);
+
+    return { path: `/api/v1/student-auth/exit/settlement-pdf/${token}`, expiresAt };
+  }
+
+  /**
+   * Exit behind a signed settlement link
+   * @throws {ApiError} 401 when the link is invalid or has expired
+   */
+  static async getExitByDownloadToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    } catch {
+      throw new ApiError(401, "This download link is invalid or has expired");
+    }
+    if (decoded.purpose !== SETTLEMENT_LINK_PURPOSE) {
+      throw new ApiError(401, "This download link is invalid or has expired");
+    }
+
+    return this._findExit(decoded.exitId);
+  }
+
+  /**
+   * Render the settlement statement of a processed exit into a PDF
+   * @param {Document} exit - StudentExit (settlement drawn up)
+   * @param {import("stream").Writable} stream - e.g. Express `res`
+   * @returns {Promise<void>}
+   */
+  static async streamSettlementPDF(exit, stream) {
+    if (!exit.settlementNumber) {
+      throw new ApiError(400, "The settlement is drawn up on the leaving date");
+    }
+
+    const [student, library] = await Promise.all([
+      Student.findById(exit.studentId?._id || exit.studentId)
+        .select("name phone email libraryId joiningDate")
+        .lean(),
+      exit.tenantId
+        ? Library.findById(exit.tenantId)
+            .select("name address phone email website logoUrl settings.currency")
+            .lean()
+        : null,
+    ]);
+    const currency = library?.settings?.currency || "INR";
+    const logo = await fetchImageBuffer(library?.logoUrl);
+    const { settlement, transaction } = exit;
+
+    const doc = createPdfDocument({
+      Title: `Settlement ${exit.settlementNumber}`,
+      Author: library?.name || "Library",
+    });
+
+    drawLibraryHeader(doc, library || {}, logo);
+
+    doc.font("Helvetica-Bold").fontSize(14).text("FINAL SETTLEMENT", {
+      align: "center",
+    });
+    doc.moveDown();
+
+    drawKeyValueRows(doc, [
+      ["Settlement No.", exit.settlementNumber, { bold: true }],
+      ["Date", formatDate(exit.processedAt)],
+      ["Student", student?.name || "-"],
+      ["Library ID", student?.libraryId || "-"],
+      ["Phone", student?.phone || "-"],
+      ["Slot / Seat", [settlement.slotName, settlement.seatNumber].filter(Boolean).join(" / ") || "-"],
+      ["Joined", formatDate(student?.joiningDate)],
+      ["Leaving Date", formatDate(exit.leavingDate)],
+    ]);
+
+    if (settlement.months?.length > 0) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(11).text("Unpaid fee months");
+      doc.moveDown(0.5);
+      drawTable(
+        doc,
+        [
+          { header: "Month", width: 175 },
+          { header: "Status", width: 90 },
+          { header: "Fee", width: 115, align: "right" },
+          { header: "Paid", width: 115, align: "right" },
+        ],
+        settlement.months.map((m) => [
+          `${getMonthName(m.month)} ${m.year}`,
+          m.status,
+          formatCurrency(m.amount, currency),
+          formatCurrency(m.paidAmount, currency),
+        ]),
+      );
+    }
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text("Settlement");
+    doc.moveDown(0.5);
+    const netLabel = {
+      REFUND: "Refund to Student",
+      DUE: "Final Amount Due",
+      NIL: "Balance",
+    }[settlement.direction];
+    drawKeyValueRows(doc, [
+      ["Overdue Dues", formatCurrency(settlement.dueAmount, currency)],
+      ["Pending Fees", formatCurrency(settlement.pendingAmount, currency)],
+      ["Total Outstanding", formatCurrency(settlement.outstandingAmount, currency), { bold: true }],
+      ["Advance Balance", `- ${formatCurrency(settlement.advanceAmount, currency)}`],
+      [netLabel, formatCurrency(Math.abs(settlement.netAmount), currency), { bold: true }],
+    ]);
+
+    doc.moveDown();
+    if (transaction?.type) {
+      drawKeyValueRows(doc, [
+        [transaction.type === "REFUND" ? "Refunded" : "Collected", formatCurrency(transaction.amount, currency)],
+        ["Payment Method", transaction.method || "-"],
+        ["Reference", transaction.reference || "-"],
+        ...(transaction.receiptNumber ? [["Receipt No.", transaction.receiptNumber]] : []),
+        ["Settled On", formatDate(exit.settledAt)],
+      ]);
+    } else {
+      drawKeyValueRows(doc, [
+        ["Status", exit.status === "SETTLED" ? "Settled" : "Awaiting settlement", { bold: true }],
+      ]);
+    }
+
+    doc.moveDown(2);
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(8)
+      .fillColor("#777777")
+      .text("This is a computer-generated statement and does not require a signature.", {
+        align: "center",
+      });
+
+    await pipePdf(doc, stream);
+  }
+}
+
+export default StudentExitService;
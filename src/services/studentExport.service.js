@@ -0,0 +1,228 @@
+/**
+ * Student Export Service
+ * Roster export (CSV or XLSX) with the same filters as the student search.
+ * Students are read with a cursor and written in batches straight to the
+ * response, so large libraries never hold the whole roster in memory.
+ */
+
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { Student } from "../models/student.model.js";
+import { AdvanceBalance } from "../models/advanceBalance.model.js";
+import { StudentMonthlyFee } from "../models/studentMonthlyFee.model.js";
+import { FeeReceipt } from "../models/feeReceipt.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { toCsvLine } from "../utils/csvHelpers.js";
+import { getFeeTotal, roundFeeAmount } from "../utils/feeHelpers.js";
+import {
+  FEE_ROSTER_COLUMNS,
+  ROSTER_COLUMNS,
+  getRosterCsvCells,
+  parseRosterColumns,
+} from "../utils/studentExportHelpers.js";
+import StudentService from "./student.service.js";
+
+export const ROSTER_FORMATS = ["csv", "xlsx"];
+const BATCH_SIZE = 500;
+
+class StudentExportService {
+  /**
+   * Validate the request and build the roster query (before any bytes are
+   * written, so errors can still be sent as JSON)
+   * @param {Object} query - Search filters plus `columns`
+   * @param {string} tenantId - Caller's library; the export never leaves it
+   * @returns {Promise<{ filter: Object, columns: Array<string> }>}
+   */
+  static async prepareRoster(query, tenantId) {
+    if (!tenantId) {
+      throw new ApiError(400, "Library context is required for exports");
+    }
+
+    const { columns, unknown } = parseRosterColumns(query.columns);
+    if (unknown.length > 0) {
+      throw new ApiError(
+        400,
+        `Unknown column(s): ${unknown.join(", ")}. Available: ${Object.keys(ROSTER_COLUMNS).join(", ")}`,
+      );
+    }
+
+    const filter = await StudentService.buildSearchFilter(
+      { ...query, search: query.query || query.search, tenantId },
+      { strictTenant: true },
+    );
+
+    return { filter, columns };
+  }
+
+  /**
+   * Stream the roster as CSV or XLSX
+   * @param {{ filter: Object, columns: Array<string> }} roster - From prepareRoster
+   * @param {"csv"|"xlsx"} format
+   * @param {import("stream").Writable} stream - e.g. Express `res`
+   * @returns {Promise<number>} Rows written
+   * @throws Errors raised before a response has started. Once headers are
+   *   sent an error destroys the stream instead, so the client sees a failed
+   *   download rather than a truncated file.
+   */
+  static async streamRoster(roster, format, stream) {
+    try {
+      return format === "xlsx"
+        ? await this._streamXlsx(roster, stream)
+        : await this._streamCsv(roster, stream);
+    } catch (error) {
+      if (!stream.headersSent) throw error;
+
+      console.error("Student roster export failed mid-stream:", error);
+      stream.destroy();
+      return 0;
+    }
+  }
+
+  static async _streamCsv({ filter, columns }, stream) {
+    const write = async (line) => {
+      if (!stream.write(`${line}\r\n`)) await once(stream, "drain");
+    };
+
+    // BOM so spreadsheet apps read names in UTF-8
+    const headers = columns.map((key) => ROSTER_COLUMNS[key].header);
+    await write(`\uFEFF${toCsvLine(headers)}`);
+
+    let count = 0;
+    for await (const batch of this._batches(filter, columns)) {
+      await write(
+        batch.map((entry) => toCsvLine(getRosterCsvCells(columns, entry))).join("\r\n"),
+      );
+      count += batch.length;
+    }
+
+    stream.end();
+    return count;
+  }
+
+  static async _streamXlsx({ filter, columns }, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet("Students");
+    sheet.columns = columns.map((key) => {
+      const column = ROSTER_COLUMNS[key];
+      return {
+        header: column.header,
+        key,
+        width: Math.max(12, column.header.length + 2),
+        style: column.type === "date" ? { numFmt: "yyyy-mm-dd" } : undefined,
+      };
+    });
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    let count = 0;
+    for await (const batch of this._batches(filter, columns)) {
+      for (const entry of batch) {
+        const values = {};
+        for (const key of columns) {
+          const value = ROSTER_COLUMNS[key].value(entry);
+          values[key] = value === undefined ? null : value;
+        }
+        sheet.addRow(values).commit();
+      }
+      count += batch.length;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  /**
+   * Read matching students in batches, with fee figures when a picked
+   * column needs them
+   */
+  static async *_batches(filter, columns) {
+    const withFees = columns.some((key) => FEE_ROSTER_COLUMNS.includes(key));
+    const cursor = Student.find(filter)
+      .select(
+        "-password -otpHash -otpExpiresAt -otpPurpose -encryptedPrivateKey -keyBackupSalt -keyBackupIv -webPushSubscription -fcmToken",
+      )
+      .populate({
+        path: "slotId",
+        select: "name roomId",
+        populate: { path: "roomId", select: "name" },
+      })
+      .sort({ name: 1, _id: 1 })
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    let students = [];
+    for await (const student of cursor) {
+      students.push(student);
+      if (students.length === BATCH_SIZE) {
+        yield withFees ? this._withFees(students) : this._plain(students);
+        students = [];
+      }
+    }
+    if (students.length > 0) {
+      yield withFees ? this._withFees(students) : this._plain(students);
+    }
+  }
+
+  static _plain(students) {
+    return students.map((student) => ({ student }));
+  }
+
+  /**
+   * Attach advance balance, total due and last payment date to a batch.
+   * The latest fee month's balance carries every earlier unpaid month, so
+   * it is the total due (as in the fee summary).
+   */
+  static async _withFees(students) {
+    const ids = students.map((student) => student._id);
+
+    const [advances, latestFees, lastPayments] = await Promise.all([
+      AdvanceBalance.find({ studentId: { $in: ids } })
+        .select("studentId remainingAmount")
+        .lean(),
+      StudentMonthlyFee.aggregate([
+        { $match: { studentId: { $in: ids } } },
+        { $sort: { year: -1, month: -1 } },
+        { $group: { _id: "$studentId", fee: { $first: "$$ROOT" } } },
+      ]),
+      FeeReceipt.aggregate([
+        {
+          $match: {
+            studentId: { $in: ids },
+            status: "ISSUED",
+            paymentMethod: { $ne: "ADVANCE" },
+          },
+        },
+        { $group: { _id: "$studentId", lastPaymentDate: { $max: "$paymentDate" } } },
+      ]),
+    ]);
+
+    const advanceMap = new Map(
+      advances.map((a) => [a.studentId.toString(), a.remainingAmount || 0]),
+    );
+    const dueMap = new Map(
+      latestFees.map(({ _id, fee }) => [
+        _id.toString(),
+        Math.max(0, roundFeeAmount(getFeeTotal(fee) - (fee.paidAmount || 0))),
+      ]),
+    );
+    const paymentMap = new Map(
+      lastPayments.map((p) => [p._id.toString(), p.lastPaymentDate]),
+    );
+
+    return students.map((student) => {
+      const id = student._id.toString();
+      return {
+        student,
+        advanceBalance: roundFeeAmount(advanceMap.get(id) || 0),
+        totalDue: dueMap.get(id) || 0,
+        lastPaymentDate: paymentMap.get(id) || null,
+      };
+    });
+  }
+}
+
+export default StudentExportService;
@@ -0,0 +1,320 @@
+/**
+ * Student Import Service
+ * Bulk onboarding of students from a CSV or XLSX sheet.
+ * Dry-run validates every row and reports; commit registers the valid rows.
+ */
+
+import ExcelJS from "exceljs";
+import { Student } from "../models/student.model.js";
+import { Slot } from "../models/slot.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { parseCsv } from "../utils/csvHelpers.js";
+import {
+  doSlotsOverlap,
+  getFreeSeats,
+  getTenantSlotFilter,
+} from "../utils/slotHelpers.js";
+import {
+  findLayoutSeat,
+  getSlotFeeForSeatType,
+  validateLayoutSeat,
+} from "../utils/roomLayoutHelpers.js";
+import {
+  getImportField,
+  mapStudentImportRow,
+} from "../utils/studentImportHelpers.js";
+import { studentRegistrationSchema } from "../utils/validators.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+import StudentService from "./student.service.js";
+
+export const MAX_IMPORT_ROWS = 1000;
+
+class StudentImportService {
+  /**
+   * Read the uploaded sheet into objects keyed by import field
+   * @param {{ buffer: Buffer, originalname: string, mimetype: string }} file
+   * @returns {Promise<Array<Object>>}
+   */
+  static async parseFile(file) {
+    const name = (file.originalname || "").toLowerCase();
+    let table;
+
+    if (name.endsWith(".xlsx") || file.mimetype?.includes("spreadsheetml")) {
+      table = await this._readXlsx(file.buffer);
+    } else if (name.endsWith(".csv") || file.mimetype?.includes("csv")) {
+      table = parseCsv(file.buffer.toString("utf8"));
+    } else {
+      throw new ApiError(400, "Upload a .csv or .xlsx file");
+    }
+
+    if (table.length < 2) {
+      throw new ApiError(400, "The file has no data rows");
+    }
+
+    const fields = table[0].map(getImportField);
+    for (const required of ["name", "phone", "slotName"]) {
+      if (!fields.includes(required)) {
+        throw new ApiError(400, `Missing required column: ${required}`);
+      }
+    }
+
+    const rows = table.slice(1);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ApiError(400, `A single import is limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return rows.map((cells) => {
+      const raw = {};
+      fields.forEach((field, i) => {
+        if (field) raw[field] = cells[i];
+      });
+      return raw;
+    });
+  }
+
+  static async _readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch {
+      throw new ApiError(400, "Could not read the XLSX file");
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const cellValue = (value) => {
+      if (value === null || value === undefined) return "";
+      if (value instanceof Date) return value;
+      if (typeof value === "object") {
+        if (value.richText) return value.richText.map((t) => t.text).join("");
+        if (value.text !== undefined) return value.text; // hyperlink
+        if (value.result !== undefined) return cellValue(value.result); // formula
+        return "";
+      }
+      return value;
+    };
+
+    const table = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let i = 1; i <= sheet.columnCount; i++) {
+        cells.push(cellValue(row.getCell(i).value));
+      }
+      if (cells.some((c) => String(c).trim() !== "")) table.push(cells);
+    });
+    return table;
+  }
+
+  /**
+   * Validate every row: schema, duplicates (database and file),
+   * slot capacity, room layout and seat conflicts.
+   * @returns {Promise<Array<Object>>} One entry per row with `errors` and, when valid, `data`
+   */
+  static async validateRows(rawRows, tenantId) {
+    const slots = await Slot.find({
+      ...(await getTenantSlotFilter(tenantId)),
+      isActive: true,
+    })
+      .populate("roomId")
+      .lean();
+    const slotsByName = new Map(
+      slots.map((slot) => [slot.name.trim().toLowerCase(), slot]),
+    );
+
+    const mapped = rawRows.map((raw) => mapStudentImportRow(raw));
+    const phones = mapped.map((r) => r.data.phone).filter(Boolean);
+    const emails = mapped.map((r) => r.data.email).filter(Boolean);
+    const slotIds = slots.map((s) => s._id);
+
+    const [existingStudents, takenSeats] = await Promise.all([
+      Student.find({
+        isDeleted: false,
+        $or: [{ phone: { $in: phones } }, { email: { $in: emails } }],
+      })
+        .select("phone email")
+        .lean(),
+      Student.find({
+        isDeleted: false,
+        status: "ACTIVE",
+        slotId: { $in: slotIds },
+        seatNumber: { $exists: true, $ne: "" },
+      })
+        .select("slotId seatNumber")
+        .lean(),
+    ]);
+    const existingPhones = new Set(existingStudents.map((s) => s.phone));
+    const existingEmails = new Set(
+      existingStudents.filter((s) => s.email).map((s) => s.email.toLowerCase()),
+    );
+    // Seat bookings per seat number; a seat clashes with any booking in an
+    // overlapping slot of the same room
+    const slotsById = new Map(slots.map((slot) => [slot._id.toString(), slot]));
+    const seatKey = (seat) => String(seat).trim().toLowerCase();
+    const seatsInUse = new Map(); // seat → [slot]
+    const bookSeat = (seat, slot) => {
+      const key = seatKey(seat);
+      if (!seatsInUse.has(key)) seatsInUse.set(key, []);
+      seatsInUse.get(key).push(slot);
+    };
+    for (const taken of takenSeats) {
+      const slot = slotsById.get(taken.slotId.toString());
+      if (slot) bookSeat(taken.seatNumber, slot);
+    }
+
+    const capacity = new Map(); // slotId → remaining seats
+    const seenPhones = new Set();
+    const seenEmails = new Set();
+
+    const results = [];
+    for (let i = 0; i < mapped.length; i++) {
+      const { data, errors } = mapped[i];
+      const rowErrors = [...errors];
+      const slot = data.slotName ? slotsByName.get(data.slotName.toLowerCase()) : null;
+
+      if (data.slotName && !slot) {
+        rowErrors.push(`Slot "${data.slotName}" not found`);
+      }
+
+      const { slotName, ...input } = data;
+      if (slot) {
+        input.slotId = slot._id.toString();
+        if (input.monthlyFee === undefined) {
+          const layoutSeat = data.seatNumber
+            ? findLayoutSeat(slot.roomId, data.seatNumber)
+            : null;
+          input.monthlyFee = getSlotFeeForSeatType(slot, layoutSeat?.seatType);
+        }
+      }
+
+      const validation = studentRegistrationSchema.safeParse(input);
+      if (!validation.success) {
+        for (const issue of validation.error.issues) {
+          // Slot problems are already reported by name
+          if (issue.path[0] === "slotId" && !slot) continue;
+          rowErrors.push(`${issue.path.join(".") || "row"}: ${issue.message}`);
+        }
+      }
+
+      if (data.phone) {
+        if (existingPhones.has(data.phone)) {
+          rowErrors.push("Phone number already registered");
+        } else if (seenPhones.has(data.phone)) {
+          rowErrors.push("Phone number repeated in file");
+        }
+      }
+      if (data.email) {
+        if (existingEmails.has(data.email)) {
+          rowErrors.push("Email already registered");
+        } else if (seenEmails.has(data.email)) {
+          rowErrors.push("Email repeated in file");
+        }
+      }
+
+      if (slot && data.seatNumber && slot.roomId) {
+        try {
+          validateLayoutSeat(slot.roomId, data.seatNumber);
+        } catch (error) {
+          rowErrors.push(error.message);
+        }
+      }
+
+      if (slot && data.seatNumber) {
+        const clash = (seatsInUse.get(seatKey(data.seatNumber)) || []).find(
+          (booked) => doSlotsOverlap(booked, slot),
+        );
+        if (clash) {
+          rowErrors.push(
+            clash._id.equals(slot._id)
+              ? `Seat ${data.seatNumber} in ${slot.name} is already taken`
+              : `Seat ${data.seatNumber} is already taken in overlapping slot ${clash.name}`,
+          );
+        }
+      }
+
+      if (slot && rowErrors.length === 0) {
+        const slotKey = slot._id.toString();
+        if (!capacity.has(slotKey)) {
+          const { freeSeats } = await getFreeSeats(slot._id);
+          capacity.set(slotKey, freeSeats);
+        }
+        if (capacity.get(slotKey) <= 0) {
+          rowErrors.push(`Slot ${slot.name} is full`);
+        }
+      }
+
+      // Only rows that will actually be imported claim phones, seats and capacity
+      if (rowErrors.length === 0) {
+        seenPhones.add(data.phone);
+        if (data.email) seenEmails.add(data.email);
+        if (data.seatNumber) bookSeat(data.seatNumber, slot);
+        capacity.set(slot._id.toString(), capacity.get(slot._id.toString()) - 1);
+      }
+
+      results.push({
+        row: i + 2, // 1-based, after the header row
+        status: rowErrors.length === 0 ? "VALID" : "INVALID",
+        errors: rowErrors,
+        student: {
+          name: data.name,
+          phone: data.phone,
+          email: data.email || null,
+          slotName: slot?.name || data.slotName || null,
+          seatNumber: data.seatNumber || null,
+        },
+        data: rowErrors.length === 0 ? validation.data : undefined,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Import students from a sheet.
+   * In dry-run mode nothing is written; in commit mode every valid row is
+   * registered (with its first monthly fee) and invalid rows are skipped.
+   */
+  static async importStudents(file, { commit = false } = {}, adminId, tenantId) {
+    if (!file?.buffer) {
+      throw new ApiError(400, "No file uploaded");
+    }
+
+    const rawRows = await this.parseFile(file);
+    const rows = await this.validateRows(rawRows, tenantId);
+
+    if (commit) {
+      for (const row of rows) {
+        if (row.status !== "VALID") continue;
+        try {
+          const student = await StudentService.registerStudent(
+            row.data,
+            adminId,
+            tenantId,
+          );
+          row.status = "CREATED";
+          row.student.studentId = student._id;
+          row.student.libraryId = student.libraryId;
+        } catch (error) {
+          row.status = "FAILED";
+          row.errors.push(error.message);
+        }
+      }
+
+      await cacheService.del(CACHE_KEYS.ALL_SLOTS(String(tenantId)));
+    }
+
+    const count = (status) => rows.filter((r) => r.status === status).length;
+
+    return {
+      mode: commit ? "COMMIT" : "DRY_RUN",
+      totalRows: rows.length,
+      validRows: commit ? count("CREATED") + count("FAILED") : count("VALID"),
+      invalidRows: count("INVALID"),
+      ...(commit ? { created: count("CREATED"), failed: count("FAILED") } : {}),
+      rows: rows.map(({ data, ...row }) => row),
+    };
+  }
+}
+
+export default StudentImportService;
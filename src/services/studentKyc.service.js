@@ -0,0 +1,439 @@
+/**
+ * Student KYC Service
+ * ID proof, photo and address proof documents of members. Files are
+ * uploaded through /upload/image, then submitted here by the student or an
+ * admin and reviewed (VERIFIED / REJECTED) by an admin. Libraries can keep
+ * students INACTIVE until their required documents are verified.
+ */
+
+import { StudentDocument } from "../models/studentDocument.model.js";
+import { Student } from "../models/student.model.js";
+import { Library } from "../models/library.model.js";
+import { SlotWaitlist } from "../models/slotWaitlist.model.js";
+import { AdminActionLog } from "../models/adminActionLog.model.js";
+import {
+  KycDocumentType,
+  KycStatus,
+  StudentStatus,
+} from "../constants/constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+import { encryptText } from "../utils/crypto.js";
+import {
+  KYC_ID_TYPES,
+  getKycStatus,
+  maskIdNumber,
+  normalizeIdNumber,
+  validateIdNumber,
+} from "../utils/kycHelpers.js";
+import {
+  validateSeatAvailable,
+  validateSlotHasCapacity,
+} from "../utils/slotHelpers.js";
+
+const getKycSecret = () =>
+  process.env.KYC_ENCRYPTION_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+// Proofs that carry an ID number
+const ID_DOCUMENT_TYPES = [KycDocumentType.ID_PROOF, KycDocumentType.ADDRESS_PROOF];
+
+class StudentKycService {
+  /**
+   * Submit a document for a student (replaces the current one of its type)
+   * @param {Object} data - { type, idType, idNumber, fileUrl, publicId, verify }
+   *   `verify` lets an admin mark their own upload verified straight away
+   * @param {Object} uploader - { uploadedBy: "STUDENT"|"ADMIN", adminId, tenantId }
+   * @returns {Promise<Object>} Masked document
+   */
+  static async submitDocument(
+    studentId,
+    { type, idType, idNumber, fileUrl, publicId, verify = false },
+    { uploadedBy, adminId = null, tenantId = null },
+  ) {
+    const student = await Student.findOne({
+      _id: studentId,
+      isDeleted: false,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+
+    if (!Object.values(KycDocumentType).includes(type)) {
+      throw new ApiError(
+        400,
+        `Document type must be one of ${Object.values(KycDocumentType).join(", ")}`,
+      );
+    }
+    this._assertUploadedFile(fileUrl);
+
+    const document = new StudentDocument({
+      studentId: student._id,
+      type,
+      fileUrl,
+      publicId,
+      uploadedBy,
+      uploadedByAdmin: adminId,
+      tenantId: student.tenantId,
+    });
+
+    if (ID_DOCUMENT_TYPES.includes(type)) {
+      if (!KYC_ID_TYPES.includes(idType)) {
+        throw new ApiError(400, `ID type must be one of ${KYC_ID_TYPES.join(", ")}`);
+      }
+      const number = normalizeIdNumber(idNumber);
+      const error = validateIdNumber(idType, number);
+      if (error) {
+        throw new ApiError(400, error);
+      }
+      document.idType = idType;
+      document.idNumberEncrypted = encryptText(number, getKycSecret());
+      document.idNumberMasked = maskIdNumber(number, idType);
+    }
+
+    if (uploadedBy === "ADMIN" && verify) {
+      document.status = "VERIFIED";
+      document.reviewedBy = adminId;
+      document.reviewedAt = new Date();
+    }
+
+    await StudentDocument.updateMany(
+      { studentId: student._id, type, isCurrent: true },
+      { $set: { isCurrent: false, supersededAt: new Date() } },
+    );
+    await document.save();
+
+    if (adminId) {
+      await AdminActionLog.create({
+        adminId,
+        action: document.status === "VERIFIED" ? "VERIFY_KYC_DOCUMENT" : "UPLOAD_KYC_DOCUMENT",
+        targetEntity: "STUDENT",
+        targetId: student._id,
+        newValue: { type, idType: document.idType, idNumber: document.idNumberMasked },
+        metadata: { studentId: student._id, documentId: document._id },
+        tenantId: student.tenantId,
+      });
+    }
+
+    await this.refreshKycStatus(student);
+
+    if (uploadedBy === "STUDENT") {
+      await this._notify(student, {
+        adminMessage: `${student.name} uploaded a ${this._label(type)} for verification.`,
+      });
+    }
+
+    return this.toView(document);
+  }
+
+  /**
+   * Verify or reject a pending document
+   * @param {Object} review - { status: "VERIFIED"|"REJECTED", reason }
+   * @returns {Promise<Object>} Masked document
+   */
+  static async reviewDocument(documentId, { status, reason = "" }, adminId, tenantId = null) {
+    if (!["VERIFIED", "REJECTED"].includes(status)) {
+      throw new ApiError(400, "Status must be VERIFIED or REJECTED");
+    }
+    if (status === "REJECTED" && !String(reason).trim()) {
+      throw new ApiError(400, "A reason is required to reject a document");
+    }
+
+    const document = await StudentDocument.findOne({
+      _id: documentId,
+      ...(tenantId ? { tenantId } : {}),
+    });
+    if (!document) {
+      throw new ApiError(404, "Document not found");
+    }
+    if (!document.isCurrent) {
+      throw new ApiError(400, "A newer document of this type has been uploaded");
+    }
+
+    const oldStatus = document.status;
+    document.status = status;
+    document.reviewedBy = adminId;
+    document.reviewedAt = new Date();
+    document.rejectionReason = status === "REJECTED" ? String(reason).trim() : undefined;
+    await document.save();
+
+    await AdminActionLog.create({
+      adminId,
+      action: status === "VERIFIED" ? "VERIFY_KYC_DOCUMENT" : "REJECT_KYC_DOCUMENT",
+      targetEntity: "STUDENT",
+      targetId: document.studentId,
+      oldValue: { status: oldStatus },
+      newValue: { status, reason: document.rejectionReason },
+      metadata: { studentId: document.studentId, documentId: document._id },
+      tenantId: document.tenantId,
+    });
+
+    const student = await Student.findById(document.studentId);
+    if (student) {
+      await this.refreshKycStatus(student, adminId);
+      await this._notify(student, {
+        studentMessage:
+          status === "VERIFIED"
+            ? `Your ${this._label(document.type)} has been verified.`
+            : `Your ${this._label(document.type)} was rejected: ${document.rejectionReason}. Please upload it again.`,
+      });
+    }
+
+    return this.toView(document);
+  }
+
+  /**
+   * Recompute the student's KYC status from their current documents and,
+   * once verified, activate a student who was held for KYC
+   * @returns {Promise<string>} KycStatus
+   */
+  static async refreshKycStatus(student, adminId = null) {
+    const documents = await StudentDocument.find({
+      studentId: student._id,
+      isCurrent: true,
+    })
+      .select("type status")
+      .lean();
+    const kycStatus = getKycStatus(documents);
+
+    if (student.kycStatus !== kycStatus) {
+      student.kycStatus = kycStatus;
+      await student.save();
+      await cacheService.del(CACHE_KEYS.STUDENT(student._id.toString()));
+    }
+
+    if (kycStatus === KycStatus.VERIFIED && student.activateOnKycVerified) {
+      await this._activateHeldStudent(student, adminId);
+    }
+
+    return kycStatus;
+  }
+
+  /**
+   * Whether the library requires verified KYC before a student can be ACTIVE
+   */
+  static async isKycRequired(tenantId) {
+    if (!tenantId) return false;
+    const library = await Library.findById(tenantId)
+      .select("settings.requireKycForActivation")
+      .lean();
+    return Boolean(library?.settings?.requireKycForActivation);
+  }
+
+  /**
+   * Whether making this student ACTIVE is blocked by the KYC requirement
+   */
+  static async isActivationBlocked(student) {
+    if (student.kycStatus === KycStatus.VERIFIED) return false;
+    return this.isKycRequired(student.tenantId);
+  }
+
+  /**
+   * Throw when the library requires KYC and the student is not verified
+   * @throws {ApiError} 400
+   */
+  static async assertCanActivate(student) {
+    if (await this.isActivationBlocked(student)) {
+      throw new ApiError(
+        400,
+        `${student.name}'s KYC is not verified (status: ${student.kycStatus || KycStatus.NOT_SUBMITTED}). Verify their ID proof and photo first.`,
+      );
+    }
+  }
+
+  /**
+   * Activate a student who was kept INACTIVE only for KYC. Billing starts
+   * now; if their seat was given away meanwhile, admins are told instead.
+   */
+  static async _activateHeldStudent(student, adminId = null) {
+    if (student.status !== StudentStatus.INACTIVE || student.isDeleted) {
+      student.activateOnKycVerified = false;
+      await student.save();
+      return student;
+    }
+
+    const waitlisted = await SlotWaitlist.exists({
+      studentId: student._id,
+      type: "REGISTRATION",
+      status: { $in: ["WAITING", "OFFERED"] },
+    });
+    if (waitlisted) {
+      // They become ACTIVE when they accept a seat offer
+      student.activateOnKycVerified = false;
+      await student.save();
+      return student;
+    }
+
+    if (student.slotId) {
+      try {
+        await validateSlotHasCapacity(student.slotId);
+        await validateSeatAvailable(student.slotId, student.seatNumber, student._id);
+      } catch (error) {
+        await this._notify(student, {
+          adminMessage: `${student.name}'s KYC is verified but they could not be activated: ${error.message}`,
+        });
+        return student;
+      }
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    student.status = StudentStatus.ACTIVE;
+    student.activateOnKycVerified = false;
+    if (!student.joiningDate || student.joiningDate < today) {
+      student.joiningDate = new Date(); // billing starts when they are activated
+    }
+    await student.save();
+    await cacheService.del(CACHE_KEYS.STUDENT(student._id.toString()));
+
+    if (student.slotId) {
+      await cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(student.slotId.toString()));
+      try {
+        const FeeService = (await import("./fee.service.js")).default;
+        const now = new Date();
+        await FeeService.ensureMonthlyFeeExists(
+          student._id,
+          now.getMonth(),
+          now.getFullYear(),
+          adminId,
+        );
+      } catch (feeError) {
+        console.error("❌ Failed to create fee record:", feeError.message);
+      }
+    }
+
+    await this._notify(student, {
+      studentMessage: "Your KYC is verified and your membership is now active.",
+    });
+
+    return student;
+  }
+
+  /**
+   * Documents of a student (current ones first), with masked ID numbers
+   * @param {Object} [options] - { includeHistory }
+   */
+  static async getStudentDocuments(studentId, tenantId = null, { includeHistory = false } = {}) {
+    const student = await Student.findOne({
+      _id: studentId,
+      ...(tenantId ? { tenantId } : {}),
+    })
+      .select("name kycStatus activateOnKycVerified tenantId")
+      .lean();
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+
+    const documents = await StudentDocument.find({
+      studentId,
+      ...(includeHistory ? {} : { isCurrent: true }),
+    })
+      .populate("reviewedBy", "name")
+      .sort({ isCurrent: -1, createdAt: -1 })
+      .lean();
+
+    const kycRequired = await this.isKycRequired(student.tenantId);
+    return {
+      kycStatus: student.kycStatus || KycStatus.NOT_SUBMITTED,
+      kycRequired,
+      activationPending: Boolean(student.activateOnKycVerified),
+      documents: documents.map((doc) => this.toView(doc)),
+    };
+  }
+
+  /**
+   * Review queue: current documents awaiting verification (oldest first)
+   */
+  static async getPendingDocuments(tenantId) {
+    const documents = await StudentDocument.find({
+      ...(tenantId ? { tenantId } : {}),
+      status: "PENDING",
+      isCurrent: true,
+    })
+      .populate("studentId", "name libraryId phone email kycStatus")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return documents.map((doc) => this.toView(doc));
+  }
+
+  /**
+   * Public shape of a document: never the (encrypted) ID number
+   */
+  static toView(document) {
+    const { idNumberEncrypted, ...view } =
+      typeof document.toObject === "function" ? document.toObject() : document;
+    return view;
+  }
+
+  /**
+   * Only files uploaded through /upload/image (our Cloudinary account)
+   */
+  static _assertUploadedFile(fileUrl) {
+    let url;
+    try {
+      url = new URL(fileUrl);
+    } catch {
+      throw new ApiError(400, "Upload the file through /upload/image and send its url");
+    }
+
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    const ours =
+      url.protocol === "https:" &&
+      url.hostname === "res.cloudinary.com" &&
+      (!cloudName || url.pathname.startsWith(`/${cloudName}/`));
+    if (!ours) {
+      throw new ApiError(400, "Upload the file through /upload/image and send its url");
+    }
+  }
+
+  static _label(type) {
+    return {
+      ID_PROOF: "ID proof",
+      PHOTO: "photo",
+      ADDRESS_PROOF: "address proof",
+    }[type];
+  }
+
+  /**
+   * Tell the student and / or their library's admins (never fails the caller)
+   */
+  static async _notify(student, { studentMessage, adminMessage }) {
+    const title = "KYC documents";
+    try {
+      const NotificationService = (await import("./notification.service.js"))
+        .default;
+
+      if (studentMessage) {
+        await NotificationService.sendStudentNotification({
+          studentId: student._id,
+          title,
+          message: studentMessage,
+          type: "KYC",
+        });
+      }
+
+      if (adminMessage && student.tenantId) {
+        const { Admin } = await import("../models/admin.model.js");
+        const admins = await Admin.find({
+          tenantId: student.tenantId,
+          isActive: true,
+          role: { $in: ["SUPER_ADMIN", "ADMIN"] },
+        }).select("_id");
+        for (const admin of admins) {
+          await NotificationService.sendAdminNotification(
+            admin._id,
+            title,
+            adminMessage,
+            "KYC",
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to send KYC notifications for ${student._id}:`, error.message);
+    }
+  }
+}
+
+export default StudentKycService;
@@ -0,0 +1,552 @@
+/**
+ * Waitlist Service
+ * Queues students for full slots and offers freed seats in turn.
+ * An offer holds the seat for the library's `waitlistOfferHours`; a declined
+ * or lapsed offer rolls to the next student in the queue.
+ */
+
+import { SlotWaitlist } from "../models/slotWaitlist.model.js";
+import { Slot } from "../models/slot.model.js";
+import { Student } from "../models/student.model.js";
+import { Library } from "../models/library.model.js";
+import { SlotChangeHistory } from "../models/slotChangeHistory.model.js";
+import { StudentStatus } from "../constants/constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  getFreeSeats,
+  getSlotTenantId,
+  validateSeatAvailable,
+  validateSlotChange,
+  validateSlotHasCapacity,
+} from "../utils/slotHelpers.js";
+import { getSlotFeeForSeatType } from "../utils/roomLayoutHelpers.js";
+import {
+  OPEN_WAITLIST_STATUSES,
+  assignQueuePositions,
+  buildOffer,
+  getOfferResponseError,
+} from "../utils/waitlistHelpers.js";
+import cacheService from "../utils/cache.js";
+import { CACHE_KEYS } from "../utils/cacheStrategy.js";
+
+const DEFAULT_OFFER_HOURS = 24;
+// Longest a processSlot run may hold a slot before another can take over
+const SLOT_LOCK_MS = 60 * 1000;
+
+class WaitlistService {
+  /**
+   * Add a student to a slot's waitlist.
+   * Only allowed while the slot has no seat that could be taken directly.
+   */
+  static async joinWaitlist({
+    slotId,
+    studentId,
+    type,
+    reason = "",
+    addedBy,
+    addedByRole,
+    tenantId = null,
+  }) {
+    const slot = await Slot.findById(slotId);
+    if (!slot) {
+      throw new ApiError(404, "Slot not found");
+    }
+    if (!slot.isActive) {
+      throw new ApiError(400, "Slot is not active");
+    }
+
+    const slotTenantId = await getSlotTenantId(slot);
+    if (tenantId && slotTenantId && slotTenantId !== tenantId.toString()) {
+      throw new ApiError(404, "Slot not found");
+    }
+
+    const student = await Student.findOne({ _id: studentId, isDeleted: false });
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+
+    if (type === "SLOT_CHANGE") {
+      if (!student.slotId) {
+        throw new ApiError(400, "Student has no slot to change from");
+      }
+      validateSlotChange(student.slotId, slotId);
+    }
+
+    const existing = await SlotWaitlist.findOne({
+      slotId,
+      studentId,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    });
+    if (existing) {
+      throw new ApiError(409, "Student is already on the waitlist for this slot");
+    }
+
+    const [{ freeSeats }, waiting] = await Promise.all([
+      getFreeSeats(slotId),
+      SlotWaitlist.countDocuments({ slotId, status: "WAITING" }),
+    ]);
+    if (freeSeats > 0 && waiting === 0) {
+      throw new ApiError(400, `Slot "${slot.name}" has free seats; no need to join the waitlist`);
+    }
+
+    const entry = await SlotWaitlist.create({
+      slotId,
+      studentId,
+      type,
+      fromSlotId: type === "SLOT_CHANGE" ? student.slotId : null,
+      reason,
+      addedBy,
+      addedByRole,
+      tenantId: tenantId || student.tenantId || slotTenantId,
+    });
+
+    return this._withPosition(entry.toObject());
+  }
+
+  /**
+   * 1-based queue position of a WAITING entry (null once offered or closed)
+   */
+  static async getPosition(entry) {
+    if (entry.status !== "WAITING") return null;
+
+    const ahead = await SlotWaitlist.countDocuments({
+      slotId: entry.slotId,
+      status: "WAITING",
+      createdAt: { $lt: entry.createdAt },
+    });
+    return ahead + 1;
+  }
+
+  static async _withPosition(entry) {
+    return { ...entry, position: await this.getPosition(entry) };
+  }
+
+  /**
+   * Queue of a slot for admins, offers first then in queue order
+   */
+  static async getSlotWaitlist(slotId, tenantId = null) {
+    const slot = await Slot.findById(slotId).select("name totalSeats tenantId roomId");
+    if (!slot) {
+      throw new ApiError(404, "Slot not found");
+    }
+    if (tenantId) {
+      const slotTenantId = await getSlotTenantId(slot);
+      if (slotTenantId && slotTenantId !== tenantId.toString()) {
+        throw new ApiError(404, "Slot not found");
+      }
+    }
+
+    const entries = await SlotWaitlist.find({
+      slotId,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    })
+      .populate("studentId", "name phone email libraryId status")
+      .populate("fromSlotId", "name")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const queue = assignQueuePositions(entries);
+
+    return {
+      slot: { id: slot._id, name: slot.name, totalSeats: slot.totalSeats },
+      offered: queue.filter((e) => e.status === "OFFERED"),
+      waiting: queue.filter((e) => e.status === "WAITING"),
+    };
+  }
+
+  /**
+   * Open waitlist entries of a student with queue position or offer expiry
+   */
+  static async getStudentWaitlist(studentId) {
+    const entries = await SlotWaitlist.find({
+      studentId,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    })
+      .populate("slotId", "name timeRange monthlyFee")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return Promise.all(entries.map((entry) => this._withPosition(entry)));
+  }
+
+  /**
+   * Waitlist length, seats held for offers and the student's own entry per
+   * slot, for slot listings
+   * @returns {Promise<Map<string, { waitlistLength: number, heldSeats: number, myEntry: Object|null }>>}
+   */
+  static async getWaitlistSummary(slotIds, studentId = null) {
+    const [counts, mine] = await Promise.all([
+      SlotWaitlist.aggregate([
+        {
+          $match: {
+            slotId: { $in: slotIds },
+            $or: [
+              { status: "WAITING" },
+              { status: "OFFERED", offerExpiresAt: { $gt: new Date() } },
+            ],
+          },
+        },
+        {
+          $group: {
+            _id: "$slotId",
+            waiting: { $sum: { $cond: [{ $eq: ["$status", "WAITING"] }, 1, 0] } },
+            held: { $sum: { $cond: [{ $eq: ["$status", "OFFERED"] }, 1, 0] } },
+          },
+        },
+      ]),
+      studentId ? this.getStudentWaitlist(studentId) : [],
+    ]);
+
+    const summary = new Map(
+      slotIds.map((id) => [
+        id.toString(),
+        { waitlistLength: 0, heldSeats: 0, myEntry: null },
+      ]),
+    );
+    for (const { _id, waiting, held } of counts) {
+      const item = summary.get(_id.toString());
+      item.waitlistLength = waiting;
+      item.heldSeats = held;
+    }
+    for (const entry of mine) {
+      const slotId = (entry.slotId?._id || entry.slotId).toString();
+      if (!summary.has(slotId)) continue;
+      summary.get(slotId).myEntry = {
+        _id: entry._id,
+        status: entry.status,
+        position: entry.position,
+        offerExpiresAt: entry.offerExpiresAt || null,
+      };
+    }
+
+    return summary;
+  }
+
+  /**
+   * Leave the waitlist (student) or remove an entry (admin).
+   * A cancelled offer releases its held seat to the next in line.
+   */
+  static async cancelEntry(entryId, { studentId = null, tenantId = null } = {}, reason = "") {
+    const filter = { _id: entryId, status: { $in: OPEN_WAITLIST_STATUSES } };
+    if (studentId) filter.studentId = studentId;
+    if (tenantId) filter.tenantId = tenantId;
+
+    const entry = await SlotWaitlist.findOne(filter);
+    if (!entry) {
+      throw new ApiError(404, "Waitlist entry not found");
+    }
+
+    const wasOffered = entry.status === "OFFERED";
+    entry.status = "CANCELLED";
+    entry.respondedAt = new Date();
+    if (reason) entry.reason = reason;
+    await entry.save();
+
+    if (wasOffered) {
+      await this.processSlot(entry.slotId);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Close every open entry of a student (archived, or seated elsewhere)
+   * and pass on any seat they were holding
+   */
+  static async cancelStudentEntries(studentId, reason, { exceptEntryId = null } = {}) {
+    const entries = await SlotWaitlist.find({
+      studentId,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+      ...(exceptEntryId ? { _id: { $ne: exceptEntryId } } : {}),
+    });
+
+    for (const entry of entries) {
+      const wasOffered = entry.status === "OFFERED";
+      entry.status = "CANCELLED";
+      entry.respondedAt = new Date();
+      entry.reason = reason;
+      await entry.save();
+
+      if (wasOffered) {
+        await this.processSlot(entry.slotId);
+      }
+    }
+
+    return entries.length;
+  }
+
+  static async _getOfferHours(tenantId) {
+    if (!tenantId) return DEFAULT_OFFER_HOURS;
+    const library = await Library.findById(tenantId)
+      .select("settings.waitlistOfferHours")
+      .lean();
+    return library?.settings?.waitlistOfferHours || DEFAULT_OFFER_HOURS;
+  }
+
+  /**
+   * Offer every seat that can be taken in a slot to the students at the
+   * front of its queue. Safe to call whenever a seat may have freed up.
+   * Runs for the same slot never overlap, so concurrent calls can't
+   * offer the same seat twice; a call that finds the slot busy leaves the
+   * seats to the running one (or to the next sweep).
+   */
+  static async processSlot(slotId) {
+    if (!slotId) return { offered: 0 };
+    if (!(await this._lockSlot(slotId))) return { offered: 0 };
+
+    try {
+      let offered = 0;
+      let hours = null;
+      while (true) {
+        let slot;
+        let freeSeats;
+        try {
+          ({ slot, freeSeats } = await getFreeSeats(slotId));
+        } catch {
+          break; // slot removed or inactive
+        }
+        if (freeSeats <= 0) break;
+
+        if (hours === null) {
+          hours = await this._getOfferHours(await getSlotTenantId(slot));
+        }
+        const entry = await SlotWaitlist.findOneAndUpdate(
+          { slotId, status: "WAITING" },
+          { $set: buildOffer(new Date(), hours) },
+          { sort: { createdAt: 1 }, new: true },
+        );
+        if (!entry) break;
+
+        await this._notifyOffer(entry, slot, hours);
+        offered++;
+      }
+      return { offered };
+    } finally {
+      await this._unlockSlot(slotId);
+    }
+  }
+
+  static async _lockSlot(slotId) {
+    const now = new Date();
+    const slot = await Slot.findOneAndUpdate(
+      {
+        _id: slotId,
+        $or: [
+          { waitlistLockedUntil: null },
+          { waitlistLockedUntil: { $lte: now } },
+        ],
+      },
+      { $set: { waitlistLockedUntil: new Date(now.getTime() + SLOT_LOCK_MS) } },
+      { timestamps: false, projection: { _id: 1 } },
+    );
+    return Boolean(slot);
+  }
+
+  static async _unlockSlot(slotId) {
+    await Slot.updateOne(
+      { _id: slotId },
+      { $set: { waitlistLockedUntil: null } },
+      { timestamps: false },
+    );
+  }
+
+  static async _notifyOffer(entry, slot, hours) {
+    try {
+      const NotificationService = (await import("./notification.service.js"))
+        .default;
+      await NotificationService.sendStudentNotification({
+        studentId: entry.studentId,
+        title: `A seat is available in ${slot.name}`,
+        message: `A seat in ${slot.name} is held for you for ${hours} hours. Accept the offer before it expires or it will pass to the next student.`,
+        type: "WAITLIST_OFFER",
+        data: {
+          entryId: entry._id.toString(),
+          slotId: slot._id.toString(),
+          offerExpiresAt: entry.offerExpiresAt.toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error(`Failed to notify waitlist offer ${entry._id}:`, error);
+    }
+  }
+
+  /**
+   * Accept or decline a seat offer.
+   * Students answer their own offers; admins may answer on a student's behalf.
+   */
+  static async respondToOffer(
+    entryId,
+    accept,
+    { studentId = null, adminId = null, tenantId = null } = {},
+  ) {
+    const filter = { _id: entryId };
+    if (studentId) filter.studentId = studentId;
+    if (tenantId) filter.tenantId = tenantId;
+
+    const entry = await SlotWaitlist.findOne(filter);
+    if (!entry) {
+      throw new ApiError(404, "Waitlist entry not found");
+    }
+    const responseError = getOfferResponseError(entry);
+    if (responseError) {
+      throw new ApiError(400, responseError);
+    }
+
+    if (!accept) {
+      entry.status = "DECLINED";
+      entry.respondedAt = new Date();
+      await entry.save();
+      await this.processSlot(entry.slotId);
+      return { entry };
+    }
+
+    const student = await Student.findOne({ _id: entry.studentId, isDeleted: false });
+    if (!student) {
+      throw new ApiError(404, "Student not found");
+    }
+    if (entry.type === "REGISTRATION") {
+      const StudentKycService = (await import("./studentKyc.service.js")).default;
+      await StudentKycService.assertCanActivate(student);
+    }
+
+    const { slot } = await validateSlotHasCapacity(entry.slotId, {
+      excludeHoldId: entry._id,
+    });
+    const layoutSeat = await validateSeatAvailable(
+      entry.slotId,
+      student.seatNumber,
+      student._id,
+    );
+    const previousSlotId = entry.type === "SLOT_CHANGE" ? student.slotId : null;
+
+    if (entry.type === "REGISTRATION") {
+      student.slotId = entry.slotId;
+      student.status = StudentStatus.ACTIVE;
+      student.joiningDate = new Date(); // billing starts when the seat is taken
+      await student.save();
+
+      try {
+        const FeeService = (await import("./fee.service.js")).default;
+        const now = new Date();
+        await FeeService.ensureMonthlyFeeExists(
+          student._id,
+          now.getMonth(),
+          now.getFullYear(),
+          adminId,
+        );
+      } catch (feeError) {
+        console.error("❌ Failed to create fee record:", feeError.message);
+      }
+    } else {
+      validateSlotChange(previousSlotId, entry.slotId);
+      const oldSlot = await Slot.findById(previousSlotId);
+
+      student.slotId = entry.slotId;
+      await student.save();
+
+      const changeRecord = await SlotChangeHistory.create({
+        studentId: student._id,
+        previousSlotId,
+        previousSlotName: oldSlot?.name || "Unknown",
+        newSlotId: slot._id,
+        newSlotName: slot.name,
+        changeType: "STUDENT_APPROVED",
+        changedBy: adminId || student._id,
+        changedByRole: adminId ? "ADMIN" : "STUDENT",
+        reason: "Accepted waitlist seat offer",
+        metadata: {
+          previousTimeRange: oldSlot?.timeRange,
+          newTimeRange: slot.timeRange,
+          previousMonthlyFee: student.monthlyFee,
+          newMonthlyFee: getSlotFeeForSeatType(slot, layoutSeat?.seatType),
+        },
+        tenantId: entry.tenantId,
+      });
+
+      const SlotService = (await import("./slot.service.js")).default;
+      await SlotService._applySlotFeeChange(student, slot, layoutSeat?.seatType, {
+        previousSlotName: oldSlot?.name || "Unknown",
+        slotChangeId: changeRecord._id,
+        adminId,
+      });
+    }
+
+    entry.status = "ACCEPTED";
+    entry.respondedAt = new Date();
+    await entry.save();
+
+    await Promise.all([
+      cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(entry.slotId.toString())),
+      previousSlotId
+        ? cacheService.del(CACHE_KEYS.SLOT_OCCUPANCY(previousSlotId.toString()))
+        : null,
+      cacheService.del(CACHE_KEYS.ALL_SLOTS(await getSlotTenantId(slot))),
+      cacheService.del(CACHE_KEYS.STUDENT(student._id.toString())),
+    ]);
+
+    // The student is seated; their other queue places are no longer needed
+    await this.cancelStudentEntries(student._id, "Seat accepted in another slot", {
+      exceptEntryId: entry._id,
+    });
+
+    if (previousSlotId) {
+      await this.processSlot(previousSlotId);
+    }
+
+    return { entry, student };
+  }
+
+  /**
+   * Close offers whose hold has lapsed
+   * @returns {Promise<number>} Offers expired
+   */
+  static async expireOffers(now = new Date()) {
+    const expired = await SlotWaitlist.find({
+      status: "OFFERED",
+      offerExpiresAt: { $lte: now },
+    }).select("_id");
+    if (expired.length === 0) return 0;
+
+    await SlotWaitlist.updateMany(
+      { _id: { $in: expired.map((e) => e._id) }, status: "OFFERED" },
+      { $set: { status: "EXPIRED", respondedAt: now } },
+    );
+
+    return expired.length;
+  }
+
+  /**
+   * Process the exits of students whose leaving date has come, freeing their seats
+   * @returns {Promise<number>} Students released
+   */
+  static async releaseLeavingStudents(now = new Date()) {
+    const StudentExitService = (await import("./studentExit.service.js")).default;
+    const { processed } = await StudentExitService.processDueExits(now);
+    return processed;
+  }
+
+  /**
+   * Periodic sweep: release leavers, expire lapsed offers and offer every
+   * free seat to waiting students (also catches seats freed indirectly,
+   * e.g. a FULL_DAY student leaving a room's PARTIAL slots)
+   */
+  static async runWaitlistSweep(now = new Date()) {
+    const released = await this.releaseLeavingStudents(now);
+    const expired = await this.expireOffers(now);
+
+    const slotIds = await SlotWaitlist.distinct("slotId", { status: "WAITING" });
+    let offered = 0;
+    const errors = [];
+    for (const slotId of slotIds) {
+      try {
+        offered += (await this.processSlot(slotId)).offered;
+      } catch (error) {
+        errors.push({ slotId, error: error.message });
+      }
+    }
+
+    return { released, expired, offered, errors };
+  }
+}
+
+export default WaitlistService;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { Admin } from "../../models/admin.model.js";
+import { Slot } from "../../models/slot.model.js";
+import { Student } from "../../models/student.model.js";
+import { seatChartRoom } from "../../services/seatHold.service.js";
+import { getSlotTenantId } from "../../utils/slotHelpers.js";
+
+export const registerSeatChartHandlers = ({
+  socket,
+  userId,
+  userType,
+  logger,
+  validatePayload,
+}) => {
+  // ========== SEAT CHART EVENTS ==========
+
+  // Viewers of a slot's seat chart receive "seat:hold" updates live
+  socket.on("seat-chart:watch", async (data) => {
+    if (!validatePayload(data) || !mongoose.isValidObjectId(data?.slotId)) return;
+
+    try {
+      const User = userType === "Admin" ? Admin : Student;
+      const [user, slot] = await Promise.all([
+        User.findById(userId).select("tenantId").lean(),
+        Slot.findById(data.slotId).select("tenantId roomId").lean(),
+      ]);
+      if (!user || !slot) return;
+
+      const tenantId = await getSlotTenantId(slot);
+      if (user.tenantId && tenantId && user.tenantId.toString() !== tenantId) {
+        return;
+      }
+
+      socket.join(seatChartRoom(data.slotId));
+    } catch (err) {
+      logger.error("Seat chart watch error", {
+        error: err.message,
+        userId,
+        slotId: data.slotId,
+      });
+    }
+  });
+
+  socket.on("seat-chart:unwatch", (data) => {
+    if (!validatePayload(data) || !mongoose.isValidObjectId(data?.slotId)) return;
+    socket.leave(seatChartRoom(data.slotId));
+  });
+};
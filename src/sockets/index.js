@@ -15,6 +15,7 @@ import { registerBootstrapHandlers } from "./handlers/bootstrap.handlers.js";
 import { registerKeepAliveHandlers } from "./handlers/keepalive.handlers.js";
 import { registerDisconnectHandlers } from "./handlers/disconnect.handlers.js";
 import { registerSystemStatusHandlers } from "./handlers/systemStatus.handlers.js";
+import { registerSeatChartHandlers } from "./handlers/seatChart.handlers.js";
 import {
   createCallRateLimiter,
   createPayloadValidator,
@@ -310,6 +311,11 @@ export const socketHandlers = (io) => {
         initialOnline: true,
       });
 
+      registerSeatChartHandlers({
+        ...baseContext,
+        validatePayload,
+      });
+
       registerKeepAliveHandlers({ socket });
 
       registerDisconnectHandlers({
@@ -0,0 +1,332 @@
+/**
+ * Attendance Helpers
+ * Signed kiosk QR codes, PRESENT / HALF_DAY classification, study hours,
+ * streaks, absence patterns, register totals and slot timing
+ */
+
+import crypto from "crypto";
+import { getTimeIntervals, parseTimeToMinutes } from "./slotHelpers.js";
+
+const KIOSK_CODE_VERSION = 1;
+// Below this a "drop" in weekly hours is noise, not a pattern
+const MIN_BASELINE_WEEKLY_MINUTES = 120;
+
+const base64url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+// Each library signs with its own key, so codes never work across libraries
+const getKioskKey = (secret, tenantId) =>
+  crypto.createHmac("sha256", secret).update(`kiosk:${tenantId}`).digest();
+
+const signPayload = (encoded, secret, tenantId) =>
+  base64url(
+    crypto.createHmac("sha256", getKioskKey(secret, tenantId)).update(encoded).digest(),
+  );
+
+/**
+ * Create a kiosk QR code for a library
+ * @param {Object} data - { tenantId, issuedAt (ms), validSeconds, nonce }
+ * @param {string} secret
+ * @returns {string} "<payload>.<signature>"
+ */
+export const signKioskCode = ({ tenantId, issuedAt, validSeconds, nonce }, secret) => {
+  const payload = {
+    v: KIOSK_CODE_VERSION,
+    lib: String(tenantId),
+    iat: issuedAt,
+    exp: issuedAt + validSeconds * 1000,
+    n: nonce,
+  };
+  const encoded = base64url(JSON.stringify(payload));
+  return `${encoded}.${signPayload(encoded, secret, payload.lib)}`;
+};
+
+/**
+ * Check a scanned kiosk code
+ * @param {string} code
+ * @param {string} secret
+ * @param {number} [now] - ms
+ * @returns {{ tenantId: string, nonce: string, expiresAt: number } | { error: string }}
+ */
+export const verifyKioskCode = (code, secret, now = Date.now()) => {
+  const [encoded, signature, extra] = String(code ?? "").trim().split(".");
+  if (!encoded || !signature || extra !== undefined) {
+    return { error: "This is not a library check-in code" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch {
+    return { error: "This is not a library check-in code" };
+  }
+  if (payload?.v !== KIOSK_CODE_VERSION || !payload.lib || !payload.n) {
+    return { error: "This is not a library check-in code" };
+  }
+
+  const expected = Buffer.from(signPayload(encoded, secret, payload.lib));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: "Invalid check-in code" };
+  }
+  if (typeof payload.exp !== "number" || now > payload.exp) {
+    return { error: "This code has expired. Scan the code on the screen again." };
+  }
+  if (typeof payload.iat !== "number" || payload.iat > now + 60 * 1000) {
+    return { error: "Invalid check-in code" };
+  }
+
+  return { tenantId: payload.lib, nonce: payload.n, expiresAt: payload.exp };
+};
+
+/**
+ * Length of a slot in minutes (overnight ranges included)
+ * @param {{ start: string, end: string }} timeRange
+ * @returns {number}
+ */
+export const getSlotMinutes = (timeRange) =>
+  getTimeIntervals(timeRange).reduce((sum, [from, to]) => sum + (to - from), 0);
+
+/**
+ * PRESENT when the student stayed at least `fullDayPercent` of their slot,
+ * HALF_DAY otherwise
+ * @param {number} durationMinutes - Check-in to check-out
+ * @param {number} slotMinutes - Expected stay (0 when unknown)
+ * @param {number} fullDayPercent
+ * @param {number} [fallbackMinutes] - Expected stay when the slot is unknown
+ * @returns {"PRESENT"|"HALF_DAY"}
+ */
+export const classifyAttendance = (
+  durationMinutes,
+  slotMinutes,
+  fullDayPercent,
+  fallbackMinutes = 240,
+) => {
+  const expected = slotMinutes > 0 ? slotMinutes : fallbackMinutes;
+  return durationMinutes >= (expected * fullDayPercent) / 100 ? "PRESENT" : "HALF_DAY";
+};
+
+/**
+ * Local calendar day of a date as "YYYY-MM-DD"
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Minutes between check-in and check-out (0 while the visit is open)
+ * @param {{ checkInTime?: Date, checkOutTime?: Date }} record
+ * @returns {number}
+ */
+export const getStudyMinutes = (record) => {
+  if (!record?.checkInTime || !record?.checkOutTime) return 0;
+  const minutes = (new Date(record.checkOutTime) - new Date(record.checkInTime)) / 60000;
+  return minutes > 0 ? Math.round(minutes) : 0;
+};
+
+/**
+ * Current and longest runs of attended working days.
+ * Non-working days (holidays, weekly offs, pauses) are simply not in the
+ * list, so they neither break nor extend a streak. Today only counts once
+ * attended — an unmarked today doesn't end the current streak.
+ * @param {string[]} workingDays - Day keys in order, up to today
+ * @param {Set<string>} attendedDays - Day keys marked PRESENT / HALF_DAY
+ * @param {string} todayKey
+ * @returns {{ current: number, longest: number }}
+ */
+export const getAttendanceStreaks = (workingDays, attendedDays, todayKey) => {
+  let longest = 0;
+  let run = 0;
+  for (const day of workingDays) {
+    run = attendedDays.has(day) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  for (let i = workingDays.length - 1; i >= 0; i--) {
+    const day = workingDays[i];
+    if (attendedDays.has(day)) current++;
+    else if (day === todayKey && current === 0) continue;
+    else break;
+  }
+
+  return { current, longest };
+};
+
+/**
+ * Absence patterns that suggest a student is drifting away.
+ * Each threshold is off when 0.
+ * @param {Object} activity
+ * @param {string[]} activity.workingDays - Day keys in order, up to yesterday
+ * @param {Set<string>} activity.attendedDays - Day keys marked PRESENT / HALF_DAY
+ * @param {number} activity.recentMinutes - Study minutes over the last 7 days
+ * @param {number} activity.baselineWeeklyMinutes - Average weekly study minutes before that (0 = unknown)
+ * @param {number|null} activity.daysSincePayment
+ * @param {boolean} activity.attendedSincePayment
+ * @param {Object} thresholds - { absenceStreakDays, hoursDropPercent, noShowDaysAfterPayment }
+ * @returns {{ type: string, value: number, detail: string }[]}
+ */
+export const detectAbsencePatterns = (activity, thresholds) => {
+  const patterns = [];
+
+  if (thresholds.absenceStreakDays > 0) {
+    let absences = 0;
+    for (let i = activity.workingDays.length - 1; i >= 0; i--) {
+      if (activity.attendedDays.has(activity.workingDays[i])) break;
+      absences++;
+    }
+    if (absences >= thresholds.absenceStreakDays) {
+      patterns.push({
+        type: "CONSECUTIVE_ABSENCES",
+        value: absences,
+        detail: `absent ${absences} working days in a row`,
+      });
+    }
+  }
+
+  const baseline = activity.baselineWeeklyMinutes;
+  if (thresholds.hoursDropPercent > 0 && baseline >= MIN_BASELINE_WEEKLY_MINUTES) {
+    const drop = Math.round(((baseline - activity.recentMinutes) / baseline) * 100);
+    if (drop >= thresholds.hoursDropPercent) {
+      patterns.push({
+        type: "HOURS_DROP",
+        value: drop,
+        detail: `weekly study hours down ${drop}%`,
+      });
+    }
+  }
+
+  if (
+    thresholds.noShowDaysAfterPayment > 0 &&
+    activity.daysSincePayment !== null &&
+    activity.daysSincePayment >= thresholds.noShowDaysAfterPayment &&
+    !activity.attendedSincePayment
+  ) {
+    patterns.push({
+      type: "NO_SHOW_AFTER_PAYMENT",
+      value: activity.daysSincePayment,
+      detail: `no check-in in ${activity.daysSincePayment} days since paying`,
+    });
+  }
+
+  return patterns;
+};
+
+/**
+ * Share of working days attended, half days counting half (one decimal)
+ * @param {number} presentDays
+ * @param {number} halfDays
+ * @param {number} workingDays
+ * @returns {number}
+ */
+export const getAttendancePercent = (presentDays, halfDays, workingDays) =>
+  workingDays
+    ? Math.round(((presentDays + halfDays / 2) / workingDays) * 1000) / 10
+    : 0;
+
+/**
+ * Register marks: P / A / H for working days, C when the library was
+ * closed (or the membership paused), "" outside the membership / future
+ */
+export const REGISTER_MARKS = {
+  PRESENT: "P",
+  ABSENT: "A",
+  HALF_DAY: "H",
+  CLOSED: "C",
+};
+
+/**
+ * Totals of one register row
+ * @param {string[]} marks
+ * @returns {{ present: number, halfDays: number, absent: number, workingDays: number, percent: number }}
+ */
+export const getRegisterTotals = (marks) => {
+  const present = marks.filter((m) => m === REGISTER_MARKS.PRESENT).length;
+  const halfDays = marks.filter((m) => m === REGISTER_MARKS.HALF_DAY).length;
+  const absent = marks.filter((m) => m === REGISTER_MARKS.ABSENT).length;
+  const workingDays = present + halfDays + absent;
+  return {
+    present,
+    halfDays,
+    absent,
+    workingDays,
+    percent: getAttendancePercent(present, halfDays, workingDays),
+  };
+};
+
+/**
+ * Compare a visit with the student's booked slot.
+ * The slot occurrence nearest the check-in is used, so overnight slots are
+ * matched to the right night. Without a check-out only lateness is known.
+ * @param {Date} checkInTime
+ * @param {Date|null} checkOutTime
+ * @param {{ start: string, end: string }} timeRange
+ * @param {{ lateMinutes: number, earlyLeaveMinutes: number, outsideSlotMinutes: number }} tolerance
+ * @param {boolean} [flexibleHours] - Full-day slots: no late / early-leave
+ * @returns {{ flags: string[], lateMinutes: number, earlyLeaveMinutes: number, outsideSlotMinutes: number } | null}
+ */
+export const classifyVisitTiming = (
+  checkInTime,
+  checkOutTime,
+  timeRange,
+  tolerance,
+  flexibleHours = false,
+) => {
+  const start = parseTimeToMinutes(timeRange?.start);
+  const end = parseTimeToMinutes(timeRange?.end);
+  if (start === null || end === null || !checkInTime) return null;
+
+  const slotLength = end > start ? end - start : end + 24 * 60 - start;
+  const checkIn = new Date(checkInTime);
+  const checkOut = checkOutTime ? new Date(checkOutTime) : null;
+
+  let slotStart;
+  let slotEnd;
+  let nearest = Infinity;
+  for (const offset of [-1, 0, 1]) {
+    const from = new Date(
+      checkIn.getFullYear(),
+      checkIn.getMonth(),
+      checkIn.getDate() + offset,
+      0,
+      start,
+    );
+    const to = new Date(from.getTime() + slotLength * 60000);
+    const distance = checkIn < from ? from - checkIn : checkIn > to ? checkIn - to : 0;
+    if (distance < nearest) {
+      nearest = distance;
+      slotStart = from;
+      slotEnd = to;
+    }
+  }
+
+  const toMinutes = (ms) => Math.max(0, Math.round(ms / 60000));
+  const visitEnd = checkOut && checkOut > checkIn ? checkOut : checkIn;
+  const overlap = Math.max(
+    0,
+    Math.min(visitEnd, slotEnd) - Math.max(checkIn, slotStart),
+  );
+
+  // Arriving after the slot ended is out-of-slot use, not lateness
+  const lateMinutes =
+    flexibleHours || checkIn >= slotEnd ? 0 : toMinutes(checkIn - slotStart);
+  const earlyLeaveMinutes =
+    flexibleHours || !checkOut || checkIn >= slotEnd ? 0 : toMinutes(slotEnd - visitEnd);
+  const outsideSlotMinutes = toMinutes(visitEnd - checkIn - overlap);
+
+  const flags = [];
+  if (lateMinutes > tolerance.lateMinutes) flags.push("LATE");
+  if (earlyLeaveMinutes > tolerance.earlyLeaveMinutes) flags.push("EARLY_LEAVE");
+  if (outsideSlotMinutes > tolerance.outsideSlotMinutes) flags.push("OUTSIDE_SLOT");
+
+  return {
+    flags: flags.length > 0 ? flags : ["ON_TIME"],
+    lateMinutes,
+    earlyLeaveMinutes,
+    outsideSlotMinutes,
+  };
+};
@@ -8,6 +8,7 @@ export const CACHE_TTL = {
   // Short TTL for frequently changing data
   FEE_SUMMARY: 300, // 5 minutes
   SLOT_OCCUPANCY: 300, // 5 minutes
+  ANALYTICS: 60, // 1 minute
 
   // Medium TTL for moderately changing data
   STUDENT_PROFILE: 3600, // 1 hour
@@ -23,6 +24,8 @@ export const CACHE_TTL = {
 };
 
 // Cache key patterns
+// Keys holding library-wide data are namespaced by tenant so cached lists
+// and stats are never served to another library.
 export const CACHE_KEYS = {
   // Student data
   STUDENT: (studentId) => `student:${studentId}`,
@@ -34,7 +37,13 @@ export const CACHE_KEYS = {
   // Slot data
   SLOT: (slotId) => `slot:${slotId}`,
   SLOT_OCCUPANCY: (slotId) => `slot:${slotId}:occupancy`,
-  ALL_SLOTS: `slots:active:all`,
+  ALL_SLOTS: (tenantId) => `tenant:${tenantId}:slots:active:all`,
+
+  // Analytics (per library)
+  DASHBOARD_STATS: (tenantId) => `tenant:${tenantId}:analytics:dashboard`,
+  SLOT_ANALYTICS: (tenantId) => `tenant:${tenantId}:analytics:slots`,
+  FINANCIAL_REPORT: (tenantId, period) =>
+    `tenant:${tenantId}:analytics:financial:${period}`,
 
   // Admin data
   ADMIN_PUBLIC_KEY: (adminId) => `admin:${adminId}:publicKey`,
@@ -58,11 +67,11 @@ export const CACHE_INVALIDATION_MAP = {
 
   // When a student's slot changes
   "STUDENT:SLOT_CHANGE": [
-    (studentId, newSlotId, oldSlotId) => [
+    (studentId, newSlotId, oldSlotId, tenantId) => [
       CACHE_KEYS.STUDENT(studentId),
       CACHE_KEYS.SLOT_OCCUPANCY(newSlotId),
       CACHE_KEYS.SLOT_OCCUPANCY(oldSlotId),
-      CACHE_KEYS.ALL_SLOTS,
+      CACHE_KEYS.ALL_SLOTS(tenantId),
     ],
   ],
 
@@ -88,7 +97,7 @@ export const CACHE_INVALIDATION_MAP = {
   "SLOT:UPDATE": [
     (slotId) => CACHE_KEYS.SLOT(slotId),
     (slotId) => CACHE_KEYS.SLOT_OCCUPANCY(slotId),
-    () => CACHE_KEYS.ALL_SLOTS,
+    (slotId, tenantId) => CACHE_KEYS.ALL_SLOTS(tenantId),
   ],
 
   // When admin public key is updated
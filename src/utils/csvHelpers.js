@@ -0,0 +1,87 @@
+/**
+ * CSV Utilities
+ * Shared helpers for CSV exports (reports, rosters)
+ */
+
+/**
+ * Escape one cell. Text that a spreadsheet would evaluate as a formula
+ * is prefixed with a quote so exported data can never run as one.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build a CSV line from an array of cells
+ * @param {Array} cells
+ * @returns {string}
+ */
+export const toCsvLine = (cells) => cells.map(escapeCsvValue).join(",");
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export const toCsv = (headers, rows) =>
+  [headers, ...rows].map(toCsvLine).join("\r\n") + "\r\n";
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF).
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+  return rows;
+};
@@ -0,0 +1,70 @@
+/**
+ * Expense Helper Functions
+ * Recurring-expense schedules and budget thresholds
+ */
+
+/**
+ * Strip the time part of a date (server local time)
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Check whether a recurring template fires on a given day.
+ * Monthly templates scheduled past the month's end (e.g. the 31st) fire on its last day.
+ * @param {Object} template - { frequency, dayOfMonth, dayOfWeek }
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const isRecurringDay = (template, date) => {
+  if (template.frequency === "WEEKLY") {
+    return date.getDay() === (template.dayOfWeek ?? 1);
+  }
+
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return date.getDate() === Math.min(template.dayOfMonth || 1, lastDay);
+};
+
+/**
+ * List the days a template fires on between two dates (inclusive),
+ * limited to the template's own start/end dates.
+ * @param {Object} template - RecurringExpense-like
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date[]}
+ */
+export const getRecurringOccurrences = (template, from, to) => {
+  let day = startOfDay(from);
+  const last = startOfDay(to);
+  const start = template.startDate ? startOfDay(template.startDate) : null;
+  const end = template.endDate ? startOfDay(template.endDate) : null;
+
+  if (start && day < start) day = start;
+  const occurrences = [];
+
+  while (day <= last && (!end || day <= end)) {
+    if (isRecurringDay(template, day)) occurrences.push(day);
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+  return occurrences;
+};
+
+/**
+ * Budget thresholds that the spent amount has reached but were not alerted yet
+ * @param {number} spent
+ * @param {number} limit
+ * @param {number[]} thresholds - Percentages of the limit
+ * @param {number[]} alreadySent - Thresholds already alerted this period
+ * @returns {number[]} Newly crossed thresholds, ascending
+ */
+export const getCrossedThresholds = (spent, limit, thresholds = [], alreadySent = []) => {
+  if (!(limit > 0)) return [];
+  const percentUsed = (spent / limit) * 100;
+  return [...thresholds]
+    .sort((a, b) => a - b)
+    .filter((t) => percentUsed >= t && !alreadySent.includes(t));
+};
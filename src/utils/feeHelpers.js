@@ -247,3 +247,292 @@ export const getDaysOverdue = (month, year, status) => {
 
 
 
+
+/**
+ * Get the financial year label a date falls into.
+ * @param {Date} date
+ * @param {number} startMonth - First month of the financial year (0-11, default April)
+ * @returns {string} e.g. "2025-26"
+ */
+export const getFinancialYear = (date = new Date(), startMonth = 3) => {
+  const d = new Date(date);
+  const startYear =
+    d.getMonth() >= startMonth ? d.getFullYear() : d.getFullYear() - 1;
+  if (startMonth === 0) return String(startYear);
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Read a fee record's payment ledger (works on lean objects).
+ * Records that pre-date the ledger yield a single synthesized entry.
+ * @param {Object} fee - StudentMonthlyFee (document or lean)
+ * @param {Object} options - { includeReversed, includeSettlements }
+ * @returns {Array<Object>} Ledger entries, oldest first
+ */
+export const getPaymentLedger = (
+  fee,
+  { includeReversed = false, includeSettlements = false } = {},
+) => {
+  let entries = fee.payments || [];
+
+  if (entries.length === 0 && fee.paidAmount > 0) {
+    entries = [
+      {
+        kind: "PAYMENT",
+        amount: fee.paidAmount,
+        method: fee.paymentMethod || "OTHER",
+        reference: fee.transactionId || null,
+        paidAt: fee.paymentDate || null,
+        receiptNumber: fee.receiptNumber || null,
+        reversed: false,
+      },
+    ];
+  }
+
+  return entries
+    .filter((p) => includeReversed || !p.reversed)
+    .filter((p) => includeSettlements || (p.kind || "PAYMENT") === "PAYMENT")
+    .sort((a, b) => new Date(a.paidAt || 0) - new Date(b.paidAt || 0));
+};
+
+/**
+ * Calculate the late fee accrued for an overdue month.
+ * Accrual starts once the grace period after the due date has ended.
+ * @param {Object} params
+ * @param {number} params.daysOverdue - Days past the fee due date
+ * @param {number} params.gracePeriodDays - Library grace period
+ * @param {number} params.lateFeePerDay - Amount charged per late day
+ * @param {number} [params.capPerMonth] - Maximum late fee for one month (0 = no cap)
+ * @returns {{ daysLate: number, amount: number }}
+ */
+export const calculateLateFee = ({
+  daysOverdue,
+  gracePeriodDays = 0,
+  lateFeePerDay = 0,
+  capPerMonth = 0,
+}) => {
+  const daysLate = Math.max(0, daysOverdue - gracePeriodDays);
+  let amount = roundFeeAmount(daysLate * Math.max(0, lateFeePerDay));
+  if (capPerMonth > 0) amount = Math.min(amount, capPerMonth);
+  return { daysLate, amount };
+};
+
+/**
+ * Late fee still payable on a fee record (accrued minus waived)
+ * @param {Object} fee - StudentMonthlyFee (document or lean)
+ * @returns {number}
+ */
+export const getLateFeeDue = (fee) =>
+  Math.max(
+    0,
+    roundFeeAmount((fee.lateFee?.amount || 0) - (fee.lateFee?.waivedAmount || 0)),
+  );
+
+/**
+ * Total payable for a fee record: base fee + carried-forward due + late fee
+ * @param {Object} fee - StudentMonthlyFee (document or lean)
+ * @returns {number}
+ */
+export const getFeeTotal = (fee) =>
+  roundFeeAmount(
+    (fee.baseFee || 0) + (fee.dueCarriedForwardAmount || 0) + getLateFeeDue(fee),
+  );
+
+/**
+ * Check whether a month falls inside a rule's validity window
+ * @param {Object} rule - { validFrom, validUntil } month keys (null = open)
+ * @param {number} month - Month (0-11)
+ * @param {number} year
+ * @returns {boolean}
+ */
+export const isRuleActiveForMonth = (rule, month, year) => {
+  const key = createMonthYearKey(month, year);
+  if (rule.validFrom && key < rule.validFrom) return false;
+  if (rule.validUntil && key > rule.validUntil) return false;
+  return true;
+};
+
+/**
+ * Apply discount / concession rules to a gross fee.
+ * Percentages are taken on the gross fee; the total reduction never
+ * exceeds the gross fee.
+ * @param {number} grossFee
+ * @param {Array<Object>} rules - FeeAdjustmentRule-like { _id, name, type, value }
+ * @returns {{ grossFee: number, netFee: number, adjustments: Array<Object> }}
+ */
+export const applyFeeAdjustments = (grossFee, rules = []) => {
+  let remaining = roundFeeAmount(grossFee);
+  const adjustments = [];
+
+  for (const rule of rules) {
+    const raw =
+      rule.type === "PERCENTAGE" ? (grossFee * rule.value) / 100 : rule.value;
+    const amount = Math.min(remaining, roundFeeAmount(raw));
+    if (amount <= 0) continue;
+
+    remaining = roundFeeAmount(remaining - amount);
+    adjustments.push({
+      ruleId: rule._id,
+      name: rule.name,
+      type: rule.type,
+      value: rule.value,
+      amount,
+    });
+  }
+
+  return { grossFee: roundFeeAmount(grossFee), netFee: remaining, adjustments };
+};
+
+/**
+ * Whole days between two dates (calendar days, ignoring time of day)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+export const countDaysBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+  return Math.round((end - start) / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * Billing cycle a fee month covers: from the billing day of that month up
+ * to (not including) the billing day of the next. Days past the end of a
+ * short month clamp to its last day, as in calculateNextBillingDate.
+ * @param {number} billingDay - Day of month for billing (1-31)
+ * @param {number} month - Fee month (0-11)
+ * @param {number} year - Fee year
+ * @returns {{ month: number, year: number, start: Date, end: Date, days: number }}
+ */
+export const getBillingCycle = (billingDay, month, year) => {
+  const billingDate = (m) =>
+    new Date(year, m, Math.min(billingDay, new Date(year, m + 1, 0).getDate()));
+  const start = billingDate(month);
+  const end = billingDate(month + 1);
+  return { month, year, start, end, days: countDaysBetween(start, end) };
+};
+
+/**
+ * Billing cycle (and so the fee month) a date falls into
+ * @param {number} billingDay - Day of month for billing (1-31)
+ * @param {Date} date
+ * @returns {{ month: number, year: number, start: Date, end: Date, days: number }}
+ */
+export const getBillingCycleForDate = (billingDay, date = new Date()) => {
+  const d = new Date(date);
+  const cycle = getBillingCycle(billingDay, d.getMonth(), d.getFullYear());
+  if (countDaysBetween(cycle.start, d) >= 0) return cycle;
+
+  const previous = new Date(d.getFullYear(), d.getMonth() - 1, 1);
+  return getBillingCycle(billingDay, previous.getMonth(), previous.getFullYear());
+};
+
+/**
+ * Scale an amount by the share of a cycle it applies to
+ * @param {number} amount - Amount for a full cycle
+ * @param {number} days - Days charged
+ * @param {number} cycleDays - Days in the cycle
+ * @returns {number}
+ */
+export const prorateAmount = (amount, days, cycleDays) =>
+  cycleDays > 0 ? roundFeeAmount((amount * Math.max(0, days)) / cycleDays) : amount;
+
+/**
+ * Days of a fee month a student is enrolled for. The first fee month runs
+ * from the joining date and the last one up to and including the leaving
+ * date; any other month is the full cycle.
+ * @param {Object} cycle - From getBillingCycle
+ * @param {Object} dates - { joiningDate, leavingDate }
+ * @returns {{ from: Date, to: Date, days: number, cycleDays: number, firstMonth: boolean, lastMonth: boolean }}
+ */
+export const getEnrolledDaysInCycle = (cycle, { joiningDate, leavingDate } = {}) => {
+  let from = cycle.start;
+  let to = cycle.end;
+  let firstMonth = false;
+  let lastMonth = false;
+
+  // The first fee month is the one of the joining date (see calculateNextBillingDate)
+  if (
+    joiningDate &&
+    new Date(joiningDate).getMonth() === cycle.month &&
+    new Date(joiningDate).getFullYear() === cycle.year
+  ) {
+    from = new Date(joiningDate);
+    firstMonth = countDaysBetween(from, cycle.start) !== 0;
+  }
+
+  if (leavingDate) {
+    const dayAfterLeaving = new Date(leavingDate);
+    dayAfterLeaving.setDate(dayAfterLeaving.getDate() + 1);
+    if (countDaysBetween(dayAfterLeaving, to) > 0) {
+      to = dayAfterLeaving;
+      lastMonth = true;
+    }
+  }
+
+  return {
+    from,
+    to,
+    days: Math.max(0, countDaysBetween(from, to)),
+    cycleDays: cycle.days,
+    firstMonth,
+    lastMonth,
+  };
+};
+
+/**
+ * Days of a fee month covered by a pause (both pause dates are paused days)
+ * @param {Object} cycle - From getBillingCycle
+ * @param {Object} pause - { from, to }
+ * @returns {{ from: Date, to: Date, days: number, cycleDays: number }|null}
+ *   `to` is the day after the last paused day, as in getEnrolledDaysInCycle;
+ *   null when the pause does not touch the cycle
+ */
+export const getPausedDaysInCycle = (cycle, { from, to }) => {
+  const pauseStart = new Date(from);
+  pauseStart.setHours(0, 0, 0, 0);
+  const dayAfterPause = new Date(to);
+  dayAfterPause.setHours(0, 0, 0, 0);
+  dayAfterPause.setDate(dayAfterPause.getDate() + 1);
+
+  const start = pauseStart > cycle.start ? pauseStart : cycle.start;
+  const end = dayAfterPause < cycle.end ? dayAfterPause : cycle.end;
+  const days = countDaysBetween(start, end);
+  if (days <= 0) return null;
+
+  return { from: start, to: end, days, cycleDays: cycle.days };
+};
+
+/**
+ * Monthly amount still charged while a membership is paused
+ * @param {number} netFee - Fee for a full month
+ * @param {Object} holdFee - { type: NONE|FLAT|PERCENTAGE, value }
+ * @returns {number} Never more than the fee itself
+ */
+export const getPauseHoldFee = (netFee, { type, value = 0 } = {}) => {
+  if (type === "FLAT") return roundFeeAmount(Math.min(Math.max(0, value), netFee));
+  if (type === "PERCENTAGE") {
+    return roundFeeAmount((netFee * Math.min(Math.max(0, value), 100)) / 100);
+  }
+  return 0;
+};
+
+/**
+ * Net fee after adjustment lines: CHARGE lines add to the gross fee,
+ * every other line (discounts, concessions, credits) reduces it
+ * @param {number} grossFee
+ * @param {Array<Object>} lines - { kind, amount }
+ * @returns {number} Never below zero
+ */
+export const getNetFee = (grossFee, lines = []) =>
+  Math.max(
+    0,
+    roundFeeAmount(
+      lines.reduce(
+        (net, line) => net + (line.kind === "CHARGE" ? line.amount : -line.amount),
+        grossFee,
+      ),
+    ),
+  );
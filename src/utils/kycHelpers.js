@@ -0,0 +1,80 @@
+/**
+ * KYC Helpers
+ * ID number validation / masking and the overall KYC status of a student
+ */
+
+import { KycDocumentType, KycStatus } from "../constants/constants.js";
+
+// Documents every member must have verified
+export const REQUIRED_KYC_DOCUMENTS = [KycDocumentType.ID_PROOF, KycDocumentType.PHOTO];
+
+export const KYC_ID_TYPES = [
+  "AADHAAR",
+  "COLLEGE_ID",
+  "PAN",
+  "VOTER_ID",
+  "DRIVING_LICENCE",
+  "PASSPORT",
+  "OTHER",
+];
+
+/**
+ * Strip spaces and dashes and upper-case an ID number
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeIdNumber = (value) =>
+  String(value ?? "").replace(/[\s-]/g, "").toUpperCase();
+
+/**
+ * Check an ID number has the shape of its document type
+ * @param {string} idType - One of KYC_ID_TYPES
+ * @param {string} idNumber - Normalised
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateIdNumber = (idType, idNumber) => {
+  if (!idNumber) return "ID number is required";
+  if (idType === "AADHAAR" && !/^[2-9]\d{11}$/.test(idNumber)) {
+    return "Aadhaar number must be 12 digits";
+  }
+  if (idType === "PAN" && !/^[A-Z]{5}\d{4}[A-Z]$/.test(idNumber)) {
+    return "PAN must look like ABCDE1234F";
+  }
+  if (!/^[A-Z0-9/]{4,20}$/.test(idNumber)) {
+    return "ID number must be 4-20 letters or digits";
+  }
+  return null;
+};
+
+/**
+ * Mask all but the last four characters of an ID number
+ * (Aadhaar is shown in its usual groups of four: XXXX XXXX 1234)
+ * @param {string} idNumber - Normalised
+ * @param {string} [idType]
+ * @returns {string}
+ */
+export const maskIdNumber = (idNumber, idType) => {
+  const text = String(idNumber ?? "");
+  if (!text) return "";
+  const visible = text.slice(-4);
+  const masked = "X".repeat(Math.max(0, text.length - 4)) + visible;
+  if (idType === "AADHAAR") {
+    return masked.replace(/(.{4})(?=.)/g, "$1 ");
+  }
+  return masked;
+};
+
+/**
+ * Overall KYC status from a student's current documents
+ * @param {Array<{ type: string, status: string }>} documents - Current (not superseded) ones
+ * @returns {string} KycStatus
+ */
+export const getKycStatus = (documents) => {
+  const byType = new Map(documents.map((doc) => [doc.type, doc.status]));
+  const required = REQUIRED_KYC_DOCUMENTS.map((type) => byType.get(type));
+
+  if (required.includes("REJECTED")) return KycStatus.REJECTED;
+  if (required.includes(undefined)) return KycStatus.NOT_SUBMITTED;
+  if (required.includes("PENDING")) return KycStatus.PENDING;
+  return KycStatus.VERIFIED;
+};
@@ -0,0 +1,87 @@
+/**
+ * Memory Store
+ * In-process stand-in for the few Redis commands seat holds use
+ * (get / mget / set with EX and NX / del / scanStream), for installs
+ * running a single server without REDIS_URL. Keys expire like Redis TTLs.
+ * Nothing is shared between processes.
+ */
+
+import { Readable } from "stream";
+
+const globToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`,
+  );
+
+export class MemoryStore {
+  /**
+   * @param {Function} [now] - Clock in ms, for tests
+   */
+  constructor(now = () => Date.now()) {
+    this.entries = new Map();
+    this.now = now;
+  }
+
+  _live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _purgeExpired() {
+    for (const key of this.entries.keys()) this._live(key);
+  }
+
+  async get(key) {
+    return this._live(key)?.value ?? null;
+  }
+
+  async mget(...keys) {
+    return keys.map((key) => this._live(key)?.value ?? null);
+  }
+
+  /**
+   * set(key, value[, "EX", seconds][, "NX"]) — "OK", or null when NX finds the key
+   */
+  async set(key, value, ...options) {
+    const flags = options.map((option) => String(option).toUpperCase());
+    const exIndex = flags.indexOf("EX");
+    const seconds = exIndex >= 0 ? Number(options[exIndex + 1]) : null;
+
+    this._purgeExpired();
+    if (flags.includes("NX") && this._live(key)) return null;
+
+    this.entries.set(key, {
+      value: String(value),
+      expiresAt: seconds ? this.now() + seconds * 1000 : null,
+    });
+    return "OK";
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this._live(key)) removed++;
+      this.entries.delete(key);
+    }
+    return removed;
+  }
+
+  /**
+   * Keys matching a glob pattern, emitted as one batch like ioredis' scanStream
+   */
+  scanStream({ match = "*" } = {}) {
+    const pattern = globToRegExp(match);
+    const keys = [...this.entries.keys()].filter(
+      (key) => this._live(key) && pattern.test(key),
+    );
+    return Readable.from(keys.length > 0 ? [keys] : []);
+  }
+}
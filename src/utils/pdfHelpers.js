@@ -0,0 +1,181 @@
+/**
+ * PDF Utilities
+ * Shared helpers for server-side PDF documents (receipts, reports)
+ */
+
+import PDFDocument from "pdfkit";
+
+const LOGO_FETCH_TIMEOUT_MS = 3000;
+
+/**
+ * Format an amount with the library currency code.
+ * The built-in PDF fonts have no glyph for symbols like ₹, so the ISO code is used.
+ * @param {number} amount
+ * @param {string} currency - ISO currency code (e.g. "INR")
+ * @returns {string}
+ */
+export const formatCurrency = (amount, currency = "INR") => {
+  const value = Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${currency} ${value}`;
+};
+
+/**
+ * Format a date as "DD Mon YYYY"
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const formatDate = (date) => {
+  if (!date) return "-";
+  return new Date(date).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+};
+
+/**
+ * Download a remote image (e.g. Cloudinary logo) for embedding.
+ * Failures are swallowed so a broken logo never blocks a document.
+ * @param {string} url
+ * @returns {Promise<Buffer|null>}
+ */
+export const fetchImageBuffer = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(LOGO_FETCH_TIMEOUT_MS),
+    });
+    if (!response.ok) return null;
+    return Buffer.from(await response.arrayBuffer());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a new A4 document
+ * @param {Object} info - PDF metadata (Title, Author, ...)
+ * @param {Object} [options] - PDFKit overrides (layout, margin)
+ * @returns {PDFDocument}
+ */
+export const createPdfDocument = (info = {}, options = {}) =>
+  new PDFDocument({ size: "A4", margin: 50, ...options, info });
+
+/**
+ * Draw the library letterhead (logo, name, contact details)
+ * @param {PDFDocument} doc
+ * @param {Object} library - { name, address, phone, email, website }
+ * @param {Buffer|null} logo - Pre-fetched logo image
+ */
+export const drawLibraryHeader = (doc, library = {}, logo = null) => {
+  const top = doc.y;
+  let textX = doc.page.margins.left;
+
+  if (logo) {
+    try {
+      doc.image(logo, textX, top, { fit: [60, 60] });
+      textX += 70;
+    } catch {
+      // Unsupported image format — continue without logo
+    }
+  }
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(library.name || "Library", textX, top);
+  doc.font("Helvetica").fontSize(9).fillColor("#555555");
+  if (library.address) doc.text(library.address, textX);
+  const contact = [library.phone, library.email, library.website]
+    .filter(Boolean)
+    .join("  |  ");
+  if (contact) doc.text(contact, textX);
+  doc.fillColor("#000000");
+
+  doc.y = Math.max(doc.y, top + 60) + 10;
+  doc
+    .moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .strokeColor("#cccccc")
+    .stroke();
+  doc.x = doc.page.margins.left;
+  doc.moveDown();
+};
+
+/**
+ * Draw a two-column label/value table
+ * @param {PDFDocument} doc
+ * @param {Array<[string, string, Object?]>} rows - [label, value, { bold }]
+ */
+export const drawKeyValueRows = (doc, rows) => {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const valueWidth = 200;
+
+  for (const [label, value, options = {}] of rows) {
+    const y = doc.y;
+    doc
+      .font(options.bold ? "Helvetica-Bold" : "Helvetica")
+      .fontSize(10)
+      .text(label, left, y, { width: right - left - valueWidth })
+      .text(String(value ?? "-"), right - valueWidth, y, {
+        width: valueWidth,
+        align: "right",
+      });
+    doc.moveDown(0.4);
+  }
+  doc.x = left;
+};
+
+/**
+ * Draw a simple table with a bold header row. Starts a new page when full.
+ * @param {PDFDocument} doc
+ * @param {Array<{ header: string, width: number, align?: string }>} columns
+ * @param {Array<Array<string>>} rows
+ * @param {Object} options - { fontSize, boldLastRow }
+ */
+export const drawTable = (doc, columns, rows, options = {}) => {
+  const left = doc.page.margins.left;
+  const fontSize = options.fontSize || 9;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, bold) => {
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize);
+    cells.forEach((cell, i) => {
+      const { width, align = "left" } = columns[i];
+      doc.text(String(cell ?? "-"), x, y, { width: width - 4, align });
+      x += width;
+    });
+    doc.y = y + fontSize + 6;
+  };
+
+  drawRow(columns.map((c) => c.header), true);
+  rows.forEach((row, index) => {
+    if (doc.y + fontSize + 6 > bottom) {
+      doc.addPage();
+      drawRow(columns.map((c) => c.header), true);
+    }
+    drawRow(row, options.boldLastRow && index === rows.length - 1);
+  });
+  doc.x = left;
+};
+
+/**
+ * Pipe a document into a writable stream and resolve once it is fully written
+ * @param {PDFDocument} doc
+ * @param {import("stream").Writable} stream - e.g. Express `res`
+ * @returns {Promise<void>}
+ */
+export const pipePdf = (doc, stream) =>
+  new Promise((resolve, reject) => {
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+    doc.pipe(stream);
+    doc.end();
+  });
@@ -0,0 +1,198 @@
+/**
+ * Room Layout Utilities
+ * Floor-plan validation, seat lookup and seat-type pricing
+ */
+
+import { ApiError } from "./ApiError.js";
+
+export const SEAT_STATUSES = ["AVAILABLE", "DISABLED", "MAINTENANCE"];
+export const DEFAULT_SEAT_TYPE = "STANDARD";
+export const MAX_LAYOUT_SEATS = 1000;
+// Request body limit for layout uploads (bytes); the app-wide limit is 16kb,
+// which only fits about 170 seats
+export const LAYOUT_BODY_LIMIT = 256 * 1024;
+
+const normalizeLabel = (label) => String(label ?? "").trim();
+const labelKey = (label) => normalizeLabel(label).toUpperCase();
+const normalizeTag = (tag) => String(tag ?? "").trim().toUpperCase().replace(/\s+/g, "_");
+
+/**
+ * Validate and normalize a room layout definition
+ * @param {Object} layout - { rows, columns, seats: [{ label, row, column, seatType, tags, status }] }
+ * @returns {Object} Normalized layout
+ * @throws {ApiError} 400 describing the first problem found
+ */
+export const validateRoomLayout = (layout) => {
+  if (!layout || !Array.isArray(layout.seats) || layout.seats.length === 0) {
+    throw new ApiError(400, "Layout must define at least one seat");
+  }
+  if (layout.seats.length > MAX_LAYOUT_SEATS) {
+    throw new ApiError(400, `A room layout is limited to ${MAX_LAYOUT_SEATS} seats`);
+  }
+
+  const rows = Number(layout.rows);
+  const columns = Number(layout.columns);
+  if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(columns) || columns < 1) {
+    throw new ApiError(400, "Layout rows and columns must be positive integers");
+  }
+
+  const labels = new Set();
+  const positions = new Set();
+
+  const seats = layout.seats.map((seat, index) => {
+    const label = normalizeLabel(seat.label);
+    if (!label) {
+      throw new ApiError(400, `Seat ${index + 1} has no label`);
+    }
+    if (label.length > 50) {
+      throw new ApiError(400, `Seat label "${label}" is too long`);
+    }
+    if (labels.has(labelKey(label))) {
+      throw new ApiError(400, `Seat label "${label}" is used more than once`);
+    }
+    labels.add(labelKey(label));
+
+    const row = Number(seat.row);
+    const column = Number(seat.column);
+    if (
+      !Number.isInteger(row) ||
+      !Number.isInteger(column) ||
+      row < 0 ||
+      row >= rows ||
+      column < 0 ||
+      column >= columns
+    ) {
+      throw new ApiError(
+        400,
+        `Seat "${label}" must be placed within the ${rows}x${columns} grid (0-based row and column)`,
+      );
+    }
+    if (positions.has(`${row}:${column}`)) {
+      throw new ApiError(400, `Seat "${label}" overlaps another seat at row ${row}, column ${column}`);
+    }
+    positions.add(`${row}:${column}`);
+
+    const status = seat.status || "AVAILABLE";
+    if (!SEAT_STATUSES.includes(status)) {
+      throw new ApiError(400, `Seat "${label}" has an invalid status`);
+    }
+
+    return {
+      label,
+      row,
+      column,
+      seatType: normalizeTag(seat.seatType) || DEFAULT_SEAT_TYPE,
+      tags: [...new Set((seat.tags || []).map(normalizeTag).filter(Boolean))],
+      status,
+    };
+  });
+
+  return { rows, columns, seats };
+};
+
+/**
+ * Seats of a room: its layout, or numbered 1..totalSeats for rooms
+ * without one (single row, standard seats)
+ * @param {Object} room - Room document or lean object
+ * @returns {Array<Object>} Seats with label, row, column, seatType, tags, status
+ */
+export const getRoomSeats = (room) => {
+  if (room?.layout?.seats?.length > 0) {
+    return room.layout.seats.map((seat) => ({
+      label: seat.label,
+      row: seat.row,
+      column: seat.column,
+      seatType: seat.seatType || DEFAULT_SEAT_TYPE,
+      tags: seat.tags || [],
+      status: seat.status || "AVAILABLE",
+    }));
+  }
+
+  return Array.from({ length: room?.totalSeats || 0 }, (_, i) => ({
+    label: String(i + 1),
+    row: 0,
+    column: i,
+    seatType: DEFAULT_SEAT_TYPE,
+    tags: [],
+    status: "AVAILABLE",
+  }));
+};
+
+/**
+ * Whether a room has a floor plan defined
+ */
+export const hasRoomLayout = (room) => room?.layout?.seats?.length > 0;
+
+/**
+ * Find a seat of a room layout by label (case-insensitive)
+ * @returns {Object|null}
+ */
+export const findLayoutSeat = (room, seatNumber) => {
+  const key = labelKey(seatNumber);
+  if (!key) return null;
+  return getRoomSeats(room).find((seat) => labelKey(seat.label) === key) || null;
+};
+
+/**
+ * Validate a seat can be assigned in a room.
+ * Rooms without a layout accept any seat number.
+ * @returns {Object|null} The layout seat
+ * @throws {ApiError} If the seat does not exist or is out of service
+ */
+export const validateLayoutSeat = (room, seatNumber) => {
+  if (!normalizeLabel(seatNumber) || !hasRoomLayout(room)) return null;
+
+  const seat = findLayoutSeat(room, seatNumber);
+  if (!seat) {
+    throw new ApiError(400, `Seat ${seatNumber} does not exist in room "${room.name}"`);
+  }
+  if (seat.status === "DISABLED") {
+    throw new ApiError(400, `Seat ${seat.label} in room "${room.name}" is disabled`);
+  }
+  if (seat.status === "MAINTENANCE") {
+    throw new ApiError(400, `Seat ${seat.label} in room "${room.name}" is under maintenance`);
+  }
+  return seat;
+};
+
+/**
+ * Monthly fee of a slot for a seat type: the slot's seat-type price when
+ * one is set, otherwise the slot's base fee
+ * @param {Object} slot - Needs monthlyFee and optional seatTypePricing
+ * @param {string} [seatType]
+ * @returns {number}
+ */
+export const getSlotFeeForSeatType = (slot, seatType) => {
+  const type = normalizeTag(seatType);
+  const override = type
+    ? (slot?.seatTypePricing || []).find((p) => normalizeTag(p.seatType) === type)
+    : null;
+  return override ? override.monthlyFee : slot?.monthlyFee || 0;
+};
+
+/**
+ * Validate and normalize a slot's seat-type price list
+ * @returns {Array<{ seatType: string, monthlyFee: number }>}
+ */
+export const validateSeatTypePricing = (pricing) => {
+  if (!Array.isArray(pricing)) {
+    throw new ApiError(400, "seatTypePricing must be a list");
+  }
+
+  const seen = new Set();
+  return pricing.map((item) => {
+    const seatType = normalizeTag(item?.seatType);
+    const monthlyFee = Number(item?.monthlyFee);
+    if (!seatType) {
+      throw new ApiError(400, "Each seat-type price needs a seatType");
+    }
+    if (!(monthlyFee >= 0)) {
+      throw new ApiError(400, `Monthly fee for ${seatType} must be a positive number`);
+    }
+    if (seen.has(seatType)) {
+      throw new ApiError(400, `Seat type ${seatType} is priced more than once`);
+    }
+    seen.add(seatType);
+    return { seatType, monthlyFee };
+  });
+};
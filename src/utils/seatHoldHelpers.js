@@ -0,0 +1,49 @@
+/**
+ * Seat Hold Helpers
+ * Key layout and hold records for SeatHoldService. Each hold is stored under
+ * its seat key (the source of truth) plus a per-student pointer key, both
+ * with the hold's TTL.
+ */
+
+/**
+ * Upper-cased, trimmed seat label used in keys
+ */
+export const seatKey = (seatNumber) => String(seatNumber ?? "").trim().toUpperCase();
+
+export const holdKey = (slotId, seatNumber) => `seat_hold:${slotId}:${seatKey(seatNumber)}`;
+
+// Pointer to the student's one current hold
+export const studentHoldKey = (studentId) => `seat_hold:student:${studentId}`;
+
+/**
+ * A new hold record
+ * @param {Object} params
+ * @param {string} params.studentId
+ * @param {Object} params.slot - { _id, roomId }
+ * @param {string} params.seatNumber - Seat label as shown in the layout
+ * @param {number} params.ttlSeconds - How long the hold lasts
+ * @param {Date} [params.now]
+ * @returns {Object} Hold
+ */
+export const buildHold = ({ studentId, slot, seatNumber, ttlSeconds, now = new Date() }) => ({
+  studentId: studentId.toString(),
+  slotId: slot._id.toString(),
+  roomId: slot.roomId.toString(),
+  seatNumber,
+  expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+  requestId: null,
+});
+
+/**
+ * The hold kept while a change request is reviewed
+ * @param {Object} hold
+ * @param {string} requestId
+ * @param {number} ttlSeconds
+ * @param {Date} [now]
+ * @returns {Object} Hold
+ */
+export const buildPendingHold = (hold, requestId, ttlSeconds, now = new Date()) => ({
+  ...hold,
+  requestId: requestId.toString(),
+  expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+});
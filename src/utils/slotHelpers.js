@@ -4,8 +4,12 @@
  */
 
 import { Slot } from "../models/slot.model.js";
+import { Room } from "../models/room.model.js";
 import { Student } from "../models/student.model.js";
+import { SlotWaitlist } from "../models/slotWaitlist.model.js";
+import { SlotChangeHistory } from "../models/slotChangeHistory.model.js";
 import { ApiError } from "./ApiError.js";
+import { validateLayoutSeat } from "./roomLayoutHelpers.js";
 
 /**
  * Check if a slot has available capacity
@@ -65,18 +69,61 @@ export const checkSlotCapacity = async (slotId) => {
   };
 };
 
+/**
+ * Seats that can be taken right now: capacity minus occupancy minus seats
+ * held for open waitlist offers and seats reserved by scheduled slot changes
+ * @param {string} slotId - MongoDB ObjectId of the slot
+ * @param {Object} [options]
+ * @param {string} [options.excludeHoldId] - Waitlist entry whose held seat is being claimed
+ * @param {string} [options.excludeChangeId] - Scheduled change whose reserved seat is being claimed
+ * @returns {Promise<Object>} { slot, occupiedSeats, heldSeats, reservedSeats, freeSeats }
+ */
+export const getFreeSeats = async (
+  slotId,
+  { excludeHoldId = null, excludeChangeId = null } = {},
+) => {
+  const { slot, occupiedSeats, availableSeats } = await checkSlotCapacity(slotId);
+
+  const [heldSeats, reservedSeats] = await Promise.all([
+    SlotWaitlist.countDocuments({
+      slotId,
+      status: "OFFERED",
+      offerExpiresAt: { $gt: new Date() },
+      ...(excludeHoldId ? { _id: { $ne: excludeHoldId } } : {}),
+    }),
+    SlotChangeHistory.countDocuments({
+      newSlotId: slotId,
+      scheduleStatus: "SCHEDULED",
+      ...(excludeChangeId ? { _id: { $ne: excludeChangeId } } : {}),
+    }),
+  ]);
+
+  return {
+    slot,
+    occupiedSeats,
+    heldSeats,
+    reservedSeats,
+    freeSeats: availableSeats - heldSeats - reservedSeats,
+  };
+};
+
 /**
  * Validate slot has capacity for new student
  * @param {string} slotId - MongoDB ObjectId of the slot
+ * @param {Object} [options] - See getFreeSeats
  * @throws {ApiError} If slot is full or not found
  */
-export const validateSlotHasCapacity = async (slotId) => {
-  const { slot, occupiedSeats, isFull } = await checkSlotCapacity(slotId);
+export const validateSlotHasCapacity = async (slotId, options = {}) => {
+  const { slot, occupiedSeats, heldSeats, reservedSeats, freeSeats } =
+    await getFreeSeats(slotId, options);
 
-  if (isFull) {
+  if (freeSeats <= 0) {
+    const held = heldSeats > 0 ? `, ${heldSeats} held for waitlist offers` : "";
+    const reserved =
+      reservedSeats > 0 ? `, ${reservedSeats} reserved for scheduled slot changes` : "";
     throw new ApiError(
       400,
-      `Slot "${slot.name}" is full (${occupiedSeats}/${slot.totalSeats}). Please select another slot.`,
+      `Slot "${slot.name}" is full (${occupiedSeats}/${slot.totalSeats}${held}${reserved}). Please select another slot.`,
     );
   }
 
@@ -95,16 +142,259 @@ export const validateSlotChange = (currentSlotId, newSlotId) => {
   }
 };
 
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {string} time - e.g. "09:30"
+ * @returns {number|null} Minutes, or null when unparseable
+ */
+export const parseTimeToMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time ?? "").trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Split a slot time range into same-day [start, end) minute intervals.
+ * Ranges that end at or before their start run past midnight.
+ * @param {{ start: string, end: string }} timeRange
+ * @returns {Array<[number, number]>}
+ */
+export const getTimeIntervals = (timeRange) => {
+  const start = parseTimeToMinutes(timeRange?.start);
+  const end = parseTimeToMinutes(timeRange?.end);
+  if (start === null || end === null) return [];
+
+  if (end > start) return [[start, end]];
+  return [
+    [start, MINUTES_PER_DAY],
+    [0, end],
+  ].filter(([from, to]) => to > from);
+};
+
+/**
+ * Whether two time ranges share any minute (touching ends do not overlap)
+ */
+export const doTimeRangesOverlap = (a, b) => {
+  const intervalsA = getTimeIntervals(a);
+  const intervalsB = getTimeIntervals(b);
+
+  return intervalsA.some(([startA, endA]) =>
+    intervalsB.some(([startB, endB]) => startA < endB && startB < endA),
+  );
+};
+
+/**
+ * Whether two slots compete for the same physical seats:
+ * same room, and either one is FULL_DAY or their time ranges overlap
+ * @param {Object} a - Slot document or lean object
+ * @param {Object} b - Slot document or lean object
+ */
+export const doSlotsOverlap = (a, b) => {
+  const roomA = (a.roomId?._id || a.roomId)?.toString();
+  const roomB = (b.roomId?._id || b.roomId)?.toString();
+  if (!roomA || roomA !== roomB) return false;
+  if (a._id.toString() === b._id.toString()) return true;
+  if (a.slotType === "FULL_DAY" || b.slotType === "FULL_DAY") return true;
+
+  return doTimeRangesOverlap(a.timeRange, b.timeRange);
+};
+
+/**
+ * Active slots sharing a room and time with the given slot (including itself)
+ * @param {Object} slot - Slot document or lean object
+ * @returns {Promise<Array>} Lean slots
+ */
+export const getOverlappingSlots = async (slot) => {
+  const roomSlots = await Slot.find({
+    roomId: slot.roomId?._id || slot.roomId,
+    $or: [{ isActive: true }, { _id: slot._id }],
+  }).lean();
+
+  return roomSlots.filter((other) => doSlotsOverlap(slot, other));
+};
+
+/**
+ * Find a student already sitting in a seat at an overlapping time, or one
+ * a scheduled slot change has reserved it for
+ * @param {string} slotId - Slot being assigned
+ * @param {string} seatNumber - Seat being assigned
+ * @param {string} [excludeStudentId] - Student being moved (ignored)
+ * @returns {Promise<Object|null>} { student, slot, reservation? } of the conflicting booking
+ */
+export const findSeatConflict = async (slotId, seatNumber, excludeStudentId = null) => {
+  const seat = String(seatNumber ?? "").trim();
+  if (!seat) return null;
+
+  const slot = await Slot.findById(slotId).lean();
+  if (!slot) {
+    throw new ApiError(404, "Slot not found");
+  }
+
+  const overlapping = await getOverlappingSlots(slot);
+  const student = await Student.findOne({
+    slotId: { $in: overlapping.map((s) => s._id) },
+    seatNumber: seat,
+    status: "ACTIVE",
+    isDeleted: false,
+    ...(excludeStudentId ? { _id: { $ne: excludeStudentId } } : {}),
+  })
+    .select("name libraryId slotId seatNumber")
+    .lean();
+  if (student) {
+    return {
+      student,
+      slot: overlapping.find((s) => s._id.toString() === student.slotId.toString()),
+    };
+  }
+
+  const reservation = await SlotChangeHistory.findOne({
+    newSlotId: { $in: overlapping.map((s) => s._id) },
+    "metadata.newSeatNumber": seat,
+    scheduleStatus: "SCHEDULED",
+    ...(excludeStudentId ? { studentId: { $ne: excludeStudentId } } : {}),
+  })
+    .populate("studentId", "name libraryId")
+    .lean();
+  if (!reservation) return null;
+
+  return {
+    student: { ...reservation.studentId, seatNumber: seat },
+    slot: overlapping.find(
+      (s) => s._id.toString() === reservation.newSlotId.toString(),
+    ),
+    reservation,
+  };
+};
+
+/**
+ * Validate a seat exists in the slot's room layout, is in service, and is
+ * free for the whole time of the slot
+ * @returns {Promise<Object|null>} The layout seat (null for rooms without a layout)
+ * @throws {ApiError} 400 for unknown or out-of-service seats, 409 naming the
+ *   student and slot holding the seat
+ */
+export const validateSeatAvailable = async (slotId, seatNumber, excludeStudentId = null) => {
+  if (!String(seatNumber ?? "").trim()) return null;
+
+  const slot = await Slot.findById(slotId).populate("roomId").lean();
+  if (!slot) {
+    throw new ApiError(404, "Slot not found");
+  }
+
+  const layoutSeat = slot.roomId ? validateLayoutSeat(slot.roomId, seatNumber) : null;
+  const conflict = await findSeatConflict(
+    slotId,
+    layoutSeat?.label ?? seatNumber,
+    excludeStudentId,
+  );
+  if (!conflict) return layoutSeat;
+
+  const { student, slot: takenIn, reservation } = conflict;
+  if (reservation) {
+    throw new ApiError(
+      409,
+      `Seat ${student.seatNumber} is reserved for ${student.name} in slot "${takenIn.name}" from ${reservation.effectiveDate.toDateString()}`,
+    );
+  }
+  throw new ApiError(
+    409,
+    `Seat ${student.seatNumber} is already taken by ${student.name} in slot "${takenIn.name}" (${takenIn.timeRange.start}–${takenIn.timeRange.end})`,
+  );
+};
+
+/**
+ * Find seats booked by more than one active student at overlapping times
+ * @param {Array} slots - Lean slots (any rooms)
+ * @param {Array} students - Lean students with slotId and seatNumber
+ * @returns {Array<{ roomId: string, seatNumber: string, bookings: Array }>}
+ *   One entry per room seat; bookings are the students involved in a clash
+ */
+export const findDoubleBookings = (slots, students) => {
+  const slotMap = new Map(slots.map((slot) => [slot._id.toString(), slot]));
+  const bySeat = new Map(); // "roomId:seat" → [{ student, slot }]
+
+  for (const student of students) {
+    const seat = String(student.seatNumber ?? "").trim();
+    const slot = slotMap.get(student.slotId?.toString());
+    if (!seat || !slot) continue;
+
+    const roomId = (slot.roomId?._id || slot.roomId).toString();
+    const key = `${roomId}:${seat}`;
+    if (!bySeat.has(key)) bySeat.set(key, { roomId, seatNumber: seat, bookings: [] });
+    bySeat.get(key).bookings.push({ student, slot });
+  }
+
+  const doubleBookings = [];
+  for (const { roomId, seatNumber, bookings } of bySeat.values()) {
+    const clashing = new Set();
+    for (let i = 0; i < bookings.length; i++) {
+      for (let j = i + 1; j < bookings.length; j++) {
+        if (doSlotsOverlap(bookings[i].slot, bookings[j].slot)) {
+          clashing.add(i);
+          clashing.add(j);
+        }
+      }
+    }
+    if (clashing.size === 0) continue;
+
+    doubleBookings.push({
+      roomId,
+      seatNumber,
+      bookings: [...clashing].sort((a, b) => a - b).map((i) => bookings[i]),
+    });
+  }
+
+  return doubleBookings;
+};
+
+/**
+ * Build a query filter matching one library's slots.
+ * Slots created before tenant tagging have no tenantId and are matched through their room.
+ * @param {string} tenantId - Library ObjectId
+ * @returns {Promise<Object>} Mongo filter for Slot queries
+ */
+export const getTenantSlotFilter = async (tenantId) => {
+  const roomIds = await Room.distinct("_id", { tenantId });
+  return { $or: [{ tenantId }, { roomId: { $in: roomIds } }] };
+};
+
+/**
+ * Resolve the library a slot belongs to (falls back to its room)
+ * @param {Object} slot - Slot document or lean object
+ * @returns {Promise<string|null>} Library ObjectId as string
+ */
+export const getSlotTenantId = async (slot) => {
+  if (slot?.tenantId) return slot.tenantId.toString();
+  if (!slot?.roomId) return null;
+
+  const roomId = slot.roomId._id || slot.roomId;
+  const room = await Room.findById(roomId).select("tenantId").lean();
+  return room?.tenantId ? room.tenantId.toString() : null;
+};
+
 /**
  * Get all slots with occupancy details
+ * @param {string} tenantId - Library ObjectId
  * @returns {Promise<Array>} Array of slots with occupancy info
  */
-export const getAllSlotsWithOccupancy = async () => {
-  const slots = await Slot.find().populate("roomId", "name").lean();
+export const getAllSlotsWithOccupancy = async (tenantId) => {
+  const slots = await Slot.find(await getTenantSlotFilter(tenantId))
+    .populate("roomId", "name")
+    .lean();
 
-  // 1. Pre-calculate occupancy map for all slots
+  // 1. Pre-calculate occupancy map for the library's slots
   const occupancyMap = {};
-  const allActiveStudents = await Student.find({ status: "ACTIVE", isDeleted: false }).select("slotId");
+  const allActiveStudents = await Student.find({
+    slotId: { $in: slots.map((s) => s._id) },
+    status: "ACTIVE",
+    isDeleted: false,
+  }).select("slotId");
   
   allActiveStudents.forEach(s => {
     if (s.slotId) {
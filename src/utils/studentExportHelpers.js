@@ -0,0 +1,108 @@
+/**
+ * Student Export Helpers
+ * Column catalogue and cell formatting for roster exports (CSV/XLSX)
+ */
+
+const joinDefined = (parts, separator) => parts.filter(Boolean).join(separator);
+
+/**
+ * Exportable roster columns. Each value getter receives a roster entry:
+ * { student (lean, slot + room populated), advanceBalance, totalDue, lastPaymentDate }
+ */
+export const ROSTER_COLUMNS = {
+  libraryId: { header: "Library ID", value: (r) => r.student.libraryId },
+  name: { header: "Name", value: (r) => r.student.name },
+  phone: { header: "Phone", value: (r) => r.student.phone },
+  email: { header: "Email", value: (r) => r.student.email },
+  fatherName: { header: "Father's Name", value: (r) => r.student.fatherName },
+  address: { header: "Address", value: (r) => r.student.address },
+  status: { header: "Status", value: (r) => r.student.status },
+  slot: { header: "Slot", value: (r) => r.student.slotId?.name },
+  room: { header: "Room", value: (r) => r.student.slotId?.roomId?.name },
+  seatNumber: { header: "Seat", value: (r) => r.student.seatNumber },
+  currentSeat: {
+    header: "Current Seat",
+    value: (r) =>
+      joinDefined(
+        [r.student.slotId?.roomId?.name, r.student.slotId?.name, r.student.seatNumber],
+        " / ",
+      ),
+  },
+  monthlyFee: { header: "Monthly Fee", type: "number", value: (r) => r.student.monthlyFee },
+  advanceBalance: { header: "Advance Balance", type: "number", value: (r) => r.advanceBalance },
+  totalDue: { header: "Total Due", type: "number", value: (r) => r.totalDue },
+  lastPaymentDate: { header: "Last Payment", type: "date", value: (r) => r.lastPaymentDate },
+  joiningDate: { header: "Joining Date", type: "date", value: (r) => r.student.joiningDate },
+  billingDay: { header: "Billing Day", type: "number", value: (r) => r.student.billingDay },
+  nextBillingDate: {
+    header: "Next Billing Date",
+    type: "date",
+    value: (r) => r.student.nextBillingDate,
+  },
+  leavingDate: { header: "Leaving Date", type: "date", value: (r) => r.student.leavingDate },
+  tags: { header: "Tags", value: (r) => (r.student.tags || []).join(", ") },
+  notes: { header: "Notes", value: (r) => r.student.notes },
+};
+
+// Columns exported when none are picked
+export const DEFAULT_ROSTER_COLUMNS = [
+  "libraryId",
+  "name",
+  "phone",
+  "status",
+  "currentSeat",
+  "monthlyFee",
+  "advanceBalance",
+  "totalDue",
+  "lastPaymentDate",
+];
+
+// Columns that need fee data looked up per batch of students
+export const FEE_ROSTER_COLUMNS = ["advanceBalance", "totalDue", "lastPaymentDate"];
+
+/**
+ * Resolve the picked columns (comma-separated string or array), keeping order
+ * and dropping duplicates
+ * @param {string|Array<string>} [input]
+ * @returns {{ columns: Array<string>, unknown: Array<string> }}
+ */
+export const parseRosterColumns = (input) => {
+  const picked = (Array.isArray(input) ? input : String(input || "").split(","))
+    .map((key) => String(key).trim())
+    .filter(Boolean);
+  if (picked.length === 0) {
+    return { columns: [...DEFAULT_ROSTER_COLUMNS], unknown: [] };
+  }
+
+  return {
+    columns: [...new Set(picked.filter((key) => ROSTER_COLUMNS[key]))],
+    unknown: picked.filter((key) => !ROSTER_COLUMNS[key]),
+  };
+};
+
+/**
+ * Format a date as YYYY-MM-DD (server local date)
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export const formatRosterDate = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Cells of one roster entry for CSV (dates as YYYY-MM-DD, blanks as "")
+ * @param {Array<string>} columns
+ * @param {Object} entry - Roster entry
+ * @returns {Array}
+ */
+export const getRosterCsvCells = (columns, entry) =>
+  columns.map((key) => {
+    const column = ROSTER_COLUMNS[key];
+    const value = column.value(entry);
+    if (value === null || value === undefined) return "";
+    return column.type === "date" ? formatRosterDate(value) : value;
+  });
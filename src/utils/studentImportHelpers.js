@@ -0,0 +1,128 @@
+/**
+ * Student Import Helpers
+ * Column mapping and value normalisation for bulk CSV/XLSX imports
+ */
+
+// Accepted header spellings (lower-cased, letters and digits only) → field
+const COLUMN_ALIASES = {
+  name: "name",
+  studentname: "name",
+  fullname: "name",
+  phone: "phone",
+  mobile: "phone",
+  phonenumber: "phone",
+  mobilenumber: "phone",
+  email: "email",
+  emailaddress: "email",
+  fathername: "fatherName",
+  fathersname: "fatherName",
+  slot: "slotName",
+  slotname: "slotName",
+  seat: "seatNumber",
+  seatno: "seatNumber",
+  seatnumber: "seatNumber",
+  joiningdate: "joiningDate",
+  dateofjoining: "joiningDate",
+  joined: "joiningDate",
+  monthlyfee: "monthlyFee",
+  fee: "monthlyFee",
+  fees: "monthlyFee",
+};
+
+/**
+ * Map a header cell to an import field
+ * @param {string} header
+ * @returns {string|null}
+ */
+export const getImportField = (header) =>
+  COLUMN_ALIASES[String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "")] ||
+  null;
+
+/**
+ * Parse a joining date from ISO (YYYY-MM-DD), DD/MM/YYYY, DD-MM-YYYY or a Date
+ * @param {Date|string} value
+ * @returns {string|null} ISO datetime at UTC midnight, or null if unparseable
+ */
+export const parseImportDate = (value) => {
+  if (value instanceof Date) {
+    // Spreadsheet dates are read as UTC midnight
+    if (Number.isNaN(value.getTime())) return null;
+    return new Date(
+      Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()),
+    ).toISOString();
+  }
+
+  const text = String(value).trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString();
+};
+
+/**
+ * Normalise an Indian mobile number to its 10 digits
+ * @param {string|number} value
+ * @returns {string}
+ */
+export const normalizeImportPhone = (value) => {
+  const digits = String(value).replace(/\D/g, "");
+  if (digits.length === 12 && digits.startsWith("91")) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith("0")) return digits.slice(1);
+  return digits;
+};
+
+/**
+ * Turn one sheet row (field → raw cell) into registration input.
+ * Slot is kept by name; the caller resolves it to a slotId.
+ * @param {Object} raw - Keyed by import field
+ * @returns {{ data: Object, errors: string[] }}
+ */
+export const mapStudentImportRow = (raw) => {
+  const errors = [];
+  const text = (value) =>
+    value === undefined || value === null ? "" : String(value).trim();
+
+  const data = {
+    name: text(raw.name),
+    phone: normalizeImportPhone(text(raw.phone)),
+    slotName: text(raw.slotName),
+  };
+
+  if (text(raw.email)) data.email = text(raw.email).toLowerCase();
+  if (text(raw.fatherName)) data.fatherName = text(raw.fatherName);
+  if (text(raw.seatNumber)) data.seatNumber = text(raw.seatNumber);
+
+  if (raw.joiningDate instanceof Date || text(raw.joiningDate)) {
+    const joiningDate = parseImportDate(raw.joiningDate);
+    if (joiningDate) {
+      data.joiningDate = joiningDate;
+    } else {
+      errors.push("Joining date must be YYYY-MM-DD or DD/MM/YYYY");
+    }
+  }
+
+  if (text(raw.monthlyFee)) {
+    const fee = Number(text(raw.monthlyFee).replace(/[₹,\s]/g, ""));
+    if (Number.isFinite(fee)) {
+      data.monthlyFee = fee;
+    } else {
+      errors.push("Monthly fee must be a number");
+    }
+  }
+
+  if (!data.slotName) errors.push("Slot name is required");
+
+  return { data, errors };
+};
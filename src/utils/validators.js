@@ -107,13 +107,16 @@ export const studentRegistrationSchema = z
       .optional(),
 
     // Financial
+    // Defaults to the slot's price for the seat's type
     monthlyFee: z
       .number()
       .min(0, "Monthly fee must be positive")
-      .max(1000000, "Monthly fee seems too high"),
+      .max(1000000, "Monthly fee seems too high")
+      .optional(),
 
     // Dates
     joiningDate: z.string().datetime().optional(),
+    leavingDate: z.string().datetime().nullable().optional(),
 
     // Metadata
     notes: z
@@ -130,6 +133,9 @@ export const studentRegistrationSchema = z
     status: z.enum(["ACTIVE", "INACTIVE", "ARCHIVED"]).default("ACTIVE"),
     emailVerified: z.boolean().optional(),
     phoneVerified: z.boolean().optional(),
+
+    // Queue for the slot when it is full instead of rejecting
+    joinWaitlist: z.boolean().optional(),
   })
   .passthrough();
 
@@ -206,3 +212,39 @@ export const notificationPreferencesSchema = z.object({
   sound: z.boolean().optional(),
   vibration: z.boolean().optional(),
 });
+
+const feeAdjustmentRuleFields = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters")
+    .transform(sanitizeString),
+  description: z
+    .string()
+    .max(500, "Description must be less than 500 characters")
+    .transform(sanitizeString)
+    .optional(),
+  type: z.enum(["PERCENTAGE", "FLAT"]),
+  value: z.number().positive("Value must be greater than 0"),
+  startMonth: z.number().int().min(0).max(11).nullable().optional(),
+  startYear: z.number().int().min(2000).nullable().optional(),
+  endMonth: z.number().int().min(0).max(11).nullable().optional(),
+  endYear: z.number().int().min(2000).nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+const percentageWithinLimit = [
+  (rule) =>
+    rule.type !== "PERCENTAGE" || rule.value === undefined || rule.value <= 100,
+  { message: "Percentage cannot exceed 100", path: ["value"] },
+];
+
+export const feeAdjustmentRuleSchema = feeAdjustmentRuleFields.refine(
+  ...percentageWithinLimit,
+);
+
+// A value-only update is checked against the stored type in the service
+export const feeAdjustmentRuleUpdateSchema = feeAdjustmentRuleFields
+  .partial()
+  .refine(...percentageWithinLimit);
@@ -0,0 +1,61 @@
+/**
+ * Waitlist Helpers
+ * Queue order and seat-offer rules for slot waitlists
+ */
+
+export const OPEN_WAITLIST_STATUSES = ["WAITING", "OFFERED"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Number entries in queue order. Only WAITING entries hold a place in the
+ * queue; offered and closed entries get a null position.
+ * @param {Array<Object>} entries - Waitlist entries of one slot
+ * @returns {Array<Object>} Entries sorted by createdAt with `position`
+ */
+export const assignQueuePositions = (entries) => {
+  let position = 0;
+  return [...entries]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((entry) => ({
+      ...entry,
+      position: entry.status === "WAITING" ? ++position : null,
+    }));
+};
+
+/**
+ * Fields that turn a WAITING entry into a seat offer
+ * @param {Date} now
+ * @param {number} hours - How long the seat is held
+ * @returns {{ status: string, offeredAt: Date, offerExpiresAt: Date }}
+ */
+export const buildOffer = (now, hours) => ({
+  status: "OFFERED",
+  offeredAt: now,
+  offerExpiresAt: new Date(now.getTime() + hours * HOUR_MS),
+});
+
+/**
+ * Whether an entry is an offer that still holds a seat
+ * @param {Object} entry
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOfferOpen = (entry, now = new Date()) =>
+  entry.status === "OFFERED" && new Date(entry.offerExpiresAt) > now;
+
+/**
+ * Why an offer can no longer be accepted or declined
+ * @param {Object} entry
+ * @param {Date} [now]
+ * @returns {string|null} Error message, or null if it can be answered
+ */
+export const getOfferResponseError = (entry, now = new Date()) => {
+  if (entry.status !== "OFFERED") {
+    return "There is no open seat offer for this entry";
+  }
+  if (!isOfferOpen(entry, now)) {
+    return "This seat offer has expired";
+  }
+  return null;
+};
@@ -0,0 +1,103 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { AbsenceAlert } from "../src/models/absenceAlert.model.js";
+import { Attendance } from "../src/models/attendance.model.js";
+import { FeeReceipt } from "../src/models/feeReceipt.model.js";
+import { Library } from "../src/models/library.model.js";
+import { MembershipPause } from "../src/models/membershipPause.model.js";
+import { Student } from "../src/models/student.model.js";
+import AbsenceAlertService from "../src/services/absenceAlert.service.js";
+
+afterEach(() => mock.restoreAll());
+
+const now = new Date(2025, 3, 30, 8, 0);
+const library = { _id: "library-1", name: "Central", settings: { absenceAlertsEnabled: true } };
+const students = ["regular", "missing", "paused"].map((name) => ({
+  _id: name,
+  name,
+  joiningDate: new Date(2025, 0, 1),
+  tenantId: "library-1",
+}));
+
+// Three hours every day of April before today
+const visits = (studentId) => {
+  const records = [];
+  for (let day = 1; day < 30; day++) {
+    records.push({
+      studentId,
+      date: new Date(2025, 3, day),
+      status: "PRESENT",
+      checkInTime: new Date(2025, 3, day, 9, 0),
+      checkOutTime: new Date(2025, 3, day, 12, 0),
+    });
+  }
+  return records;
+};
+
+const mockLibraryData = ({ records }) => {
+  mock.method(Student, "find", () => ({ select: () => ({ lean: async () => students }) }));
+  mock.method(AbsenceAlert, "distinct", async () => []);
+  const exists = mock.method(Attendance, "exists", async () => (records.length ? { _id: "a" } : null));
+  const find = mock.method(Attendance, "find", () => ({ select: () => ({ lean: async () => records }) }));
+  mock.method(FeeReceipt, "aggregate", async () => []);
+  const pauses = mock.method(MembershipPause, "find", () => ({
+    select: () => ({
+      lean: async () => [
+        { studentId: "paused", from: new Date(2025, 2, 1), to: new Date(2025, 4, 31) },
+      ],
+    }),
+  }));
+  const create = mock.method(AbsenceAlert, "create", async (alert) => alert);
+  const nudge = mock.method(AbsenceAlertService, "_nudge", async () => true);
+  const digest = mock.method(AbsenceAlertService, "_sendDigest", async () => {});
+  return { exists, find, pauses, create, nudge, digest };
+};
+
+test("only libraries that turned absence alerts on are scanned", async () => {
+  const find = mock.method(Library, "find", () => ({ select: () => ({ lean: async () => [] }) }));
+
+  assert.deepEqual(await AbsenceAlertService.processAbsencePatterns(now), {
+    flagged: 0,
+    nudged: 0,
+    errors: [],
+  });
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    isActive: true,
+    "settings.absenceAlertsEnabled": true,
+  });
+
+  const thresholds = AbsenceAlertService._getThresholds({ settings: {} });
+  assert.equal(thresholds.nudgesEnabled, false);
+});
+
+test("a library with no recent attendance flags nobody", async () => {
+  const { find, create } = mockLibraryData({ records: [] });
+
+  assert.deepEqual(await AbsenceAlertService._processLibrary(library, now), {
+    flagged: 0,
+    nudged: 0,
+  });
+  assert.equal(find.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("absent students are flagged with one pause lookup for the library", async () => {
+  const { pauses, create, nudge, digest } = mockLibraryData({ records: visits("regular") });
+
+  assert.deepEqual(await AbsenceAlertService._processLibrary(library, now), {
+    flagged: 1,
+    nudged: 0,
+  });
+  assert.equal(pauses.mock.callCount(), 1);
+  assert.deepEqual(pauses.mock.calls[0].arguments[0].studentId, {
+    $in: ["regular", "missing", "paused"],
+  });
+
+  assert.equal(create.mock.callCount(), 1);
+  const [alert] = create.mock.calls[0].arguments;
+  assert.equal(alert.studentId, "missing");
+  assert.equal(alert.patterns[0].type, "CONSECUTIVE_ABSENCES");
+  assert.equal(alert.nudged, false);
+  assert.equal(nudge.mock.callCount(), 0);
+  assert.equal(digest.mock.callCount(), 1);
+});
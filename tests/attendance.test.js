@@ -0,0 +1,110 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Attendance } from "../src/models/attendance.model.js";
+import { KioskScan } from "../src/models/kioskScan.model.js";
+import { Library } from "../src/models/library.model.js";
+import { MembershipPause } from "../src/models/membershipPause.model.js";
+import AttendanceService from "../src/services/attendance.service.js";
+
+afterEach(() => mock.restoreAll());
+
+const tenantId = new mongoose.Types.ObjectId();
+const member = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  status: "ACTIVE",
+});
+
+const mockKiosk = () => {
+  mock.method(Library, "findById", () => ({
+    select: () => ({ lean: async () => ({ settings: {} }) }),
+  }));
+  mock.method(Attendance, "findOne", () => ({ sort: async () => null }));
+  const claimed = new Set();
+  mock.method(KioskScan, "create", async (scan) => {
+    if (claimed.has(scan.nonce)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    claimed.add(scan.nonce);
+    return { _id: new mongoose.Types.ObjectId(), ...scan };
+  });
+  mock.method(KioskScan, "updateOne", async () => ({}));
+  return mock.method(AttendanceService, "_checkIn", async (student) => ({
+    _id: new mongoose.Types.ObjectId(),
+    studentId: student._id,
+  }));
+};
+
+test("a kiosk code checks in one student and expires shortly after it rotates", async (t) => {
+  t.after(() => delete process.env.KIOSK_QR_SECRET);
+  process.env.KIOSK_QR_SECRET = "test-kiosk-secret";
+  const checkIn = mockKiosk();
+
+  const { code, issuedAt, expiresAt, refreshInSeconds } =
+    await AttendanceService.getKioskCode(tenantId.toString());
+  assert.equal(refreshInSeconds, 15);
+  assert.equal(expiresAt - issuedAt, 25 * 1000);
+
+  const first = await AttendanceService.scanKioskCode(member(), code);
+  assert.equal(first.action, "CHECK_IN");
+
+  // The same code forwarded to a friend is refused
+  await assert.rejects(
+    AttendanceService.scanKioskCode(member(), code),
+    (error) => error.statusCode === 409,
+  );
+  assert.equal(checkIn.mock.callCount(), 1);
+});
+
+test("kiosk codes are not signed without their own secret", async () => {
+  delete process.env.KIOSK_QR_SECRET;
+  if (!process.env.ACCESS_TOKEN_SECRET) {
+    process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+  }
+  mockKiosk();
+
+  await assert.rejects(
+    AttendanceService.getKioskCode(tenantId.toString()),
+    (error) => error.statusCode === 500,
+  );
+  await assert.rejects(
+    AttendanceService.scanKioskCode(member(), "abc.def"),
+    (error) => error.statusCode === 500,
+  );
+});
+
+test("the attendance calendar loads only the month and the streak window", async () => {
+  const daysAgo = (days) => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - days);
+    return date;
+  };
+  const student = { ...member(), joiningDate: daysAgo(3 * 365) };
+  mock.method(Library, "findById", () => ({
+    select: () => ({ lean: async () => ({ settings: {} }) }),
+  }));
+  mock.method(MembershipPause, "find", () => ({ select: () => ({ lean: async () => [] }) }));
+  const find = mock.method(Attendance, "find", () => ({
+    select: () => ({
+      lean: async () =>
+        [1, 2, 3].map((days) => ({ date: daysAgo(days), status: "PRESENT" })),
+    }),
+  }));
+
+  const monthAgo = daysAgo(2 * 365);
+  const { streaks } = await AttendanceService.getStudentAttendance(
+    student,
+    monthAgo.getMonth(),
+    monthAgo.getFullYear(),
+  );
+
+  const [monthRange, streakRange] = find.mock.calls[0].arguments[0].$or;
+  assert.deepEqual(
+    monthRange.date.$gte,
+    new Date(monthAgo.getFullYear(), monthAgo.getMonth(), 1),
+  );
+  assert.deepEqual(streakRange.date, { $gte: daysAgo(365), $lte: daysAgo(0) });
+  assert.deepEqual(streaks, { current: 3, longest: 3 });
+});
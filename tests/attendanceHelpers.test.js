@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyAttendance,
+  classifyVisitTiming,
+  detectAbsencePatterns,
+  getAttendanceStreaks,
+  getRegisterTotals,
+  getSlotMinutes,
+  getStudyMinutes,
+  signKioskCode,
+  verifyKioskCode,
+} from "../src/utils/attendanceHelpers.js";
+
+const SECRET = "test-secret";
+const issuedAt = Date.UTC(2025, 3, 1, 9, 0, 0);
+const code = signKioskCode(
+  { tenantId: "lib1", issuedAt, validSeconds: 60, nonce: "abc" },
+  SECRET,
+);
+
+test("verifyKioskCode accepts a fresh code and rejects expired or tampered ones", () => {
+  assert.deepEqual(verifyKioskCode(code, SECRET, issuedAt + 30 * 1000), {
+    tenantId: "lib1",
+    nonce: "abc",
+    expiresAt: issuedAt + 60 * 1000,
+  });
+  assert.match(verifyKioskCode(code, SECRET, issuedAt + 61 * 1000).error, /expired/);
+  assert.equal(verifyKioskCode(code, "other-secret", issuedAt).error, "Invalid check-in code");
+
+  const [payload, signature] = code.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url")), lib: "lib2" }),
+  ).toString("base64url");
+  assert.equal(verifyKioskCode(`${forged}.${signature}`, SECRET, issuedAt).error, "Invalid check-in code");
+  assert.match(verifyKioskCode("hello", SECRET, issuedAt).error, /not a library/);
+});
+
+test("classifyAttendance compares the stay with the slot length", () => {
+  assert.equal(getSlotMinutes({ start: "22:00", end: "06:00" }), 480);
+  assert.equal(classifyAttendance(240, 480, 50), "PRESENT");
+  assert.equal(classifyAttendance(239, 480, 50), "HALF_DAY");
+  assert.equal(classifyAttendance(100, 0, 50), "HALF_DAY");
+});
+
+test("getAttendanceStreaks skips an unmarked today and counts the longest run", () => {
+  const days = ["2025-04-01", "2025-04-02", "2025-04-03", "2025-04-05", "2025-04-06", "2025-04-07"];
+  const attended = new Set(["2025-04-01", "2025-04-02", "2025-04-03", "2025-04-05", "2025-04-06"]);
+  assert.deepEqual(getAttendanceStreaks(days, attended, "2025-04-07"), { current: 5, longest: 5 });
+
+  attended.delete("2025-04-02");
+  assert.deepEqual(getAttendanceStreaks(days, attended, "2025-04-08"), { current: 0, longest: 3 });
+  assert.equal(
+    getStudyMinutes({ checkInTime: "2025-04-01T09:00:00Z", checkOutTime: "2025-04-01T12:30:00Z" }),
+    210,
+  );
+});
+
+test("detectAbsencePatterns flags absence runs, falling hours and no-shows after paying", () => {
+  const thresholds = { absenceStreakDays: 3, hoursDropPercent: 50, noShowDaysAfterPayment: 7 };
+  const activity = {
+    workingDays: ["d1", "d2", "d3", "d4", "d5"],
+    attendedDays: new Set(["d1", "d2"]),
+    recentMinutes: 300,
+    baselineWeeklyMinutes: 1200,
+    daysSincePayment: 8,
+    attendedSincePayment: false,
+  };
+
+  assert.deepEqual(
+    detectAbsencePatterns(activity, thresholds).map((p) => [p.type, p.value]),
+    [
+      ["CONSECUTIVE_ABSENCES", 3],
+      ["HOURS_DROP", 75],
+      ["NO_SHOW_AFTER_PAYMENT", 8],
+    ],
+  );
+  assert.deepEqual(
+    detectAbsencePatterns(
+      { ...activity, attendedDays: new Set(["d5"]), baselineWeeklyMinutes: 60, attendedSincePayment: true },
+      thresholds,
+    ),
+    [],
+  );
+  assert.deepEqual(
+    detectAbsencePatterns(activity, { absenceStreakDays: 0, hoursDropPercent: 0, noShowDaysAfterPayment: 0 }),
+    [],
+  );
+});
+
+test("getRegisterTotals counts working days only and half days as half", () => {
+  assert.deepEqual(getRegisterTotals(["P", "H", "C", "A", "P", "", ""]), {
+    present: 2,
+    halfDays: 1,
+    absent: 1,
+    workingDays: 4,
+    percent: 62.5,
+  });
+});
+
+test("classifyVisitTiming flags lateness, early leave and out-of-slot use", () => {
+  const tolerance = { lateMinutes: 10, earlyLeaveMinutes: 15, outsideSlotMinutes: 30 };
+  const morning = { start: "09:00", end: "13:00" };
+  const at = (day, hours, minutes = 0) => new Date(2025, 3, day, hours, minutes);
+
+  assert.deepEqual(classifyVisitTiming(at(1, 9, 5), at(1, 13), morning, tolerance), {
+    flags: ["ON_TIME"],
+    lateMinutes: 5,
+    earlyLeaveMinutes: 0,
+    outsideSlotMinutes: 0,
+  });
+  assert.deepEqual(
+    classifyVisitTiming(at(1, 9, 40), at(1, 18), morning, tolerance).flags,
+    ["LATE", "OUTSIDE_SLOT"],
+  );
+  assert.deepEqual(classifyVisitTiming(at(1, 9), at(1, 11), morning, tolerance).flags, ["EARLY_LEAVE"]);
+  assert.deepEqual(classifyVisitTiming(at(1, 9, 40), null, morning, tolerance).lateMinutes, 40);
+
+  // A 01:00 check-in belongs to the night slot that began the evening before
+  const night = classifyVisitTiming(at(2, 1), at(2, 6), { start: "22:00", end: "06:00" }, tolerance);
+  assert.equal(night.lateMinutes, 180);
+  assert.equal(night.outsideSlotMinutes, 0);
+
+  assert.deepEqual(
+    classifyVisitTiming(at(1, 7), at(1, 22), { start: "08:00", end: "20:00" }, tolerance, true),
+    { flags: ["OUTSIDE_SLOT"], lateMinutes: 0, earlyLeaveMinutes: 0, outsideSlotMinutes: 180 },
+  );
+});
@@ -0,0 +1,48 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { Attendance } from "../src/models/attendance.model.js";
+import { Library } from "../src/models/library.model.js";
+import { MembershipPause } from "../src/models/membershipPause.model.js";
+import { Student } from "../src/models/student.model.js";
+import AttendanceRegisterService from "../src/services/attendanceRegister.service.js";
+import AttendanceService from "../src/services/attendance.service.js";
+
+afterEach(() => mock.restoreAll());
+
+test("the register loads pauses once for every student", async () => {
+  const students = ["asha", "ravi", "meena"].map((name) => ({
+    _id: name,
+    name,
+    joiningDate: new Date(2025, 0, 1),
+    tenantId: "library-1",
+  }));
+  mock.method(Library, "findById", () => ({
+    select: () => ({ lean: async () => ({ name: "Central", settings: {} }) }),
+  }));
+  mock.method(AttendanceService, "resolveSlotGroup", async () => null);
+  mock.method(Attendance, "find", () => ({ select: () => ({ lean: async () => [] }) }));
+  mock.method(Student, "find", () => ({
+    select: () => ({ populate: () => ({ sort: () => ({ lean: async () => students }) }) }),
+  }));
+  const pauses = mock.method(MembershipPause, "find", () => ({
+    select: () => ({
+      lean: async () => [
+        { studentId: "ravi", from: new Date(2025, 2, 10), to: new Date(2025, 2, 20) },
+      ],
+    }),
+  }));
+
+  const register = await AttendanceRegisterService.getRegister("library-1", {
+    month: "2",
+    year: "2025",
+  });
+
+  assert.equal(pauses.mock.callCount(), 1);
+  assert.deepEqual(pauses.mock.calls[0].arguments[0].studentId, {
+    $in: ["asha", "ravi", "meena"],
+  });
+  const [asha, ravi] = register.rows;
+  assert.equal(asha.marks[14], "A");
+  assert.equal(ravi.marks[14], "C");
+  assert.equal(ravi.marks[24], "A");
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CACHE_KEYS } from "../src/utils/cacheStrategy.js";
+
+test("library-wide cache keys are namespaced by tenant", () => {
+  const keys = [
+    (tenantId) => CACHE_KEYS.ALL_SLOTS(tenantId),
+    (tenantId) => CACHE_KEYS.DASHBOARD_STATS(tenantId),
+    (tenantId) => CACHE_KEYS.SLOT_ANALYTICS(tenantId),
+    (tenantId) => CACHE_KEYS.FINANCIAL_REPORT(tenantId, "2025-0:2025-2"),
+  ];
+
+  for (const key of keys) {
+    assert.ok(key("lib-a").startsWith("tenant:lib-a:"));
+    assert.notEqual(key("lib-a"), key("lib-b"));
+  }
+});
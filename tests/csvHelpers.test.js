@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeCsvValue, toCsv } from "../src/utils/csvHelpers.js";
+
+test("escapeCsvValue quotes separators and neutralises formulas", () => {
+  assert.equal(escapeCsvValue('Rent, "March"'), '"Rent, ""March"""');
+  assert.equal(escapeCsvValue("=SUM(A1:A2)"), "'=SUM(A1:A2)");
+  assert.equal(escapeCsvValue(-250), "-250");
+  assert.equal(escapeCsvValue(null), "");
+});
+
+test("toCsv joins header and rows with CRLF", () => {
+  assert.equal(toCsv(["a", "b"], [[1, "x"]]), "a,b\r\n1,x\r\n");
+});
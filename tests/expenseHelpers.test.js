@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getCrossedThresholds,
+  getRecurringOccurrences,
+} from "../src/utils/expenseHelpers.js";
+
+test("monthly templates clamp to the last day of short months", () => {
+  const template = { frequency: "MONTHLY", dayOfMonth: 31 };
+  const dates = getRecurringOccurrences(
+    template,
+    new Date(2025, 0, 15),
+    new Date(2025, 2, 31),
+  );
+
+  assert.deepEqual(
+    dates.map((d) => d.getDate()),
+    [31, 28, 31],
+  );
+});
+
+test("weekly templates respect the template start and end dates", () => {
+  const template = {
+    frequency: "WEEKLY",
+    dayOfWeek: 1, // Monday
+    startDate: new Date(2025, 5, 3),
+    endDate: new Date(2025, 5, 20),
+  };
+  const dates = getRecurringOccurrences(
+    template,
+    new Date(2025, 5, 1),
+    new Date(2025, 5, 30),
+  );
+
+  assert.deepEqual(
+    dates.map((d) => d.getDate()),
+    [9, 16],
+  );
+});
+
+test("getCrossedThresholds returns only thresholds not yet alerted", () => {
+  assert.deepEqual(getCrossedThresholds(850, 1000, [100, 80]), [80]);
+  assert.deepEqual(getCrossedThresholds(1200, 1000, [80, 100], [80]), [100]);
+  assert.deepEqual(getCrossedThresholds(500, 0, [80]), []);
+});
@@ -0,0 +1,44 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { AdminActionLog } from "../src/models/adminActionLog.model.js";
+import { FeeAdjustmentRule } from "../src/models/feeAdjustmentRule.model.js";
+import FeeAdjustmentService from "../src/services/feeAdjustment.service.js";
+import {
+  feeAdjustmentRuleSchema,
+  feeAdjustmentRuleUpdateSchema,
+} from "../src/utils/validators.js";
+
+afterEach(() => mock.restoreAll());
+
+test("rule schemas cap percentages at 100 on create and update", () => {
+  const rule = { name: "Sibling", type: "PERCENTAGE", value: 120 };
+  assert.equal(feeAdjustmentRuleSchema.safeParse(rule).success, false);
+  assert.equal(
+    feeAdjustmentRuleUpdateSchema.safeParse({ type: "PERCENTAGE", value: 120 }).success,
+    false,
+  );
+  assert.equal(feeAdjustmentRuleUpdateSchema.safeParse({ type: "PERCENTAGE" }).success, true);
+  assert.equal(feeAdjustmentRuleUpdateSchema.safeParse({ type: "FLAT", value: 500 }).success, true);
+});
+
+test("updateRule checks a value-only change against the stored type", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const stored = (type) =>
+    new FeeAdjustmentRule({ name: "Sibling", type, value: 10, tenantId });
+  const save = mock.method(FeeAdjustmentRule.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(AdminActionLog, "create", async () => ({}));
+
+  mock.method(FeeAdjustmentRule, "findOne", async () => stored("PERCENTAGE"));
+  await assert.rejects(
+    FeeAdjustmentService.updateRule("rule", { value: 150 }, null, tenantId),
+    /Percentage cannot exceed 100/,
+  );
+  assert.equal(save.mock.callCount(), 0);
+
+  FeeAdjustmentRule.findOne.mock.mockImplementation(async () => stored("FLAT"));
+  const rule = await FeeAdjustmentService.updateRule("rule", { value: 150 }, null, tenantId);
+  assert.equal(rule.value, 150);
+});
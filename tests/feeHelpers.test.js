@@ -0,0 +1,197 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyFeeAdjustments,
+  calculateLateFee,
+  getBillingCycle,
+  getBillingCycleForDate,
+  getEnrolledDaysInCycle,
+  getFeeTotal,
+  getFinancialYear,
+  getLateFeeDue,
+  getNetFee,
+  getPauseHoldFee,
+  getPausedDaysInCycle,
+  getPaymentLedger,
+  isRuleActiveForMonth,
+  prorateAmount,
+} from "../src/utils/feeHelpers.js";
+
+test("getFinancialYear uses an April start by default", () => {
+  assert.equal(getFinancialYear(new Date(2026, 3, 1)), "2026-27");
+  assert.equal(getFinancialYear(new Date(2026, 2, 31)), "2025-26");
+});
+
+test("getFinancialYear handles custom and calendar-year starts", () => {
+  assert.equal(getFinancialYear(new Date(2026, 5, 30), 6), "2025-26");
+  assert.equal(getFinancialYear(new Date(2099, 11, 31), 0), "2099");
+  assert.equal(getFinancialYear(new Date(2099, 6, 1), 3), "2099-00");
+});
+
+test("getPaymentLedger returns active payments oldest first", () => {
+  const fee = {
+    paidAmount: 1200,
+    payments: [
+      { kind: "PAYMENT", amount: 700, method: "UPI", paidAt: new Date(2026, 1, 10) },
+      { kind: "PAYMENT", amount: 500, method: "CASH", paidAt: new Date(2026, 1, 3) },
+      { kind: "PAYMENT", amount: 100, method: "CASH", paidAt: new Date(2026, 1, 4), reversed: true },
+      { kind: "SETTLEMENT", amount: 300, method: "UPI", paidAt: new Date(2026, 1, 11) },
+    ],
+  };
+
+  assert.deepEqual(
+    getPaymentLedger(fee).map((p) => p.amount),
+    [500, 700],
+  );
+  assert.equal(getPaymentLedger(fee, { includeReversed: true }).length, 3);
+  assert.equal(getPaymentLedger(fee, { includeSettlements: true }).length, 3);
+});
+
+test("getPaymentLedger synthesizes an entry for pre-ledger records", () => {
+  const ledger = getPaymentLedger({
+    paidAmount: 900,
+    paymentMethod: "CASH",
+    transactionId: "T1",
+    payments: [],
+  });
+
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].amount, 900);
+  assert.equal(ledger[0].reference, "T1");
+  assert.deepEqual(getPaymentLedger({ paidAmount: 0 }), []);
+});
+
+test("calculateLateFee starts after the grace period and honours the cap", () => {
+  const settings = { gracePeriodDays: 5, lateFeePerDay: 10 };
+
+  assert.deepEqual(calculateLateFee({ daysOverdue: 3, ...settings }), {
+    daysLate: 0,
+    amount: 0,
+  });
+  assert.deepEqual(calculateLateFee({ daysOverdue: 12, ...settings }), {
+    daysLate: 7,
+    amount: 70,
+  });
+  assert.equal(
+    calculateLateFee({ daysOverdue: 40, ...settings, capPerMonth: 200 }).amount,
+    200,
+  );
+});
+
+test("getFeeTotal adds only the unwaived late fee", () => {
+  const fee = {
+    baseFee: 1000,
+    dueCarriedForwardAmount: 200,
+    lateFee: { amount: 90, waivedAmount: 40 },
+  };
+
+  assert.equal(getLateFeeDue(fee), 50);
+  assert.equal(getFeeTotal(fee), 1250);
+  assert.equal(getFeeTotal({ baseFee: 800 }), 800);
+});
+
+test("applyFeeAdjustments takes percentages on gross and never goes below zero", () => {
+  const result = applyFeeAdjustments(1000, [
+    { _id: "r1", name: "Sibling", type: "PERCENTAGE", value: 10 },
+    { _id: "r2", name: "Scholarship", type: "FLAT", value: 300 },
+  ]);
+
+  assert.equal(result.grossFee, 1000);
+  assert.equal(result.netFee, 600);
+  assert.deepEqual(
+    result.adjustments.map((a) => [a.name, a.amount]),
+    [["Sibling", 100], ["Scholarship", 300]],
+  );
+
+  const capped = applyFeeAdjustments(500, [
+    { _id: "r3", name: "Full waiver", type: "FLAT", value: 800 },
+    { _id: "r4", name: "Extra", type: "PERCENTAGE", value: 5 },
+  ]);
+  assert.equal(capped.netFee, 0);
+  assert.equal(capped.adjustments.length, 1);
+  assert.equal(capped.adjustments[0].amount, 500);
+});
+
+test("isRuleActiveForMonth respects an open or bounded window", () => {
+  const rule = { validFrom: "2025-03", validUntil: "2025-08" };
+
+  assert.equal(isRuleActiveForMonth(rule, 2, 2025), false);
+  assert.equal(isRuleActiveForMonth(rule, 3, 2025), true);
+  assert.equal(isRuleActiveForMonth(rule, 8, 2025), true);
+  assert.equal(isRuleActiveForMonth(rule, 9, 2025), false);
+  assert.equal(isRuleActiveForMonth({}, 0, 2030), true);
+});
+
+test("getBillingCycle follows the billing day and clamps short months", () => {
+  const cycle = getBillingCycle(20, 9, 2026);
+  assert.equal(cycle.start.getDate(), 20);
+  assert.equal(cycle.end.getMonth(), 10);
+  assert.equal(cycle.days, 31);
+
+  const january = getBillingCycle(31, 0, 2026);
+  assert.equal(january.end.getMonth(), 1);
+  assert.equal(january.end.getDate(), 28);
+  assert.equal(january.days, 28);
+
+  // A date before this month's billing day belongs to last month's cycle
+  const previous = getBillingCycleForDate(20, new Date(2026, 0, 5));
+  assert.deepEqual([previous.month, previous.year], [11, 2025]);
+});
+
+test("getEnrolledDaysInCycle counts from joining to the leaving date", () => {
+  const cycle = getBillingCycle(1, 9, 2026); // Oct 1 - Nov 1
+
+  assert.equal(getEnrolledDaysInCycle(cycle).days, 31);
+
+  const first = getEnrolledDaysInCycle(cycle, { joiningDate: new Date(2026, 9, 20) });
+  assert.equal(first.days, 12);
+  assert.equal(first.firstMonth, true);
+
+  const last = getEnrolledDaysInCycle(cycle, { leavingDate: new Date(2026, 9, 10) });
+  assert.equal(last.days, 10);
+  assert.equal(last.lastMonth, true);
+
+  assert.equal(prorateAmount(1200, 12, 31), 464.52);
+});
+
+test("getPausedDaysInCycle clips a pause to the fee month", () => {
+  const cycle = getBillingCycle(10, 9, 2026); // Oct 10 - Nov 10
+
+  const inside = getPausedDaysInCycle(cycle, {
+    from: new Date(2026, 9, 20),
+    to: new Date(2026, 9, 29),
+  });
+  assert.equal(inside.days, 10);
+  assert.equal(inside.cycleDays, 31);
+
+  const spanning = getPausedDaysInCycle(cycle, {
+    from: new Date(2026, 8, 1),
+    to: new Date(2026, 11, 31),
+  });
+  assert.equal(spanning.days, 31);
+
+  const after = getPausedDaysInCycle(cycle, {
+    from: new Date(2026, 10, 10),
+    to: new Date(2026, 10, 20),
+  });
+  assert.equal(after, null);
+});
+
+test("getPauseHoldFee charges a flat or percentage hold, capped at the fee", () => {
+  assert.equal(getPauseHoldFee(1200), 0);
+  assert.equal(getPauseHoldFee(1200, { type: "FLAT", value: 300 }), 300);
+  assert.equal(getPauseHoldFee(200, { type: "FLAT", value: 300 }), 200);
+  assert.equal(getPauseHoldFee(1200, { type: "PERCENTAGE", value: 25 }), 300);
+});
+
+test("getNetFee adds charges and subtracts discounts", () => {
+  assert.equal(
+    getNetFee(600, [
+      { kind: "DISCOUNT", amount: 100 },
+      { kind: "CHARGE", amount: 220 },
+      { amount: 20 },
+    ]),
+    700,
+  );
+  assert.equal(getNetFee(100, [{ kind: "DISCOUNT", amount: 150 }]), 0);
+});
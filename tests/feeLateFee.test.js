@@ -0,0 +1,70 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Library } from "../src/models/library.model.js";
+import { StudentMonthlyFee } from "../src/models/studentMonthlyFee.model.js";
+import FeeDueService from "../src/services/feeDue.service.js";
+import FeeLateFeeService from "../src/services/feeLateFee.service.js";
+import { getFeeDueDate } from "../src/utils/feeHelpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - months);
+  return { month: date.getMonth(), year: date.getFullYear() };
+};
+
+test("new libraries have late fees off with a monthly cap", () => {
+  const { settings } = new Library({ name: "Central" });
+  assert.equal(settings.lateFeesEnabled, false);
+  assert.equal(settings.lateFeeCapPerMonth, 300);
+});
+
+test("late fees accrue only on months falling due after they were enabled", async () => {
+  const recent = monthsAgo(2);
+  const enabledAt = getFeeDueDate(recent.month, recent.year);
+  enabledAt.setDate(enabledAt.getDate() - 1);
+
+  const tenantId = new mongoose.Types.ObjectId();
+  const find = mock.method(Library, "find", () => ({
+    select: () => ({
+      lean: async () => [
+        {
+          _id: tenantId,
+          settings: {
+            lateFeesEnabled: true,
+            lateFeesEnabledAt: enabledAt,
+            lateFeePerDay: 10,
+            lateFeeCapPerMonth: 300,
+            gracePeriodDays: 5,
+          },
+        },
+      ],
+    }),
+  }));
+  const fee = (month) =>
+    new StudentMonthlyFee({
+      studentId: new mongoose.Types.ObjectId(),
+      ...month,
+      baseFee: 1000,
+      status: "DUE",
+      tenantId,
+    });
+  const older = fee(monthsAgo(4));
+  const current = fee(recent);
+  mock.method(StudentMonthlyFee, "find", async () => [older, current]);
+  const save = mock.method(StudentMonthlyFee.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(FeeDueService, "recalculateAllCF", async () => {});
+
+  const result = await FeeLateFeeService.accrueLateFees();
+
+  assert.equal(find.mock.calls[0].arguments[0]["settings.lateFeesEnabled"], true);
+  assert.equal(result.updated, 1);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(older.lateFee.amount, 0);
+  assert.ok(current.lateFee.amount > 0 && current.lateFee.amount <= 300);
+});
@@ -0,0 +1,202 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { AdminActionLog } from "../src/models/adminActionLog.model.js";
+import { AdvanceBalance } from "../src/models/advanceBalance.model.js";
+import { FeeReceipt } from "../src/models/feeReceipt.model.js";
+import { StudentMonthlyFee } from "../src/models/studentMonthlyFee.model.js";
+import FeeDueService from "../src/services/feeDue.service.js";
+import FeePaymentService from "../src/services/feePayment.service.js";
+import FeeReceiptService from "../src/services/feeReceipt.service.js";
+import { createMonthYearKey } from "../src/utils/feeHelpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const studentId = new mongoose.Types.ObjectId();
+const tenantId = new mongoose.Types.ObjectId();
+
+const feeMonth = (month, fields) =>
+  new StudentMonthlyFee({ studentId, tenantId, month, year: 2025, baseFee: 1000, ...fields });
+
+/**
+ * March is paid with ₹2000 against ₹1000 + ₹500 carried from February:
+ * February is settled by the cascade and ₹500 goes to the advance.
+ */
+const overpaidMarch = () => {
+  const march = feeMonth(2, { dueCarriedForwardAmount: 500 });
+  march.payments.push({ amount: 2000, method: "UPI", receiptNumber: "RCP-2024-25-000009" });
+  march.paidAmount = 2000;
+  march.status = "PAID";
+  march.locked = true;
+
+  const february = feeMonth(1);
+  february.payments.push(
+    { amount: 500, method: "CASH" },
+    { kind: "SETTLEMENT", amount: 500, method: "UPI", settledByFeeId: march._id },
+  );
+  february.paidAmount = 1000;
+  february.status = "PAID";
+
+  const receipt = new FeeReceipt({
+    receiptNumber: "RCP-2024-25-000009",
+    feeId: march._id,
+    studentId,
+    ledgerEntryId: march.payments[0]._id,
+    month: 2,
+    year: 2025,
+    amount: 2000,
+    advanceCredited: 500,
+    paymentMethod: "UPI",
+    tenantId,
+  });
+
+  const advance = new AdvanceBalance({
+    studentId,
+    totalAmount: 500,
+    remainingAmount: 500,
+    transactions: [{ kind: "CREDIT", amount: 500, remarks: "Overpayment for 2025-03" }],
+  });
+
+  return { march, february, receipt, advance };
+};
+
+const mockReversal = ({ fee, settled = [], receipts = [], advance = null }) => {
+  mock.method(StudentMonthlyFee, "findOne", async () => fee);
+  // Months still holding an active settlement from the reversed payment
+  mock.method(StudentMonthlyFee, "find", async () =>
+    settled.filter((f) =>
+      f.payments.some((p) => !p.reversed && p.settledByFeeId?.equals(fee._id)),
+    ),
+  );
+  mock.method(StudentMonthlyFee, "findById", async () => fee);
+  mock.method(FeeReceipt, "find", async () => receipts.filter((r) => r.status === "ISSUED"));
+  mock.method(AdvanceBalance, "findOne", async () => advance);
+  const saves = [];
+  mock.method(StudentMonthlyFee.prototype, "save", async function () {
+    await this.validate(); // applies the ledger
+    saves.push(this.month);
+    return this;
+  });
+  mock.method(AdvanceBalance.prototype, "save", async function () {
+    saves.push("advance");
+    return this;
+  });
+  const voidReceipt = mock.method(FeeReceiptService, "voidReceipt", async (number) => {
+    const receipt = receipts.find((r) => r.receiptNumber === number);
+    receipt.status = "VOID";
+    saves.push("receipt");
+    return receipt;
+  });
+  mock.method(FeeDueService, "reopenDueMonths", async () => {});
+  mock.method(FeeDueService, "recalculateAllCF", async () => {});
+  const log = mock.method(AdminActionLog, "create", async () => ({}));
+  return { saves, voidReceipt, log };
+};
+
+test("reversing an overpayment pulls the surplus back with a dated advance entry", async () => {
+  const { march, february, receipt, advance } = overpaidMarch();
+  const { saves, log } = mockReversal({
+    fee: march,
+    settled: [february],
+    receipts: [receipt],
+    advance,
+  });
+
+  await FeePaymentService.reversePayment(studentId, 2, 2025, "Wrong student", null);
+
+  assert.equal(advance.totalAmount, 0);
+  assert.equal(advance.remainingAmount, 0);
+  const pullBack = advance.transactions.at(-1);
+  assert.equal(pullBack.kind, "REVERSAL");
+  assert.equal(pullBack.amount, 500);
+  assert.ok(pullBack.reversalOf.equals(receipt._id));
+
+  assert.equal(march.paidAmount, 0);
+  assert.equal(march.locked, false);
+  assert.ok(march.payments.every((p) => p.reversed));
+  assert.equal(receipt.status, "VOID");
+
+  // Fee months are reopened before the advance moves; receipts go last
+  assert.deepEqual(saves, [1, "advance", 2, "receipt"]);
+  const { metadata } = log.mock.calls[0].arguments[0];
+  assert.equal(metadata.advancePulledBack, 500);
+  assert.deepEqual(metadata.reopenedMonths, [
+    createMonthYearKey(1, 2025),
+    createMonthYearKey(2, 2025),
+  ]);
+});
+
+test("the cascade reopens months settled by the reversed payment", async () => {
+  const { march, february, receipt, advance } = overpaidMarch();
+  mockReversal({ fee: march, settled: [february], receipts: [receipt], advance });
+
+  await FeePaymentService.reversePayment(studentId, 2, 2025, "Wrong student", null);
+
+  const [ownPayment, settlement] = february.payments;
+  assert.equal(ownPayment.reversed, false);
+  assert.equal(settlement.reversed, true);
+  assert.equal(february.paidAmount, 500);
+  assert.equal(february.status, "DUE");
+  assert.equal(february.locked, false);
+});
+
+test("reversing a month paid from advance returns the advance as a credit", async () => {
+  const april = feeMonth(3);
+  april.payments.push({ amount: 1000, method: "ADVANCE" });
+  april.paidAmount = 1000;
+  april.status = "PAID";
+  april.coveredByAdvance = true;
+  const advance = new AdvanceBalance({
+    studentId,
+    totalAmount: 3000,
+    remainingAmount: 2000,
+    monthsCovered: ["2025-04"],
+    transactions: [
+      { kind: "DEPOSIT", amount: 3000, method: "CASH" },
+      { kind: "APPLIED", amount: 1000, remarks: "4/2025" },
+    ],
+  });
+  mockReversal({ fee: april, advance });
+
+  await FeePaymentService.reversePayment(studentId, 3, 2025, "Applied by mistake", null);
+
+  assert.equal(advance.totalAmount, 3000);
+  assert.equal(advance.remainingAmount, 3000);
+  assert.deepEqual([...advance.monthsCovered], []);
+  const restored = advance.transactions.at(-1);
+  assert.equal(restored.kind, "CREDIT");
+  assert.equal(restored.amount, 1000);
+  assert.ok(restored.reversalOf.equals(april.payments[0]._id));
+  assert.equal(april.coveredByAdvance, false);
+});
+
+test("a reversal interrupted before its receipts were voided can be run again", async () => {
+  const { march, february, receipt, advance } = overpaidMarch();
+  const { voidReceipt } = mockReversal({
+    fee: march,
+    settled: [february],
+    receipts: [receipt],
+    advance,
+  });
+  voidReceipt.mock.mockImplementationOnce(async () => {
+    throw new Error("connection lost");
+  });
+
+  await assert.rejects(
+    FeePaymentService.reversePayment(studentId, 2, 2025, "Wrong student", null),
+    /connection lost/,
+  );
+  assert.equal(receipt.status, "ISSUED");
+
+  await FeePaymentService.reversePayment(studentId, 2, 2025, "Wrong student", null);
+
+  assert.equal(receipt.status, "VOID");
+  assert.equal(advance.remainingAmount, 0);
+  assert.equal(advance.transactions.filter((t) => t.kind === "REVERSAL").length, 1);
+  assert.equal(february.payments.filter((p) => p.reversed).length, 1);
+
+  await assert.rejects(
+    FeePaymentService.reversePayment(studentId, 2, 2025, "Wrong student", null),
+    /No payment has been recorded/,
+  );
+});
@@ -0,0 +1,125 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Library } from "../src/models/library.model.js";
+import { MembershipPause } from "../src/models/membershipPause.model.js";
+import { StudentMonthlyFee } from "../src/models/studentMonthlyFee.model.js";
+import FeeAdvanceService from "../src/services/feeAdvance.service.js";
+import FeeGenerationService from "../src/services/feeGeneration.service.js";
+import FeeProrationService from "../src/services/feeProration.service.js";
+
+afterEach(() => mock.restoreAll());
+
+const student = {
+  _id: new mongoose.Types.ObjectId(),
+  tenantId: new mongoose.Types.ObjectId(),
+  status: "ACTIVE",
+  billingDay: 1,
+};
+
+// April 2025, fully paid
+const paidFee = () =>
+  new StudentMonthlyFee({
+    studentId: student._id,
+    month: 3,
+    year: 2025,
+    baseFee: 3000,
+    grossFee: 3000,
+    status: "PAID",
+    paidAmount: 3000,
+    locked: true,
+  });
+
+const mockFeeModels = (fee) => {
+  mock.method(Library, "findById", () => ({
+    select: () => ({ lean: async () => null }),
+  }));
+  mock.method(FeeGenerationService, "ensureMonthlyFeeExists", async () => fee);
+  return {
+    save: mock.method(StudentMonthlyFee.prototype, "save", async function () {
+      return this;
+    }),
+    addAdvance: mock.method(FeeAdvanceService, "addAdvance", async () => ({})),
+  };
+};
+
+test("a slot downgrade on a paid month is credited to the advance balance", async () => {
+  const fee = paidFee();
+  const { save, addAdvance } = mockFeeModels(fee);
+
+  const result = await FeeProrationService.applySlotChange({
+    student,
+    previousFee: 3000,
+    newFee: 1500,
+    changeDate: new Date(2025, 3, 16),
+    fromSlotName: "Full day",
+    toSlotName: "Morning",
+  });
+
+  assert.equal(result.month, 3);
+  assert.ok(result.advanceCredit > 0);
+  assert.equal(addAdvance.mock.callCount(), 1);
+  const [studentId, amount, , entry] = addAdvance.mock.calls[0].arguments;
+  assert.equal(studentId, student._id);
+  assert.equal(amount, result.advanceCredit);
+  assert.equal(entry.kind, "CREDIT");
+
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(fee.baseFee, 3000);
+  assert.equal(fee.adjustments.length, 0);
+});
+
+test("a slot upgrade leaves a paid month alone", async () => {
+  const fee = paidFee();
+  const { save, addAdvance } = mockFeeModels(fee);
+
+  const result = await FeeProrationService.applySlotChange({
+    student,
+    previousFee: 1500,
+    newFee: 3000,
+    changeDate: new Date(2025, 3, 16),
+    fromSlotName: "Morning",
+    toSlotName: "Full day",
+  });
+
+  assert.equal(result, null);
+  assert.equal(addAdvance.mock.callCount(), 0);
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(fee.baseFee, 3000);
+});
+
+test("pause days on a paid month are credited to the advance once", async () => {
+  const fee = paidFee();
+  const { save, addAdvance } = mockFeeModels(fee);
+  mock.method(StudentMonthlyFee, "findOne", async () => fee);
+
+  const pause = {
+    _id: new mongoose.Types.ObjectId(),
+    from: new Date(2025, 3, 11),
+    to: new Date(2025, 3, 25),
+    holdFee: { type: "NONE", value: 0 },
+    advanceCredits: [],
+  };
+  mock.method(MembershipPause, "find", () => ({
+    sort: () => ({ lean: async () => [pause] }),
+  }));
+  mock.method(MembershipPause, "findById", () => ({
+    select: () => ({ lean: async () => pause }),
+  }));
+  mock.method(MembershipPause, "updateOne", async (filter, update) => {
+    pause.advanceCredits.push(update.$push.advanceCredits);
+  });
+
+  await FeeProrationService.refreshPauseLines(student, 3, 2025);
+  await FeeProrationService.refreshPauseLines(student, 3, 2025);
+
+  assert.equal(addAdvance.mock.callCount(), 1);
+  assert.equal(addAdvance.mock.calls[0].arguments[1], 1500); // 15 of 30 days
+  assert.deepEqual(
+    pause.advanceCredits.map(({ month, year, amount }) => [month, year, amount]),
+    [[3, 2025, 1500]],
+  );
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(fee.baseFee, 3000);
+  assert.equal(fee.adjustments.length, 0);
+});
@@ -0,0 +1,199 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "node:stream";
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import { downloadReceiptByNumberPDF } from "../src/controllers/fee.controller.js";
+import { AdminActionLog } from "../src/models/adminActionLog.model.js";
+import { Counter } from "../src/models/counter.model.js";
+import { FeeReceipt } from "../src/models/feeReceipt.model.js";
+import { Library } from "../src/models/library.model.js";
+import { StudentMonthlyFee } from "../src/models/studentMonthlyFee.model.js";
+import FeeService from "../src/services/fee.service.js";
+import FeeReceiptService from "../src/services/feeReceipt.service.js";
+
+const tenantId = new mongoose.Types.ObjectId();
+const monthlyFee = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  studentId: new mongoose.Types.ObjectId(),
+  month: 3,
+  year: 2025,
+  status: "PAID",
+  totalAmount: 1000,
+});
+const payment = { amount: 1000, paymentMethod: "CASH", paymentDate: new Date(2025, 4, 2) };
+
+const mockLibrary = () =>
+  mock.method(Library, "findById", () => ({ select: () => ({ lean: async () => null }) }));
+
+afterEach(() => mock.restoreAll());
+
+test("issueReceipt hands the number back when the receipt cannot be saved", async () => {
+  mockLibrary();
+  mock.method(Counter, "next", async () => 7);
+  const release = mock.method(Counter, "release", async () => true);
+  const create = mock.method(FeeReceipt, "create", async () => ({}));
+  mock.method(FeeReceipt.prototype, "save", async () => {
+    throw new Error("write failed");
+  });
+
+  await assert.rejects(FeeReceiptService.issueReceipt(monthlyFee(), payment, null), /write failed/);
+  assert.deepEqual(release.mock.calls[0].arguments.slice(1), ["RECEIPT:2025-26", 7]);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("issueReceipt records a VOID receipt when a later number was already taken", async () => {
+  mockLibrary();
+  mock.method(Counter, "next", async () => 7);
+  mock.method(Counter, "release", async () => false);
+  const create = mock.method(FeeReceipt, "create", async () => ({}));
+  mock.method(FeeReceipt.prototype, "save", async () => {
+    throw new Error("write failed");
+  });
+
+  await assert.rejects(FeeReceiptService.issueReceipt(monthlyFee(), payment, null));
+  const placeholder = create.mock.calls[0].arguments[0];
+  assert.equal(placeholder.receiptNumber, "RCP-2025-26-000007");
+  assert.equal(placeholder.status, "VOID");
+});
+
+test("issueReceipt does not take a number for an invalid receipt", async () => {
+  mockLibrary();
+  const next = mock.method(Counter, "next", async () => 1);
+
+  await assert.rejects(
+    FeeReceiptService.issueReceipt(monthlyFee(), { ...payment, amount: -5 }, null),
+    mongoose.Error.ValidationError,
+  );
+  assert.equal(next.mock.callCount(), 0);
+});
+
+test("getCurrentReceiptForFee never issues a receipt for a paid month without one", async () => {
+  const findOne = mock.method(FeeReceipt, "findOne", () => ({ sort: async () => null }));
+  const next = mock.method(Counter, "next", async () => 1);
+  const update = mock.method(StudentMonthlyFee, "updateOne", async () => ({}));
+
+  await assert.rejects(
+    FeeReceiptService.getCurrentReceiptForFee(monthlyFee()),
+    (error) => error.statusCode === 404,
+  );
+  assert.equal(findOne.mock.callCount(), 1);
+  assert.equal(next.mock.callCount(), 0);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("voidReceipt refuses while the receipt's payment is still on the ledger", async () => {
+  const fee = new StudentMonthlyFee({
+    ...monthlyFee(),
+    baseFee: 1000,
+    payments: [{ amount: 1000, method: "CASH", receiptNumber: "RCP-2025-26-000007" }],
+  });
+  const [entry] = fee.payments;
+  const receipt = new FeeReceipt({
+    receiptNumber: "RCP-2025-26-000007",
+    feeId: fee._id,
+    studentId: fee.studentId,
+    ledgerEntryId: entry._id,
+    month: 3,
+    year: 2025,
+    amount: 1000,
+    tenantId,
+  });
+  mock.method(FeeReceipt, "findOne", (filter) =>
+    filter.receiptNumber ? receipt : { sort: () => ({ select: () => ({ lean: async () => null }) }) },
+  );
+  mock.method(StudentMonthlyFee, "findById", () => ({
+    select: () => ({ lean: async () => fee.toObject() }),
+  }));
+  const save = mock.method(FeeReceipt.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(StudentMonthlyFee, "updateOne", async () => ({}));
+  mock.method(AdminActionLog, "create", async () => ({}));
+
+  await assert.rejects(
+    FeeReceiptService.voidReceipt(receipt.receiptNumber, tenantId, "Wrong amount", null),
+    /Reverse the payment/,
+  );
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(receipt.status, "ISSUED");
+
+  // Once the entry is reversed the receipt can be voided
+  entry.reversed = true;
+  await FeeReceiptService.voidReceipt(receipt.receiptNumber, tenantId, "Payment reversed", null);
+  assert.equal(receipt.status, "VOID");
+  assert.equal(save.mock.callCount(), 1);
+});
+
+test("the receipt PDF downloads with its number and the fee breakdown", async () => {
+  const receipt = {
+    receiptNumber: "RCP-2025-26-000012",
+    status: "ISSUED",
+    paymentDate: new Date(2025, 4, 2),
+    studentName: "Asha",
+    studentPhone: "9800000000",
+    monthYear: "April 2025",
+    paymentMethod: "UPI",
+    transactionId: "UTR123",
+    library: { name: "Central", currency: "INR" },
+    breakdown: {
+      grossFee: 1200,
+      adjustments: [
+        { name: "Sibling", type: "PERCENTAGE", kind: "DISCOUNT", value: 10, amount: 120 },
+      ],
+      baseFee: 1080,
+      dueCarriedForward: 200,
+      lateFee: 40,
+      lateFeeDaysLate: 4,
+      lateFeeWaived: 0,
+      totalAmount: 1320,
+      advanceApplied: 0,
+      paidAmount: 1500,
+      advanceCredited: 180,
+      balance: 0,
+    },
+  };
+  mock.method(FeeService, "getReceiptByNumber", async () => receipt);
+  const text = mock.method(PDFDocument.prototype, "text");
+
+  const chunks = [];
+  const headers = {};
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  res.setHeader = (name, value) => {
+    headers[name] = value;
+  };
+  let failure = null;
+  await downloadReceiptByNumberPDF(
+    { params: { receiptNumber: receipt.receiptNumber }, tenantId },
+    res,
+    (error) => {
+      failure = error;
+    },
+  );
+
+  assert.equal(failure, null);
+  assert.equal(headers["Content-Type"], "application/pdf");
+  assert.match(headers["Content-Disposition"], /RCP-2025-26-000012\.pdf/);
+  const pdf = Buffer.concat(chunks).toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-"));
+  assert.ok(pdf.includes("Receipt RCP-2025-26-000012")); // document title
+
+  const lines = text.mock.calls.map((call) => call.arguments[0]);
+  const rowValue = (label) => lines[lines.indexOf(label) + 1];
+  assert.equal(rowValue("Receipt No."), "RCP-2025-26-000012");
+  assert.equal(rowValue("Monthly Fee"), "INR 1,200.00");
+  assert.equal(rowValue("Sibling (10%)"), "- INR 120.00");
+  assert.equal(rowValue("Net Monthly Fee"), "INR 1,080.00");
+  assert.equal(rowValue("Carried Forward Due"), "INR 200.00");
+  assert.equal(rowValue("Late Fee (4 days)"), "INR 40.00");
+  assert.equal(rowValue("Total Payable"), "INR 1,320.00");
+  assert.equal(rowValue("Amount Paid"), "INR 1,500.00");
+  assert.equal(rowValue("Credited to Advance"), "INR 180.00");
+  assert.ok(!lines.includes("Balance Due"));
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getKycStatus,
+  maskIdNumber,
+  normalizeIdNumber,
+  validateIdNumber,
+} from "../src/utils/kycHelpers.js";
+
+test("validateIdNumber checks Aadhaar and PAN shapes", () => {
+  assert.equal(validateIdNumber("AADHAAR", normalizeIdNumber("2345 6789 0123")), null);
+  assert.equal(validateIdNumber("AADHAAR", "123456789012"), "Aadhaar number must be 12 digits");
+  assert.equal(validateIdNumber("PAN", normalizeIdNumber("abcde1234f")), null);
+  assert.equal(validateIdNumber("COLLEGE_ID", ""), "ID number is required");
+});
+
+test("maskIdNumber keeps only the last four characters", () => {
+  assert.equal(maskIdNumber("234567890123", "AADHAAR"), "XXXX XXXX 0123");
+  assert.equal(maskIdNumber("CS2021045"), "XXXXX1045");
+  assert.equal(maskIdNumber("AB1"), "AB1");
+});
+
+test("getKycStatus needs every required document verified", () => {
+  assert.equal(getKycStatus([]), "NOT_SUBMITTED");
+  assert.equal(
+    getKycStatus([
+      { type: "ID_PROOF", status: "VERIFIED" },
+      { type: "PHOTO", status: "PENDING" },
+    ]),
+    "PENDING",
+  );
+  assert.equal(
+    getKycStatus([
+      { type: "ID_PROOF", status: "REJECTED" },
+      { type: "PHOTO", status: "VERIFIED" },
+    ]),
+    "REJECTED",
+  );
+  assert.equal(
+    getKycStatus([
+      { type: "ID_PROOF", status: "VERIFIED" },
+      { type: "PHOTO", status: "VERIFIED" },
+      { type: "ADDRESS_PROOF", status: "PENDING" },
+    ]),
+    "VERIFIED",
+  );
+});
@@ -0,0 +1,45 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { updateLibraryProfile } from "../src/controllers/library.controller.js";
+import { AdminActionLog } from "../src/models/adminActionLog.model.js";
+import { Library } from "../src/models/library.model.js";
+
+afterEach(() => mock.restoreAll());
+
+test("updateLibraryProfile nests flat settings and writes a valid audit entry", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const update = mock.method(Library, "findByIdAndUpdate", () => ({
+    select: async () => ({ _id: tenantId }),
+  }));
+  // Validate the log entry as the real create would
+  const log = mock.method(AdminActionLog, "create", async (entry) => {
+    await new AdminActionLog(entry).validate();
+  });
+
+  const req = {
+    admin: { _id: new mongoose.Types.ObjectId(), tenantId },
+    body: { name: "Quiet Corner", waitlistOfferHours: 12, plan: "PRO" },
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let error;
+  await updateLibraryProfile(req, res, (err) => {
+    error = err;
+  });
+
+  assert.equal(error, undefined);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(update.mock.calls[0].arguments[1], {
+    $set: { name: "Quiet Corner", "settings.waitlistOfferHours": 12 },
+  });
+  assert.equal(log.mock.callCount(), 1);
+});
@@ -0,0 +1,81 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { AdminActionLog } from "../src/models/adminActionLog.model.js";
+import { AdvanceBalance } from "../src/models/advanceBalance.model.js";
+import { Expense } from "../src/models/expense.model.js";
+import { Library } from "../src/models/library.model.js";
+import { Student } from "../src/models/student.model.js";
+import { StudentMonthlyFee } from "../src/models/studentMonthlyFee.model.js";
+import AnalyticsService from "../src/services/analytics.service.js";
+import FeeAdvanceService from "../src/services/feeAdvance.service.js";
+import FeeGenerationService from "../src/services/feeGeneration.service.js";
+import cacheService from "../src/utils/cache.js";
+
+afterEach(() => mock.restoreAll());
+
+test("P&L counts advance deposits as income and refunds as an outflow", async () => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const studentId = new mongoose.Types.ObjectId();
+  const balance = new AdvanceBalance({ studentId, totalAmount: 0, remainingAmount: 0, tenantId });
+
+  mock.method(Student, "findById", async () => ({ _id: studentId, tenantId }));
+  mock.method(AdvanceBalance, "findOne", async () => balance);
+  mock.method(AdvanceBalance.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(AdminActionLog, "create", async () => ({}));
+  mock.method(cacheService, "del", async () => true);
+  mock.method(FeeGenerationService, "ensureMonthlyFeeExists", async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    totalAmount: 2000,
+    recordPayment: async () => {},
+    save: async () => {},
+  }));
+
+  await FeeAdvanceService.addAdvance(studentId, 5000, null, { method: "UPI" });
+  await FeeAdvanceService.applyAdvanceToMonth(studentId, 3, 2025, null);
+  await FeeAdvanceService.refundAdvance(studentId, 1000, null, "Leaving early");
+
+  assert.deepEqual(
+    balance.transactions.map((t) => [t.kind, t.amount, t.date instanceof Date]),
+    [
+      ["DEPOSIT", 5000, true],
+      ["APPLIED", 2000, true],
+      ["REFUND", 1000, true],
+    ],
+  );
+
+  // Stand in for the aggregations, with every entry dated April 2025
+  const period = "2025-04";
+  mock.method(AnalyticsService, "_getTenantScope", async () => ({
+    tenantId,
+    studentIds: [studentId],
+  }));
+  mock.method(Library, "findById", () => ({ select: () => ({ lean: async () => null }) }));
+  mock.method(Expense, "aggregate", async () => []);
+  mock.method(StudentMonthlyFee, "aggregate", async (pipeline) =>
+    pipeline[0].$match["payments.paidAt"]
+      ? [{ _id: { period, method: "ADVANCE" }, amount: 2000 }]
+      : [],
+  );
+  mock.method(AdvanceBalance, "aggregate", async (pipeline) => {
+    if (!pipeline.some((stage) => stage.$unwind)) {
+      return [{ _id: null, remaining: balance.remainingAmount }];
+    }
+    return balance.transactions
+      .filter((t) => ["DEPOSIT", "REFUND"].includes(t.kind))
+      .map((t) => ({ _id: { period, kind: t.kind, method: t.method }, amount: t.amount }));
+  });
+
+  const pl = await AnalyticsService.getProfitAndLoss(3, 2025, 3, 2025, tenantId);
+  const [april] = pl.months;
+  assert.deepEqual(april.income.byMethod, { UPI: 5000 });
+  assert.equal(april.income.collected, 5000);
+  assert.equal(april.income.advanceDeposited, 5000);
+  assert.equal(april.income.advanceApplied, 2000);
+  assert.equal(april.refunds, 1000);
+  assert.equal(april.netProfit, 4000);
+  assert.equal(pl.totals.netProfit, 4000);
+  assert.equal(pl.advanceLiability.remaining, 2000);
+});
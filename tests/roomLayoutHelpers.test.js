@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LAYOUT_BODY_LIMIT,
+  MAX_LAYOUT_SEATS,
+  getRoomSeats,
+  getSlotFeeForSeatType,
+  validateLayoutSeat,
+  validateRoomLayout,
+} from "../src/utils/roomLayoutHelpers.js";
+
+const layout = {
+  rows: 2,
+  columns: 3,
+  seats: [
+    { label: "A1", row: 0, column: 0, tags: ["ac", "Window"] },
+    { label: "A2", row: 0, column: 1, status: "MAINTENANCE" },
+    { label: "C1", row: 1, column: 0, seatType: "cabin", tags: ["locker"] },
+  ],
+};
+
+test("validateRoomLayout normalizes seat types and tags", () => {
+  const result = validateRoomLayout(layout);
+
+  assert.equal(result.seats[0].seatType, "STANDARD");
+  assert.deepEqual(result.seats[0].tags, ["AC", "WINDOW"]);
+  assert.equal(result.seats[2].seatType, "CABIN");
+  assert.equal(result.seats[1].status, "MAINTENANCE");
+});
+
+test("validateRoomLayout rejects duplicate labels and positions", () => {
+  assert.throws(
+    () =>
+      validateRoomLayout({
+        ...layout,
+        seats: [...layout.seats, { label: "a1", row: 1, column: 2 }],
+      }),
+    /used more than once/,
+  );
+  assert.throws(
+    () =>
+      validateRoomLayout({
+        ...layout,
+        seats: [...layout.seats, { label: "B9", row: 0, column: 0 }],
+      }),
+    /overlaps another seat/,
+  );
+  assert.throws(
+    () =>
+      validateRoomLayout({
+        ...layout,
+        seats: [{ label: "Z1", row: 5, column: 0 }],
+      }),
+    /within the 2x3 grid/,
+  );
+});
+
+test("validateLayoutSeat checks existence and service status", () => {
+  const room = { name: "Main Hall", layout: validateRoomLayout(layout) };
+
+  assert.equal(validateLayoutSeat(room, "c1").label, "C1");
+  assert.throws(() => validateLayoutSeat(room, "B1"), /does not exist/);
+  assert.throws(() => validateLayoutSeat(room, "A2"), /under maintenance/);
+
+  // Rooms without a layout accept any seat
+  assert.equal(validateLayoutSeat({ name: "Old", totalSeats: 10 }, "99"), null);
+  assert.equal(getRoomSeats({ totalSeats: 3 }).map((s) => s.label).join(","), "1,2,3");
+});
+
+test("getSlotFeeForSeatType falls back to the slot fee", () => {
+  const slot = {
+    monthlyFee: 800,
+    seatTypePricing: [{ seatType: "CABIN", monthlyFee: 1200 }],
+  };
+
+  assert.equal(getSlotFeeForSeatType(slot, "cabin"), 1200);
+  assert.equal(getSlotFeeForSeatType(slot, "STANDARD"), 800);
+  assert.equal(getSlotFeeForSeatType(slot), 800);
+});
+
+test("a full-size layout fits the layout body limit", () => {
+  const columns = 40;
+  const seats = Array.from({ length: MAX_LAYOUT_SEATS }, (_, i) => ({
+    label: `GROUND-FLOOR-HALL-A-SEAT-${String(i + 1).padStart(4, "0")}`,
+    row: Math.floor(i / columns),
+    column: i % columns,
+    seatType: "STANDARD",
+    tags: ["AC", "WINDOW", "CHARGING_POINT"],
+    status: "AVAILABLE",
+  }));
+  const full = { rows: MAX_LAYOUT_SEATS / columns, columns, seats };
+  const body = JSON.stringify(full);
+
+  assert.ok(Buffer.byteLength(body) <= LAYOUT_BODY_LIMIT);
+  assert.equal(validateRoomLayout(full).seats.length, MAX_LAYOUT_SEATS);
+  assert.throws(
+    () => validateRoomLayout({ ...full, seats: [...seats, { label: "X", row: 0, column: 0 }] }),
+    /limited to/,
+  );
+});
@@ -0,0 +1,77 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { Slot } from "../src/models/slot.model.js";
+import SeatHoldService from "../src/services/seatHold.service.js";
+import { MemoryStore } from "../src/utils/memoryStore.js";
+import {
+  buildHold,
+  buildPendingHold,
+  holdKey,
+  studentHoldKey,
+} from "../src/utils/seatHoldHelpers.js";
+
+delete process.env.REDIS_URL;
+
+afterEach(() => mock.restoreAll());
+
+const now = new Date("2025-04-01T09:00:00.000Z");
+const slot = { _id: "slot-1", roomId: "room-1" };
+
+test("holds are keyed by seat with a per-student pointer", () => {
+  assert.equal(holdKey("slot-1", " c1 "), "seat_hold:slot-1:C1");
+  assert.equal(studentHoldKey("student-1"), "seat_hold:student:student-1");
+
+  const hold = buildHold({ studentId: "student-1", slot, seatNumber: "C1", ttlSeconds: 600, now });
+  assert.deepEqual(hold, {
+    studentId: "student-1",
+    slotId: "slot-1",
+    roomId: "room-1",
+    seatNumber: "C1",
+    expiresAt: "2025-04-01T09:10:00.000Z",
+    requestId: null,
+  });
+
+  const pending = buildPendingHold(hold, "request-1", 48 * 60 * 60, now);
+  assert.equal(pending.requestId, "request-1");
+  assert.equal(pending.expiresAt, "2025-04-03T09:00:00.000Z");
+});
+
+test("MemoryStore honours NX, expiry and key patterns", async () => {
+  let clock = now.getTime();
+  const store = new MemoryStore(() => clock);
+
+  assert.equal(await store.set("seat_hold:slot-1:C1", "a", "EX", 60, "NX"), "OK");
+  assert.equal(await store.set("seat_hold:slot-1:C1", "b", "EX", 60, "NX"), null);
+  await store.set("seat_hold:slot-2:C1", "c", "EX", 120);
+
+  const keys = [];
+  for await (const batch of store.scanStream({ match: "seat_hold:slot-1:*" })) keys.push(...batch);
+  assert.deepEqual(keys, ["seat_hold:slot-1:C1"]);
+
+  clock += 61 * 1000;
+  assert.equal(await store.get("seat_hold:slot-1:C1"), null);
+  assert.deepEqual(await store.mget("seat_hold:slot-1:C1", "seat_hold:slot-2:C1"), [null, "c"]);
+  assert.equal(await store.set("seat_hold:slot-1:C1", "d", "EX", 60, "NX"), "OK");
+});
+
+test("holds work without Redis and the seat key outranks the student pointer", async () => {
+  mock.method(Slot, "findById", () => ({ lean: async () => null }));
+  const client = SeatHoldService.client;
+  const hold = buildHold({ studentId: "student-1", slot, seatNumber: "C1", ttlSeconds: 600 });
+  await client.set(holdKey("slot-1", "C1"), JSON.stringify(hold), "EX", 600);
+  await client.set(studentHoldKey("student-1"), JSON.stringify(hold), "EX", 600);
+
+  assert.deepEqual(await SeatHoldService.getStudentHold("student-1"), hold);
+  assert.equal((await SeatHoldService.getHoldsForSlots(["slot-1"])).get("C1").studentId, "student-1");
+
+  const pending = await SeatHoldService.attachHoldToRequest("student-1", "slot-1", "c1", "request-1");
+  assert.equal(pending.requestId, "request-1");
+
+  assert.equal((await SeatHoldService.releaseHold("student-1")).seatNumber, "C1");
+  assert.equal(await client.get(holdKey("slot-1", "C1")), null);
+  assert.equal(await SeatHoldService.getStudentHold("student-1"), null);
+
+  // A pointer whose seat hold has gone is ignored
+  await client.set(studentHoldKey("student-1"), JSON.stringify(hold), "EX", 600);
+  assert.equal(await SeatHoldService.getStudentHold("student-1"), null);
+});
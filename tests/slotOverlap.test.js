@@ -0,0 +1,174 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { Slot } from "../src/models/slot.model.js";
+import { SlotChangeHistory } from "../src/models/slotChangeHistory.model.js";
+import { Student } from "../src/models/student.model.js";
+import {
+  doSlotsOverlap,
+  doTimeRangesOverlap,
+  findDoubleBookings,
+  findSeatConflict,
+  validateSeatAvailable,
+} from "../src/utils/slotHelpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const slot = (id, start, end, slotType = "PARTIAL", roomId = "room-1") => ({
+  _id: id,
+  name: id,
+  roomId,
+  slotType,
+  timeRange: { start, end },
+});
+
+test("time ranges overlap when they share a minute", () => {
+  assert.equal(
+    doTimeRangesOverlap({ start: "09:00", end: "14:00" }, { start: "12:00", end: "17:00" }),
+    true,
+  );
+  assert.equal(
+    doTimeRangesOverlap({ start: "09:00", end: "14:00" }, { start: "14:00", end: "18:00" }),
+    false,
+  );
+  // Overnight range wraps past midnight
+  assert.equal(
+    doTimeRangesOverlap({ start: "22:00", end: "06:00" }, { start: "05:00", end: "08:00" }),
+    true,
+  );
+});
+
+test("slots overlap only within the same room", () => {
+  const morning = slot("a", "09:00", "14:00");
+  const afternoon = slot("b", "12:00", "17:00");
+  const evening = slot("c", "17:00", "21:00");
+  const fullDay = slot("d", "06:00", "22:00", "FULL_DAY");
+
+  assert.equal(doSlotsOverlap(morning, afternoon), true);
+  assert.equal(doSlotsOverlap(morning, evening), false);
+  assert.equal(doSlotsOverlap(evening, fullDay), true);
+  assert.equal(
+    doSlotsOverlap(morning, slot("e", "09:00", "14:00", "PARTIAL", "room-2")),
+    false,
+  );
+});
+
+test("double bookings list clashing students per room seat", () => {
+  const slots = [
+    slot("a", "09:00", "14:00"),
+    slot("b", "12:00", "17:00"),
+    slot("c", "17:00", "21:00"),
+  ];
+  const students = [
+    { _id: "s1", slotId: "a", seatNumber: "7" },
+    { _id: "s2", slotId: "b", seatNumber: "7" },
+    { _id: "s3", slotId: "c", seatNumber: "7" },
+    { _id: "s4", slotId: "a", seatNumber: "8" },
+    { _id: "s5", slotId: "c", seatNumber: "8" },
+  ];
+
+  const result = findDoubleBookings(slots, students);
+
+  assert.equal(result.length, 1);
+  assert.equal(result[0].seatNumber, "7");
+  assert.deepEqual(
+    result[0].bookings.map((b) => b.student._id),
+    ["s1", "s2"],
+  );
+});
+
+test("double bookings follow full-day slots and populated rooms, not other rooms", () => {
+  const slots = [
+    { ...slot("a", "09:00", "14:00"), roomId: { _id: "room-1", name: "Hall" } },
+    slot("b", "06:00", "22:00", "FULL_DAY"),
+    slot("c", "09:00", "14:00", "PARTIAL", "room-2"),
+  ];
+  const students = [
+    { _id: "s1", slotId: "a", seatNumber: " 7 " },
+    { _id: "s2", slotId: "b", seatNumber: "7" },
+    { _id: "s3", slotId: "c", seatNumber: "7" },
+    { _id: "s4", slotId: "missing", seatNumber: "7" },
+    { _id: "s5", slotId: "b", seatNumber: "" },
+  ];
+
+  const result = findDoubleBookings(slots, students);
+
+  assert.equal(result.length, 1);
+  assert.equal(result[0].roomId, "room-1");
+  assert.deepEqual(
+    result[0].bookings.map((b) => b.student._id),
+    ["s1", "s2"],
+  );
+  assert.deepEqual(findDoubleBookings(slots, students.slice(2)), []);
+});
+
+// Morning and afternoon share room-1; evening does not overlap either
+const roomSlots = [
+  slot("morning", "09:00", "14:00"),
+  slot("afternoon", "12:00", "17:00"),
+  slot("evening", "17:00", "21:00"),
+];
+
+const mockSeatModels = ({ student = null, reservation = null } = {}) => {
+  mock.method(Slot, "findById", (id) => {
+    const found = roomSlots.find((s) => s._id === id) || null;
+    return { lean: async () => found, populate: () => ({ lean: async () => found }) };
+  });
+  mock.method(Slot, "find", () => ({ lean: async () => roomSlots }));
+  const studentQuery = mock.method(Student, "findOne", () => ({
+    select: () => ({ lean: async () => student }),
+  }));
+  const reservationQuery = mock.method(SlotChangeHistory, "findOne", () => ({
+    populate: () => ({ lean: async () => reservation }),
+  }));
+  return { studentQuery, reservationQuery };
+};
+
+test("seat conflicts look at students in overlapping slots first", async () => {
+  const { studentQuery, reservationQuery } = mockSeatModels({
+    student: { _id: "s1", name: "Asha", slotId: "afternoon", seatNumber: "7" },
+  });
+
+  const conflict = await findSeatConflict("morning", " 7 ", "s9");
+
+  assert.equal(conflict.student.name, "Asha");
+  assert.equal(conflict.slot._id, "afternoon");
+  assert.equal(conflict.reservation, undefined);
+  const [filter] = studentQuery.mock.calls[0].arguments;
+  assert.deepEqual(filter.slotId.$in, ["morning", "afternoon"]);
+  assert.equal(filter.seatNumber, "7");
+  assert.deepEqual(filter._id, { $ne: "s9" });
+  assert.equal(reservationQuery.mock.callCount(), 0);
+});
+
+test("a seat reserved by a scheduled slot change is a conflict", async () => {
+  const reservation = {
+    studentId: { _id: "s2", name: "Ravi", libraryId: "LIB-2" },
+    newSlotId: "afternoon",
+    effectiveDate: new Date(2025, 4, 1),
+    scheduleStatus: "SCHEDULED",
+  };
+  const { reservationQuery } = mockSeatModels({ reservation });
+
+  const conflict = await findSeatConflict("morning", "7", "s9");
+
+  assert.deepEqual(conflict.student, { _id: "s2", name: "Ravi", libraryId: "LIB-2", seatNumber: "7" });
+  assert.equal(conflict.slot._id, "afternoon");
+  assert.equal(conflict.reservation, reservation);
+  const [filter] = reservationQuery.mock.calls[0].arguments;
+  assert.deepEqual(filter.newSlotId.$in, ["morning", "afternoon"]);
+  assert.equal(filter["metadata.newSeatNumber"], "7");
+  assert.equal(filter.scheduleStatus, "SCHEDULED");
+  assert.deepEqual(filter.studentId, { $ne: "s9" });
+
+  await assert.rejects(validateSeatAvailable("morning", "7", "s9"), (error) => {
+    assert.equal(error.statusCode, 409);
+    assert.match(error.message, /reserved for Ravi in slot "afternoon"/);
+    return true;
+  });
+});
+
+test("a free seat has no conflict", async () => {
+  mockSeatModels();
+  assert.equal(await findSeatConflict("evening", "7"), null);
+  assert.equal(await findSeatConflict("evening", "  "), null);
+});
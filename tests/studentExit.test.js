@@ -0,0 +1,226 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { AdminActionLog } from "../src/models/adminActionLog.model.js";
+import { AdvanceBalance } from "../src/models/advanceBalance.model.js";
+import { DueRecord } from "../src/models/dueRecord.model.js";
+import { Library } from "../src/models/library.model.js";
+import { Student } from "../src/models/student.model.js";
+import { StudentExit } from "../src/models/studentExit.model.js";
+import { StudentMonthlyFee } from "../src/models/studentMonthlyFee.model.js";
+import FeeAdvanceService from "../src/services/feeAdvance.service.js";
+import FeePaymentService from "../src/services/feePayment.service.js";
+import FeeProrationService from "../src/services/feeProration.service.js";
+import StudentExitService from "../src/services/studentExit.service.js";
+
+if (!process.env.ACCESS_TOKEN_SECRET) {
+  process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+}
+
+afterEach(() => mock.restoreAll());
+
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+test("students must give the library's notice period", async () => {
+  const student = {
+    _id: "student-1",
+    tenantId: "library-1",
+    status: "ACTIVE",
+    save: async () => {},
+  };
+  mock.method(Student, "findOne", async () => student);
+  mock.method(StudentExit, "findOne", () => ({ lean: async () => null }));
+  mock.method(Library, "findById", () => ({
+    select: () => ({ lean: async () => ({ settings: { exitNoticeDays: 7 } }) }),
+  }));
+  const create = mock.method(StudentExit, "create", async (data) => ({ _id: "exit-1", ...data }));
+  mock.method(FeeProrationService, "applyLeavingDate", async () => {});
+  mock.method(StudentExitService, "_notify", async () => {});
+
+  await assert.rejects(
+    StudentExitService.fileNotice(
+      "student-1",
+      { leavingDate: daysFromToday(6) },
+      { filedBy: "STUDENT" },
+    ),
+    /at least 7 days of notice/,
+  );
+  await assert.rejects(
+    StudentExitService.fileNotice(
+      "student-1",
+      { leavingDate: daysFromToday(-1) },
+      { filedBy: "ADMIN" },
+    ),
+    /cannot be in the past/,
+  );
+  assert.equal(create.mock.callCount(), 0);
+
+  const exit = await StudentExitService.fileNotice(
+    "student-1",
+    { leavingDate: daysFromToday(7) },
+    { filedBy: "STUDENT" },
+  );
+  assert.deepEqual(exit.leavingDate, daysFromToday(7));
+  assert.deepEqual(student.leavingDate, daysFromToday(7));
+
+  // Admins are not held to the notice period
+  await StudentExitService.fileNotice(
+    "student-1",
+    { leavingDate: daysFromToday(0) },
+    { filedBy: "ADMIN" },
+  );
+  assert.equal(create.mock.callCount(), 2);
+});
+
+const mockBalances = (fees, { due = 0, advance = 0 } = {}) => {
+  mock.method(StudentMonthlyFee, "find", () => ({ sort: async () => fees }));
+  mock.method(DueRecord, "findOne", () => ({
+    select: () => ({ lean: async () => (due ? { totalDueAmount: due } : null) }),
+  }));
+  mock.method(AdvanceBalance, "findOne", () => ({
+    select: () => ({ lean: async () => ({ remainingAmount: advance }) }),
+  }));
+};
+
+test("the settlement nets the latest month's balance against the advance", async () => {
+  const fees = [
+    { month: 0, year: 2025, baseFee: 3000, paidAmount: 3000, status: "PAID" },
+    { month: 1, year: 2025, baseFee: 3000, paidAmount: 1000, status: "DUE" },
+    {
+      month: 2,
+      year: 2025,
+      baseFee: 3000,
+      dueCarriedForwardAmount: 2000,
+      paidAmount: 0,
+      status: "PENDING",
+    },
+  ];
+
+  mockBalances(fees, { due: 2000, advance: 1200 });
+  const owed = await StudentExitService.buildSettlement("student-1");
+  assert.equal(owed.outstandingAmount, 5000);
+  assert.equal(owed.dueAmount, 2000);
+  assert.equal(owed.pendingAmount, 3000);
+  assert.equal(owed.advanceAmount, 1200);
+  assert.equal(owed.netAmount, -3800);
+  assert.equal(owed.direction, "DUE");
+  assert.deepEqual(
+    owed.months.map((m) => [m.month, m.amount, m.paidAmount]),
+    [
+      [1, 3000, 1000],
+      [2, 3000, 0],
+    ],
+  );
+  assert.deepEqual(owed.latestFee, { month: 2, year: 2025 });
+
+  mock.restoreAll();
+  mockBalances(fees, { due: 2000, advance: 6000 });
+  const refund = await StudentExitService.buildSettlement("student-1");
+  assert.equal(refund.netAmount, 1000);
+  assert.equal(refund.direction, "REFUND");
+
+  mock.restoreAll();
+  mockBalances([], { advance: 0 });
+  const nil = await StudentExitService.buildSettlement("student-1");
+  assert.equal(nil.netAmount, 0);
+  assert.equal(nil.direction, "NIL");
+  assert.equal(nil.latestFee, null);
+});
+
+test("processDueExits handles everyone leaving by today, with or without a notice", async () => {
+  const students = [
+    { _id: "s1", tenantId: "library-1", leavingDate: daysFromToday(0) },
+    { _id: "s2", tenantId: "library-1", leavingDate: daysFromToday(-2) },
+    { _id: "s3", tenantId: "library-1", leavingDate: daysFromToday(-1) },
+  ];
+  const find = mock.method(Student, "find", async () => students);
+  const notice = { studentId: "s1", filedBy: "STUDENT", status: "NOTICE" };
+  mock.method(StudentExit, "findOne", async ({ studentId }) =>
+    studentId === "s1" ? notice : null,
+  );
+  const processed = [];
+  mock.method(StudentExitService, "_processExit", async (exit, student) => {
+    if (student._id === "s3") throw new Error("Seat release failed");
+    processed.push([student._id, exit.filedBy, exit.leavingDate]);
+  });
+
+  const results = await StudentExitService.processDueExits(new Date());
+
+  assert.deepEqual(find.mock.calls[0].arguments[0].leavingDate, { $lt: daysFromToday(1) });
+  assert.equal(results.processed, 2);
+  assert.deepEqual(results.errors, [{ studentId: "s3", error: "Seat release failed" }]);
+  assert.deepEqual(processed, [
+    ["s1", "STUDENT", daysFromToday(0)],
+    ["s2", "SYSTEM", daysFromToday(-2)],
+  ]);
+});
+
+test("a settlement refund is recorded as a dated advance refund", async () => {
+  const exit = {
+    _id: "exit-1",
+    studentId: "student-1",
+    status: "SETTLEMENT_PENDING",
+    settlementNumber: "STL-000001",
+    settlement: { slotName: "Morning", seatNumber: "7" },
+    tenantId: "library-1",
+    save: async () => {},
+  };
+  mock.method(StudentExitService, "_findExit", async () => exit);
+  mock.method(StudentExitService, "buildSettlement", async () => ({
+    outstandingAmount: 500,
+    advanceAmount: 2000,
+    latestFee: { month: 2, year: 2025 },
+  }));
+  const markAsPaid = mock.method(FeePaymentService, "markAsPaid", async () => ({}));
+  const refundAdvance = mock.method(FeeAdvanceService, "refundAdvance", async () => ({
+    transactions: [{ _id: "deposit" }, { _id: "refund-1" }],
+  }));
+  mock.method(AdminActionLog, "create", async () => ({}));
+  mock.method(Student, "findById", () => ({ select: () => ({ lean: async () => null }) }));
+
+  await assert.rejects(
+    StudentExitService.settleExit("exit-1", { method: "CARD" }, "admin-1"),
+    /Payment method must be one of/,
+  );
+
+  await StudentExitService.settleExit(
+    "exit-1",
+    { method: "UPI", reference: "UTR123" },
+    "admin-1",
+  );
+
+  assert.equal(markAsPaid.mock.calls[0].arguments[3].paymentMethod, "ADVANCE");
+  assert.equal(markAsPaid.mock.calls[0].arguments[3].paidAmount, 500);
+  assert.deepEqual(refundAdvance.mock.calls[0].arguments, [
+    "student-1",
+    1500,
+    "admin-1",
+    "Final settlement STL-000001 (ref. UTR123)",
+    "UPI",
+  ]);
+  assert.equal(exit.transaction.type, "REFUND");
+  assert.equal(exit.transaction.ledgerEntryId, "refund-1");
+  assert.equal(exit.status, "SETTLED");
+});
+
+test("settlement links open the PDF without a login and reject tampering", async () => {
+  const exit = { _id: "665f1c2e8b3e4a0012345678", settlementNumber: "STL-000001" };
+  const findExit = mock.method(StudentExitService, "_findExit", async () => exit);
+
+  const { path, expiresAt } = StudentExitService.getSettlementDownloadLink(exit);
+  assert.match(path, /^\/api\/v1\/student-auth\/exit\/settlement-pdf\/[\w-]+\.[\w-]+\.[\w-]+$/);
+  assert.ok(expiresAt > daysFromToday(29));
+
+  const token = path.split("/").pop();
+  assert.equal(await StudentExitService.getExitByDownloadToken(token), exit);
+  assert.deepEqual(findExit.mock.calls[0].arguments, [exit._id]);
+
+  await assert.rejects(
+    StudentExitService.getExitByDownloadToken(`${token}x`),
+    (error) => error.statusCode === 401,
+  );
+});
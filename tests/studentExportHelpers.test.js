@@ -0,0 +1,76 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "stream";
+import StudentExportService from "../src/services/studentExport.service.js";
+import {
+  DEFAULT_ROSTER_COLUMNS,
+  getRosterCsvCells,
+  parseRosterColumns,
+} from "../src/utils/studentExportHelpers.js";
+
+afterEach(() => mock.restoreAll());
+
+test("parseRosterColumns keeps picked order, drops duplicates and reports unknown keys", () => {
+  assert.deepEqual(parseRosterColumns(""), {
+    columns: DEFAULT_ROSTER_COLUMNS,
+    unknown: [],
+  });
+  assert.deepEqual(parseRosterColumns("name, totalDue,name,password"), {
+    columns: ["name", "totalDue"],
+    unknown: ["password"],
+  });
+});
+
+test("getRosterCsvCells formats seats, dates and blanks", () => {
+  const entry = {
+    student: {
+      name: "Ravi",
+      seatNumber: "A4",
+      slotId: { name: "Morning", roomId: { name: "Hall 1" } },
+      joiningDate: new Date(2025, 3, 5),
+      tags: ["exam", "night"],
+    },
+    totalDue: 450,
+    lastPaymentDate: null,
+  };
+  assert.deepEqual(
+    getRosterCsvCells(
+      ["name", "currentSeat", "joiningDate", "tags", "totalDue", "lastPaymentDate", "email"],
+      entry,
+    ),
+    ["Ravi", "Hall 1 / Morning / A4", "2025-04-05", "exam, night", 450, "", ""],
+  );
+});
+
+test("a roster export failing mid-stream cuts the download short", async () => {
+  mock.method(StudentExportService, "_batches", async function* () {
+    yield [{ student: { name: "Ravi" } }];
+    throw new Error("Cursor lost");
+  });
+  mock.method(console, "error", () => {});
+
+  const response = () => {
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      },
+    });
+    stream.chunks = chunks;
+    return stream;
+  };
+  const roster = { filter: {}, columns: ["name"] };
+
+  const started = Object.assign(response(), { headersSent: true });
+  assert.equal(await StudentExportService.streamRoster(roster, "csv", started), 0);
+  assert.equal(started.destroyed, true);
+  assert.match(started.chunks.join(""), /Ravi/);
+
+  const notStarted = Object.assign(response(), { headersSent: false });
+  await assert.rejects(
+    StudentExportService.streamRoster(roster, "csv", notStarted),
+    /Cursor lost/,
+  );
+  assert.equal(notStarted.destroyed, false);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../src/utils/csvHelpers.js";
+import {
+  getImportField,
+  mapStudentImportRow,
+  parseImportDate,
+} from "../src/utils/studentImportHelpers.js";
+
+test("parseCsv handles quoted cells and CRLF line endings", () => {
+  const rows = parseCsv('Name,Slot\r\n"Sharma, Ravi","Morning ""A"""\r\n\r\n');
+  assert.deepEqual(rows, [
+    ["Name", "Slot"],
+    ["Sharma, Ravi", 'Morning "A"'],
+  ]);
+});
+
+test("getImportField accepts common header spellings", () => {
+  assert.equal(getImportField("Father's Name"), "fatherName");
+  assert.equal(getImportField("Seat No."), "seatNumber");
+  assert.equal(getImportField("Monthly Fee"), "monthlyFee");
+  assert.equal(getImportField("Unknown"), null);
+});
+
+test("parseImportDate accepts ISO and day-first dates and rejects invalid ones", () => {
+  assert.equal(parseImportDate("2025-04-01"), "2025-04-01T00:00:00.000Z");
+  assert.equal(parseImportDate("05/04/2025"), "2025-04-05T00:00:00.000Z");
+  assert.equal(parseImportDate("31/02/2025"), null);
+  assert.equal(parseImportDate("April 1"), null);
+});
+
+test("mapStudentImportRow normalises phone, fee and email", () => {
+  const { data, errors } = mapStudentImportRow({
+    name: " Ravi ",
+    phone: "+91 98765 43210",
+    email: "Ravi@Example.com",
+    slotName: "Morning",
+    monthlyFee: "₹1,200",
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(data.name, "Ravi");
+  assert.equal(data.phone, "9876543210");
+  assert.equal(data.email, "ravi@example.com");
+  assert.equal(data.monthlyFee, 1200);
+});
@@ -0,0 +1,153 @@
+import { afterEach, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { Slot } from "../src/models/slot.model.js";
+import { SlotChangeHistory } from "../src/models/slotChangeHistory.model.js";
+import { SlotWaitlist } from "../src/models/slotWaitlist.model.js";
+import { Student } from "../src/models/student.model.js";
+import WaitlistService from "../src/services/waitlist.service.js";
+import {
+  assignQueuePositions,
+  buildOffer,
+  getOfferResponseError,
+} from "../src/utils/waitlistHelpers.js";
+
+const now = new Date(2025, 3, 1, 10, 0);
+const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+const entry = (id, status = "WAITING", extra = {}) => ({
+  _id: id,
+  slotId: "slot-1",
+  studentId: `student-${id}`,
+  status,
+  createdAt: minutesFromNow(-100 + Number(id.slice(1))),
+  ...extra,
+});
+
+test("assignQueuePositions numbers waiting entries in join order", () => {
+  const queue = assignQueuePositions([
+    entry("e3"),
+    entry("e1", "OFFERED"),
+    entry("e2"),
+  ]);
+  assert.deepEqual(
+    queue.map((e) => [e._id, e.position]),
+    [
+      ["e1", null],
+      ["e2", 1],
+      ["e3", 2],
+    ],
+  );
+});
+
+test("offers hold the seat for the configured hours, then expire", () => {
+  const offer = buildOffer(now, 24);
+  assert.equal(offer.status, "OFFERED");
+  assert.equal(offer.offerExpiresAt - offer.offeredAt, 24 * 60 * 60 * 1000);
+
+  assert.equal(getOfferResponseError({ ...offer }, minutesFromNow(60)), null);
+  assert.match(getOfferResponseError({ ...offer }, minutesFromNow(24 * 60)), /expired/);
+  assert.match(getOfferResponseError(entry("e1"), now), /no open seat offer/);
+});
+
+// In-memory stand-in for the collections processSlot reads and writes
+let entries;
+let lockedUntil;
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition?.$in) return condition.$in.includes(doc[field]);
+    if (condition?.$gt) return doc[field] > condition.$gt;
+    if (condition?.$lte) return doc[field] <= condition.$lte;
+    return doc[field] === condition;
+  });
+
+beforeEach(() => {
+  lockedUntil = null;
+  mock.method(Slot, "findById", async (id) => ({
+    _id: id,
+    name: "Morning",
+    isActive: true,
+    slotType: "FULL_DAY",
+    totalSeats: 1,
+  }));
+  mock.method(Slot, "findOneAndUpdate", async (filter, update) => {
+    if (lockedUntil && lockedUntil > new Date()) return null;
+    lockedUntil = update.$set.waitlistLockedUntil;
+    return { _id: filter._id };
+  });
+  mock.method(Slot, "updateOne", async () => {
+    lockedUntil = null;
+  });
+  mock.method(Student, "countDocuments", async () => 0);
+  mock.method(SlotChangeHistory, "countDocuments", async () => 0);
+  mock.method(SlotWaitlist, "countDocuments", async (filter) =>
+    entries.filter((e) => matches(e, filter)).length,
+  );
+  mock.method(SlotWaitlist, "findOneAndUpdate", async (filter, update) => {
+    const [next] = entries
+      .filter((e) => matches(e, filter))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    return next ? Object.assign(next, update.$set) : null;
+  });
+  mock.method(SlotWaitlist, "find", (filter) => ({
+    select: async () => entries.filter((e) => matches(e, filter)),
+  }));
+  mock.method(SlotWaitlist, "updateMany", async (filter, update) => {
+    for (const e of entries.filter((doc) => matches(doc, filter))) {
+      Object.assign(e, update.$set);
+    }
+  });
+  mock.method(WaitlistService, "_notifyOffer", async () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test("concurrent processSlot runs never offer more seats than are free", async () => {
+  entries = [entry("e1"), entry("e2"), entry("e3")];
+
+  const results = await Promise.all([
+    WaitlistService.processSlot("slot-1"),
+    WaitlistService.processSlot("slot-1"),
+  ]);
+
+  assert.equal(results[0].offered + results[1].offered, 1);
+  assert.deepEqual(
+    entries.map((e) => e.status),
+    ["OFFERED", "WAITING", "WAITING"],
+  );
+  assert.equal(lockedUntil, null);
+});
+
+test("a lapsed offer expires and the seat rolls to the next in line", async () => {
+  entries = [
+    entry("e1", "OFFERED", { offerExpiresAt: minutesFromNow(-1) }),
+    entry("e2"),
+    entry("e3"),
+  ];
+
+  assert.equal(await WaitlistService.expireOffers(new Date()), 1);
+  assert.deepEqual(await WaitlistService.processSlot("slot-1"), { offered: 1 });
+  assert.deepEqual(
+    entries.map((e) => e.status),
+    ["EXPIRED", "OFFERED", "WAITING"],
+  );
+});
+
+test("respondToOffer passes a declined seat on and rejects lapsed offers", async () => {
+  const offered = {
+    ...entry("e1", "OFFERED"),
+    ...buildOffer(new Date(), 24),
+    save: async () => {},
+  };
+  mock.method(SlotWaitlist, "findOne", async () => offered);
+  const processSlot = mock.method(WaitlistService, "processSlot", async () => ({ offered: 1 }));
+
+  await WaitlistService.respondToOffer("e1", false, { studentId: "student-e1" });
+  assert.equal(offered.status, "DECLINED");
+  assert.deepEqual(processSlot.mock.calls[0].arguments, ["slot-1"]);
+
+  offered.status = "OFFERED";
+  offered.offerExpiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(
+    WaitlistService.respondToOffer("e1", true, { studentId: "student-e1" }),
+    /expired/,
+  );
+});